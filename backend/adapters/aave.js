@@ -0,0 +1,26 @@
+// DeFi Autopilot Aave Adapter
+// Aave v2 reserves from the public liquidity API
+
+const { buildYieldData } = require('../services/market-data');
+
+module.exports = {
+  name: 'Aave',
+  category: 'Lending',
+  poolType: 'lending',
+  riskScore: 2,
+  endpoint: 'https://api.aave.com/data/liquidity/v2',
+
+  parse(data) {
+    const reserves = data.reserves || [];
+
+    return buildYieldData(reserves.map(reserve => ({
+      asset: reserve.symbol,
+      apy: parseFloat(reserve.liquidityRate) / 100, // Convert to percentage
+      tvl: parseFloat(reserve.totalLiquidity),
+      utilizationRate: parseFloat(reserve.utilizationRate)
+    })), { apy: 3.2, tvl: 2500000000, utilizationRate: 0.75 });
+  },
+
+  // asset -> [apy %, tvl USD]
+  mock: { USDC: [3.2, 2500000000], USDT: [3.6, 1200000000], DAI: [3.4, 900000000], WETH: [1.9, 3100000000] }
+};
@@ -0,0 +1,26 @@
+// DeFi Autopilot Compound Adapter
+// Compound v2 cTokens from the public API
+
+const { buildYieldData } = require('../services/market-data');
+
+module.exports = {
+  name: 'Compound',
+  category: 'Lending',
+  poolType: 'lending',
+  riskScore: 2,
+  endpoint: 'https://api.compound.finance/api/v2/ctoken',
+
+  parse(data) {
+    const cTokens = data.cToken || [];
+
+    return buildYieldData(cTokens.map(cToken => ({
+      asset: cToken.underlying_symbol,
+      apy: parseFloat(cToken.supply_rate?.value) / 1e16, // Convert from rate to percentage
+      tvl: parseFloat(cToken.total_supply?.value),
+      utilizationRate: parseFloat(cToken.utilization?.value)
+    })), { apy: 7.8, tvl: 1800000000, utilizationRate: 0.68 });
+  },
+
+  // asset -> [apy %, tvl USD]
+  mock: { USDC: [7.8, 1800000000], USDT: [4.1, 700000000], DAI: [3.9, 500000000], WETH: [2.3, 1400000000] }
+};
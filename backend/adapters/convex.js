@@ -0,0 +1,43 @@
+// DeFi Autopilot Convex Adapter
+// Boosted Curve LP yields (base + CRV rewards) from the Convex API
+
+const { buildYieldData } = require('../services/market-data');
+
+module.exports = {
+  name: 'Convex',
+  category: 'Yield Farming',
+  poolType: 'stableswap', // exits unwind the underlying Curve pool
+  riskScore: 4,
+  endpoint: 'https://www.convexfinance.com/api/curve-apys',
+
+  // Convex pool key -> underlying coins (the API reports yields per pool only)
+  pools: {
+    '3pool': ['USDC', 'USDT', 'DAI'],
+    fraxusdc: ['USDC'],
+    steth: ['WETH']
+  },
+
+  parse(data) {
+    const apys = data.apys || {};
+    const entries = [];
+
+    for (const [pool, coins] of Object.entries(this.pools)) {
+      const rates = apys[pool];
+      if (!rates) continue;
+
+      for (const asset of coins) {
+        entries.push({
+          asset,
+          apy: parseFloat(rates.baseApy) + parseFloat(rates.crvApy),
+          tvl: NaN, // not reported
+          utilizationRate: 0.85
+        });
+      }
+    }
+
+    return buildYieldData(entries, { apy: 6.1, tvl: null, utilizationRate: 0.85 });
+  },
+
+  // asset -> [apy %, tvl USD]
+  mock: { USDC: [6.1, 900000000], USDT: [6.1, 900000000], DAI: [6.1, 900000000], WETH: [4.4, 350000000] }
+};
@@ -0,0 +1,33 @@
+// DeFi Autopilot Curve Adapter
+// Curve main registry pools, one market per pool coin
+
+const { buildYieldData } = require('../services/market-data');
+
+module.exports = {
+  name: 'Curve',
+  category: 'DEX',
+  poolType: 'stableswap',
+  riskScore: 3,
+  endpoint: 'https://api.curve.fi/api/getPools/ethereum/main',
+
+  parse(data) {
+    const pools = data.data?.poolData || [];
+    const entries = [];
+
+    for (const pool of pools) {
+      for (const coin of pool.coins || []) {
+        entries.push({
+          asset: typeof coin === 'string' ? coin : coin.symbol,
+          apy: parseFloat(pool.apy) / 100,
+          tvl: parseFloat(pool.usdTotal),
+          utilizationRate: 0.85
+        });
+      }
+    }
+
+    return buildYieldData(entries, { apy: 5.4, tvl: 850000000, utilizationRate: 0.85 });
+  },
+
+  // asset -> [apy %, tvl USD]
+  mock: { USDC: [5.4, 850000000], USDT: [5.4, 850000000], DAI: [5.4, 850000000] }
+};
@@ -0,0 +1,95 @@
+// DeFi Autopilot FAssets Adapter
+// Yield of FAsset (e.g. FXRP) agent collateral pools: FLR collateral earning minting fees
+
+const { ethers } = require('ethers');
+const { buildYieldData } = require('../services/market-data');
+const { COLLATERAL_POOL_ABI, ERC20_ABI, blockWindow } = require('../contracts/flare');
+
+const YEAR = 365 * 24 * 60 * 60;
+
+// FAsset symbol -> underlying asset with a USD price
+const UNDERLYING = { FXRP: 'XRP', FTestXRP: 'XRP', FBTC: 'BTC', FDOGE: 'DOGE' };
+
+module.exports = {
+  name: 'FAssets',
+  category: 'Collateral Pool',
+  poolType: 'vault', // pool tokens redeem for their share of collateral and fees
+  riskScore: 6,
+
+  // Agent collateral pools, e.g. [{ "address": "0x...", "name": "Agent A (FXRP)" }]; set in PROTOCOL_ADAPTERS_CONFIG
+  pools: [],
+  lookback: 7 * 24 * 60 * 60, // seconds; minting fees arrive in bursts, so average over a week
+
+  // Only registered once pools are listed, so unconfigured installs don't serve the mock
+  isConfigured() {
+    return this.pools.length > 0;
+  },
+
+  async fetch(request, { provider, costModel } = {}) {
+    if (!provider) throw new Error('FAssets needs a Flare provider');
+    if (this.pools.length === 0) throw new Error('No FAsset collateral pools configured');
+
+    const { latest, past, elapsed } = await blockWindow(provider, this.lookback);
+
+    const pools = await Promise.all(this.pools.map(async ({ address, name }) => {
+      const pool = new ethers.Contract(address, COLLATERAL_POOL_ABI, provider);
+      const [poolTokenAddress, fAssetAddress] = await Promise.all([pool.poolToken(), pool.fAsset()]);
+      const poolToken = new ethers.Contract(poolTokenAddress, ERC20_ABI, provider);
+      const fAsset = new ethers.Contract(fAssetAddress, ERC20_ABI, provider);
+      const [symbol, decimals] = await Promise.all([fAsset.symbol(), fAsset.decimals()]);
+
+      const state = async (blockTag) => {
+        const [collateral, fees, supply] = await Promise.all([
+          pool.totalCollateral({ blockTag }),
+          pool.totalFAssetFees({ blockTag }),
+          poolToken.totalSupply({ blockTag })
+        ]);
+        return { collateral: collateral.toString(), fees: fees.toString(), supply: supply.toString() };
+      };
+
+      return {
+        address,
+        name: name || `${symbol} pool ${address.slice(0, 8)}`,
+        fAsset: { symbol, decimals },
+        latest: await state(latest.number),
+        past: await state(past.number)
+      };
+    }));
+
+    return { pools, elapsed, prices: { ...costModel?.prices } };
+  },
+
+  /**
+   * Pool token value in FLR (collateral plus FAsset fees at the current price ratio); its growth
+   * over the window, annualised, is the depositors' APR
+   */
+  parse({ pools, elapsed, prices }) {
+    const entries = [];
+
+    for (const pool of pools) {
+      const underlying = prices[UNDERLYING[pool.fAsset.symbol] || pool.fAsset.symbol];
+      if (typeof underlying !== 'number' || typeof prices.FLR !== 'number') continue;
+
+      const perToken = ({ collateral, fees, supply }) => (
+        parseFloat(ethers.utils.formatEther(collateral)) +
+        parseFloat(ethers.utils.formatUnits(fees, pool.fAsset.decimals)) * underlying / prices.FLR
+      ) / parseFloat(ethers.utils.formatEther(supply));
+
+      const before = perToken(pool.past);
+      if (!(before > 0) || !Number.isFinite(before)) continue;
+
+      entries.push({
+        asset: 'FLR',
+        apy: Math.max((perToken(pool.latest) / before - 1) * (YEAR / elapsed) * 100, 0),
+        tvl: parseFloat(ethers.utils.formatEther(pool.latest.collateral)) * prices.FLR,
+        utilizationRate: null
+      });
+    }
+
+    if (entries.length === 0) throw new Error('No priced FAsset collateral pool had deposits over the window');
+    return buildYieldData(entries, { apy: 0, tvl: null, utilizationRate: null });
+  },
+
+  // asset -> [apy %, tvl USD]
+  mock: { FLR: [6.3, 18000000] }
+};
@@ -0,0 +1,109 @@
+// DeFi Autopilot Flare DEX Adapter
+// LP fee yield of Uniswap v2-style pairs on Flare (SparkDEX v2, BlazeSwap, Enosys), read over JSON-RPC
+
+const { ethers } = require('ethers');
+const { buildYieldData } = require('../services/market-data');
+const { V2_PAIR_ABI, ERC20_ABI, blockWindow } = require('../contracts/flare');
+
+const YEAR = 365 * 24 * 60 * 60;
+
+// Flare token symbols -> the assets the rest of the engine prices and compares
+const ASSET_ALIASES = { WFLR: 'FLR', 'USDC.e': 'USDC', USDT0: 'USDT', eUSDT: 'USDT', eETH: 'WETH' };
+
+// Assets without their own USD price, priced as their underlying
+const PRICE_PROXIES = { FXRP: 'XRP' };
+
+const toAsset = (symbol) => ASSET_ALIASES[symbol] || symbol;
+
+const priceOf = (prices, symbol) => prices[toAsset(symbol)] ?? prices[PRICE_PROXIES[toAsset(symbol)]];
+
+/**
+ * Pair state at one block: reserves and LP supply as decimal strings
+ */
+async function pairState(pair, blockTag) {
+  const [reserves, supply] = await Promise.all([
+    pair.getReserves({ blockTag }),
+    pair.totalSupply({ blockTag })
+  ]);
+  return { reserve0: reserves.reserve0.toString(), reserve1: reserves.reserve1.toString(), supply: supply.toString() };
+}
+
+module.exports = {
+  name: 'Flare DEX',
+  category: 'DEX',
+  poolType: 'amm',
+  riskScore: 5,
+
+  // Pairs to price, e.g. [{ "address": "0x...", "name": "WFLR/USDT0 (SparkDEX)" }]; set in PROTOCOL_ADAPTERS_CONFIG
+  pairs: [],
+  lookback: 24 * 60 * 60, // seconds of fee growth to annualise
+  markets: ['FLR', 'USDT', 'FXRP'],
+
+  // Only registered once pairs are listed, so unconfigured installs don't serve the mock
+  isConfigured() {
+    return this.pairs.length > 0;
+  },
+
+  async fetch(request, { provider, costModel } = {}) {
+    if (!provider) throw new Error('Flare DEX needs a Flare provider');
+    if (this.pairs.length === 0) throw new Error('No Flare DEX pairs configured');
+
+    const { latest, past, elapsed } = await blockWindow(provider, this.lookback);
+
+    const pairs = await Promise.all(this.pairs.map(async ({ address, name }) => {
+      const pair = new ethers.Contract(address, V2_PAIR_ABI, provider);
+      const tokens = await Promise.all([pair.token0(), pair.token1()]).then(addresses => Promise.all(addresses.map(async token => {
+        const erc20 = new ethers.Contract(token, ERC20_ABI, provider);
+        const [symbol, decimals] = await Promise.all([erc20.symbol(), erc20.decimals()]);
+        return { symbol, decimals };
+      })));
+
+      return {
+        address,
+        name: name || `${tokens[0].symbol}/${tokens[1].symbol}`,
+        tokens,
+        latest: await pairState(pair, latest.number),
+        past: await pairState(pair, past.number)
+      };
+    }));
+
+    return { pairs, elapsed, prices: { ...costModel?.prices } };
+  },
+
+  /**
+   * Swap fees stay in the reserves, so sqrt(reserve0 * reserve1) per LP token grows only by fees;
+   * that growth over the window, annualised, is the LP fee APR
+   */
+  parse({ pairs, elapsed, prices }) {
+    const entries = [];
+
+    for (const pair of pairs) {
+      const [token0, token1] = pair.tokens;
+      const perShare = ({ reserve0, reserve1, supply }) => Math.sqrt(
+        parseFloat(ethers.utils.formatUnits(reserve0, token0.decimals)) *
+        parseFloat(ethers.utils.formatUnits(reserve1, token1.decimals))
+      ) / parseFloat(ethers.utils.formatEther(supply));
+
+      const before = perShare(pair.past);
+      if (!(before > 0) || !Number.isFinite(before)) continue;
+      const apr = (perShare(pair.latest) / before - 1) * (YEAR / elapsed) * 100;
+
+      // Both sides hold equal value; price whichever token has a USD price
+      const priced = [[token0, pair.latest.reserve0], [token1, pair.latest.reserve1]]
+        .find(([token]) => typeof priceOf(prices, token.symbol) === 'number');
+      const tvl = priced
+        ? 2 * parseFloat(ethers.utils.formatUnits(priced[1], priced[0].decimals)) * priceOf(prices, priced[0].symbol)
+        : NaN;
+
+      for (const token of pair.tokens) {
+        entries.push({ asset: toAsset(token.symbol), apy: Math.max(apr, 0), tvl, utilizationRate: null });
+      }
+    }
+
+    if (entries.length === 0) throw new Error('No Flare DEX pair had liquidity over the window');
+    return buildYieldData(entries, { apy: 0, tvl: null, utilizationRate: null });
+  },
+
+  // asset -> [apy %, tvl USD]
+  mock: { FLR: [18.5, 25000000], USDT: [18.5, 25000000], FXRP: [14.2, 12000000] }
+};
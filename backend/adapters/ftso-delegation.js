@@ -0,0 +1,58 @@
+// DeFi Autopilot FTSO Delegation Adapter
+// Reward rate for delegating wrapped FLR to FTSO data providers, read from Flare system contracts
+
+const { ethers } = require('ethers');
+const { buildYieldData } = require('../services/market-data');
+const { FTSO_REWARD_MANAGER_ABI, ERC20_ABI, resolveFlareContract } = require('../contracts/flare');
+
+module.exports = {
+  name: 'FTSO Delegation',
+  category: 'Staking',
+  poolType: 'vault', // WFLR unwraps 1:1, so there is no exit price impact
+  riskScore: 1,
+
+  // Average data provider fee kept before rewards reach delegators
+  providerFee: 0.2,
+  // Flare contract registry (FLARE_CONTRACT_REGISTRY_ADDRESS in contracts/flare.js, or a mock registry);
+  // set FLARE_CONTRACT_REGISTRY_ADDRESS or override it in PROTOCOL_ADAPTERS_CONFIG
+  contractRegistry: process.env.FLARE_CONTRACT_REGISTRY_ADDRESS || null,
+
+  // Only registered once a registry is set, so unconfigured installs don't serve the mock
+  isConfigured() {
+    return ethers.utils.isAddress(this.contractRegistry || '');
+  },
+
+  async fetch(request, { provider, costModel } = {}) {
+    if (!provider) throw new Error('FTSO delegation needs a Flare provider');
+    if (!this.isConfigured()) throw new Error('No Flare contract registry configured');
+
+    const [rewardManager, wnat] = await Promise.all([
+      resolveFlareContract(provider, 'FtsoRewardManager', FTSO_REWARD_MANAGER_ABI, this.contractRegistry),
+      resolveFlareContract(provider, 'WNat', ERC20_ABI, this.contractRegistry)
+    ]);
+    const [totals, wrappedSupply] = await Promise.all([rewardManager.getTotals(), wnat.totalSupply()]);
+
+    return { dailyAuthorizedInflation: totals._dailyAuthorizedInflation, wrappedSupply, flrPrice: costModel?.prices.FLR };
+  },
+
+  /**
+   * Delegators share the FTSO reward inflation pro rata to wrapped (delegatable) FLR
+   */
+  parse({ dailyAuthorizedInflation, wrappedSupply, flrPrice }) {
+    const daily = parseFloat(ethers.utils.formatEther(dailyAuthorizedInflation));
+    const wrapped = parseFloat(ethers.utils.formatEther(wrappedSupply));
+    if (!(wrapped > 0)) throw new Error('No wrapped FLR supply');
+
+    const apr = (daily * 365 / wrapped) * (1 - this.providerFee) * 100;
+
+    return buildYieldData([{
+      asset: 'FLR',
+      apy: apr,
+      tvl: typeof flrPrice === 'number' ? wrapped * flrPrice : NaN,
+      utilizationRate: 0
+    }], { apy: 0, tvl: null, utilizationRate: 0 });
+  },
+
+  // asset -> [apy %, tvl USD]
+  mock: { FLR: [4.5, 400000000] }
+};
@@ -0,0 +1,34 @@
+// DeFi Autopilot Lido Adapter
+// stETH staking APR (7-day average) with TVL from DefiLlama
+
+const axios = require('axios');
+const { buildYieldData } = require('../services/market-data');
+
+module.exports = {
+  name: 'Lido',
+  category: 'Liquid Staking',
+  poolType: 'stableswap', // stETH exits trade through the Curve stETH/ETH pool
+  riskScore: 2,
+  endpoint: 'https://eth-api.lido.fi/v1/protocol/steth/apr/sma',
+  tvlEndpoint: 'https://api.llama.fi/tvl/lido',
+
+  async fetch(request) {
+    const [apr, tvl] = await Promise.all([
+      axios.get(this.endpoint, request),
+      axios.get(this.tvlEndpoint, request)
+    ]);
+    return { apr: apr.data, tvl: tvl.data };
+  },
+
+  parse({ apr, tvl }) {
+    return buildYieldData([{
+      asset: 'WETH',
+      apy: parseFloat(apr.data?.smaApr),
+      tvl: parseFloat(tvl),
+      utilizationRate: null
+    }], { apy: 3.1, tvl: 25000000000, utilizationRate: null });
+  },
+
+  // asset -> [apy %, tvl USD]
+  mock: { WETH: [3.1, 25000000000] }
+};
@@ -0,0 +1,34 @@
+// DeFi Autopilot Rocket Pool Adapter
+// rETH staking APR with TVL from DefiLlama
+
+const axios = require('axios');
+const { buildYieldData } = require('../services/market-data');
+
+module.exports = {
+  name: 'Rocket Pool',
+  category: 'Liquid Staking',
+  poolType: 'stableswap', // rETH exits trade through liquid rETH/ETH pools
+  riskScore: 3,
+  endpoint: 'https://api.rocketpool.net/api/mainnet/apr',
+  tvlEndpoint: 'https://api.llama.fi/tvl/rocket-pool',
+
+  async fetch(request) {
+    const [apr, tvl] = await Promise.all([
+      axios.get(this.endpoint, request),
+      axios.get(this.tvlEndpoint, request)
+    ]);
+    return { apr: apr.data, tvl: tvl.data };
+  },
+
+  parse({ apr, tvl }) {
+    return buildYieldData([{
+      asset: 'WETH',
+      apy: parseFloat(apr.yearlyAPR),
+      tvl: parseFloat(tvl),
+      utilizationRate: null
+    }], { apy: 2.9, tvl: 3000000000, utilizationRate: null });
+  },
+
+  // asset -> [apy %, tvl USD]
+  mock: { WETH: [2.9, 3000000000] }
+};
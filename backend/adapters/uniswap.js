@@ -0,0 +1,147 @@
+// DeFi Autopilot Uniswap Adapter
+// Uniswap v3 fee APR from subgraph pool day data (volume x fee tier / TVL)
+
+const axios = require('axios');
+const { buildYieldData } = require('../services/market-data');
+
+const DAY = 24 * 60 * 60; // subgraph dates are unix seconds
+const Q96 = 2 ** 96;
+
+// Uniswap v3 mainnet subgraph on The Graph's decentralized network; {apiKey} is filled from THEGRAPH_API_KEY
+const GATEWAY_URL = 'https://gateway.thegraph.com/api/{apiKey}/subgraphs/id/5zvR82QoaXYFyDEKLZ9t6v9adgnptxYpKpSbxtgVENFV';
+
+const POOL_DAY_DATA_QUERY = `
+  query PoolDayData($pools: [ID!]!, $days: Int!) {
+    bundle(id: "1") { ethPriceUSD }
+    pools(where: { id_in: $pools }) {
+      id
+      feeTier
+      liquidity
+      sqrtPrice
+      totalValueLockedUSD
+      token0 { symbol decimals derivedETH }
+      token1 { symbol decimals derivedETH }
+      poolDayData(first: $days, orderBy: date, orderDirection: desc) {
+        date
+        volumeUSD
+        tvlUSD
+      }
+    }
+  }
+`;
+
+/**
+ * Capital efficiency of a v3 position over a full-range (v2) one holding the same liquidity.
+ * lower/upper are range bounds relative to the current price, e.g. 0.9 and 1.1 for +/-10%.
+ */
+function rangeEfficiency({ lower, upper }) {
+  return 2 / (2 - Math.sqrt(lower) - 1 / Math.sqrt(upper));
+}
+
+/**
+ * Fee APR for one pool from its complete days of data (newest first).
+ * Without a range the APR is pool-wide (fees / TVL). With one, fees are earned by the
+ * in-range liquidity: its full-range equivalent value sets a full-range APR, scaled by the
+ * range's capital efficiency and the share of time the price is assumed to stay in range.
+ */
+function poolFeeApr(pool, days, ethPriceUSD, range) {
+  const feeRate = Number(pool.feeTier) / 1e6; // feeTier is in hundredths of a basis point
+  const volumeUSD = days.reduce((sum, day) => sum + parseFloat(day.volumeUSD), 0);
+  const avgTvlUSD = days.reduce((sum, day) => sum + parseFloat(day.tvlUSD), 0) / days.length;
+  const dailyFeesUSD = (volumeUSD * feeRate) / days.length;
+  const feeApr = avgTvlUSD > 0 ? (dailyFeesUSD * 365 / avgTvlUSD) * 100 : 0;
+
+  const result = { feeApr, volumeUSD, avgTvlUSD, dailyFeesUSD, apy: feeApr };
+  if (!range) return result;
+
+  // Active liquidity L at sqrtPrice is worth 2 * L * sqrtP (token1 units) as a full-range position
+  const sqrtP = Number(pool.sqrtPrice) / Q96;
+  const token1USD = parseFloat(pool.token1.derivedETH) * ethPriceUSD;
+  const activeUSD = (2 * Number(pool.liquidity) * sqrtP / 10 ** Number(pool.token1.decimals)) * token1USD;
+  if (!(activeUSD > 0)) return result;
+
+  const fullRangeApr = (dailyFeesUSD * 365 / activeUSD) * 100;
+  return {
+    ...result,
+    fullRangeApr,
+    efficiency: rangeEfficiency(range),
+    apy: fullRangeApr * rangeEfficiency(range) * (range.timeInRange ?? 1)
+  };
+}
+
+module.exports = {
+  name: 'Uniswap',
+  category: 'DEX',
+  poolType: 'amm',
+  riskScore: 4,
+  endpoint: process.env.UNISWAP_SUBGRAPH_URL || GATEWAY_URL,
+
+  // Pools to price (override with PROTOCOL_ADAPTERS_CONFIG). A pool's range, or the adapter-wide
+  // one, switches it to a concentrated position: { lower, upper, timeInRange } relative to the current price
+  pools: [
+    { id: '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640', name: 'USDC/WETH 0.05%' },
+    { id: '0x8ad599c3a0ff1de082011efddc58f1908eb6e6d8', name: 'USDC/WETH 0.3%' },
+    { id: '0x3416cf6c708da44db2624d63ea0aaef7113527c6', name: 'USDC/USDT 0.01%' }
+  ],
+  markets: ['USDC', 'WETH', 'USDT'], // tokens of the default pools
+  days: 7,
+  range: null,
+
+  async fetch(request) {
+    if (this.endpoint.includes('{apiKey}') && !process.env.THEGRAPH_API_KEY) {
+      throw new Error('Set THEGRAPH_API_KEY or UNISWAP_SUBGRAPH_URL to query the Uniswap subgraph');
+    }
+
+    // One extra day: the newest one is usually still in progress
+    const response = await axios.post(this.endpoint.replace('{apiKey}', process.env.THEGRAPH_API_KEY), {
+      query: POOL_DAY_DATA_QUERY,
+      variables: { pools: this.pools.map(pool => pool.id.toLowerCase()), days: this.days + 1 }
+    }, request);
+
+    if (response.data.errors?.length) {
+      throw new Error(`Subgraph error: ${response.data.errors[0].message}`);
+    }
+    return response.data.data;
+  },
+
+  parse(data, now = Date.now()) {
+    const ethPriceUSD = parseFloat(data.bundle?.ethPriceUSD);
+    const today = Math.floor(now / 1000 / DAY) * DAY;
+    const entries = [];
+    const pools = [];
+
+    for (const pool of data.pools || []) {
+      const config = this.pools.find(configured => configured.id.toLowerCase() === pool.id.toLowerCase()) || {};
+      const days = (pool.poolDayData || []).filter(day => day.date < today).slice(0, this.days);
+      if (days.length === 0) continue;
+
+      const range = config.range || this.range;
+      const fees = poolFeeApr(pool, days, ethPriceUSD, range);
+      const tvl = parseFloat(pool.totalValueLockedUSD);
+
+      for (const token of [pool.token0, pool.token1]) {
+        entries.push({ asset: token.symbol, apy: fees.apy, tvl, utilizationRate: null });
+      }
+      pools.push({
+        id: pool.id,
+        name: config.name || `${pool.token0.symbol}/${pool.token1.symbol} ${Number(pool.feeTier) / 1e4}%`,
+        feeTier: Number(pool.feeTier),
+        days: days.length,
+        volumeUSD: fees.volumeUSD,
+        tvlUSD: tvl,
+        feeApr: fees.feeApr,
+        apy: fees.apy,
+        range: range || null
+      });
+    }
+
+    if (entries.length === 0) {
+      throw new Error('Subgraph returned no complete pool day data');
+    }
+
+    return { ...buildYieldData(entries, { apy: 0, tvl: 0, utilizationRate: null }), pools };
+  },
+
+  // asset -> [apy %, tvl USD]
+  mock: { USDC: [4.2, 420000000], WETH: [4.2, 420000000] }
+};
@@ -0,0 +1,92 @@
+const uniswap = require('./uniswap');
+const { createStub } = require('../scripts/subgraph-stub');
+const recording = require('../fixtures/uniswap-v3-pool-day-data.json');
+
+// Noon on the recording's newest day, which is still in progress and left out
+const NOW = (1749340800 + 12 * 60 * 60) * 1000;
+
+let stubs = [];
+
+// Subgraph stub (scripts/subgraph-stub.js) on a free port, answering from `body`
+async function startStub(body, options) {
+  const server = createStub(body, options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  stubs.push(server);
+  return `http://127.0.0.1:${server.address().port}/subgraphs/uniswap-v3`;
+}
+
+function createAdapter(overrides = {}) {
+  return { ...uniswap, ...overrides };
+}
+
+describe('Uniswap adapter', () => {
+  afterEach(async () => {
+    await Promise.all(stubs.map(server => new Promise(resolve => server.close(resolve))));
+    stubs = [];
+  });
+
+  it('queries the configured pools with one extra day', async () => {
+    const onQuery = jest.fn();
+    const endpoint = await startStub(recording, { onQuery });
+
+    await createAdapter({ endpoint }).fetch({ timeout: 5000 });
+
+    const [{ variables }, url] = onQuery.mock.calls[0];
+    expect(url).toBe('/subgraphs/uniswap-v3');
+    expect(variables).toEqual({ pools: uniswap.pools.map(pool => pool.id.toLowerCase()), days: 8 });
+  });
+
+  it('computes pool fee APRs from the recorded complete days', async () => {
+    const adapter = createAdapter({ endpoint: await startStub(recording) });
+
+    const yieldData = adapter.parse(await adapter.fetch({}), NOW);
+
+    // USDC/WETH 0.05%: $3.066bn over 7 days x 0.05% x 365 / $164.1m average TVL
+    expect(yieldData.pools.map(pool => [pool.name, pool.days, Number(pool.feeApr.toFixed(2))])).toEqual([
+      ['USDC/WETH 0.05%', 7, 48.71],
+      ['USDC/WETH 0.3%', 7, 44.27],
+      ['USDC/USDT 0.01%', 7, 2.16]
+    ]);
+    expect(yieldData.pools[0].volumeUSD).toBeCloseTo(3066449011.07, 1);
+    expect(yieldData.pools.every(pool => pool.apy === pool.feeApr)).toBe(true);
+  });
+
+  it('reports each token at its deepest pool', () => {
+    const yieldData = createAdapter().parse(recording.data, NOW);
+
+    expect(yieldData.markets.USDC).toEqual({ apy: yieldData.pools[0].feeApr, tvl: expect.closeTo(165377640.73, 1), utilizationRate: null });
+    expect(yieldData.markets.USDT.apy).toBeCloseTo(2.16, 2);
+    expect(yieldData.apy).toBe(yieldData.markets.USDC.apy);
+  });
+
+  it('prices concentrated positions from active liquidity and range efficiency', () => {
+    const yieldData = createAdapter({ range: { lower: 0.9, upper: 1.1, timeInRange: 1 } }).parse(recording.data, NOW);
+
+    expect(yieldData.pools.map(pool => Number(pool.apy.toFixed(2)))).toEqual([58.96, 98.93, 0.99]);
+    expect(yieldData.pools[0].range).toEqual({ lower: 0.9, upper: 1.1, timeInRange: 1 });
+  });
+
+  it('fails on a GraphQL errors response', async () => {
+    const endpoint = await startStub({ errors: [{ message: 'indexing_error' }] });
+
+    await expect(createAdapter({ endpoint }).fetch({ timeout: 5000 })).rejects.toThrow('Subgraph error: indexing_error');
+  });
+
+  it('fails when no pool has a complete day', () => {
+    const firstDay = recording.data.pools[0].poolDayData.at(-1).date * 1000;
+
+    expect(() => createAdapter().parse(recording.data, firstDay)).toThrow('Subgraph returned no complete pool day data');
+  });
+
+  it('needs an API key for the gateway endpoint', async () => {
+    const apiKey = process.env.THEGRAPH_API_KEY;
+    delete process.env.THEGRAPH_API_KEY;
+
+    try {
+      await expect(createAdapter({ endpoint: 'https://gateway.thegraph.com/api/{apiKey}/subgraphs/id/x' }).fetch({}))
+        .rejects.toThrow('THEGRAPH_API_KEY');
+    } finally {
+      if (apiKey !== undefined) process.env.THEGRAPH_API_KEY = apiKey;
+    }
+  });
+});
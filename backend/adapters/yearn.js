@@ -0,0 +1,26 @@
+// DeFi Autopilot Yearn Adapter
+// Yearn vaults on Ethereum mainnet
+
+const { buildYieldData } = require('../services/market-data');
+
+module.exports = {
+  name: 'Yearn',
+  category: 'Yield Farming',
+  poolType: 'vault',
+  riskScore: 3,
+  endpoint: 'https://api.yearn.finance/v1/chains/1/vaults/all',
+
+  parse(data) {
+    const vaults = Array.isArray(data) ? data : [];
+
+    return buildYieldData(vaults.map(vault => ({
+      asset: vault.token?.symbol,
+      apy: parseFloat(vault.apy?.net_apy) * 100,
+      tvl: parseFloat(vault.tvl?.tvl),
+      utilizationRate: 0.92
+    })), { apy: 6.4, tvl: 650000000, utilizationRate: 0.92 });
+  },
+
+  // asset -> [apy %, tvl USD]
+  mock: { USDC: [6.4, 650000000], DAI: [5.9, 300000000], WETH: [3.1, 400000000] }
+};
@@ -0,0 +1,46 @@
+// Contract ABIs (ethers human-readable format)
+// Keep in sync with the Solidity sources in /contracts
+
+const PORTFOLIO_MANAGER_ABI = [
+  'function getPortfolio(address user) view returns (uint256 totalValue, uint256 currentYield, string currentProtocol, uint8 riskProfile, bool autoRebalanceEnabled, uint256 lastRebalance, uint256 totalProfit)',
+  'function checkRebalanceProfitability(address user, uint256 newYield, uint256 gasCost) view returns (bool)',
+  'function authorizedRebalancers(address) view returns (bool)',
+  'event PortfolioCreated(address indexed user, uint256 amount, uint8 riskProfile)',
+  'event FundsDeposited(address indexed user, uint256 amount)',
+  'event FundsWithdrawn(address indexed user, uint256 amount)',
+  'event PortfolioRebalanced(address indexed user, string fromProtocol, string toProtocol, uint256 expectedYield)',
+  'event RiskProfileUpdated(address indexed user, uint8 oldProfile, uint8 newProfile)',
+  'event AutoRebalanceToggled(address indexed user, bool enabled)'
+];
+
+const REBALANCING_ENGINE_ABI = [
+  'function requestRebalance(address _user, string _fromProtocol, string _toProtocol, uint256 _expectedYield, uint256 _estimatedGas) returns (uint256 requestId)',
+  'function executeRebalance(uint256 _requestId)',
+  'function cancelRebalance(uint256 _requestId, string _reason)',
+  'function getRebalanceRequest(uint256 _requestId) view returns (tuple(address user, string fromProtocol, string toProtocol, uint256 amount, uint256 expectedYield, uint256 estimatedGas, uint256 timestamp, bool executed, bool cancelled) request)',
+  'function getUserRebalanceHistory(address _user) view returns (uint256[] requestIds)',
+  'function authorizedAIEngines(address) view returns (bool)',
+  'function requestCounter() view returns (uint256)',
+  'function MAX_GAS_COST() view returns (uint256)',
+  'function REBALANCE_COOLDOWN() view returns (uint256)',
+  'event RebalanceRequested(uint256 indexed requestId, address indexed user, string fromProtocol, string toProtocol, uint256 expectedYield)',
+  'event RebalanceExecuted(uint256 indexed requestId, address indexed user, string fromProtocol, string toProtocol, uint256 amount, uint256 actualYield, uint256 profit)',
+  'event RebalanceCancelled(uint256 indexed requestId, string reason)'
+];
+
+const YIELD_ORACLE_ABI = [
+  'function updateYield(string _protocol, uint256 _apy, uint256 _tvl, uint8 _riskScore)',
+  'function getProtocolYield(string _protocol) view returns (uint256 apy, uint256 tvl, uint8 riskScore, uint256 timestamp, bool active)',
+  'function getSupportedProtocols() view returns (string[])',
+  'function isDataFresh(string _protocol) view returns (bool)',
+  'function authorizedUpdaters(address) view returns (bool)',
+  'function MAX_STALENESS() view returns (uint256)',
+  'function MIN_TVL_THRESHOLD() view returns (uint256)',
+  'event YieldUpdated(string indexed protocol, uint256 newApy, uint256 tvl, uint8 riskScore, uint256 timestamp)'
+];
+
+module.exports = {
+  PORTFOLIO_MANAGER_ABI,
+  REBALANCING_ENGINE_ABI,
+  YIELD_ORACLE_ABI
+};
@@ -0,0 +1,59 @@
+// Revert reason decoding for ethers v5 errors
+
+const { ethers } = require('ethers');
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+/**
+ * Walk the nested provider error (and JSON-RPC response bodies) looking for revert data
+ */
+function findRevertData(value, depth = 0) {
+  if (value === null || value === undefined || depth > 6) return null;
+
+  if (typeof value === 'string') {
+    if (value.startsWith(ERROR_SELECTOR) || value.startsWith(PANIC_SELECTOR)) return value;
+    if (value.startsWith('{')) {
+      try {
+        return findRevertData(JSON.parse(value), depth + 1);
+      } catch (error) {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  if (typeof value === 'object') {
+    for (const key of ['data', 'result', 'error', 'body']) {
+      const found = findRevertData(value[key], depth + 1);
+      if (found) return found;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extract a human-readable revert reason from an ethers error
+ */
+function decodeRevertReason(error) {
+  const data = findRevertData(error);
+
+  if (data) {
+    try {
+      const [value] = ethers.utils.defaultAbiCoder.decode(
+        [data.startsWith(ERROR_SELECTOR) ? 'string' : 'uint256'],
+        ethers.utils.hexDataSlice(data, 4)
+      );
+      return data.startsWith(ERROR_SELECTOR) ? value : `Panic(${value.toHexString()})`;
+    } catch (decodeError) {
+      // Fall through to the ethers-provided reason
+    }
+  }
+
+  return error.reason || error.message;
+}
+
+module.exports = {
+  decodeRevertReason
+};
@@ -0,0 +1,78 @@
+// Flare system and DeFi contract ABIs (ethers human-readable format) and lookup helpers
+// Used by the Flare-native protocol adapters in /adapters
+
+const { ethers } = require('ethers');
+
+// Same address on Flare, Songbird, Coston and Coston2
+const FLARE_CONTRACT_REGISTRY_ADDRESS = '0xaD67FE66660Fb8dFE9d6b1b4240d8650e30F6019';
+
+const FLARE_CONTRACT_REGISTRY_ABI = [
+  'function getContractAddressByName(string _name) view returns (address)'
+];
+
+const FTSO_REWARD_MANAGER_ABI = [
+  'function getTotals() view returns (uint256 _totalAwardedWei, uint256 _totalClaimedWei, uint256 _totalExpiredWei, uint256 _totalUnearnedWei, uint256 _totalBurnedWei, uint256 _totalInflationAuthorizedWei, uint256 _totalInflationReceivedWei, uint256 _lastInflationAuthorizationReceivedTs, uint256 _dailyAuthorizedInflation)'
+];
+
+const ERC20_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function totalSupply() view returns (uint256)'
+];
+
+// Uniswap v2 pairs (SparkDEX v2, BlazeSwap, Enosys)
+const V2_PAIR_ABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function totalSupply() view returns (uint256)'
+];
+
+// FAssets agent collateral pools
+const COLLATERAL_POOL_ABI = [
+  'function poolToken() view returns (address)',
+  'function fAsset() view returns (address)',
+  'function totalCollateral() view returns (uint256)',
+  'function totalFAssetFees() view returns (uint256)'
+];
+
+/**
+ * Resolve a Flare system contract (e.g. "WNat", "FtsoRewardManager") through the contract registry
+ */
+async function resolveFlareContract(provider, name, abi, registryAddress = FLARE_CONTRACT_REGISTRY_ADDRESS) {
+  const registry = new ethers.Contract(registryAddress, FLARE_CONTRACT_REGISTRY_ABI, provider);
+  const address = await registry.getContractAddressByName(name);
+  if (address === ethers.constants.AddressZero) {
+    throw new Error(`${name} is not registered in the Flare contract registry`);
+  }
+  return new ethers.Contract(address, abi, provider);
+}
+
+/**
+ * Latest block and the block roughly `seconds` earlier, estimated from the recent block time.
+ * Reading state at the earlier block needs an archive node (or a fork that keeps history).
+ */
+async function blockWindow(provider, seconds) {
+  const latest = await provider.getBlock('latest');
+  const sample = await provider.getBlock(Math.max(0, latest.number - 1000));
+  const blockTime = latest.number > sample.number
+    ? (latest.timestamp - sample.timestamp) / (latest.number - sample.number)
+    : 1;
+
+  const past = await provider.getBlock(Math.max(0, latest.number - Math.round(seconds / Math.max(blockTime, 0.1))));
+  if (past.number === latest.number || past.timestamp >= latest.timestamp) {
+    throw new Error('Not enough chain history to measure yield');
+  }
+  return { latest, past, elapsed: latest.timestamp - past.timestamp };
+}
+
+module.exports = {
+  FLARE_CONTRACT_REGISTRY_ADDRESS,
+  FLARE_CONTRACT_REGISTRY_ABI,
+  FTSO_REWARD_MANAGER_ABI,
+  ERC20_ABI,
+  V2_PAIR_ABI,
+  COLLATERAL_POOL_ABI,
+  resolveFlareContract,
+  blockWindow
+};
@@ -0,0 +1,24 @@
+// Serializes transaction submission for a shared wallet
+
+/**
+ * Transaction Queue - Broadcasts one transaction at a time so concurrent
+ * services (keeper, oracle publisher) never race for the same nonce
+ */
+class TransactionQueue {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Queue a function that broadcasts a transaction; resolves with its result
+   */
+  submit(send) {
+    const result = this.tail.then(() => send());
+    this.tail = result.catch(() => {});
+    return result;
+  }
+}
+
+module.exports = {
+  TransactionQueue
+};
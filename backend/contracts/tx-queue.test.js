@@ -0,0 +1,35 @@
+const { TransactionQueue } = require('./tx-queue');
+
+describe('TransactionQueue', () => {
+  it('broadcasts one transaction at a time, in submission order', async () => {
+    const queue = new TransactionQueue();
+    const order = [];
+    let releaseFirst;
+
+    const first = queue.submit(() => new Promise(resolve => {
+      order.push('first:start');
+      releaseFirst = () => resolve('0xfirst');
+    }));
+    const second = queue.submit(async () => {
+      order.push('second:start');
+      return '0xsecond';
+    });
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(order).toEqual(['first:start']);
+
+    releaseFirst();
+    expect(await Promise.all([first, second])).toEqual(['0xfirst', '0xsecond']);
+    expect(order).toEqual(['first:start', 'second:start']);
+  });
+
+  it('keeps going after a failed submission', async () => {
+    const queue = new TransactionQueue();
+
+    const failed = queue.submit(async () => { throw new Error('nonce too low'); });
+    const next = queue.submit(async () => '0xnext');
+
+    await expect(failed).rejects.toThrow('nonce too low');
+    await expect(next).resolves.toBe('0xnext');
+  });
+});
@@ -0,0 +1,26 @@
+// DeFi Autopilot CLI Arguments
+// Flag parsing shared by the scripts
+
+/**
+ * Parse `--key value` pairs; a flag without a value (or followed by another flag) is true
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+module.exports = {
+  parseArgs
+};
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// DeFi Autopilot Backtest CLI
+//
+// Usage:
+//   node scripts/backtest.js [--file fixtures/yield-history.csv | --history [path/to/yield-history.db]]
+//     [--from 2025-01-01] [--to 2025-03-01] [--interval 1h] [--include-mock]
+//     [--capital 100000] [--protocol Aave] [--profiles 1,2,3]
+//     [--margin 0.15] [--min-yield-diff 30] [--cooldown 3600] [--json]
+
+const { Backtester, loadSeriesFile, FIXTURE_FILE } = require('../services/backtester');
+const { YieldHistoryStore } = require('../services/yield-history');
+const { parseArgs } = require('./args');
+
+function loadSeries(args) {
+  if (!args.history) {
+    return loadSeriesFile(args.file || FIXTURE_FILE);
+  }
+
+  const store = new YieldHistoryStore({ filename: args.history === true ? undefined : args.history });
+  try {
+    const { series } = store.query({
+      from: args.from ? Date.parse(args.from) : 0,
+      to: args.to ? Date.parse(args.to) : Date.now(),
+      interval: args.interval || '1h'
+    });
+    return series;
+  } finally {
+    store.close();
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const backtester = new Backtester({ series: loadSeries(args), includeMock: Boolean(args['include-mock']) });
+
+  const report = await backtester.run({
+    capital: args.capital ? Number(args.capital) : undefined,
+    initialProtocol: args.protocol,
+    riskProfiles: args.profiles ? String(args.profiles).split(',').map(Number) : undefined,
+    profitMargin: args.margin !== undefined ? Number(args.margin) : undefined,
+    minYieldDiff: args['min-yield-diff'] !== undefined ? Number(args['min-yield-diff']) : undefined,
+    cooldown: args.cooldown !== undefined ? Number(args.cooldown) * 1000 : undefined
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const { period, buyAndHold, profiles } = report;
+  console.log(`📈 Backtest ${period.from} → ${period.to} (${period.days} days, ${period.steps} steps)`);
+  console.log(`   Protocols: ${period.protocols.join(', ')}\n`);
+
+  const row = result => ({
+    'Final value': result.finalValue,
+    'Realised APY %': result.realisedApy,
+    'Rebalances': result.rebalances,
+    'Total costs': result.totalCosts,
+    'Max drawdown %': result.maxDrawdown,
+    'Excess APY %': result.excessApy ?? 0
+  });
+
+  console.table({
+    'Buy & hold': row(buyAndHold),
+    ...Object.fromEntries(Object.entries(profiles).map(([profile, result]) => [`Risk profile ${profile}`, row(result)]))
+  });
+}
+
+main().catch(error => {
+  console.error('❌ Backtest failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// DeFi Autopilot Subgraph Stub
+//
+// Serves recorded Uniswap v3 subgraph responses so the Uniswap adapter can run offline.
+// adapters/uniswap.test.js runs the adapter against this stub on a free port.
+//
+// Usage:
+//   node scripts/subgraph-stub.js [--port 8000] [--fixture fixtures/uniswap-v3-pool-day-data.json]
+//     then start the backend with UNISWAP_SUBGRAPH_URL=http://localhost:8000/subgraphs/uniswap-v3
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseArgs } = require('./args');
+
+const FIXTURE_FILE = path.join(__dirname, '..', 'fixtures', 'uniswap-v3-pool-day-data.json');
+
+/**
+ * Answer a PoolDayData query from the recording: only the requested pools, newest `days` entries.
+ * A recorded errors response is replayed as is.
+ */
+function respond(recording, { query, variables = {} }) {
+  if (recording.errors) {
+    return { errors: recording.errors };
+  }
+  if (typeof query !== 'string' || !query.includes('pools(')) {
+    return { errors: [{ message: 'Stub only answers the PoolDayData query' }] };
+  }
+
+  const ids = (variables.pools || []).map(id => id.toLowerCase());
+  const days = variables.days || 7;
+
+  return {
+    data: {
+      bundle: recording.data.bundle,
+      pools: recording.data.pools
+        .filter(pool => ids.length === 0 || ids.includes(pool.id.toLowerCase()))
+        .map(pool => ({ ...pool, poolDayData: pool.poolDayData.slice(0, days) }))
+    }
+  };
+}
+
+/**
+ * HTTP server answering subgraph queries from a recording; onQuery sees each parsed request body
+ */
+function createStub(recording, { onQuery } = {}) {
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      let payload;
+      try {
+        if (req.method !== 'POST') {
+          payload = { errors: [{ message: 'POST a GraphQL query' }] };
+        } else {
+          const request = JSON.parse(body);
+          if (onQuery) onQuery(request, req.url);
+          payload = respond(recording, request);
+        }
+      } catch (error) {
+        payload = { errors: [{ message: `Invalid request: ${error.message}` }] };
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const recording = JSON.parse(fs.readFileSync(path.resolve(args.fixture || FIXTURE_FILE), 'utf8'));
+  const server = createStub(recording);
+
+  await new Promise(resolve => server.listen(parseInt(args.port, 10) || 8000, resolve));
+
+  console.log(`🛰️  Subgraph stub on http://localhost:${server.address().port}/subgraphs/uniswap-v3`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Subgraph stub failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createStub,
+  respond
+};
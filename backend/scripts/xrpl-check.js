@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// DeFi Autopilot XRPL Check
+//
+// Prices an XRPL swap through the AMM and order book, reads fees and builds (never submits) a Payment.
+//
+// Usage:
+//   node scripts/xrpl-check.js [--from XRP --to RLUSD --amount 100000] [--fixture fixtures/xrpl-responses.json]
+//     replays recorded rippled responses (default)
+//   node scripts/xrpl-check.js --url ws://localhost:6006 --account r... [--record fixtures/my-ledger.json]
+//     queries a live or standalone rippled, optionally saving its responses for replay
+// Extra assets (e.g. a standalone ledger's test issuer) come from XRPL_ASSETS:
+//   XRPL_ASSETS='{"USD":{"currency":"USD","issuer":"r..."}}'
+
+const fs = require('fs');
+const path = require('path');
+const xrpl = require('xrpl');
+const { XrplService, RecordedXrplClient } = require('../services/xrpl');
+const { parseArgs } = require('./args');
+
+const FIXTURE_FILE = path.join(__dirname, '..', 'fixtures', 'xrpl-responses.json');
+
+// Request fields that do not identify the data (kept out of recordings so replays match any ledger)
+const VOLATILE_FIELDS = ['id', 'ledger_index', 'limit', 'api_version'];
+
+/**
+ * Live client that keeps every response for --record
+ */
+function recordingClient(url, responses) {
+  const client = new xrpl.Client(url, { timeout: 10000 });
+  const request = client.request.bind(client);
+
+  client.request = async (req) => {
+    const identity = Object.fromEntries(Object.entries(req).filter(([key]) => !VOLATILE_FIELDS.includes(key)));
+    try {
+      const response = await request(req);
+      responses.push({ request: identity, result: response.result });
+      return response;
+    } catch (error) {
+      if (error.data?.error) responses.push({ request: identity, error: error.data.error });
+      throw error;
+    }
+  };
+  return client;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const fixtureFile = path.resolve(args.fixture || FIXTURE_FILE);
+  const recorded = [];
+
+  const client = args.url
+    ? recordingClient(args.url, recorded)
+    : new RecordedXrplClient({ file: fixtureFile });
+  const account = args.account || (!args.url && JSON.parse(fs.readFileSync(fixtureFile, 'utf8')).account);
+
+  const xrplService = new XrplService({
+    client,
+    assets: process.env.XRPL_ASSETS ? JSON.parse(process.env.XRPL_ASSETS) : undefined
+  });
+  const from = args.from || 'XRP';
+  const to = args.to || 'RLUSD';
+  const amount = parseFloat(args.amount) || 100000;
+
+  try {
+    const fees = await xrplService.getFees();
+    console.log(`🌊 XRPL ${args.url || path.relative(process.cwd(), fixtureFile)} (ledger ${fees.ledgerIndex}, ${fees.serverState})`);
+    console.log(`   Fee ${fees.feeXrp} XRP (base ${fees.baseFeeXrp} × load ${fees.loadFactor}), reserves ${fees.reserveBaseXrp} + ${fees.reserveIncXrp} XRP`);
+
+    const quote = await xrplService.quoteSwap(from, to, amount);
+    console.log(`\n💱 Sell ${amount} ${from} for ${to}`);
+    console.table(Object.fromEntries([quote.amm, quote.book, quote.combined].filter(Boolean).map(venue => [venue.venue, {
+      'Filled': venue.amountIn,
+      [`Out (${to})`]: venue.amountOut,
+      'Price': venue.price,
+      'Spot': venue.spotPrice,
+      'Impact %': venue.priceImpact,
+      'Complete': venue.complete
+    }])));
+    console.log(`   Best: ${quote.best ? `${quote.best.venue} (${quote.best.amountOut} ${to})` : 'not enough liquidity'}`);
+
+    if (account && quote.best) {
+      const { transaction } = await xrplService.buildTransaction('payment', { account, from, to, amount });
+      console.log('\n📝 Unsigned Payment (not submitted)');
+      console.log(JSON.stringify(transaction, null, 2));
+    }
+  } finally {
+    await xrplService.disconnect();
+  }
+
+  if (args.record) {
+    fs.writeFileSync(path.resolve(args.record), JSON.stringify({ description: `Recorded from ${args.url}`, account, responses: recorded }, null, 2) + '\n');
+    console.log(`\n💾 Saved ${recorded.length} responses to ${args.record}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ XRPL check failed:', error.message);
+  process.exit(1);
+});
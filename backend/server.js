@@ -1,14 +1,37 @@
 // DeFi Autopilot AI Optimization Engine
 // Node.js Backend for cross-chain yield optimization
 
+const crypto = require('crypto');
 const express = require('express');
-const axios = require('axios');
 const { ethers } = require('ethers');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { isValidClassicAddress } = require('xrpl');
 require('dotenv').config();
 
+const { PORTFOLIO_MANAGER_ABI, REBALANCING_ENGINE_ABI, YIELD_ORACLE_ABI } = require('./contracts/abis');
+const { TransactionQueue } = require('./contracts/tx-queue');
+const { RebalanceKeeper } = require('./services/rebalance-keeper');
+const { OraclePublisher } = require('./services/oracle-publisher');
+const { YieldHistoryStore, INTERVALS } = require('./services/yield-history');
+const { RiskAnalyzer } = require('./services/risk-analyzer');
+const { PortfolioAllocator } = require('./services/allocator');
+const { OBJECTIVES } = require('./services/route-graph');
+const { CostModel, FixturePriceSource, createPriceSource } = require('./services/pricing');
+const { PRIMARY_ASSET } = require('./services/yield-analyzer');
+const { createProtocolRegistry } = require('./services/protocol-registry');
+const { OptimizationEngine, isValidPortfolio } = require('./services/optimization-engine');
+const { Backtester, loadSeriesFile, normalizeSeries, isValidSeries } = require('./services/backtester');
+const { LiveFeed } = require('./services/live-feed');
+const { AlertEngine } = require('./services/alerts');
+const { createNotifiers } = require('./services/notifiers');
+const { SiweAuth } = require('./services/auth');
+const { PortfolioReader } = require('./services/portfolio-reader');
+const { EventIndexer, ActivityStore, EVENT_TYPES } = require('./services/event-indexer');
+const { PerformanceAnalyzer, RANGES } = require('./services/performance');
+const { XrplService, RecordedXrplClient, TRANSACTION_TYPES } = require('./services/xrpl');
+
 const app = express();
 
 
@@ -49,392 +72,327 @@ if (process.env.PRIVATE_KEY) {
   console.log('ℹ️  No private key provided, running in demo mode');
 }
 
-/**
- * AI Yield Analyzer - Monitors DeFi protocols for yield opportunities
- */
-class YieldAnalyzer {
-  constructor() {
-    this.protocols = {
-      'Aave': {
-        endpoint: 'https://api.aave.com/data/liquidity/v2',
-        parser: this.parseAaveData.bind(this),
-        riskScore: 2
-      },
-      'Compound': {
-        endpoint: 'https://api.compound.finance/api/v2/ctoken',
-        parser: this.parseCompoundData.bind(this),
-        riskScore: 2
-      },
-      'Curve': {
-        endpoint: 'https://api.curve.fi/api/getPools/ethereum/main',
-        parser: this.parseCurveData.bind(this),
-        riskScore: 3
-      },
-      'Yearn': {
-        endpoint: 'https://api.yearn.finance/v1/chains/1/vaults/all',
-        parser: this.parseYearnData.bind(this),
-        riskScore: 3
-      },
-      'Uniswap': {
-        endpoint: 'https://api.thegraph.com/subgraphs/name/uniswap/uniswap-v3',
-        parser: this.parseUniswapData.bind(this),
-        riskScore: 4
-      }
-    };
-
-    this.yieldCache = new Map();
-    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
-  }
-
-  /**
-   * Fetch yield data from all supported protocols
-   */
-  async fetchAllYields() {
-    const yields = {};
-    const fetchPromises = [];
-
-    for (const [protocolName, config] of Object.entries(this.protocols)) {
-      fetchPromises.push(
-        this.fetchProtocolYield(protocolName, config)
-          .then(data => yields[protocolName] = data)
-          .catch(error => {
-            console.error(`Error fetching ${protocolName}:`, error.message);
-            yields[protocolName] = this.getMockYieldData(protocolName);
-          })
-      );
-    }
-
-    await Promise.all(fetchPromises);
-    return yields;
-  }
-
-  /**
-   * Fetch yield data for a specific protocol
-   */
-  async fetchProtocolYield(protocolName, config) {
-    const cacheKey = `yield_${protocolName}`;
-    const cached = this.yieldCache.get(cacheKey);
-
-    if (cached && (Date.now() - cached.timestamp < this.cacheTimeout)) {
-      return cached.data;
+// Initialize yield history store
+let yieldHistory = null;
+try {
+  yieldHistory = new YieldHistoryStore({
+    filename: process.env.YIELD_HISTORY_DB,
+    retention: {
+      raw: parseFloat(process.env.HISTORY_RAW_RETENTION_DAYS) * 24 * 60 * 60 * 1000 || undefined,
+      hourly: parseFloat(process.env.HISTORY_HOURLY_RETENTION_DAYS) * 24 * 60 * 60 * 1000 || undefined,
+      daily: parseFloat(process.env.HISTORY_DAILY_RETENTION_DAYS) * 24 * 60 * 60 * 1000 || undefined
     }
+  });
+  yieldHistory.startCompaction();
+} catch (error) {
+  console.warn('⚠️  Yield history store unavailable:', error.message);
+}
 
-    try {
-      const response = await axios.get(config.endpoint, {
-        timeout: 10000,
-        headers: { 'User-Agent': 'DeFi-Autopilot/1.0' }
-      });
-
-      const yieldData = config.parser(response.data);
-      yieldData.riskScore = config.riskScore;
-      yieldData.protocol = protocolName;
-      yieldData.timestamp = Date.now();
-
-      // Cache the result
-      this.yieldCache.set(cacheKey, { data: yieldData, timestamp: Date.now() });
+// Initialize AI engine
+// Prices come from PRICE_SOURCE (coingecko by default) with the local fixture as fallback
+const costModel = new CostModel({
+  priceSource: createPriceSource(process.env.PRICE_SOURCE || 'coingecko'),
+  fallbackSource: new FixturePriceSource({ file: process.env.PRICE_FIXTURE_FILE }),
+  ttl: parseInt(process.env.PRICE_TTL_MS, 10) || undefined
+});
 
-      return yieldData;
-    } catch (error) {
-      console.warn(`Failed to fetch real data for ${protocolName}, using mock data`);
-      return this.getMockYieldData(protocolName);
-    }
+// Protocol adapters from backend/adapters; PROTOCOL_ADAPTERS_CONFIG adds directories, disables or overrides adapters.
+// Flare-native adapters read the chain through the shared provider
+const protocolRegistry = createProtocolRegistry({
+  configFile: process.env.PROTOCOL_ADAPTERS_CONFIG,
+  context: { provider, costModel },
+  breaker: {
+    failureThreshold: parseInt(process.env.SOURCE_FAILURE_THRESHOLD, 10) || undefined,
+    cooldown: parseInt(process.env.SOURCE_COOLDOWN_MS, 10) || undefined
   }
+});
 
-  /**
-   * Parse Aave protocol data
-   */
-  parseAaveData(data) {
-    const reserves = data.reserves || [];
-    const usdcReserve = reserves.find(r => r.symbol === 'USDC') || reserves[0];
-
-    return {
-      apy: parseFloat(usdcReserve?.liquidityRate || '320') / 100, // Convert to percentage
-      tvl: parseFloat(usdcReserve?.totalLiquidity || '2500000000'),
-      utilizationRate: parseFloat(usdcReserve?.utilizationRate || '0.75'),
-      lastUpdated: Date.now()
-    };
+const optimizationEngine = new OptimizationEngine({
+  historyStore: yieldHistory,
+  costModel,
+  registry: protocolRegistry,
+  strict: process.env.STRICT_DATA === 'true'
+});
+const riskAnalyzer = new RiskAnalyzer({
+  historyStore: yieldHistory,
+  lookback: parseFloat(process.env.RISK_LOOKBACK_DAYS) * 24 * 60 * 60 * 1000 || undefined
+});
+const portfolioAllocator = new PortfolioAllocator();
+
+// XRPL leg pricing and unsigned transactions: XRPL_URL (rippled WebSocket) or XRPL_RECORDING (replayed responses)
+const xrplService = process.env.XRPL_URL || process.env.XRPL_RECORDING
+  ? new XrplService({
+    url: process.env.XRPL_URL,
+    client: process.env.XRPL_RECORDING ? new RecordedXrplClient({ file: process.env.XRPL_RECORDING }) : undefined,
+    assets: process.env.XRPL_ASSETS ? JSON.parse(process.env.XRPL_ASSETS) : undefined,
+    costModel
+  })
+  : null;
+
+// Read-only portfolio lookups (no wallet needed)
+const portfolioReader = CONTRACT_ADDRESSES.portfolioManager
+  ? new PortfolioReader({
+    portfolioManager: new ethers.Contract(CONTRACT_ADDRESSES.portfolioManager, PORTFOLIO_MANAGER_ABI, provider),
+    rebalancingEngine: CONTRACT_ADDRESSES.rebalancingEngine
+      ? new ethers.Contract(CONTRACT_ADDRESSES.rebalancingEngine, REBALANCING_ENGINE_ABI, provider)
+      : null,
+    costModel
+  })
+  : null;
+
+// Contract event indexer feeding /api/activity
+let eventIndexer = null;
+const indexedContracts = Object.fromEntries([
+  ['portfolioManager', PORTFOLIO_MANAGER_ABI],
+  ['rebalancingEngine', REBALANCING_ENGINE_ABI],
+  ['yieldOracle', YIELD_ORACLE_ABI]
+]
+  .filter(([name]) => CONTRACT_ADDRESSES[name])
+  .map(([name, abi]) => [name, new ethers.Contract(CONTRACT_ADDRESSES[name], abi, provider)]));
+
+if (Object.keys(indexedContracts).length > 0 && process.env.INDEXER_ENABLED !== 'false') {
+  try {
+    const startBlock = parseInt(process.env.INDEXER_START_BLOCK, 10);
+    eventIndexer = new EventIndexer({
+      provider,
+      contracts: indexedContracts,
+      store: new ActivityStore({ filename: process.env.INDEXER_DB }),
+      startBlock: Number.isNaN(startBlock) ? null : startBlock,
+      batchSize: parseInt(process.env.INDEXER_BATCH_SIZE, 10) || undefined,
+      interval: parseInt(process.env.INDEXER_INTERVAL_MS, 10) || undefined,
+      reorgDepth: parseInt(process.env.INDEXER_REORG_DEPTH, 10) || undefined,
+      protocols: protocolRegistry.names()
+    });
+  } catch (error) {
+    console.warn('⚠️  Event indexer unavailable:', error.message);
   }
+} else {
+  console.log('ℹ️  Event indexer disabled (requires contract addresses)');
+}
 
-  /**
-   * Parse Compound protocol data
-   */
-  parseCompoundData(data) {
-    const cTokens = data.cToken || [];
-    const cUSDC = cTokens.find(t => t.underlying_symbol === 'USDC') || cTokens[0];
+// Portfolio performance replayed from indexed activity and yield history
+const performanceAnalyzer = eventIndexer
+  ? new PerformanceAnalyzer({ activityStore: eventIndexer.store, historyStore: yieldHistory, costModel })
+  : null;
+
+// Every on-chain writer shares the wallet, so transactions are broadcast one at a time
+const txQueue = new TransactionQueue();
+
+// Initialize on-chain keeper (requires a wallet authorized on RebalancingEngine)
+let rebalanceKeeper = null;
+if (wallet && CONTRACT_ADDRESSES.portfolioManager && CONTRACT_ADDRESSES.rebalancingEngine) {
+  rebalanceKeeper = new RebalanceKeeper({
+    optimizationEngine,
+    portfolioManager: new ethers.Contract(CONTRACT_ADDRESSES.portfolioManager, PORTFOLIO_MANAGER_ABI, provider),
+    rebalancingEngine: new ethers.Contract(CONTRACT_ADDRESSES.rebalancingEngine, REBALANCING_ENGINE_ABI, wallet),
+    txQueue,
+    interval: parseInt(process.env.KEEPER_INTERVAL_MS, 10) || undefined,
+    retention: parseInt(process.env.KEEPER_RETENTION_MS, 10) || undefined
+  });
 
-    return {
-      apy: parseFloat(cUSDC?.supply_rate?.value || '780') / 1e16, // Convert from rate to percentage
-      tvl: parseFloat(cUSDC?.total_supply?.value || '1800000000'),
-      utilizationRate: parseFloat(cUSDC?.utilization?.value || '0.68'),
-      lastUpdated: Date.now()
-    };
-  }
+  (process.env.KEEPER_ADDRESSES || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean)
+    .forEach(address => rebalanceKeeper.enroll(address));
+} else {
+  console.log('ℹ️  Keeper disabled (requires PRIVATE_KEY and contract addresses)');
+}
 
-  /**
-   * Parse Curve protocol data
-   */
-  parseCurveData(data) {
-    const pools = data.data?.poolData || [];
-    const stablePool = pools.find(p => p.coins?.includes('USDC')) || pools[0];
+// Initialize oracle publisher (requires a wallet authorized as YieldOracle updater)
+let oraclePublisher = null;
+if (wallet && CONTRACT_ADDRESSES.yieldOracle) {
+  oraclePublisher = new OraclePublisher({
+    yieldAnalyzer: optimizationEngine.yieldAnalyzer,
+    yieldOracle: new ethers.Contract(CONTRACT_ADDRESSES.yieldOracle, YIELD_ORACLE_ABI, wallet),
+    txQueue,
+    interval: parseInt(process.env.ORACLE_PUBLISH_INTERVAL_MS, 10) || undefined,
+    deviationThreshold: parseInt(process.env.ORACLE_DEVIATION_BPS, 10) || undefined,
+    heartbeat: parseInt(process.env.ORACLE_HEARTBEAT_SECONDS, 10) || undefined,
+    publishMock: process.env.ORACLE_PUBLISH_MOCK === 'true'
+  });
+} else {
+  console.log('ℹ️  Oracle publisher disabled (requires PRIVATE_KEY and YIELD_ORACLE_ADDRESS)');
+}
 
-    return {
-      apy: parseFloat(stablePool?.apy || '540') / 100,
-      tvl: parseFloat(stablePool?.usdTotal || '850000000'),
-      utilizationRate: 0.85,
-      lastUpdated: Date.now()
-    };
-  }
+// Alert rules, evaluated on every yield cycle (email channel requires SMTP_HOST)
+const alertEngine = new AlertEngine({
+  optimizationEngine,
+  rebalanceKeeper,
+  yieldOracle: CONTRACT_ADDRESSES.yieldOracle
+    ? new ethers.Contract(CONTRACT_ADDRESSES.yieldOracle, YIELD_ORACLE_ABI, provider)
+    : null,
+  notifiers: createNotifiers({
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || undefined,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.SMTP_FROM
+    },
+    webhookTimeout: parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS, 10) || undefined
+  }),
+  interval: parseInt(process.env.ALERT_INTERVAL_MS, 10) || undefined,
+  rateLimit: {
+    max: parseInt(process.env.ALERT_RATE_LIMIT, 10) || undefined,
+    window: parseInt(process.env.ALERT_RATE_WINDOW_MS, 10) || undefined
+  },
+  dedupWindow: parseInt(process.env.ALERT_DEDUP_WINDOW_MS, 10) || undefined
+});
 
-  /**
-   * Parse Yearn protocol data
-   */
-  parseYearnData(data) {
-    const vaults = Array.isArray(data) ? data : [];
-    const usdcVault = vaults.find(v => v.token?.symbol === 'USDC') || vaults[0];
+// Sign-In With Ethereum sessions for user-scoped endpoints
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️  JWT_SECRET not set, using a random secret (sessions end when the server restarts)');
+}
+const auth = new SiweAuth({
+  secret: process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex'),
+  domain: process.env.SIWE_DOMAIN,
+  uri: process.env.SIWE_URI,
+  sessionTtl: parseInt(process.env.SESSION_TTL_MS, 10) || undefined
+});
 
-    return {
-      apy: parseFloat(usdcVault?.apy?.net_apy || '0.064') * 100,
-      tvl: parseFloat(usdcVault?.tvl?.tvl || '650000000'),
-      utilizationRate: 0.92,
-      lastUpdated: Date.now()
-    };
-  }
+// WebSocket live feed, attached to the HTTP server once it is listening
+let liveFeed = null;
 
-  /**
-   * Parse Uniswap protocol data
-   */
-  parseUniswapData(data) {
-    return {
-      apy: 4.2, // Mock data for Uniswap V3 USDC/ETH pool
-      tvl: 420000000,
-      utilizationRate: 0.65,
-      lastUpdated: Date.now()
-    };
+/**
+ * Reject keeper requests when no keeper is configured
+ */
+const requireKeeper = (req, res, next) => {
+  if (!rebalanceKeeper) {
+    return res.status(503).json({
+      success: false,
+      error: 'Keeper not configured'
+    });
   }
+  next();
+};
 
-  /**
-   * Generate mock yield data for demo purposes
-   */
-  getMockYieldData(protocolName) {
-    const mockData = {
-      'Aave': { apy: 3.2, tvl: 2500000000, riskScore: 2 },
-      'Compound': { apy: 7.8, tvl: 1800000000, riskScore: 2 },
-      'Curve': { apy: 5.4, tvl: 850000000, riskScore: 3 },
-      'Yearn': { apy: 6.4, tvl: 650000000, riskScore: 3 },
-      'Uniswap': { apy: 4.2, tvl: 420000000, riskScore: 4 }
-    };
-
-    return {
-      ...mockData[protocolName],
-      protocol: protocolName,
-      utilizationRate: 0.75,
-      lastUpdated: Date.now(),
-      mock: true
-    };
-  }
+// Operators may run keeper cycles, publish oracle data and see every user's keeper state
+const OPERATOR_ADDRESSES = new Set((process.env.OPERATOR_ADDRESSES || '')
+  .split(',')
+  .map(address => address.trim())
+  .filter(address => ethers.utils.isAddress(address))
+  .map(address => ethers.utils.getAddress(address)));
+if (OPERATOR_ADDRESSES.size === 0) {
+  console.log('ℹ️  No OPERATOR_ADDRESSES configured, operator endpoints are disabled');
 }
 
+const isOperator = (address) => OPERATOR_ADDRESSES.has(address);
+
 /**
- * Cross-Chain Route Optimizer - Calculates optimal transaction paths
+ * Require a session token without checking addresses named in the request
  */
-class RouteOptimizer {
-  constructor() {
-    this.chainData = {
-      'Flare': { gasPrice: 25, blockTime: 1.83, bridgeCost: 0 },
-      'XRPL': { gasPrice: 0.00001, blockTime: 3.5, bridgeCost: 0.002 },
-      'Ethereum': { gasPrice: 35, blockTime: 12, bridgeCost: 0.015 },
-      'Polygon': { gasPrice: 1.2, blockTime: 2.1, bridgeCost: 0.008 },
-      'Arbitrum': { gasPrice: 0.8, blockTime: 0.25, bridgeCost: 0.012 }
-    };
-  }
-
-  /**
-   * Calculate the most cost-effective route for cross-chain transactions
-   */
-  calculateOptimalRoute(fromChain, toChain, amount, urgency = 'normal') {
-    const routes = [
-      {
-        path: [fromChain, 'XRPL', toChain],
-        cost: this.chainData.XRPL.bridgeCost + this.chainData[toChain].bridgeCost,
-        time: this.chainData.XRPL.blockTime + this.chainData[toChain].blockTime,
-        slippage: 0.1
-      },
-      {
-        path: [fromChain, 'Ethereum', toChain],
-        cost: this.chainData.Ethereum.bridgeCost + this.chainData[toChain].bridgeCost,
-        time: this.chainData.Ethereum.blockTime + this.chainData[toChain].blockTime,
-        slippage: 0.3
-      }
-    ];
-
-    // For same chain, no routing needed
-    if (fromChain === toChain) {
-      return {
-        path: [fromChain],
-        cost: this.chainData[fromChain].gasPrice * 0.0001, // Base transaction cost
-        time: this.chainData[fromChain].blockTime,
-        slippage: 0
-      };
-    }
+const requireSession = (req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const session = scheme === 'Bearer' && token ? auth.authenticate(token) : null;
 
-    // Sort routes by cost (or time if urgent)
-    const sortKey = urgency === 'urgent' ? 'time' : 'cost';
-    return routes.sort((a, b) => a[sortKey] - b[sortKey])[0];
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      error: 'Sign in required'
+    });
   }
 
-  /**
-   * Determine if rebalancing is profitable after routing costs
-   */
-  shouldRebalance(currentYield, newYield, portfolioValue, routeCost) {
-    const annualYieldIncrease = (newYield - currentYield) / 100;
-    const annualProfitIncrease = annualYieldIncrease * portfolioValue;
-    const profitThreshold = routeCost * 1.15; // 15% minimum profit margin
-
-    return annualProfitIncrease > profitThreshold;
-  }
-}
+  req.auth = { ...session, token };
+  next();
+};
 
 /**
- * Main AI Optimization Engine
+ * Require a session token; any address in the request must be the signed-in one
  */
-class OptimizationEngine {
-  constructor() {
-    this.yieldAnalyzer = new YieldAnalyzer();
-    this.routeOptimizer = new RouteOptimizer();
-    this.riskProfiles = {
-      1: { maxRisk: 3, minYieldDiff: 50 }, // Conservative: 0.5% min diff
-      2: { maxRisk: 5, minYieldDiff: 30 }, // Balanced: 0.3% min diff
-      3: { maxRisk: 8, minYieldDiff: 10 }  // Aggressive: 0.1% min diff
-    };
+const requireAuth = (req, res, next) => requireSession(req, res, () => {
+  const claimed = req.params.address || req.query.address || req.body?.address;
+  if (claimed && (!ethers.utils.isAddress(claimed) || ethers.utils.getAddress(claimed) !== req.auth.address)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Address does not match the signed-in account'
+    });
   }
 
-  /**
-   * Generate optimization strategy for a portfolio
-   */
-  async generateOptimizationStrategy(portfolio) {
-    const yields = await this.yieldAnalyzer.fetchAllYields();
-    const currentProtocol = portfolio.protocol || portfolio.currentProtocol || 'Aave';
-    const currentYield = portfolio.currentYield || 3.2;
-    const riskProfile = portfolio.riskProfile || 2;
-    const totalValue = portfolio.totalValue || portfolio.balance * 1000; // Convert ETH to USD estimate
-
-    const strategy = {
-      shouldRebalance: false,
-      recommendation: null,
-      alternatives: [],
-      riskAssessment: 'LOW',
-      executionTime: Date.now()
-    };
+  next();
+});
 
-    // Find best opportunities within risk tolerance
-    const profile = this.riskProfiles[riskProfile];
-    const opportunities = this.identifyOpportunities(yields, currentYield, profile);
+/**
+ * Require a session for one of OPERATOR_ADDRESSES
+ */
+const requireOperator = (req, res, next) => requireSession(req, res, () => {
+  if (!isOperator(req.auth.address)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Operator access required'
+    });
+  }
 
-    if (opportunities.length === 0) {
-      return strategy;
-    }
+  next();
+});
 
-    // Calculate optimal route for the best opportunity
-    const bestOpportunity = opportunities[0];
-    const route = this.routeOptimizer.calculateOptimalRoute(
-      'Flare',
-      'Flare', // Same chain for demo
-      totalValue
-    );
-
-    // Check if profitable after routing costs
-    if (this.routeOptimizer.shouldRebalance(
-      currentYield,
-      bestOpportunity.apy,
-      totalValue,
-      route.cost * 1000 // Convert to USD
-    )) {
-      const yieldIncrease = bestOpportunity.apy - currentYield;
-      const annualProfit = (yieldIncrease / 100) * totalValue;
-      const executionCost = route.cost * 1000;
-
-      strategy.shouldRebalance = true;
-      strategy.recommendation = {
-        fromProtocol: currentProtocol,
-        toProtocol: bestOpportunity.protocol,
-        currentYield: currentYield,
-        newYield: bestOpportunity.apy,
-        yieldIncrease: yieldIncrease,
-        annualProfit: Math.round(annualProfit),
-        executionCost: Math.round(executionCost),
-        netProfit: Math.round(annualProfit - executionCost),
-        paybackPeriod: Math.round((executionCost / annualProfit) * 365),
-        route: {
-          path: route.path,
-          totalCost: route.cost,
-          estimatedTime: Math.round(route.time)
-        }
-      };
-
-      strategy.riskAssessment = this.assessRisk(bestOpportunity.riskScore, yieldIncrease);
-    }
+// API Routes
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    version: '1.0.0'
+  });
+});
 
-    // Add alternative options
-    strategy.alternatives = opportunities.slice(1, 3).map(opp => ({
-      protocol: opp.protocol,
-      apy: opp.apy,
-      riskScore: opp.riskScore,
-      yieldIncrease: opp.apy - currentYield
-    }));
+// Authentication endpoints
+app.post('/api/auth/nonce', (req, res) => {
+  const { address, chainId = 114 } = req.body;
 
-    return strategy;
+  if (!address || !ethers.utils.isAddress(address) || !Number.isInteger(Number(chainId))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid address or chainId'
+    });
   }
 
-  /**
-   * Identify yield opportunities within risk tolerance
-   */
-  identifyOpportunities(yields, currentYield, profile) {
-    const opportunities = [];
+  res.json({
+    success: true,
+    ...auth.createChallenge(address, Number(chainId)),
+    timestamp: new Date().toISOString()
+  });
+});
 
-    for (const [protocol, data] of Object.entries(yields)) {
-      if (
-        data.riskScore <= profile.maxRisk &&
-        data.apy > currentYield &&
-        (data.apy - currentYield) * 100 >= profile.minYieldDiff && // Convert to basis points
-        data.tvl >= 100000000 // Minimum $100M TVL
-      ) {
-        opportunities.push({
-          protocol,
-          apy: data.apy,
-          riskScore: data.riskScore,
-          tvl: data.tvl,
-          yieldIncrease: data.apy - currentYield
-        });
-      }
-    }
+app.post('/api/auth/verify', (req, res) => {
+  const { message, signature } = req.body;
 
-    // Sort by risk-adjusted yield (higher yield / lower risk = better)
-    return opportunities.sort((a, b) => {
-      const scoreA = a.yieldIncrease / (a.riskScore + 1);
-      const scoreB = b.yieldIncrease / (b.riskScore + 1);
-      return scoreB - scoreA;
+  if (!message || !signature) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing message or signature'
     });
   }
 
-  /**
-   * Assess risk level of the optimization
-   */
-  assessRisk(riskScore, yieldIncrease) {
-    if (riskScore <= 2 && yieldIncrease <= 2) return 'LOW';
-    if (riskScore <= 4 && yieldIncrease <= 5) return 'MEDIUM';
-    return 'HIGH';
+  const { error, ...session } = auth.verify(message, signature);
+  if (error) {
+    return res.status(401).json({
+      success: false,
+      error
+    });
   }
-}
 
-// Initialize AI engine
-const optimizationEngine = new OptimizationEngine();
+  res.json({
+    success: true,
+    ...session,
+    timestamp: new Date().toISOString()
+  });
+});
 
-// API Routes
-app.get('/api/health', (req, res) => {
+app.get('/api/auth/session', requireAuth, (req, res) => {
   res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    success: true,
+    address: req.auth.address,
+    expiresAt: req.auth.expiresAt,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.post('/api/auth/logout', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    revoked: auth.revoke(req.auth.token),
+    timestamp: new Date().toISOString()
   });
 });
 
@@ -456,134 +414,1030 @@ app.get('/api/yields', async (req, res) => {
   }
 });
 
-app.post('/api/optimize', async (req, res) => {
+// Registered protocol adapters and the health of their data sources
+app.get('/api/protocols', (req, res) => {
+  const protocols = protocolRegistry.describe();
+  res.json({
+    success: true,
+    protocols,
+    summary: {
+      total: protocols.length,
+      healthy: protocols.filter(protocol => protocol.health.status === 'ok').length,
+      failing: protocols.filter(protocol => protocol.health.status === 'failing').length
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Retries, circuit breakers and the freshness of each protocol's data
+app.get('/api/sources/health', (req, res) => {
+  const sources = optimizationEngine.yieldAnalyzer.describeSources();
+  const count = (servedFrom) => sources.filter(source => source.servedFrom === servedFrom).length;
+
+  res.json({
+    success: true,
+    strict: optimizationEngine.strict,
+    sources,
+    summary: {
+      total: sources.length,
+      live: count('live') + count('cache'),
+      lastKnownGood: count('last-known-good'),
+      mock: count('mock'),
+      openCircuits: sources.filter(source => source.circuit === 'open').length
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Parse a timestamp query parameter (epoch ms or ISO date)
+ */
+const parseTime = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+  return Number.isNaN(time) ? NaN : time;
+};
+
+app.get('/api/yields/history', (req, res) => {
+  if (!yieldHistory) {
+    return res.status(503).json({
+      success: false,
+      error: 'Yield history not available'
+    });
+  }
+
+  const { protocol, interval = '1h' } = req.query;
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+
+  if (Number.isNaN(from) || Number.isNaN(to) || (from !== undefined && to !== undefined && from > to)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid time range'
+    });
+  }
+
+  if (!INTERVALS[interval]) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid interval (use ${Object.keys(INTERVALS).join(', ')})`
+    });
+  }
+
   try {
-    const portfolio = req.body;
+    const history = yieldHistory.query({ protocol, from, to, interval });
 
-    if (!portfolio || !portfolio.totalValue) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      data: history.series,
+      from: new Date(history.from).toISOString(),
+      to: new Date(history.to).toISOString(),
+      interval: history.interval,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error querying yield history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to query yield history',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/portfolio/:address', async (req, res) => {
+  const { address } = req.params;
+
+  if (!ethers.utils.isAddress(address)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid address'
+    });
+  }
+  if (!portfolioReader) {
+    return res.status(503).json({
+      success: false,
+      error: 'Portfolio reader not configured (requires PORTFOLIO_MANAGER_ADDRESS)'
+    });
+  }
+
+  try {
+    const portfolio = await portfolioReader.read(address, {
+      historyLimit: Math.min(Math.max(parseInt(req.query.historyLimit, 10) || 20, 1), 100)
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({
         success: false,
-        error: 'Invalid portfolio data'
+        error: 'Portfolio not found'
       });
     }
 
-    const strategy = await optimizationEngine.generateOptimizationStrategy(portfolio);
-
     res.json({
       success: true,
-      strategy,
+      portfolio,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error generating optimization:', error);
+    console.error('Error reading portfolio:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to generate optimization strategy',
+      error: 'Failed to read portfolio',
       message: error.message
     });
   }
 });
 
-app.post('/api/route', (req, res) => {
+app.get('/api/portfolio/:address/performance', async (req, res) => {
+  const { address } = req.params;
+  const range = req.query.range || '7d';
+
+  if (!ethers.utils.isAddress(address)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid address'
+    });
+  }
+  if (!RANGES[range]) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown range "${range}"`,
+      ranges: Object.keys(RANGES)
+    });
+  }
+  if (!performanceAnalyzer) {
+    return res.status(503).json({
+      success: false,
+      error: 'Performance history not configured (requires the event indexer)'
+    });
+  }
+
   try {
-    const { fromChain, toChain, amount, urgency } = req.body;
+    const user = ethers.utils.getAddress(address);
+    const portfolio = portfolioReader ? await portfolioReader.read(user, { historyLimit: 1 }) : null;
+    const performance = await performanceAnalyzer.build(user, { range, portfolio });
 
-    if (!fromChain || !toChain || !amount) {
-      return res.status(400).json({
+    if (!portfolio && performance.series.every(point => point.principal === 0)) {
+      return res.status(404).json({
         success: false,
-        error: 'Missing required parameters'
+        error: 'Portfolio not found'
       });
     }
 
-    const route = optimizationEngine.routeOptimizer.calculateOptimalRoute(
-      fromChain,
-      toChain,
-      amount,
-      urgency
-    );
-
     res.json({
       success: true,
-      route,
+      performance,
+      indexedBlock: eventIndexer.store.latestBlock()?.number ?? null,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error calculating route:', error);
+    console.error('Error building performance:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to calculate optimal route',
+      error: 'Failed to build performance history',
       message: error.message
     });
   }
 });
 
-// Risk assessment endpoint
-app.post('/api/risk-assessment', async (req, res) => {
+app.post('/api/optimize', async (req, res) => {
   try {
-    const { protocol, amount, riskProfile } = req.body;
+    let portfolio = req.body;
+    const positions = portfolio?.positions;
+    let onChain = null;
+
+    // A bare address is looked up in PortfolioManager
+    if (portfolio?.address && !portfolio.totalValue && positions === undefined) {
+      if (!ethers.utils.isAddress(portfolio.address)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid address'
+        });
+      }
+      if (!portfolioReader) {
+        return res.status(503).json({
+          success: false,
+          error: 'Portfolio reader not configured (requires PORTFOLIO_MANAGER_ADDRESS)'
+        });
+      }
 
-    const yields = await optimizationEngine.yieldAnalyzer.fetchAllYields();
-    const protocolData = yields[protocol];
+      onChain = await portfolioReader.read(portfolio.address, { historyLimit: 1 });
+      if (!onChain) {
+        return res.status(404).json({
+          success: false,
+          error: 'Portfolio not found'
+        });
+      }
+      portfolio = portfolioReader.toStrategyInput(onChain);
+    }
 
-    if (!protocolData) {
-      return res.status(404).json({
+    // totalValue is USD; balance (e.g. an on-chain portfolio) is in the chain's native token
+    if (!isValidPortfolio(portfolio)) {
+      return res.status(400).json({
         success: false,
-        error: 'Protocol not found'
+        error: 'Invalid portfolio data'
       });
     }
 
-    const assessment = {
-      protocol,
-      riskScore: protocolData.riskScore,
-      riskLevel: optimizationEngine.assessRisk(protocolData.riskScore, protocolData.apy),
-      tvl: protocolData.tvl,
-      recommendation: protocolData.riskScore <= optimizationEngine.riskProfiles[riskProfile].maxRisk ? 'APPROVED' : 'REJECTED',
-      factors: {
-        protocolMaturity: protocolData.riskScore <= 3 ? 'HIGH' : 'MEDIUM',
-        liquidityDepth: protocolData.tvl >= 1000000000 ? 'HIGH' : 'MEDIUM',
-        yieldStability: 'MEDIUM' // Would be calculated from historical data
-      }
-    };
+    // A request can opt into strict mode, but not out of the server's
+    const strategy = await optimizationEngine.generateOptimizationStrategy(portfolio, {
+      strict: optimizationEngine.strict || req.body?.strict === true
+    });
 
     res.json({
       success: true,
-      assessment,
+      strategy,
+      ...(onChain ? { portfolio: onChain } : {}),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error in risk assessment:', error);
+    console.error('Error generating optimization:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to assess risk',
+      error: 'Failed to generate optimization strategy',
       message: error.message
     });
   }
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
-  });
-});
+app.post('/api/allocate', async (req, res) => {
+  try {
+    const { amount, asset = PRIMARY_ASSET, riskProfile = 2, maxTvlShare = 0.01 } = req.body;
+    const profile = optimizationEngine.riskProfiles[riskProfile];
+    const capital = Number(amount);
+    const maxWeight = req.body.maxWeight ?? profile?.maxWeight;
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found'
-  });
-});
+    if (!profile) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid risk profile'
+      });
+    }
 
-const PORT = process.env.PORT || 3001;
+    if (!(capital > 0) || !(maxTvlShare > 0 && maxTvlShare <= 1) || !(maxWeight > 0 && maxWeight <= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid allocation parameters'
+      });
+    }
 
-app.listen(PORT, () => {
-  console.log(`🚀 DeFi Autopilot backend running on port ${PORT}`);
-  console.log(`📊 API endpoints available at http://localhost:${PORT}/api/`);
-  console.log(`🔍 Health check: http://localhost:${PORT}/api/health`);
+    const snapshot = await optimizationEngine.yieldAnalyzer.fetchAllYields();
+    const dataQuality = optimizationEngine.reviewData(snapshot);
+    const yields = dataQuality.strict ? optimizationEngine.trustedYields(snapshot, dataQuality) : snapshot;
+    const candidates = [];
+
+    for (const [protocol, data] of Object.entries(yields)) {
+      const market = data.markets?.[asset];
+      if (!market || data.riskScore > profile.maxRisk) continue;
+
+      // Observed APY volatility when history allows it, otherwise a proxy from the baseline risk score
+      const risk = riskAnalyzer.assess(protocol, data);
+      const observed = risk.factors.yieldVolatility?.value.apyStdDev;
+
+      candidates.push({
+        protocol,
+        asset,
+        apy: market.apy,
+        tvl: market.tvl,
+        riskScore: data.riskScore,
+        volatility: observed ?? data.riskScore * 0.5,
+        volatilitySource: observed !== undefined ? 'history' : 'risk-score'
+      });
+    }
+
+    const result = portfolioAllocator.allocate(candidates, {
+      capital,
+      riskBudget: profile.riskBudget,
+      riskAversion: profile.riskAversion,
+      maxWeight,
+      maxTvlShare
+    });
+
+    res.json({
+      success: true,
+      allocation: {
+        asset,
+        capital,
+        riskProfile,
+        ...result,
+        constraints: {
+          maxRisk: profile.maxRisk,
+          riskBudget: profile.riskBudget,
+          riskAversion: profile.riskAversion,
+          maxWeight,
+          maxTvlShare
+        },
+        candidates: candidates.map(({ protocol, apy, volatility, volatilitySource }) => ({ protocol, apy, volatility, volatilitySource })),
+        dataQuality
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error allocating portfolio:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to allocate portfolio',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/backtest', async (req, res) => {
+  try {
+    const {
+      source = 'fixture',
+      series,
+      includeMock = false,
+      capital = 100000,
+      initialProtocol = 'Aave',
+      riskProfiles = [1, 2, 3],
+      profitMargin,
+      minYieldDiff,
+      cooldownSeconds
+    } = req.body;
+
+    const validProfiles = Array.isArray(riskProfiles) && riskProfiles.length > 0 &&
+      riskProfiles.every(profile => optimizationEngine.riskProfiles[profile]);
+
+    if (!validProfiles || !(Number(capital) > 0) ||
+      (profitMargin !== undefined && !(profitMargin >= 0)) ||
+      (minYieldDiff !== undefined && !(minYieldDiff >= 0)) ||
+      (cooldownSeconds !== undefined && !(cooldownSeconds >= 0))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid backtest parameters'
+      });
+    }
+
+    let data;
+    if (series !== undefined) {
+      if (!isValidSeries(series)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid series (use { protocol: [{ timestamp, apy }] })'
+        });
+      }
+      data = normalizeSeries(series);
+    } else if (source === 'fixture') {
+      data = loadSeriesFile();
+    } else if (source === 'history') {
+      if (!yieldHistory) {
+        return res.status(503).json({
+          success: false,
+          error: 'Yield history not available'
+        });
+      }
+
+      const from = parseTime(req.body.from);
+      const to = parseTime(req.body.to);
+      const interval = req.body.interval || '1h';
+      if (Number.isNaN(from) || Number.isNaN(to) || !INTERVALS[interval]) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid history range or interval'
+        });
+      }
+
+      data = yieldHistory.query({ from: from ?? 0, to, interval }).series;
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown source (use fixture, history or an inline series)'
+      });
+    }
+
+    const backtester = new Backtester({ series: data, registry: protocolRegistry, includeMock });
+    if (backtester.timeline.length < 2 || !backtester.series[initialProtocol]) {
+      return res.status(400).json({
+        success: false,
+        error: `Not enough ${includeMock ? '' : 'non-mock '}history for ${initialProtocol} to backtest`
+      });
+    }
+
+    const report = await backtester.run({
+      capital: Number(capital),
+      initialProtocol,
+      riskProfiles,
+      profitMargin,
+      minYieldDiff,
+      cooldown: cooldownSeconds !== undefined ? cooldownSeconds * 1000 : undefined
+    });
+
+    res.json({
+      success: true,
+      backtest: report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error running backtest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run backtest',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/route', async (req, res) => {
+  try {
+    const { fromChain, toChain, amount, urgency, costWeight = 0.5, limit = 3 } = req.body;
+    const objective = req.body.objective || (urgency === 'urgent' ? 'time' : 'cost');
+    const { routeOptimizer } = optimizationEngine;
+
+    if (!fromChain || !toChain || !amount) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters'
+      });
+    }
+
+    const unknown = [fromChain, toChain].filter(chain => !routeOptimizer.graph.hasChain(chain));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown chain: ${unknown.join(', ')}`,
+        chains: Object.keys(routeOptimizer.chainData)
+      });
+    }
+
+    if (!OBJECTIVES.includes(objective) || !(costWeight >= 0 && costWeight <= 1) || !(Number(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid routing parameters (objective: ${OBJECTIVES.join(', ')}; costWeight: 0-1; amount > 0)`
+      });
+    }
+
+    // XRPL hops use the live fee when rippled is reachable, the configured one otherwise
+    if (xrplService) {
+      await xrplService.getFees().catch(error => console.warn('⚠️  XRPL fee lookup failed:', error.message));
+    }
+
+    await optimizationEngine.costModel.refresh();
+    const routes = routeOptimizer.findRoutes(fromChain, toChain, Number(amount), {
+      objective,
+      costWeight,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 3, 1), 10)
+    });
+
+    if (routes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No route has enough bridge liquidity for this amount'
+      });
+    }
+
+    res.json({
+      success: true,
+      route: routes[0],
+      routes,
+      objective,
+      assumptions: optimizationEngine.costModel.assumptions(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error calculating route:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to calculate optimal route',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Reject XRPL requests when no rippled (or recording) is configured
+ */
+const requireXrpl = (req, res, next) => {
+  if (!xrplService) {
+    return res.status(503).json({
+      success: false,
+      error: 'XRPL not configured (set XRPL_URL)'
+    });
+  }
+  next();
+};
+
+/**
+ * rippled rejected the account (unfunded or mistyped)
+ */
+const isAccountNotFound = (error) => error.data?.error === 'actNotFound';
+
+app.get('/api/xrpl/fees', requireXrpl, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      fees: await xrplService.getFees(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error reading XRPL fees:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read XRPL fees',
+      message: error.message
+    });
+  }
+});
+
+// Price the XRPL swap of a route through the AMM, the order book and both
+app.post('/api/xrpl/quote', requireXrpl, async (req, res) => {
+  try {
+    const { from, to, amount } = req.body;
+
+    if (!from || !to || from === to || !(Number(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide two different assets (from, to) and an amount > 0'
+      });
+    }
+
+    const unknown = [from, to].filter(asset => !xrplService.hasAsset(asset));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown XRPL asset: ${unknown.join(', ')}`,
+        assets: Object.keys(xrplService.assets)
+      });
+    }
+
+    const [quote, fees] = await Promise.all([xrplService.quoteSwap(from, to, Number(amount)), xrplService.getFees()]);
+    if (!quote.best) {
+      return res.status(400).json({
+        success: false,
+        error: `Not enough XRPL liquidity to sell ${amount} ${from} for ${to}`,
+        quote
+      });
+    }
+
+    res.json({
+      success: true,
+      quote,
+      fees,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error quoting XRPL swap:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to quote XRPL swap',
+      message: error.message
+    });
+  }
+});
+
+// Build (never submit) an autofilled transaction for the caller to sign
+app.post('/api/xrpl/transactions', requireXrpl, async (req, res) => {
+  try {
+    const { type, ...params } = req.body;
+    const assets = [params.from, params.to, params.asset, params.asset2].filter(asset => asset !== undefined);
+
+    if (!TRANSACTION_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported transaction type (use ${TRANSACTION_TYPES.join(', ')})`
+      });
+    }
+
+    if (!isValidClassicAddress(params.account) || (params.destination !== undefined && !isValidClassicAddress(params.destination))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid XRPL account or destination'
+      });
+    }
+
+    const unknown = assets.filter(asset => !xrplService.hasAsset(asset));
+    const missing = type === 'payment' ? !params.from || !(Number(params.amount) > 0)
+      : !params.asset || !params.asset2 || (type === 'ammDeposit' && !(Number(params.amount) > 0));
+    if (missing || unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: unknown.length > 0 ? `Unknown XRPL asset: ${unknown.join(', ')}` : 'Missing transaction parameters',
+        assets: Object.keys(xrplService.assets)
+      });
+    }
+
+    const built = await xrplService.buildTransaction(type, params);
+
+    res.json({
+      success: true,
+      ...built,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (isAccountNotFound(error)) {
+      return res.status(400).json({
+        success: false,
+        error: 'XRPL account not found (accounts must be funded before they can transact)'
+      });
+    }
+    console.error('Error building XRPL transaction:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build XRPL transaction',
+      message: error.message
+    });
+  }
+});
+
+// Risk assessment endpoint
+app.post('/api/risk-assessment', async (req, res) => {
+  try {
+    const { protocol, amount, riskProfile = 2, lookbackDays } = req.body;
+    const profile = optimizationEngine.riskProfiles[riskProfile];
+
+    if (!profile) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid risk profile'
+      });
+    }
+
+    const yields = await optimizationEngine.yieldAnalyzer.fetchAllYields();
+    const protocolData = yields[protocol];
+
+    if (!protocolData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Protocol not found'
+      });
+    }
+
+    const risk = riskAnalyzer.assess(protocol, protocolData, {
+      lookback: parseFloat(lookbackDays) * 24 * 60 * 60 * 1000 || undefined
+    });
+
+    const assessment = {
+      protocol,
+      riskScore: protocolData.riskScore,
+      compositeScore: risk.compositeScore,
+      riskLevel: risk.riskLevel,
+      tvl: protocolData.tvl,
+      maxCompositeRisk: profile.maxCompositeRisk,
+      recommendation: risk.compositeScore <= profile.maxCompositeRisk ? 'APPROVED' : 'REJECTED',
+      factors: {
+        liquidityDepth: protocolData.tvl >= 1000000000 ? 'HIGH' : 'MEDIUM',
+        yieldStability: risk.factors.yieldVolatility
+          ? { HIGH: 'LOW', MEDIUM: 'MEDIUM', LOW: 'HIGH' }[risk.factors.yieldVolatility.level]
+          : 'UNKNOWN',
+        ...risk.factors
+      },
+      explanations: risk.explanations,
+      window: risk.window,
+      dataQuality: risk.dataQuality
+    };
+
+    res.json({
+      success: true,
+      assessment,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in risk assessment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assess risk',
+      message: error.message
+    });
+  }
+});
+
+// Keeper endpoints
+app.get('/api/keeper/status', requireKeeper, requireOperator, (req, res) => {
+  res.json({
+    success: true,
+    status: rebalanceKeeper.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.post('/api/keeper/enroll', requireKeeper, requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    address: rebalanceKeeper.enroll(req.auth.address),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.delete('/api/keeper/enroll/:address', requireKeeper, requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    removed: rebalanceKeeper.unenroll(req.auth.address),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Users see their own requests; operators may leave out the address or name any user
+app.get('/api/keeper/requests', requireKeeper, requireSession, (req, res) => {
+  const operator = isOperator(req.auth.address);
+  const address = req.query.address || (operator ? undefined : req.auth.address);
+
+  if (address && !ethers.utils.isAddress(address)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid address'
+    });
+  }
+
+  if (!operator && ethers.utils.getAddress(address) !== req.auth.address) {
+    return res.status(403).json({
+      success: false,
+      error: 'Address does not match the signed-in account'
+    });
+  }
+
+  res.json({
+    success: true,
+    requests: rebalanceKeeper.getRequests(address),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Rebalance the signed-in user's portfolio now; progress is also pushed on the rebalances topic
+app.post('/api/keeper/rebalance', requireKeeper, requireAuth, async (req, res) => {
+  try {
+    const result = await rebalanceKeeper.rebalanceNow(req.auth.address);
+
+    res.json({
+      success: true,
+      result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error rebalancing portfolio:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rebalance portfolio',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/keeper/run', requireKeeper, requireOperator, async (req, res) => {
+  try {
+    const results = await rebalanceKeeper.runCycle();
+
+    res.json({
+      success: true,
+      results,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error running keeper cycle:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run keeper cycle',
+      message: error.message
+    });
+  }
+});
+
+// Oracle publisher endpoints
+app.get('/api/oracle/status', (req, res) => {
+  if (!oraclePublisher) {
+    return res.status(503).json({
+      success: false,
+      error: 'Oracle publisher not configured'
+    });
+  }
+
+  res.json({
+    success: true,
+    status: oraclePublisher.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.post('/api/oracle/publish', requireOperator, async (req, res) => {
+  if (!oraclePublisher) {
+    return res.status(503).json({
+      success: false,
+      error: 'Oracle publisher not configured'
+    });
+  }
+
+  try {
+    const results = await oraclePublisher.publish();
+
+    res.json({
+      success: true,
+      results,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error publishing oracle data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to publish oracle data',
+      message: error.message
+    });
+  }
+});
+
+// Activity endpoints
+app.get('/api/activity', (req, res) => {
+  if (!eventIndexer) {
+    return res.status(503).json({
+      success: false,
+      error: 'Event indexer not configured'
+    });
+  }
+
+  const { address, type } = req.query;
+  const types = type ? String(type).split(',').map(value => value.trim()).filter(Boolean) : [];
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+
+  if (address && !ethers.utils.isAddress(address)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid address'
+    });
+  }
+
+  const unknown = types.filter(value => !EVENT_TYPES.includes(value));
+  if (unknown.length > 0 || Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({
+      success: false,
+      error: unknown.length > 0 ? `Unknown event type: ${unknown.join(', ')}` : 'Invalid from/to',
+      types: EVENT_TYPES
+    });
+  }
+
+  const events = eventIndexer.store.query({
+    address: address ? ethers.utils.getAddress(address) : null,
+    types,
+    from,
+    to,
+    limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500)
+  });
+
+  res.json({
+    success: true,
+    events,
+    count: events.length,
+    indexedBlock: eventIndexer.store.latestBlock()?.number ?? null,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/api/activity/status', (req, res) => {
+  if (!eventIndexer) {
+    return res.status(503).json({
+      success: false,
+      error: 'Event indexer not configured'
+    });
+  }
+
+  res.json({
+    success: true,
+    status: eventIndexer.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Alert endpoints
+app.get('/api/alerts/status', (req, res) => {
+  res.json({
+    success: true,
+    status: alertEngine.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/api/alerts/rules', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    rules: alertEngine.getRules(req.auth.address),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.post('/api/alerts/rules', requireAuth, async (req, res) => {
+  const { rule, error } = await alertEngine.normalizeRule(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  if (alertEngine.getRules(req.auth.address).length >= alertEngine.maxRulesPerOwner) {
+    return res.status(400).json({
+      success: false,
+      error: `Rule limit reached (${alertEngine.maxRulesPerOwner} per address)`
+    });
+  }
+
+  res.json({
+    success: true,
+    rule: alertEngine.createRule(req.auth.address, rule),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.delete('/api/alerts/rules/:id', requireAuth, (req, res) => {
+  if (!alertEngine.deleteRule(req.auth.address, req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Rule not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    removed: true,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/api/alerts/inbox', requireAuth, (req, res) => {
+  const { inbox } = alertEngine.notifiers;
+
+  res.json({
+    success: true,
+    notifications: inbox.list(req.auth.address, { unreadOnly: req.query.unread === 'true' }),
+    unread: inbox.unreadCount(req.auth.address),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.post('/api/alerts/inbox/read', requireAuth, (req, res) => {
+  const { inbox } = alertEngine.notifiers;
+
+  res.json({
+    success: true,
+    marked: inbox.markRead(req.auth.address, req.body.id),
+    unread: inbox.unreadCount(req.auth.address),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/api/live/status', (req, res) => {
+  if (!liveFeed) {
+    return res.status(503).json({
+      success: false,
+      error: 'Live feed not started'
+    });
+  }
+
+  res.json({
+    success: true,
+    status: liveFeed.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Error handling middleware
+app.use((error, req, res, next) => {
+  console.error('Unhandled error:', error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+  });
+});
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    error: 'Endpoint not found'
+  });
+});
+
+const PORT = process.env.PORT || 3001;
+
+const server = app.listen(PORT, () => {
+  console.log(`🚀 DeFi Autopilot backend running on port ${PORT}`);
+  console.log(`📊 API endpoints available at http://localhost:${PORT}/api/`);
+  console.log(`🔍 Health check: http://localhost:${PORT}/api/health`);
+
+  // WebSocket live feed shares the HTTP server
+  liveFeed = new LiveFeed({
+    server,
+    path: process.env.WS_PATH || '/ws',
+    auth,
+    optimizationEngine,
+    rebalanceKeeper,
+    portfolioReader,
+    interval: parseInt(process.env.LIVE_FEED_INTERVAL_MS, 10) || undefined,
+    heartbeatInterval: parseInt(process.env.WS_HEARTBEAT_MS, 10) || undefined,
+    maxConnections: parseInt(process.env.WS_MAX_CONNECTIONS, 10) || undefined
+  });
+  liveFeed.start();
+  alertEngine.start();
+
+  if (eventIndexer) {
+    eventIndexer.start();
+  }
+
+  if (rebalanceKeeper && process.env.KEEPER_ENABLED !== 'false') {
+    rebalanceKeeper.start();
+  }
+
+  if (oraclePublisher && process.env.ORACLE_PUBLISHER_ENABLED !== 'false') {
+    oraclePublisher.start();
+  }
 });
 
 module.exports = app;
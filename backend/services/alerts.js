@@ -0,0 +1,436 @@
+// DeFi Autopilot Alerts
+// User-defined alert rules evaluated on every yield cycle and keeper state change
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { PRIMARY_ASSET } = require('./yield-analyzer');
+const { REQUEST_STATES } = require('./rebalance-keeper');
+const { isValidPortfolio } = require('./optimization-engine');
+
+const RULE_TYPES = {
+  APY_BELOW: 'apy_below',                     // { protocol, threshold (percent), asset? }
+  NEW_OPPORTUNITY: 'new_opportunity',         // { minNetProfit (USD), portfolio } validated like /api/optimize
+  REBALANCE_CANCELLED: 'rebalance_cancelled', // {} the rule owner's own keeper requests only
+  ORACLE_STALE: 'oracle_stale'                // { protocols? } defaults to every oracle protocol
+};
+
+// Rule types checked against each yield snapshot; the rest react to keeper events
+const CYCLE_TYPES = [RULE_TYPES.APY_BELOW, RULE_TYPES.NEW_OPPORTUNITY, RULE_TYPES.ORACLE_STALE];
+
+const MAX_CHANNELS = 5;
+
+/**
+ * Alert Engine - Evaluates rules and fans notifications out to notifiers
+ *
+ * Conditions are edge-triggered: a rule notifies when a condition key (e.g. a
+ * protocol) starts matching and re-arms once it stops. A key that re-fires within
+ * dedupWindow is dropped, and webhook/email deliveries are capped per owner by
+ * rateLimit; the in-app inbox always receives the notification.
+ */
+class AlertEngine {
+  constructor({ optimizationEngine, rebalanceKeeper, yieldOracle, notifiers, interval, rateLimit, dedupWindow, maxRulesPerOwner }) {
+    this.optimizationEngine = optimizationEngine;
+    this.yieldAnalyzer = optimizationEngine.yieldAnalyzer;
+    this.rebalanceKeeper = rebalanceKeeper || null;
+    this.yieldOracle = yieldOracle || null; // read-only YieldOracle contract
+    this.notifiers = notifiers;
+    this.interval = interval || 5 * 60 * 1000; // yield refresh while cycle rules exist and nothing else fetches
+    this.rateLimit = { // external deliveries per owner
+      max: rateLimit?.max || 10,
+      window: rateLimit?.window || 60 * 60 * 1000
+    };
+    this.dedupWindow = dedupWindow || 60 * 60 * 1000; // 1 hour
+    this.maxRulesPerOwner = maxRulesPerOwner || 20;
+
+    this.rules = new Map(); // ruleId -> rule
+    this.ruleState = new Map(); // ruleId -> { firing: Set(key), sentAt: Map(key -> timestamp) }
+    this.deliveries = new Map(); // owner -> timestamps of external deliveries
+    this.evaluating = false;
+    this.lastEvaluation = null;
+    this.timer = null;
+    this.stats = { triggered: 0, deduplicated: 0, rateLimited: 0, failed: 0 };
+
+    this.onYields = this.onYields.bind(this);
+    this.onRequest = this.onRequest.bind(this);
+  }
+
+  /**
+   * Evaluate rules on every fetchAllYields cycle and keeper state change
+   */
+  start() {
+    if (this.timer) return;
+
+    this.yieldAnalyzer.on('yields', this.onYields);
+    if (this.rebalanceKeeper) {
+      this.rebalanceKeeper.on('request', this.onRequest);
+    }
+
+    // Other services usually fetch more often; this only guarantees a cycle happens
+    this.timer = setInterval(() => {
+      const idle = !this.lastEvaluation || Date.now() - this.lastEvaluation >= this.interval;
+      if (idle && this.getRules().some(rule => CYCLE_TYPES.includes(rule.type))) {
+        this.yieldAnalyzer.fetchAllYields().catch(error => console.error('Alert refresh failed:', error.message));
+      }
+    }, this.interval);
+
+    console.log(`🔔 Alert engine started (${Object.keys(this.notifiers).join(', ')})`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.yieldAnalyzer.off('yields', this.onYields);
+    if (this.rebalanceKeeper) {
+      this.rebalanceKeeper.off('request', this.onRequest);
+    }
+  }
+
+  /**
+   * Validate a rule definition; returns { error } or { rule } with normalized params and channels
+   */
+  async normalizeRule({ type, name, params = {}, channels }) {
+    if (!Object.values(RULE_TYPES).includes(type)) {
+      return { error: `Unknown rule type "${type}" (use ${Object.values(RULE_TYPES).join(', ')})` };
+    }
+
+    let normalizedParams;
+    switch (type) {
+      case RULE_TYPES.APY_BELOW:
+        if (!this.yieldAnalyzer.registry?.has(params.protocol) || !(Number(params.threshold) >= 0)) {
+          return { error: 'apy_below rules need a supported protocol and a threshold >= 0 (percent)' };
+        }
+        normalizedParams = {
+          protocol: params.protocol,
+          asset: params.asset || PRIMARY_ASSET,
+          threshold: Number(params.threshold)
+        };
+        break;
+
+      case RULE_TYPES.NEW_OPPORTUNITY:
+        if (!(Number(params.minNetProfit) >= 0) || !isValidPortfolio(params.portfolio)) {
+          return { error: 'new_opportunity rules need minNetProfit >= 0 (USD) and a portfolio as for /api/optimize' };
+        }
+        normalizedParams = { minNetProfit: Number(params.minNetProfit), portfolio: params.portfolio };
+        break;
+
+      case RULE_TYPES.REBALANCE_CANCELLED:
+        if (!this.rebalanceKeeper) {
+          return { error: 'rebalance_cancelled rules need the keeper to be configured' };
+        }
+        normalizedParams = {};
+        break;
+
+      case RULE_TYPES.ORACLE_STALE:
+        if (!this.yieldOracle) {
+          return { error: 'oracle_stale rules need YIELD_ORACLE_ADDRESS to be configured' };
+        }
+        if (params.protocols !== undefined && !(Array.isArray(params.protocols) && params.protocols.length > 0)) {
+          return { error: 'protocols must be a non-empty array' };
+        }
+        normalizedParams = { protocols: params.protocols || null };
+        break;
+    }
+
+    if (!Array.isArray(channels) || channels.length === 0 || channels.length > MAX_CHANNELS) {
+      return { error: `Rules need 1-${MAX_CHANNELS} channels` };
+    }
+
+    const normalizedChannels = [];
+    for (const channel of channels) {
+      const notifier = this.notifiers[channel?.type];
+      if (!notifier) {
+        return { error: `Channel "${channel?.type}" is not available (use ${Object.keys(this.notifiers).join(', ')})` };
+      }
+      try {
+        normalizedChannels.push(await notifier.validate(channel));
+      } catch (error) {
+        return { error: error.message };
+      }
+    }
+
+    return { rule: { type, name: name || type, params: normalizedParams, channels: normalizedChannels } };
+  }
+
+  /**
+   * Add a validated rule for an owner address
+   */
+  createRule(owner, definition) {
+    const user = ethers.utils.getAddress(owner);
+    if (this.getRules(user).length >= this.maxRulesPerOwner) {
+      throw new Error(`Rule limit reached (${this.maxRulesPerOwner} per address)`);
+    }
+
+    const rule = {
+      id: crypto.randomUUID(),
+      owner: user,
+      ...definition,
+      createdAt: Date.now(),
+      lastTriggeredAt: null,
+      triggerCount: 0,
+      lastError: null,
+      lastDelivery: null
+    };
+    this.rules.set(rule.id, rule);
+    this.ruleState.set(rule.id, { firing: new Set(), sentAt: new Map() });
+
+    return rule;
+  }
+
+  /**
+   * Delete an owner's rule; false when it does not exist or belongs to someone else
+   */
+  deleteRule(owner, id) {
+    const rule = this.rules.get(id);
+    if (!rule || rule.owner !== ethers.utils.getAddress(owner)) return false;
+
+    this.rules.delete(id);
+    this.ruleState.delete(id);
+    return true;
+  }
+
+  getRules(owner) {
+    const rules = Array.from(this.rules.values());
+    if (!owner) return rules;
+
+    const user = ethers.utils.getAddress(owner);
+    return rules.filter(rule => rule.owner === user);
+  }
+
+  onYields(yields) {
+    this.evaluate(yields).catch(error => console.error('Alert evaluation failed:', error.message));
+  }
+
+  /**
+   * Check every cycle rule against a yield snapshot
+   */
+  async evaluate(yields) {
+    // Strategies are priced from this snapshot, but skip overlapping cycles all the same
+    if (this.evaluating) return { skipped: true };
+    this.evaluating = true;
+
+    const results = { evaluated: 0, triggered: 0 };
+    try {
+      const rules = Array.from(this.rules.values()).filter(rule => CYCLE_TYPES.includes(rule.type));
+      const oracle = rules.some(rule => rule.type === RULE_TYPES.ORACLE_STALE)
+        ? await this.readOracleFreshness()
+        : null;
+
+      for (const rule of rules) {
+        try {
+          const matches = await this.check(rule, yields, oracle);
+          results.triggered += await this.applyMatches(rule, matches);
+          rule.lastError = null;
+        } catch (error) {
+          rule.lastError = error.message;
+        }
+        results.evaluated++;
+      }
+    } finally {
+      this.evaluating = false;
+      this.lastEvaluation = Date.now();
+    }
+
+    return results;
+  }
+
+  /**
+   * Conditions currently matching for a rule, as Map(key -> notification content)
+   */
+  async check(rule, yields, oracle) {
+    const matches = new Map();
+    const { params } = rule;
+
+    if (rule.type === RULE_TYPES.APY_BELOW) {
+      const market = yields[params.protocol]?.markets?.[params.asset];
+      if (market && market.apy < params.threshold) {
+        matches.set(`${params.protocol}:${params.asset}`, {
+          title: `${params.protocol} ${params.asset} APY below ${params.threshold}%`,
+          message: `${params.protocol} ${params.asset} APY is ${market.apy.toFixed(2)}% (threshold ${params.threshold}%)`,
+          data: { protocol: params.protocol, asset: params.asset, apy: market.apy, threshold: params.threshold, mock: Boolean(yields[params.protocol].mock) }
+        });
+      }
+    }
+
+    if (rule.type === RULE_TYPES.NEW_OPPORTUNITY) {
+      const strategy = await this.optimizationEngine.generateOptimizationStrategy(
+        { ...params.portfolio, address: rule.owner },
+        { yields }
+      );
+      for (const move of strategy.moves.filter(move => move.netProfit > params.minNetProfit)) {
+        matches.set(`${move.asset}:${move.fromProtocol}->${move.toProtocol}`, {
+          title: `New opportunity: ${move.asset} ${move.fromProtocol} → ${move.toProtocol}`,
+          message: `Moving ${move.asset} from ${move.fromProtocol} to ${move.toProtocol} nets $${move.netProfit.toLocaleString()} per year (+${move.yieldIncrease.toFixed(2)}% APY)`,
+          data: { move, minNetProfit: params.minNetProfit }
+        });
+      }
+    }
+
+    if (rule.type === RULE_TYPES.ORACLE_STALE) {
+      for (const [protocol, status] of oracle) {
+        if (params.protocols && !params.protocols.includes(protocol)) continue;
+        if (!status.fresh) {
+          matches.set(protocol, {
+            title: `Oracle data stale: ${protocol}`,
+            message: `YieldOracle data for ${protocol} was last updated ${status.updatedAt ? new Date(status.updatedAt).toISOString() : 'never'}`,
+            data: { protocol, ...status }
+          });
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Freshness of every protocol in the on-chain YieldOracle
+   */
+  async readOracleFreshness() {
+    const protocols = await this.yieldOracle.getSupportedProtocols();
+    const entries = await Promise.all(protocols.map(async protocol => {
+      const [fresh, data] = await Promise.all([
+        this.yieldOracle.isDataFresh(protocol),
+        this.yieldOracle.getProtocolYield(protocol)
+      ]);
+      const timestamp = data.timestamp.toNumber();
+      return [protocol, { fresh, updatedAt: timestamp > 0 ? timestamp * 1000 : null }];
+    }));
+
+    return new Map(entries);
+  }
+
+  /**
+   * Notify for keys that started matching and re-arm the ones that stopped
+   */
+  async applyMatches(rule, matches) {
+    const state = this.ruleState.get(rule.id);
+    if (!state) return 0; // deleted mid-evaluation
+
+    let triggered = 0;
+    for (const [key, content] of matches) {
+      if (!state.firing.has(key) && await this.trigger(rule, key, content)) {
+        triggered++;
+      }
+    }
+    state.firing = new Set(matches.keys());
+
+    return triggered;
+  }
+
+  /**
+   * Forward cancelled keeper requests to matching rules
+   */
+  onRequest(request) {
+    if (request.state !== REQUEST_STATES.CANCELLED) return;
+
+    for (const rule of this.rules.values()) {
+      if (rule.type !== RULE_TYPES.REBALANCE_CANCELLED) continue;
+      if (rule.owner !== request.user) continue;
+
+      this.trigger(rule, `request:${request.requestId}`, {
+        title: `Rebalance #${request.requestId} cancelled`,
+        message: `Rebalance #${request.requestId} (${request.fromProtocol} → ${request.toProtocol}) was cancelled${request.reason ? `: ${request.reason}` : ''}`,
+        data: { request }
+      }).catch(error => console.error('Alert delivery failed:', error.message));
+    }
+  }
+
+  /**
+   * Create a notification for a rule unless the same key fired within the dedup window
+   */
+  async trigger(rule, key, { title, message, data }) {
+    const state = this.ruleState.get(rule.id);
+    const now = Date.now();
+    const sentAt = state.sentAt.get(key);
+
+    if (sentAt && now - sentAt < this.dedupWindow) {
+      this.stats.deduplicated++;
+      return false;
+    }
+    state.sentAt.set(key, now);
+
+    const notification = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      ruleName: rule.name,
+      type: rule.type,
+      owner: rule.owner,
+      title,
+      message,
+      data,
+      createdAt: now
+    };
+
+    rule.lastTriggeredAt = now;
+    rule.triggerCount++;
+    this.stats.triggered++;
+    rule.lastDelivery = { notificationId: notification.id, channels: await this.deliver(rule, notification) };
+
+    return true;
+  }
+
+  /**
+   * Send a notification to each of the rule's channels; returns per-channel outcomes
+   */
+  async deliver(rule, notification) {
+    const outcomes = [];
+
+    for (const channel of rule.channels) {
+      if (channel.type !== 'inbox' && !this.allowDelivery(rule.owner)) {
+        this.stats.rateLimited++;
+        outcomes.push({ type: channel.type, status: 'rate-limited' });
+        continue;
+      }
+
+      try {
+        await this.notifiers[channel.type].send(channel, notification);
+        outcomes.push({ type: channel.type, status: 'delivered' });
+      } catch (error) {
+        this.stats.failed++;
+        outcomes.push({ type: channel.type, status: 'failed', error: error.message });
+        console.warn(`⚠️  ${channel.type} delivery for rule ${rule.id} failed:`, error.message);
+      }
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Sliding-window rate limit on an owner's external deliveries
+   */
+  allowDelivery(owner) {
+    const now = Date.now();
+    const recent = (this.deliveries.get(owner) || []).filter(time => now - time < this.rateLimit.window);
+
+    if (recent.length >= this.rateLimit.max) {
+      this.deliveries.set(owner, recent);
+      return false;
+    }
+
+    recent.push(now);
+    this.deliveries.set(owner, recent);
+    return true;
+  }
+
+  getStatus() {
+    const byType = {};
+    for (const rule of this.rules.values()) {
+      byType[rule.type] = (byType[rule.type] || 0) + 1;
+    }
+
+    return {
+      rules: byType,
+      channels: Object.keys(this.notifiers),
+      running: Boolean(this.timer),
+      interval: this.interval,
+      lastEvaluation: this.lastEvaluation ? new Date(this.lastEvaluation).toISOString() : null,
+      dedupWindow: this.dedupWindow,
+      rateLimit: this.rateLimit,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+module.exports = {
+  AlertEngine,
+  RULE_TYPES
+};
@@ -0,0 +1,239 @@
+const { ethers } = require('ethers');
+const { AlertEngine, RULE_TYPES } = require('./alerts');
+const { REQUEST_STATES } = require('./rebalance-keeper');
+
+const OWNER = '0x00000000000000000000000000000000000000a1';
+const OTHER = '0x00000000000000000000000000000000000000b2';
+const INBOX = { type: 'inbox' };
+const WEBHOOK = { type: 'webhook', url: 'https://hooks.example.com/alerts' };
+
+function yields(apy, overrides = {}) {
+  return { Aave: { apy, markets: { USDC: { apy } }, ...overrides } };
+}
+
+function createEngine(options = {}) {
+  const notifiers = {
+    inbox: { validate: jest.fn(async channel => channel), send: jest.fn().mockResolvedValue() },
+    webhook: { validate: jest.fn(async channel => channel), send: jest.fn().mockResolvedValue() }
+  };
+  const optimizationEngine = {
+    yieldAnalyzer: { registry: { has: protocol => protocol === 'Aave' } },
+    generateOptimizationStrategy: jest.fn().mockResolvedValue({ moves: [] })
+  };
+  const engine = new AlertEngine({ optimizationEngine, notifiers, ...options });
+
+  return { engine, notifiers, optimizationEngine };
+}
+
+async function addRule(engine, definition) {
+  const { rule, error } = await engine.normalizeRule({ channels: [INBOX], ...definition });
+  if (error) throw new Error(error);
+  return engine.createRule(OWNER, rule);
+}
+
+describe('AlertEngine', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('validates rule definitions and their channels', async () => {
+    const { engine, notifiers } = createEngine();
+    const apyBelow = { type: RULE_TYPES.APY_BELOW, params: { protocol: 'Aave', threshold: 3 } };
+
+    expect((await engine.normalizeRule({ type: 'price_above', channels: [INBOX] })).error).toMatch('Unknown rule type "price_above"');
+    expect((await engine.normalizeRule({ ...apyBelow, params: { protocol: 'Nope', threshold: 3 } })).error)
+      .toBe('apy_below rules need a supported protocol and a threshold >= 0 (percent)');
+    expect((await engine.normalizeRule({ type: RULE_TYPES.NEW_OPPORTUNITY, params: { minNetProfit: 10, portfolio: {} }, channels: [INBOX] })).error)
+      .toBe('new_opportunity rules need minNetProfit >= 0 (USD) and a portfolio as for /api/optimize');
+    expect((await engine.normalizeRule({
+      type: RULE_TYPES.NEW_OPPORTUNITY,
+      params: { minNetProfit: 10, portfolio: { positions: [{ asset: 'USDC', protocol: 'Aave', amount: 0 }] } },
+      channels: [INBOX]
+    })).error).toMatch('new_opportunity rules need');
+    expect((await engine.normalizeRule({ type: RULE_TYPES.REBALANCE_CANCELLED, channels: [INBOX] })).error)
+      .toBe('rebalance_cancelled rules need the keeper to be configured');
+    expect((await engine.normalizeRule({ type: RULE_TYPES.ORACLE_STALE, channels: [INBOX] })).error)
+      .toBe('oracle_stale rules need YIELD_ORACLE_ADDRESS to be configured');
+    expect((await engine.normalizeRule({ ...apyBelow, channels: [] })).error).toBe('Rules need 1-5 channels');
+    expect((await engine.normalizeRule({ ...apyBelow, channels: [{ type: 'sms' }] })).error)
+      .toBe('Channel "sms" is not available (use inbox, webhook)');
+
+    notifiers.webhook.validate.mockRejectedValueOnce(new Error('Webhook URL must not point at a loopback, private or link-local address'));
+    expect((await engine.normalizeRule({ ...apyBelow, channels: [WEBHOOK] })).error).toMatch('must not point at a loopback');
+
+    expect(await engine.normalizeRule({ ...apyBelow, params: { protocol: 'Aave', threshold: '3' }, channels: [INBOX] })).toEqual({
+      rule: { type: 'apy_below', name: 'apy_below', params: { protocol: 'Aave', asset: 'USDC', threshold: 3 }, channels: [INBOX] }
+    });
+  });
+
+  it('keeps rules per owner within the limit', async () => {
+    const { engine } = createEngine({ maxRulesPerOwner: 1 });
+    const rule = await addRule(engine, { type: RULE_TYPES.APY_BELOW, params: { protocol: 'Aave', threshold: 3 } });
+
+    expect(rule.owner).toBe(ethers.utils.getAddress(OWNER));
+    await expect(addRule(engine, { type: RULE_TYPES.APY_BELOW, params: { protocol: 'Aave', threshold: 2 } }))
+      .rejects.toThrow('Rule limit reached (1 per address)');
+    expect(engine.deleteRule(OTHER, rule.id)).toBe(false);
+    expect(engine.deleteRule(OWNER, rule.id)).toBe(true);
+    expect(engine.getRules(OWNER)).toEqual([]);
+  });
+
+  it('notifies when a condition starts matching and re-arms once it clears', async () => {
+    const { engine, notifiers } = createEngine({ dedupWindow: 1000 });
+    const rule = await addRule(engine, { type: RULE_TYPES.APY_BELOW, params: { protocol: 'Aave', threshold: 3 } });
+
+    expect(await engine.evaluate(yields(2.5))).toEqual({ evaluated: 1, triggered: 1 });
+    expect(await engine.evaluate(yields(2.4))).toEqual({ evaluated: 1, triggered: 0 });
+    await engine.evaluate(yields(4));
+    now += 2000;
+    expect(await engine.evaluate(yields(2))).toEqual({ evaluated: 1, triggered: 1 });
+
+    expect(notifiers.inbox.send).toHaveBeenCalledTimes(2);
+    expect(notifiers.inbox.send.mock.calls[0][1]).toMatchObject({
+      ruleId: rule.id,
+      owner: rule.owner,
+      title: 'Aave USDC APY below 3%',
+      message: 'Aave USDC APY is 2.50% (threshold 3%)',
+      data: { protocol: 'Aave', asset: 'USDC', apy: 2.5, threshold: 3, mock: false }
+    });
+    expect(rule).toMatchObject({ triggerCount: 2, lastTriggeredAt: now, lastError: null });
+  });
+
+  it('drops a condition that re-fires within the dedup window', async () => {
+    const { engine, notifiers } = createEngine({ dedupWindow: 60000 });
+    await addRule(engine, { type: RULE_TYPES.APY_BELOW, params: { protocol: 'Aave', threshold: 3 } });
+
+    await engine.evaluate(yields(2));
+    await engine.evaluate(yields(4));
+    now += 1000;
+    await engine.evaluate(yields(2));
+
+    expect(notifiers.inbox.send).toHaveBeenCalledTimes(1);
+    expect(engine.getStatus().stats).toMatchObject({ triggered: 1, deduplicated: 1 });
+  });
+
+  it('rate-limits external channels but always fills the inbox', async () => {
+    const { engine, notifiers } = createEngine({ rateLimit: { max: 1, window: 60000 }, dedupWindow: 1 });
+    const rule = await addRule(engine, {
+      type: RULE_TYPES.APY_BELOW,
+      params: { protocol: 'Aave', threshold: 3 },
+      channels: [INBOX, WEBHOOK]
+    });
+
+    for (const apy of [2, 4, 2]) {
+      now += 10;
+      await engine.evaluate(yields(apy));
+    }
+
+    expect(notifiers.inbox.send).toHaveBeenCalledTimes(2);
+    expect(notifiers.webhook.send).toHaveBeenCalledTimes(1);
+    expect(rule.lastDelivery.channels).toEqual([
+      { type: 'inbox', status: 'delivered' },
+      { type: 'webhook', status: 'rate-limited' }
+    ]);
+  });
+
+  it('records failed deliveries per channel', async () => {
+    const { engine, notifiers } = createEngine();
+    const rule = await addRule(engine, { type: RULE_TYPES.APY_BELOW, params: { protocol: 'Aave', threshold: 3 }, channels: [WEBHOOK] });
+    notifiers.webhook.send.mockRejectedValueOnce(new Error('Webhook responded 500'));
+
+    await engine.evaluate(yields(2));
+
+    expect(rule.lastDelivery.channels).toEqual([{ type: 'webhook', status: 'failed', error: 'Webhook responded 500' }]);
+    expect(engine.getStatus().stats.failed).toBe(1);
+  });
+
+  it('prices new opportunities for the rule owner from the same snapshot', async () => {
+    const { engine, notifiers, optimizationEngine } = createEngine();
+    const portfolio = { positions: [{ asset: 'USDC', protocol: 'Aave', amount: 10000 }] };
+    await addRule(engine, { type: RULE_TYPES.NEW_OPPORTUNITY, params: { minNetProfit: 100, portfolio } });
+    const move = { asset: 'USDC', fromProtocol: 'Aave', toProtocol: 'Compound', netProfit: 250, yieldIncrease: 2.5 };
+    optimizationEngine.generateOptimizationStrategy.mockResolvedValue({ moves: [move, { ...move, toProtocol: 'Yearn', netProfit: 50 }] });
+    const snapshot = yields(4);
+
+    await engine.evaluate(snapshot);
+
+    expect(optimizationEngine.generateOptimizationStrategy).toHaveBeenCalledWith(
+      { ...portfolio, address: ethers.utils.getAddress(OWNER) },
+      { yields: snapshot }
+    );
+    expect(notifiers.inbox.send).toHaveBeenCalledTimes(1);
+    expect(notifiers.inbox.send.mock.calls[0][1].title).toBe('New opportunity: USDC Aave → Compound');
+  });
+
+  it('reports stale oracle protocols', async () => {
+    const yieldOracle = {
+      getSupportedProtocols: jest.fn().mockResolvedValue(['Aave', 'Compound', 'Lido']),
+      isDataFresh: jest.fn(async protocol => protocol === 'Compound'),
+      getProtocolYield: jest.fn(async protocol => ({ timestamp: ethers.BigNumber.from(protocol === 'Aave' ? 1690000000 : 0) }))
+    };
+    const { engine, notifiers } = createEngine({ yieldOracle });
+    const rule = await addRule(engine, { type: RULE_TYPES.ORACLE_STALE, params: { protocols: ['Aave', 'Compound'] } });
+
+    await engine.evaluate({});
+
+    expect(notifiers.inbox.send).toHaveBeenCalledTimes(1);
+    expect(notifiers.inbox.send.mock.calls[0][1]).toMatchObject({
+      title: 'Oracle data stale: Aave',
+      data: { protocol: 'Aave', fresh: false, updatedAt: 1690000000000 }
+    });
+    expect(rule.lastError).toBeNull();
+  });
+
+  it('forwards cancelled keeper requests to the owner\'s rules', async () => {
+    const rebalanceKeeper = { on: jest.fn(), off: jest.fn() };
+    const { engine, notifiers } = createEngine({ rebalanceKeeper });
+    await addRule(engine, { type: RULE_TYPES.REBALANCE_CANCELLED });
+    const request = {
+      requestId: 7,
+      user: ethers.utils.getAddress(OWNER),
+      fromProtocol: 'Aave',
+      toProtocol: 'Compound',
+      reason: 'Yield advantage gone'
+    };
+
+    engine.onRequest({ ...request, state: REQUEST_STATES.EXECUTED });
+    engine.onRequest({ ...request, user: ethers.utils.getAddress(OTHER), state: REQUEST_STATES.CANCELLED });
+    engine.onRequest({ ...request, state: REQUEST_STATES.CANCELLED });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(notifiers.inbox.send).toHaveBeenCalledTimes(1);
+    expect(notifiers.inbox.send.mock.calls[0][1].message)
+      .toBe('Rebalance #7 (Aave → Compound) was cancelled: Yield advantage gone');
+  });
+
+  it('never forwards another user\'s requests to a rule that names their address', async () => {
+    const rebalanceKeeper = { on: jest.fn(), off: jest.fn() };
+    const { engine, notifiers } = createEngine({ rebalanceKeeper });
+    const { rule } = await engine.normalizeRule({ type: RULE_TYPES.REBALANCE_CANCELLED, params: { address: OWNER }, channels: [INBOX] });
+    const snooping = engine.createRule(OTHER, rule);
+
+    engine.onRequest({ requestId: 7, user: ethers.utils.getAddress(OWNER), state: REQUEST_STATES.CANCELLED, reason: 'Yield advantage gone' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(snooping.params).toEqual({});
+    expect(notifiers.inbox.send).not.toHaveBeenCalled();
+  });
+
+  it('skips a cycle while the previous one is still evaluating', async () => {
+    const { engine, optimizationEngine } = createEngine();
+    await addRule(engine, { type: RULE_TYPES.NEW_OPPORTUNITY, params: { minNetProfit: 0, portfolio: { totalValue: 1000 } } });
+    let finish;
+    optimizationEngine.generateOptimizationStrategy.mockReturnValueOnce(new Promise(resolve => { finish = resolve; }));
+
+    const first = engine.evaluate({});
+    expect(await engine.evaluate({})).toEqual({ skipped: true });
+
+    finish({ moves: [] });
+    expect(await first).toEqual({ evaluated: 1, triggered: 0 });
+  });
+});
@@ -0,0 +1,135 @@
+// DeFi Autopilot Portfolio Allocator
+// Risk-budgeted mean-variance allocation of capital across protocols
+
+const { round } = require('./numbers');
+
+const DEFAULT_CORRELATION = 0.3; // assumed pairwise correlation of protocol APYs
+const DEFAULT_STEP = 0.005;      // allocate in 0.5% increments
+
+/**
+ * Portfolio Allocator - Splits capital across candidate markets
+ *
+ * Maximizes expectedApy - (riskAversion / 2) * variance with greedy
+ * water-filling: each step gives the next slice of capital to the market with
+ * the best marginal utility that still satisfies every constraint:
+ *   - per-market cap: amount <= maxTvlShare * market TVL
+ *   - diversification: weight <= maxWeight
+ *   - risk budget: portfolio APY volatility <= riskBudget
+ * Capital no market can absorb is reported as unallocated.
+ */
+class PortfolioAllocator {
+  constructor({ correlation, step } = {}) {
+    this.correlation = correlation ?? DEFAULT_CORRELATION;
+    this.step = step || DEFAULT_STEP;
+  }
+
+  /**
+   * @param {Array} candidates - [{ protocol, asset, apy, tvl, riskScore, volatility }] (apy/volatility in %)
+   * @param {Object} options - { capital, riskBudget, riskAversion, maxWeight, maxTvlShare }
+   */
+  allocate(candidates, { capital, riskBudget, riskAversion, maxWeight, maxTvlShare }) {
+    const markets = candidates.map(candidate => ({
+      ...candidate,
+      maxWeight: Math.min(maxWeight, capital > 0 ? (maxTvlShare * (candidate.tvl || 0)) / capital : 0)
+    }));
+    const weights = markets.map(() => 0);
+    const covariance = this.buildCovariance(markets);
+
+    let allocated = 0;
+    while (allocated + this.step <= 1 + 1e-9) {
+      let best = -1;
+      let bestUtility = -Infinity;
+
+      for (let i = 0; i < markets.length; i++) {
+        if (weights[i] + this.step > markets[i].maxWeight + 1e-9) continue;
+
+        weights[i] += this.step;
+        const volatility = this.volatility(weights, covariance);
+        weights[i] -= this.step;
+        if (volatility > riskBudget + 1e-9) continue;
+
+        // Marginal utility of the next slice: mu_i - riskAversion * (Sigma w)_i
+        const marginalVariance = covariance[i].reduce((sum, value, j) => sum + value * weights[j], 0);
+        const utility = markets[i].apy - riskAversion * marginalVariance;
+
+        if (utility > bestUtility) {
+          bestUtility = utility;
+          best = i;
+        }
+      }
+
+      // Stop when nothing can absorb more capital or every option destroys value
+      if (best === -1 || bestUtility <= 0) break;
+
+      weights[best] += this.step;
+      allocated += this.step;
+    }
+
+    const weightsByMarket = markets
+      .map((market, i) => ({
+        protocol: market.protocol,
+        asset: market.asset,
+        weight: round(weights[i]),
+        amount: Math.round(weights[i] * capital),
+        apy: market.apy,
+        volatility: round(market.volatility),
+        riskScore: market.riskScore,
+        cappedBy: this.bindingConstraint(weights[i], market, maxWeight)
+      }))
+      .filter(entry => entry.weight > 0)
+      .sort((a, b) => b.weight - a.weight);
+
+    const expectedApy = weights.reduce((sum, weight, i) => sum + weight * markets[i].apy, 0);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    const volatility = this.volatility(weights, covariance);
+
+    return {
+      weights: weightsByMarket,
+      unallocated: {
+        weight: round(Math.max(0, 1 - totalWeight)),
+        amount: Math.round(Math.max(0, 1 - totalWeight) * capital)
+      },
+      expectedApy: round(expectedApy),
+      expectedRisk: {
+        volatility: round(volatility),
+        riskBudget,
+        budgetUsed: riskBudget > 0 ? round(volatility / riskBudget) : 0,
+        weightedRiskScore: totalWeight > 0
+          ? round(weights.reduce((sum, weight, i) => sum + weight * markets[i].riskScore, 0) / totalWeight, 2)
+          : 0
+      }
+    };
+  }
+
+  /**
+   * Covariance of APYs from per-market volatility and a constant correlation
+   */
+  buildCovariance(markets) {
+    return markets.map((a, i) => markets.map((b, j) =>
+      i === j ? a.volatility ** 2 : this.correlation * a.volatility * b.volatility
+    ));
+  }
+
+  /**
+   * Portfolio APY volatility sqrt(w' Sigma w), in percentage points
+   */
+  volatility(weights, covariance) {
+    let variance = 0;
+    for (let i = 0; i < weights.length; i++) {
+      for (let j = 0; j < weights.length; j++) {
+        variance += weights[i] * weights[j] * covariance[i][j];
+      }
+    }
+    return Math.sqrt(Math.max(0, variance));
+  }
+
+  bindingConstraint(weight, market, maxWeight) {
+    if (weight + this.step <= market.maxWeight + 1e-9) return null;
+    return market.maxWeight < maxWeight ? 'tvl-share' : 'max-weight';
+  }
+}
+
+module.exports = {
+  PortfolioAllocator
+};
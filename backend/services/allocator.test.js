@@ -0,0 +1,59 @@
+const { PortfolioAllocator } = require('./allocator');
+
+const OPTIONS = { capital: 1000000, riskBudget: 100, riskAversion: 0, maxWeight: 1, maxTvlShare: 1 };
+
+function market(protocol, overrides = {}) {
+  return { protocol, asset: 'USDC', apy: 5, tvl: 1e9, riskScore: 2, volatility: 0, ...overrides };
+}
+
+describe('PortfolioAllocator', () => {
+  const allocator = new PortfolioAllocator();
+
+  it('fills the best market up to the diversification cap', () => {
+    const result = allocator.allocate(
+      [market('Aave', { apy: 10 }), market('Compound', { apy: 5, riskScore: 4 })],
+      { ...OPTIONS, maxWeight: 0.6 }
+    );
+
+    expect(result.weights).toEqual([
+      expect.objectContaining({ protocol: 'Aave', weight: 0.6, amount: 600000, cappedBy: 'max-weight' }),
+      expect.objectContaining({ protocol: 'Compound', weight: 0.4, amount: 400000 })
+    ]);
+    expect(result.unallocated).toEqual({ weight: 0, amount: 0 });
+    expect(result.expectedApy).toBe(8);
+    expect(result.expectedRisk.weightedRiskScore).toBe(2.8);
+  });
+
+  it('caps each market at a share of its TVL and reports the rest as unallocated', () => {
+    const result = allocator.allocate([market('Aave', { tvl: 2000000 })], { ...OPTIONS, maxTvlShare: 0.1 });
+
+    expect(result.weights).toEqual([expect.objectContaining({ weight: 0.2, amount: 200000, cappedBy: 'tvl-share' })]);
+    expect(result.unallocated).toEqual({ weight: 0.8, amount: 800000 });
+  });
+
+  it('stays within the volatility budget', () => {
+    const result = allocator.allocate([market('Aave', { volatility: 10 })], { ...OPTIONS, riskBudget: 5 });
+
+    expect(result.weights[0].weight).toBe(0.5);
+    expect(result.expectedRisk).toMatchObject({ volatility: 5, riskBudget: 5, budgetUsed: 1 });
+  });
+
+  it('spreads capital across correlated markets as risk aversion grows', () => {
+    const candidates = [market('Aave', { apy: 6, volatility: 4 }), market('Compound', { apy: 5, volatility: 4 })];
+
+    const greedy = allocator.allocate(candidates, OPTIONS);
+    const averse = allocator.allocate(candidates, { ...OPTIONS, riskAversion: 1 });
+
+    expect(greedy.weights.map(entry => entry.protocol)).toEqual(['Aave']);
+    expect(averse.weights).toHaveLength(2);
+    expect(averse.expectedRisk.volatility).toBeLessThan(greedy.expectedRisk.volatility);
+  });
+
+  it('allocates nothing to markets without a positive return', () => {
+    const result = allocator.allocate([market('Aave', { apy: 0 }), market('Lido', { apy: -1 })], OPTIONS);
+
+    expect(result.weights).toEqual([]);
+    expect(result.unallocated).toEqual({ weight: 1, amount: 1000000 });
+    expect(result.expectedRisk.weightedRiskScore).toBe(0);
+  });
+});
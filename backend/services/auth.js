@@ -0,0 +1,150 @@
+// DeFi Autopilot Wallet Authentication
+// Sign-In With Ethereum (EIP-4361) challenges exchanged for JWT session tokens
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Build an EIP-4361 message
+ */
+function buildSiweMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`
+  ].join('\n');
+}
+
+/**
+ * SIWE Auth - Issues single-use nonces and verifies signed sign-in messages
+ *
+ * The server builds the exact message for each nonce, so verification is a
+ * byte-for-byte comparison plus signature recovery rather than message parsing.
+ */
+class SiweAuth {
+  constructor({ secret, domain, uri, statement, nonceTtl, sessionTtl }) {
+    if (!secret) throw new Error('SiweAuth requires a secret');
+
+    this.secret = secret;
+    this.domain = domain || 'localhost:3000';
+    this.uri = uri || `http://${this.domain}`;
+    this.statement = statement || 'Sign in to DeFi Autopilot.';
+    this.nonceTtl = nonceTtl || 5 * 60 * 1000; // 5 minutes
+    this.sessionTtl = sessionTtl || 24 * 60 * 60 * 1000; // 24 hours
+
+    this.challenges = new Map(); // nonce -> { address, message, expiresAt }
+    this.revoked = new Map(); // token id -> expiry, kept until the token would have expired
+  }
+
+  /**
+   * Issue a sign-in message for an address
+   */
+  createChallenge(address, chainId) {
+    this.prune();
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const now = Date.now();
+    const expiresAt = now + this.nonceTtl;
+    const user = ethers.utils.getAddress(address);
+    const message = buildSiweMessage({
+      domain: this.domain,
+      address: user,
+      statement: this.statement,
+      uri: this.uri,
+      chainId,
+      nonce,
+      issuedAt: new Date(now).toISOString(),
+      expirationTime: new Date(expiresAt).toISOString()
+    });
+
+    this.challenges.set(nonce, { address: user, message, expiresAt });
+    return { nonce, message, expiresAt };
+  }
+
+  /**
+   * Check a signed challenge; returns { error } or { token, address, expiresAt }
+   */
+  verify(message, signature) {
+    const nonce = typeof message === 'string' ? message.match(/^Nonce: ([0-9a-f]+)$/m)?.[1] : null;
+    const challenge = nonce && this.challenges.get(nonce);
+    if (!challenge) {
+      return { error: 'Unknown or already used nonce' };
+    }
+
+    // Nonces are single use whether or not the signature checks out
+    this.challenges.delete(nonce);
+
+    if (Date.now() > challenge.expiresAt) {
+      return { error: 'Sign-in message expired' };
+    }
+    if (message !== challenge.message) {
+      return { error: 'Sign-in message does not match the issued challenge' };
+    }
+
+    let signer;
+    try {
+      signer = ethers.utils.verifyMessage(message, signature);
+    } catch (error) {
+      return { error: 'Invalid signature' };
+    }
+    if (signer !== challenge.address) {
+      return { error: 'Signature does not match the address' };
+    }
+
+    const expiresAt = Date.now() + this.sessionTtl;
+    const token = jwt.sign({ sub: signer }, this.secret, {
+      expiresIn: Math.floor(this.sessionTtl / 1000),
+      jwtid: crypto.randomUUID()
+    });
+
+    return { token, address: signer, expiresAt };
+  }
+
+  /**
+   * Signed-in address for a session token, or null
+   */
+  authenticate(token) {
+    try {
+      const payload = jwt.verify(token, this.secret);
+      if (this.revoked.has(payload.jti)) return null;
+      return { address: ethers.utils.getAddress(payload.sub), expiresAt: payload.exp * 1000 };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Invalidate a session token before it expires
+   */
+  revoke(token) {
+    const payload = jwt.decode(token);
+    if (!payload?.jti) return false;
+
+    this.revoked.set(payload.jti, payload.exp * 1000);
+    return true;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [nonce, challenge] of this.challenges) {
+      if (now > challenge.expiresAt) this.challenges.delete(nonce);
+    }
+    for (const [id, expiresAt] of this.revoked) {
+      if (now > expiresAt) this.revoked.delete(id);
+    }
+  }
+}
+
+module.exports = {
+  SiweAuth,
+  buildSiweMessage
+};
@@ -0,0 +1,98 @@
+const { ethers } = require('ethers');
+const jwt = require('jsonwebtoken');
+const { SiweAuth, buildSiweMessage } = require('./auth');
+
+const SECRET = 'test-secret';
+
+describe('SiweAuth', () => {
+  const wallet = new ethers.Wallet('0x' + '11'.repeat(32));
+  let auth;
+  let now;
+
+  beforeEach(() => {
+    now = Date.UTC(2025, 0, 1);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    auth = new SiweAuth({ secret: SECRET, domain: 'app.example.com', nonceTtl: 60000, sessionTtl: 3600000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function signIn(signer = wallet) {
+    const { message } = auth.createChallenge(wallet.address.toLowerCase(), 14);
+    return auth.verify(message, await signer.signMessage(message));
+  }
+
+  it('requires a secret', () => {
+    expect(() => new SiweAuth({})).toThrow('SiweAuth requires a secret');
+  });
+
+  it('issues an EIP-4361 message for the checksummed address', () => {
+    const { nonce, message, expiresAt } = auth.createChallenge(wallet.address.toLowerCase(), 14);
+
+    expect(message).toBe(buildSiweMessage({
+      domain: 'app.example.com',
+      address: wallet.address,
+      statement: 'Sign in to DeFi Autopilot.',
+      uri: 'http://app.example.com',
+      chainId: 14,
+      nonce,
+      issuedAt: '2025-01-01T00:00:00.000Z',
+      expirationTime: '2025-01-01T00:01:00.000Z'
+    }));
+    expect(message.split('\n')[0]).toBe('app.example.com wants you to sign in with your Ethereum account:');
+    expect(expiresAt).toBe(now + 60000);
+  });
+
+  it('exchanges a signed challenge for a session token', async () => {
+    const session = await signIn();
+
+    expect(session).toEqual({ token: expect.any(String), address: wallet.address, expiresAt: now + 3600000 });
+    expect(auth.authenticate(session.token)).toEqual({ address: wallet.address, expiresAt: Math.floor((now + 3600000) / 1000) * 1000 });
+    expect(auth.authenticate('not-a-token')).toBeNull();
+    expect(auth.authenticate(jwt.sign({ sub: wallet.address }, 'other-secret'))).toBeNull();
+  });
+
+  it('accepts each nonce once', async () => {
+    const { message } = auth.createChallenge(wallet.address, 14);
+    const signature = await wallet.signMessage(message);
+
+    expect(auth.verify(message, signature).token).toBeDefined();
+    expect(auth.verify(message, signature)).toEqual({ error: 'Unknown or already used nonce' });
+  });
+
+  it('rejects expired, altered or foreign-signed messages', async () => {
+    const expired = auth.createChallenge(wallet.address, 14);
+    now += 60001;
+    expect(auth.verify(expired.message, await wallet.signMessage(expired.message))).toEqual({ error: 'Sign-in message expired' });
+
+    const altered = auth.createChallenge(wallet.address, 14).message.replace('Chain ID: 14', 'Chain ID: 1');
+    expect(auth.verify(altered, await wallet.signMessage(altered))).toEqual({ error: 'Sign-in message does not match the issued challenge' });
+
+    expect(await signIn(new ethers.Wallet('0x' + '22'.repeat(32)))).toEqual({ error: 'Signature does not match the address' });
+
+    const { message } = auth.createChallenge(wallet.address, 14);
+    expect(auth.verify(message, '0x1234')).toEqual({ error: 'Invalid signature' });
+  });
+
+  it('stops accepting revoked tokens', async () => {
+    const { token } = await signIn();
+
+    expect(auth.revoke(token)).toBe(true);
+    expect(auth.authenticate(token)).toBeNull();
+    expect(auth.revoke('not-a-token')).toBe(false);
+  });
+
+  it('prunes expired challenges and revocations', async () => {
+    const { token } = await signIn();
+    auth.revoke(token);
+    auth.createChallenge(wallet.address, 14);
+
+    now += 3600000 + 1000;
+    auth.prune();
+
+    expect(auth.challenges.size).toBe(0);
+    expect(auth.revoked.size).toBe(0);
+  });
+});
@@ -0,0 +1,333 @@
+// DeFi Autopilot Backtester
+// Replays historical yields through OptimizationEngine to evaluate rebalancing parameters
+
+const fs = require('fs');
+const path = require('path');
+const { OptimizationEngine } = require('./optimization-engine');
+const { PRIMARY_ASSET } = require('./yield-analyzer');
+const { createProtocolRegistry } = require('./protocol-registry');
+const { CostModel } = require('./pricing');
+const { round } = require('./numbers');
+
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+const DEFAULT_COOLDOWN = 60 * 60 * 1000; // RebalancingEngine.REBALANCE_COOLDOWN
+const FIXTURE_FILE = path.join(__dirname, '..', 'fixtures', 'yield-history.csv');
+
+function toTimestamp(value) {
+  const numeric = Number(value);
+  const timestamp = Number.isFinite(numeric) ? numeric : Date.parse(value);
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`Invalid timestamp "${value}"`);
+  }
+  return timestamp;
+}
+
+const optionalNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+
+/**
+ * Group rows ({ timestamp, protocol, apy, tvl, utilization, mock }) into sorted per-protocol series
+ */
+function seriesFromRows(rows) {
+  const series = {};
+
+  for (const row of rows) {
+    if (!series[row.protocol]) series[row.protocol] = [];
+    series[row.protocol].push({
+      timestamp: toTimestamp(row.timestamp),
+      apy: Number(row.apy),
+      tvl: optionalNumber(row.tvl),
+      utilization: optionalNumber(row.utilization),
+      mock: row.mock === true || row.mock === 'true' || row.mock === '1'
+    });
+  }
+
+  return normalizeSeries(series);
+}
+
+/**
+ * Accept { protocol: [points] } (the /api/yields/history shape) and sort each series
+ */
+function normalizeSeries(series) {
+  const normalized = {};
+
+  for (const [protocol, points] of Object.entries(series)) {
+    normalized[protocol] = points
+      .map(point => ({ ...point, timestamp: toTimestamp(point.timestamp) }))
+      .filter(point => Number.isFinite(point.apy))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  return normalized;
+}
+
+/**
+ * Whether an inline series is { protocol: [{ timestamp, apy }] } with parseable timestamps and numeric APYs
+ */
+function isValidSeries(series) {
+  if (!series || typeof series !== 'object' || Array.isArray(series)) return false;
+
+  return Object.values(series).every(points => Array.isArray(points) && points.every(point => {
+    if (!point || typeof point !== 'object' || typeof point.apy !== 'number' || !Number.isFinite(point.apy)) return false;
+    if (typeof point.timestamp !== 'number' && typeof point.timestamp !== 'string') return false;
+    try {
+      toTimestamp(point.timestamp);
+      return true;
+    } catch {
+      return false;
+    }
+  }));
+}
+
+/**
+ * Parse a CSV with a header row: timestamp,protocol,apy[,tvl,utilization,mock]
+ */
+function parseCsv(text) {
+  const [header, ...lines] = text.trim().split(/\r?\n/);
+  const columns = header.split(',').map(column => column.trim());
+
+  for (const required of ['timestamp', 'protocol', 'apy']) {
+    if (!columns.includes(required)) {
+      throw new Error(`CSV is missing the "${required}" column`);
+    }
+  }
+
+  return lines
+    .filter(line => line.trim())
+    .map(line => {
+      const values = line.split(',').map(value => value.trim());
+      return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+    });
+}
+
+/**
+ * Load a series from a CSV or JSON fixture (defaults to the bundled fixture)
+ */
+function loadSeriesFile(file = FIXTURE_FILE) {
+  const text = fs.readFileSync(file, 'utf8');
+
+  if (path.extname(file).toLowerCase() === '.csv') {
+    return seriesFromRows(parseCsv(text));
+  }
+
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return seriesFromRows(data);
+  return normalizeSeries(data.series || data);
+}
+
+/**
+ * Replay Yield Source - Serves the yields observed at the current replay time
+ */
+class ReplayYieldSource {
+  constructor(series, riskScores) {
+    this.series = series;
+    this.riskScores = riskScores;
+    this.time = -Infinity;
+  }
+
+  setTime(time) {
+    this.time = time;
+  }
+
+  /**
+   * Latest point at or before the replay time (binary search)
+   */
+  pointAt(protocol, time = this.time) {
+    const points = this.series[protocol] || [];
+    let low = 0;
+    let high = points.length - 1;
+    let found = null;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (points[mid].timestamp <= time) {
+        found = points[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Same shape as YieldAnalyzer.fetchAllYields; every series is the primary asset's market
+   */
+  async fetchAllYields() {
+    const yields = {};
+
+    for (const protocol of Object.keys(this.series)) {
+      const point = this.pointAt(protocol);
+      if (!point) continue;
+
+      const market = { apy: point.apy, tvl: point.tvl, utilizationRate: point.utilization };
+      yields[protocol] = {
+        ...market,
+        markets: { [PRIMARY_ASSET]: market },
+        riskScore: this.riskScores[protocol] ?? 5,
+        protocol,
+        timestamp: point.timestamp
+      };
+    }
+
+    return yields;
+  }
+}
+
+/**
+ * Backtester - Simulates the rebalancing strategy against buy-and-hold
+ */
+class Backtester {
+  constructor({ series, registry, riskScores, costModel, includeMock } = {}) {
+    const filtered = {};
+    for (const [protocol, points] of Object.entries(series || {})) {
+      const kept = includeMock ? points : points.filter(point => !point.mock);
+      if (kept.length > 0) filtered[protocol] = kept;
+    }
+
+    this.series = filtered;
+    // Adapters supply the default risk scores and, through the engine, slippage pool types
+    this.registry = registry || createProtocolRegistry();
+    this.riskScores = riskScores || this.registry.riskScores();
+    // Fixture prices keep runs reproducible
+    this.costModel = costModel || new CostModel();
+    this.timeline = Array.from(new Set(Object.values(filtered).flatMap(points => points.map(p => p.timestamp))))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {Object} options - { capital, initialProtocol, riskProfiles, cooldown (ms), profitMargin, minYieldDiff (bps) }
+   */
+  async run({ capital = 100000, initialProtocol = 'Aave', riskProfiles = [1, 2, 3], cooldown = DEFAULT_COOLDOWN, profitMargin, minYieldDiff } = {}) {
+    if (this.timeline.length < 2) {
+      throw new Error('Backtest needs at least two observations');
+    }
+    if (!this.series[initialProtocol]) {
+      throw new Error(`No history for initial protocol ${initialProtocol}`);
+    }
+
+    const replay = new ReplayYieldSource(this.series, this.riskScores);
+    const buyAndHold = await this.simulate(replay, { capital, initialProtocol });
+    const profiles = {};
+
+    for (const riskProfile of riskProfiles) {
+      const engine = new OptimizationEngine({ yieldAnalyzer: replay, registry: this.registry, costModel: this.costModel, profitMargin });
+      if (!engine.riskProfiles[riskProfile]) {
+        throw new Error(`Invalid risk profile ${riskProfile}`);
+      }
+      if (minYieldDiff !== undefined && minYieldDiff !== null) {
+        engine.riskProfiles[riskProfile] = { ...engine.riskProfiles[riskProfile], minYieldDiff };
+      }
+
+      const result = await this.simulate(replay, { capital, initialProtocol, engine, riskProfile, cooldown });
+      profiles[riskProfile] = {
+        ...result,
+        excessApy: round(result.realisedApy - buyAndHold.realisedApy),
+        excessValue: round(result.finalValue - buyAndHold.finalValue, 2)
+      };
+    }
+
+    const from = this.timeline[0];
+    const to = this.timeline[this.timeline.length - 1];
+
+    return {
+      period: {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        days: round((to - from) / (24 * 60 * 60 * 1000), 2),
+        steps: this.timeline.length,
+        protocols: Object.keys(this.series)
+      },
+      parameters: {
+        capital,
+        initialProtocol,
+        cooldownSeconds: cooldown / 1000,
+        profitMargin: profitMargin ?? null,
+        minYieldDiff: minYieldDiff ?? null
+      },
+      buyAndHold,
+      profiles,
+      costAssumptions: this.costModel.assumptions()
+    };
+  }
+
+  /**
+   * Walk the timeline, accruing the held protocol's APY between steps.
+   * Without an engine this is buy-and-hold in the initial protocol.
+   */
+  async simulate(replay, { capital, initialProtocol, engine, riskProfile, cooldown }) {
+    let value = capital;
+    let protocol = initialProtocol;
+    let peak = capital;
+    let maxDrawdown = 0;
+    let totalCosts = 0;
+    let lastRebalance = -Infinity;
+    const trades = [];
+
+    const trackDrawdown = () => {
+      peak = Math.max(peak, value);
+      maxDrawdown = Math.max(maxDrawdown, (peak - value) / peak);
+    };
+
+    for (let i = 0; i < this.timeline.length; i++) {
+      const time = this.timeline[i];
+
+      if (i > 0) {
+        const previous = this.timeline[i - 1];
+        const apy = replay.pointAt(protocol, previous)?.apy ?? 0;
+        value *= 1 + (apy / 100) * (time - previous) / YEAR;
+        trackDrawdown();
+      }
+
+      if (!engine || time - lastRebalance < cooldown) continue;
+
+      replay.setTime(time);
+      const strategy = await engine.generateOptimizationStrategy({
+        totalValue: value,
+        currentYield: replay.pointAt(protocol, time)?.apy ?? 0,
+        protocol,
+        riskProfile
+      });
+
+      if (!strategy.shouldRebalance) continue;
+
+      const { recommendation } = strategy;
+      value -= recommendation.executionCost;
+      totalCosts += recommendation.executionCost;
+      trades.push({
+        timestamp: new Date(time).toISOString(),
+        fromProtocol: recommendation.fromProtocol,
+        toProtocol: recommendation.toProtocol,
+        yieldIncrease: round(recommendation.yieldIncrease),
+        executionCost: recommendation.executionCost,
+        value: round(value, 2)
+      });
+      protocol = recommendation.toProtocol;
+      lastRebalance = time;
+      trackDrawdown();
+    }
+
+    const duration = this.timeline[this.timeline.length - 1] - this.timeline[0];
+    const realisedApy = ((value / capital) ** (YEAR / duration) - 1) * 100;
+
+    return {
+      finalValue: round(value, 2),
+      realisedApy: round(realisedApy),
+      rebalances: trades.length,
+      totalCosts: round(totalCosts, 2),
+      maxDrawdown: round(maxDrawdown * 100), // percent
+      finalProtocol: protocol,
+      trades
+    };
+  }
+}
+
+module.exports = {
+  Backtester,
+  ReplayYieldSource,
+  loadSeriesFile,
+  seriesFromRows,
+  normalizeSeries,
+  isValidSeries,
+  FIXTURE_FILE
+};
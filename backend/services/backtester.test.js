@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Backtester, ReplayYieldSource, loadSeriesFile, seriesFromRows, isValidSeries } = require('./backtester');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2025, 0, 1);
+
+// 31 daily points; apy may be a function of the day index
+function daily(apy, overrides = {}) {
+  return Array.from({ length: 31 }, (_, i) => ({
+    timestamp: START + i * DAY,
+    apy: typeof apy === 'function' ? apy(i) : apy,
+    tvl: 1e9,
+    utilization: 0.5,
+    ...overrides
+  }));
+}
+
+// Compound pays 1% for ten days, then 10%; Aave pays 2% throughout
+function createBacktester(options = {}) {
+  return new Backtester({
+    series: { Aave: daily(2), Compound: daily(i => (i < 10 ? 1 : 10)) },
+    riskScores: { Aave: 2, Compound: 3 },
+    ...options
+  });
+}
+
+describe('Backtester', () => {
+  it('holds the initial protocol for the buy-and-hold baseline', async () => {
+    const result = await createBacktester().run({ riskProfiles: [] });
+
+    expect(result.period).toMatchObject({ days: 30, steps: 31, protocols: ['Aave', 'Compound'] });
+    expect(result.buyAndHold).toMatchObject({ finalValue: 100164.51, realisedApy: 2.0201, rebalances: 0, finalProtocol: 'Aave' });
+    expect(result.costAssumptions.priceSource).toBe('fixture');
+  });
+
+  it('rebalances once the better market appears and reports the excess over buy-and-hold', async () => {
+    const result = await createBacktester().run({ riskProfiles: [2] });
+    const profile = result.profiles[2];
+
+    expect(profile.trades).toEqual([{
+      timestamp: new Date(START + 10 * DAY).toISOString(),
+      fromProtocol: 'Aave',
+      toProtocol: 'Compound',
+      yieldIncrease: 8,
+      executionCost: profile.totalCosts,
+      value: expect.any(Number)
+    }]);
+    expect(profile.finalProtocol).toBe('Compound');
+    expect(profile.excessValue).toBeCloseTo(profile.finalValue - result.buyAndHold.finalValue, 2);
+    expect(profile.excessApy).toBeGreaterThan(5);
+  });
+
+  it('applies the minimum yield difference override', async () => {
+    const result = await createBacktester().run({ riskProfiles: [2], minYieldDiff: 1000 });
+
+    expect(result.profiles[2].rebalances).toBe(0);
+    expect(result.parameters.minYieldDiff).toBe(1000);
+  });
+
+  it('waits out the cooldown between rebalances', async () => {
+    // The better protocol alternates every day
+    const series = { Aave: daily(i => (i % 2 ? 2 : 12)), Compound: daily(i => (i % 2 ? 12 : 2)) };
+    const run = cooldown => createBacktester({ series }).run({ riskProfiles: [2], cooldown });
+
+    const eager = await run(DAY);
+    const patient = await run(3 * DAY);
+
+    expect(eager.profiles[2].rebalances).toBe(30);
+    expect(patient.profiles[2].rebalances).toBe(10);
+  });
+
+  it('leaves mock observations out unless asked to include them', () => {
+    const series = { Aave: daily(2), Curve: daily(9, { mock: true }) };
+
+    expect(createBacktester({ series }).series).not.toHaveProperty('Curve');
+    expect(createBacktester({ series, includeMock: true }).series).toHaveProperty('Curve');
+  });
+
+  it('rejects runs it cannot replay', async () => {
+    await expect(createBacktester({ series: { Aave: daily(2).slice(0, 1) } }).run())
+      .rejects.toThrow('Backtest needs at least two observations');
+    await expect(createBacktester().run({ initialProtocol: 'Yearn' }))
+      .rejects.toThrow('No history for initial protocol Yearn');
+    await expect(createBacktester().run({ riskProfiles: [9] }))
+      .rejects.toThrow('Invalid risk profile 9');
+  });
+});
+
+describe('ReplayYieldSource', () => {
+  it('serves the latest point at or before the replay time', async () => {
+    const replay = new ReplayYieldSource({ Aave: daily(i => i) }, { Aave: 2 });
+
+    expect(await replay.fetchAllYields()).toEqual({});
+
+    replay.setTime(START + 4.5 * DAY);
+    const { Aave } = await replay.fetchAllYields();
+
+    expect(Aave).toMatchObject({ apy: 4, riskScore: 2, timestamp: START + 4 * DAY });
+    expect(Aave.markets.USDC).toEqual({ apy: 4, tvl: 1e9, utilizationRate: 0.5 });
+  });
+});
+
+describe('series loading', () => {
+  it('parses rows into sorted per-protocol series', () => {
+    const series = seriesFromRows([
+      { timestamp: '2025-01-02T00:00:00Z', protocol: 'Aave', apy: '4', tvl: '', mock: 'true' },
+      { timestamp: String(START), protocol: 'Aave', apy: '3', tvl: '100', utilization: '0.5' },
+      { timestamp: String(START), protocol: 'Aave', apy: 'n/a' }
+    ]);
+
+    expect(series.Aave).toEqual([
+      { timestamp: START, apy: 3, tvl: 100, utilization: 0.5, mock: false },
+      { timestamp: START + DAY, apy: 4, tvl: null, utilization: null, mock: true }
+    ]);
+    expect(() => seriesFromRows([{ timestamp: 'yesterday', protocol: 'Aave', apy: 1 }])).toThrow('Invalid timestamp "yesterday"');
+  });
+
+  it('loads the bundled CSV fixture and JSON history exports', () => {
+    const fixture = loadSeriesFile();
+    expect(fixture.Aave[0]).toEqual({ timestamp: START, apy: 3.938, tvl: 2711358679, utilization: 0.8, mock: false });
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-'));
+    const json = path.join(dir, 'history.json');
+    fs.writeFileSync(json, JSON.stringify({ series: { Aave: [{ timestamp: START + DAY, apy: 2 }, { timestamp: START, apy: 1 }] } }));
+    expect(loadSeriesFile(json).Aave.map(point => point.apy)).toEqual([1, 2]);
+
+    const csv = path.join(dir, 'history.csv');
+    fs.writeFileSync(csv, 'time,protocol,apy\n');
+    expect(() => loadSeriesFile(csv)).toThrow('CSV is missing the "timestamp" column');
+  });
+
+  it('accepts only inline series of { timestamp, apy } points', () => {
+    expect(isValidSeries({ Aave: [{ timestamp: START, apy: 2 }, { timestamp: '2025-01-02T00:00:00Z', apy: 3, mock: false }] })).toBe(true);
+    expect(isValidSeries({})).toBe(true);
+
+    expect(isValidSeries({ Aave: 5 })).toBe(false);
+    expect(isValidSeries([{ timestamp: START, apy: 2 }])).toBe(false);
+    expect(isValidSeries({ Aave: [null] })).toBe(false);
+    expect(isValidSeries({ Aave: [{ timestamp: START, apy: '2' }] })).toBe(false);
+    expect(isValidSeries({ Aave: [{ timestamp: 'yesterday', apy: 2 }] })).toBe(false);
+    expect(isValidSeries({ Aave: [{ apy: 2 }] })).toBe(false);
+  });
+});
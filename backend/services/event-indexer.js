@@ -0,0 +1,446 @@
+// DeFi Autopilot Event Indexer
+// Backfills and follows contract events into an embedded SQLite activity log
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+
+const RISK_PROFILE_NAMES = ['CONSERVATIVE', 'BALANCED', 'AGGRESSIVE'];
+
+const units = value => parseFloat(ethers.utils.formatEther(value));
+const bps = value => value.toNumber() / 100;
+
+/**
+ * Decoders from ethers event args to activity fields, per event name.
+ * `user` and `requestId` are lifted into indexed columns; the rest is stored as data.
+ */
+const DECODERS = {
+  PortfolioCreated: args => ({ user: args.user, amount: units(args.amount), riskProfile: RISK_PROFILE_NAMES[args.riskProfile] }),
+  FundsDeposited: args => ({ user: args.user, amount: units(args.amount) }),
+  FundsWithdrawn: args => ({ user: args.user, amount: units(args.amount) }),
+  PortfolioRebalanced: args => ({ user: args.user, fromProtocol: args.fromProtocol, toProtocol: args.toProtocol, expectedYield: bps(args.expectedYield) }),
+  RiskProfileUpdated: args => ({ user: args.user, oldProfile: RISK_PROFILE_NAMES[args.oldProfile], newProfile: RISK_PROFILE_NAMES[args.newProfile] }),
+  AutoRebalanceToggled: args => ({ user: args.user, enabled: args.enabled }),
+  RebalanceRequested: args => ({
+    requestId: args.requestId.toString(),
+    user: args.user,
+    fromProtocol: args.fromProtocol,
+    toProtocol: args.toProtocol,
+    expectedYield: bps(args.expectedYield)
+  }),
+  RebalanceExecuted: args => ({
+    requestId: args.requestId.toString(),
+    user: args.user,
+    fromProtocol: args.fromProtocol,
+    toProtocol: args.toProtocol,
+    amount: units(args.amount),
+    actualYield: bps(args.actualYield),
+    profit: units(args.profit)
+  }),
+  RebalanceCancelled: args => ({ requestId: args.requestId.toString(), reason: args.reason }),
+  // protocol is an indexed string, so only its hash is in the log; the indexer resolves known names
+  YieldUpdated: args => ({
+    protocolHash: args.protocol.hash,
+    apy: bps(args.newApy),
+    tvl: units(args.tvl), // USD scaled by 1e18
+    riskScore: args.riskScore,
+    updatedAt: args.timestamp.toNumber() * 1000
+  })
+};
+
+const EVENT_TYPES = Object.keys(DECODERS);
+
+/**
+ * Activity Store - Decoded contract events and the block hashes they were indexed at
+ */
+class ActivityStore {
+  constructor({ filename } = {}) {
+    this.filename = filename || path.join(__dirname, '..', 'data', 'activity.db');
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+    this.prepareStatements();
+  }
+
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        block_number INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        contract TEXT NOT NULL,
+        type TEXT NOT NULL,
+        user TEXT,
+        request_id TEXT,
+        data TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        UNIQUE (tx_hash, log_index)
+      );
+      CREATE INDEX IF NOT EXISTS idx_events_user_time ON events (user, timestamp);
+      CREATE INDEX IF NOT EXISTS idx_events_type_time ON events (type, timestamp);
+      CREATE INDEX IF NOT EXISTS idx_events_block ON events (block_number);
+
+      CREATE TABLE IF NOT EXISTS indexed_blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS indexer_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `);
+  }
+
+  prepareStatements() {
+    this.insertEvent = this.db.prepare(`
+      INSERT OR IGNORE INTO events (block_number, tx_hash, log_index, contract, type, user, request_id, data, timestamp)
+      VALUES (@blockNumber, @txHash, @logIndex, @contract, @type, @user, @requestId, @data, @timestamp)
+    `);
+    this.insertBlock = this.db.prepare('INSERT OR REPLACE INTO indexed_blocks (number, hash) VALUES (@number, @hash)');
+    this.selectLatestBlock = this.db.prepare('SELECT number, hash FROM indexed_blocks ORDER BY number DESC LIMIT 1');
+    this.selectBlocksDesc = this.db.prepare('SELECT number, hash FROM indexed_blocks ORDER BY number DESC');
+    this.deleteEventsAbove = this.db.prepare('DELETE FROM events WHERE block_number > @number');
+    this.deleteBlocksAbove = this.db.prepare('DELETE FROM indexed_blocks WHERE number > @number');
+    this.pruneBlocks = this.db.prepare('DELETE FROM indexed_blocks WHERE number < @number');
+    this.selectRequestUser = this.db.prepare(
+      "SELECT user FROM events WHERE type = 'RebalanceRequested' AND request_id = ? LIMIT 1"
+    );
+  }
+
+  /**
+   * Store a batch of events and the block hashes covering it atomically
+   */
+  commit(events, blocks, keepFrom) {
+    this.db.transaction(() => {
+      for (const event of events) {
+        this.insertEvent.run({ ...event, data: JSON.stringify(event.data) });
+      }
+      for (const block of blocks) {
+        this.insertBlock.run(block);
+      }
+      this.pruneBlocks.run({ number: keepFrom });
+    })();
+  }
+
+  latestBlock() {
+    return this.selectLatestBlock.get() || null;
+  }
+
+  recentBlocks() {
+    return this.selectBlocksDesc.all();
+  }
+
+  /**
+   * Drop everything indexed after a block (reorg rollback); returns removed event count
+   */
+  rollback(number) {
+    return this.db.transaction(() => {
+      const removed = this.deleteEventsAbove.run({ number }).changes;
+      this.deleteBlocksAbove.run({ number });
+      return removed;
+    })();
+  }
+
+  /**
+   * Clear the log when it was built from a different chain (identified by its genesis hash)
+   */
+  useChain(genesisHash) {
+    const stored = this.db.prepare("SELECT value FROM indexer_meta WHERE key = 'genesis'").get();
+    if (stored?.value === genesisHash) return false;
+
+    this.db.transaction(() => {
+      this.db.exec('DELETE FROM events; DELETE FROM indexed_blocks;');
+      this.db.prepare("INSERT OR REPLACE INTO indexer_meta (key, value) VALUES ('genesis', ?)").run(genesisHash);
+    })();
+    return Boolean(stored);
+  }
+
+  requestUser(requestId) {
+    return this.selectRequestUser.get(requestId)?.user || null;
+  }
+
+  /**
+   * Events newest first
+   * @param {Object} options - { address, types, from, to (ms), limit }
+   */
+  query({ address, types, from, to, limit = 50 } = {}) {
+    const typeList = types && types.length > 0 ? types : null;
+    const rows = this.db.prepare(`
+      SELECT * FROM events
+      WHERE (@user IS NULL OR user = @user)
+        AND (@types IS NULL OR type IN (SELECT value FROM json_each(@types)))
+        AND timestamp >= @from AND timestamp <= @to
+      ORDER BY block_number DESC, log_index DESC
+      LIMIT @limit
+    `).all({
+      user: address || null,
+      types: typeList ? JSON.stringify(typeList) : null,
+      from: from ?? 0,
+      to: to ?? Number.MAX_SAFE_INTEGER,
+      limit
+    });
+
+    return rows.map(row => ({
+      type: row.type,
+      contract: row.contract,
+      user: row.user,
+      requestId: row.request_id,
+      blockNumber: row.block_number,
+      txHash: row.tx_hash,
+      logIndex: row.log_index,
+      timestamp: row.timestamp,
+      ...JSON.parse(row.data)
+    }));
+  }
+
+  getStats() {
+    const rows = this.db.prepare('SELECT type, COUNT(*) AS count FROM events GROUP BY type').all();
+    return Object.fromEntries(rows.map(row => [row.type, row.count]));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Event Indexer - Backfills from a start block, then polls for new blocks
+ *
+ * The hash of every indexed block with events (and of each batch's last block)
+ * is kept for reorgDepth blocks. Before each pass the newest stored hash is
+ * compared with the chain; on mismatch the indexer walks back to the last block
+ * that still matches, deletes everything after it and re-indexes from there.
+ */
+class EventIndexer {
+  constructor({ provider, contracts, store, startBlock, batchSize, interval, reorgDepth, protocols }) {
+    this.provider = provider;
+    this.contracts = contracts; // { name: ethers.Contract }
+    this.store = store;
+    this.startBlock = startBlock ?? null; // null: start at the current head
+    this.batchSize = batchSize || 1000;
+    this.interval = interval || 15 * 1000;
+    this.reorgDepth = reorgDepth || 64;
+
+    // keccak256(name) -> name, for indexed protocol strings
+    this.protocolNames = new Map();
+    for (const protocol of protocols || []) this.addProtocol(protocol);
+
+    this.timer = null;
+    this.syncing = false;
+    this.head = null;
+    this.lastSync = null;
+    this.lastError = null;
+    this.reorgs = [];
+  }
+
+  addProtocol(name) {
+    this.protocolNames.set(ethers.utils.id(name), name);
+  }
+
+  /**
+   * Sync once, then keep following new blocks
+   */
+  async start() {
+    if (this.timer) return;
+
+    try {
+      const genesis = await this.provider.getBlock(0);
+      if (this.store.useChain(genesis.hash)) {
+        console.warn('⚠️  Activity log was built from another chain, re-indexing');
+      }
+    } catch (error) {
+      console.warn('⚠️  Could not read the genesis block for the indexer:', error.message);
+    }
+
+    if (this.contracts.yieldOracle) {
+      try {
+        (await this.contracts.yieldOracle.getSupportedProtocols()).forEach(name => this.addProtocol(name));
+      } catch (error) {
+        console.warn('⚠️  Could not load oracle protocols for the indexer:', error.message);
+      }
+    }
+
+    this.timer = setInterval(() => {
+      this.sync().catch(error => console.error('Event indexer sync failed:', error.message));
+    }, this.interval);
+    console.log(`📚 Event indexer started (every ${Math.round(this.interval / 1000)}s)`);
+
+    await this.sync().catch(error => console.error('Event indexer sync failed:', error.message));
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Roll back any reorged blocks, then index up to the current head
+   */
+  async sync() {
+    if (this.syncing) return { skipped: true };
+    this.syncing = true;
+
+    let indexed = 0;
+    try {
+      this.head = await this.provider.getBlockNumber();
+      await this.handleReorg();
+
+      const latest = this.store.latestBlock();
+      let from = latest ? latest.number + 1 : (this.startBlock ?? this.head);
+
+      while (from <= this.head) {
+        const to = Math.min(from + this.batchSize - 1, this.head);
+        indexed += await this.indexRange(from, to);
+        from = to + 1;
+      }
+
+      this.lastSync = Date.now();
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      throw error;
+    } finally {
+      this.syncing = false;
+    }
+
+    return { indexed, head: this.head };
+  }
+
+  /**
+   * Compare stored hashes with the chain and roll back to the last common block
+   */
+  async handleReorg() {
+    const latest = this.store.latestBlock();
+    if (!latest) return;
+
+    const block = await this.provider.getBlock(latest.number);
+    if (block && block.hash === latest.hash) return;
+
+    let ancestor = null;
+    for (const stored of this.store.recentBlocks()) {
+      const current = await this.provider.getBlock(stored.number);
+      if (current && current.hash === stored.hash) {
+        ancestor = stored.number;
+        break;
+      }
+    }
+
+    // Deeper than the tracked window: re-index everything we still have hashes for
+    const oldest = this.store.recentBlocks().pop();
+    const rollbackTo = Math.min(ancestor ?? oldest.number - 1, this.head);
+    const removed = this.store.rollback(rollbackTo);
+    if (ancestor === null) {
+      // Anchor the cursor on the current chain so the next pass resumes after rollbackTo
+      const anchor = await this.provider.getBlock(rollbackTo);
+      this.store.commit([], [{ number: anchor.number, hash: anchor.hash }], 0);
+    }
+
+    this.reorgs.push({ at: Date.now(), from: latest.number, rollbackTo, removed });
+    this.reorgs = this.reorgs.slice(-10);
+    console.warn(`⚠️  Reorg detected at block ${latest.number}, rolled back to ${rollbackTo} (${removed} events)`);
+  }
+
+  /**
+   * Fetch, decode and store every contract event in [from, to]
+   */
+  async indexRange(from, to) {
+    const logs = [];
+    for (const [name, contract] of Object.entries(this.contracts)) {
+      const contractLogs = await this.provider.getLogs({ address: contract.address, fromBlock: from, toBlock: to });
+      logs.push(...contractLogs.map(log => ({ name, contract, log })));
+    }
+
+    const blocks = new Map();
+    const blockFor = async number => {
+      if (!blocks.has(number)) blocks.set(number, await this.provider.getBlock(number));
+      return blocks.get(number);
+    };
+
+    const events = [];
+    for (const { name, contract, log } of logs) {
+      // decodeEventLog keeps named args for indexed dynamic types, which parseLog drops
+      let fragment;
+      let args;
+      try {
+        fragment = contract.interface.getEvent(log.topics[0]);
+        args = contract.interface.decodeEventLog(fragment, log.data, log.topics);
+      } catch (error) {
+        continue; // not in our ABI
+      }
+      const decoder = DECODERS[fragment.name];
+      if (!decoder) continue;
+
+      const block = await blockFor(log.blockNumber);
+      const { user, requestId, ...data } = decoder(args);
+      if (data.protocolHash) {
+        data.protocol = this.protocolNames.get(data.protocolHash) || null;
+      }
+
+      events.push({
+        blockNumber: log.blockNumber,
+        txHash: log.transactionHash,
+        logIndex: log.logIndex,
+        contract: name,
+        type: fragment.name,
+        user: user ? ethers.utils.getAddress(user) : await this.resolveRequestUser(requestId),
+        requestId: requestId ?? null,
+        data,
+        timestamp: block.timestamp * 1000
+      });
+    }
+
+    // Keep the batch's last block hash too so reorgs without events are still detected
+    await blockFor(to);
+    const hashes = Array.from(blocks.values()).map(block => ({ number: block.number, hash: block.hash }));
+
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    this.store.commit(events, hashes, to - this.reorgDepth);
+
+    return events.length;
+  }
+
+  /**
+   * RebalanceCancelled carries no user; take it from the indexed request or the contract
+   */
+  async resolveRequestUser(requestId) {
+    if (requestId === undefined || requestId === null) return null;
+
+    const user = this.store.requestUser(requestId);
+    if (user) return user;
+
+    if (!this.contracts.rebalancingEngine) return null;
+    const request = await this.contracts.rebalancingEngine.getRebalanceRequest(requestId);
+    return request.user === ethers.constants.AddressZero ? null : request.user;
+  }
+
+  getStatus() {
+    const latest = this.store.latestBlock();
+
+    return {
+      running: Boolean(this.timer),
+      contracts: Object.fromEntries(Object.entries(this.contracts).map(([name, contract]) => [name, contract.address])),
+      startBlock: this.startBlock,
+      indexedBlock: latest ? latest.number : null,
+      head: this.head,
+      lag: latest && this.head !== null ? this.head - latest.number : null,
+      lastSync: this.lastSync ? new Date(this.lastSync).toISOString() : null,
+      lastError: this.lastError,
+      reorgs: this.reorgs,
+      events: this.store.getStats()
+    };
+  }
+}
+
+module.exports = {
+  EventIndexer,
+  ActivityStore,
+  EVENT_TYPES
+};
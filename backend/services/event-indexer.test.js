@@ -0,0 +1,195 @@
+const { ethers } = require('ethers');
+const { EventIndexer, ActivityStore } = require('./event-indexer');
+const { PORTFOLIO_MANAGER_ABI, REBALANCING_ENGINE_ABI, YIELD_ORACLE_ABI } = require('../contracts/abis');
+
+const USER = ethers.utils.getAddress('0x00000000000000000000000000000000000000a1');
+const wei = ethers.utils.parseEther;
+
+function contract(address, abi, methods = {}) {
+  return { address, interface: new ethers.utils.Interface(abi), ...methods };
+}
+
+/**
+ * In-memory chain serving getBlockNumber/getBlock/getLogs; blocks are 12s apart
+ */
+class FakeChain {
+  constructor(length) {
+    this.blocks = [];
+    this.logs = [];
+    this.mine(length);
+  }
+
+  mine(count, fork = '') {
+    for (let i = 0; i < count; i++) {
+      const number = this.blocks.length;
+      this.blocks.push({ number, hash: ethers.utils.id(`${fork}block-${number}`), timestamp: 1700000000 + number * 12 });
+    }
+  }
+
+  // Replace every block from `number` on with a competing fork of the same length
+  reorg(number) {
+    const length = this.blocks.length;
+    this.blocks = this.blocks.slice(0, number);
+    this.logs = this.logs.filter(log => log.blockNumber < number);
+    this.mine(length - number, 'fork-');
+  }
+
+  emit(target, name, args, blockNumber) {
+    const { data, topics } = target.interface.encodeEventLog(target.interface.getEvent(name), args);
+    this.logs.push({
+      address: target.address,
+      blockNumber,
+      transactionHash: ethers.utils.id(`tx-${this.logs.length}`),
+      logIndex: this.logs.length,
+      data,
+      topics
+    });
+  }
+
+  provider() {
+    return {
+      getBlockNumber: async () => this.blocks.length - 1,
+      getBlock: async number => this.blocks[number] || null,
+      getLogs: async ({ address, fromBlock, toBlock }) => this.logs.filter(log =>
+        log.address === address && log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+      )
+    };
+  }
+}
+
+function createIndexer(chain, options = {}) {
+  const contracts = {
+    portfolioManager: contract('0x0000000000000000000000000000000000000001', PORTFOLIO_MANAGER_ABI),
+    rebalancingEngine: contract('0x0000000000000000000000000000000000000002', REBALANCING_ENGINE_ABI, {
+      getRebalanceRequest: jest.fn().mockResolvedValue({ user: USER })
+    }),
+    yieldOracle: contract('0x0000000000000000000000000000000000000003', YIELD_ORACLE_ABI)
+  };
+  const store = new ActivityStore({ filename: ':memory:' });
+  const indexer = new EventIndexer({ provider: chain.provider(), contracts, store, startBlock: 0, batchSize: 4, ...options });
+
+  return { indexer, contracts, store };
+}
+
+describe('EventIndexer', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    store.close();
+    jest.restoreAllMocks();
+  });
+
+  it('backfills decoded events in batches from the start block', async () => {
+    const chain = new FakeChain(10);
+    const setup = createIndexer(chain, { protocols: ['Aave'] });
+    const { indexer, contracts } = setup;
+    store = setup.store;
+    chain.emit(contracts.portfolioManager, 'PortfolioCreated', [USER, wei('100'), 1], 2);
+    chain.emit(contracts.rebalancingEngine, 'RebalanceRequested', [7, USER, 'Aave', 'Compound', 520], 5);
+    chain.emit(contracts.rebalancingEngine, 'RebalanceCancelled', [7, 'Yield advantage gone'], 9);
+    chain.emit(contracts.yieldOracle, 'YieldUpdated', ['Aave', 450, wei('5000000'), 2, 1700000000], 9);
+
+    expect(await indexer.sync()).toEqual({ indexed: 4, head: 9 });
+
+    const events = store.query();
+    expect(events.map(event => event.type)).toEqual(['YieldUpdated', 'RebalanceCancelled', 'RebalanceRequested', 'PortfolioCreated']);
+    expect(events[3]).toMatchObject({
+      contract: 'portfolioManager',
+      user: USER,
+      blockNumber: 2,
+      timestamp: (1700000000 + 24) * 1000,
+      amount: 100,
+      riskProfile: 'BALANCED'
+    });
+    // The cancellation carries no user; it is taken from the indexed request
+    expect(events[1]).toMatchObject({ user: USER, requestId: '7', reason: 'Yield advantage gone' });
+    expect(events[0]).toMatchObject({ user: null, protocol: 'Aave', apy: 4.5, tvl: 5000000, riskScore: 2 });
+    expect(contracts.rebalancingEngine.getRebalanceRequest).not.toHaveBeenCalled();
+    expect(indexer.getStatus()).toMatchObject({ indexedBlock: 9, head: 9, lag: 0, lastError: null });
+  });
+
+  it('asks the contract for the user of a request it has not indexed', async () => {
+    const chain = new FakeChain(3);
+    const setup = createIndexer(chain);
+    store = setup.store;
+    chain.emit(setup.contracts.rebalancingEngine, 'RebalanceCancelled', [3, 'Expired'], 1);
+
+    await setup.indexer.sync();
+
+    expect(setup.contracts.rebalancingEngine.getRebalanceRequest).toHaveBeenCalledWith('3');
+    expect(store.query({ address: USER })).toHaveLength(1);
+  });
+
+  it('follows new blocks without re-indexing old ones', async () => {
+    const chain = new FakeChain(3);
+    const setup = createIndexer(chain);
+    store = setup.store;
+    chain.emit(setup.contracts.portfolioManager, 'FundsDeposited', [USER, wei('5')], 1);
+    await setup.indexer.sync();
+
+    chain.mine(2);
+    chain.emit(setup.contracts.portfolioManager, 'FundsWithdrawn', [USER, wei('2')], 4);
+
+    expect(await setup.indexer.sync()).toEqual({ indexed: 1, head: 4 });
+    expect(store.query({ types: ['FundsDeposited', 'FundsWithdrawn'] }).map(event => event.amount)).toEqual([2, 5]);
+    expect(store.getStats()).toEqual({ FundsDeposited: 1, FundsWithdrawn: 1 });
+  });
+
+  it('rolls back reorged blocks and re-indexes the new fork', async () => {
+    const chain = new FakeChain(10);
+    const setup = createIndexer(chain);
+    store = setup.store;
+    chain.emit(setup.contracts.portfolioManager, 'FundsDeposited', [USER, wei('1')], 3);
+    chain.emit(setup.contracts.portfolioManager, 'FundsDeposited', [USER, wei('2')], 7);
+    await setup.indexer.sync();
+
+    chain.reorg(6);
+    chain.emit(setup.contracts.portfolioManager, 'FundsDeposited', [USER, wei('3')], 8);
+    await setup.indexer.sync();
+
+    expect(store.query().map(event => event.amount)).toEqual([3, 1]);
+    expect(setup.indexer.getStatus().reorgs).toEqual([expect.objectContaining({ from: 9, rollbackTo: 3, removed: 1 })]);
+    expect(store.latestBlock()).toEqual({ number: 9, hash: chain.blocks[9].hash });
+  });
+
+  it('skips a pass while the previous one is still syncing', async () => {
+    const chain = new FakeChain(3);
+    const setup = createIndexer(chain);
+    store = setup.store;
+
+    const first = setup.indexer.sync();
+    expect(await setup.indexer.sync()).toEqual({ skipped: true });
+    await first;
+  });
+});
+
+describe('ActivityStore', () => {
+  it('clears the log when it was built from another chain', () => {
+    const store = new ActivityStore({ filename: ':memory:' });
+    store.commit([{
+      blockNumber: 1,
+      txHash: '0x01',
+      logIndex: 0,
+      contract: 'portfolioManager',
+      type: 'FundsDeposited',
+      user: USER,
+      requestId: null,
+      data: { amount: 1 },
+      timestamp: 1000
+    }], [{ number: 1, hash: '0xaa' }], 0);
+
+    expect(store.useChain('0xgenesis')).toBe(false); // first chain seen
+    expect(store.query()).toEqual([]);
+
+    store.commit([], [{ number: 1, hash: '0xaa' }], 0);
+    expect(store.useChain('0xgenesis')).toBe(false);
+    expect(store.latestBlock()).toEqual({ number: 1, hash: '0xaa' });
+    expect(store.useChain('0xother')).toBe(true);
+    expect(store.latestBlock()).toBeNull();
+    store.close();
+  });
+});
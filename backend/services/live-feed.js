@@ -0,0 +1,392 @@
+// DeFi Autopilot Live Feed
+// WebSocket push of yield snapshots, strategy suggestions and rebalance progress
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { ethers } = require('ethers');
+const { isValidPortfolio } = require('./optimization-engine');
+
+const TOPICS = ['yields', 'strategy', 'rebalances'];
+
+// Close code for connections whose session expired or was revoked
+const SESSION_EXPIRED = 4001;
+
+/**
+ * Session token from the ?token= query (browsers cannot set headers) or an Authorization header
+ */
+function connectionToken(req) {
+  const { searchParams } = new URL(req.url, 'http://localhost');
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return searchParams.get('token') || (scheme === 'Bearer' ? token : null);
+}
+
+/**
+ * Fingerprint of a yield snapshot; only changes here are pushed.
+ * Of the source only fallback vs. fresh counts: live and cache hits carry the same data.
+ */
+function yieldsSignature(yields) {
+  return JSON.stringify(Object.keys(yields).sort().map(protocol => {
+    const data = yields[protocol];
+    const fallback = data.source === 'last-known-good';
+    return [protocol, data.apy, data.tvl, data.utilizationRate, data.mock || false, fallback, data.stale || false];
+  }));
+}
+
+function strategySignature(strategy) {
+  return JSON.stringify([
+    strategy.shouldRebalance,
+    strategy.moves.map(move => [move.asset, move.fromProtocol, move.toProtocol, move.netProfit])
+  ]);
+}
+
+/**
+ * Live Feed - Topic-based WebSocket subscriptions with heartbeats
+ *
+ * Connections need a session token (SiweAuth) and only see the signed-in address:
+ * one strategy subscription per connection, rebalances for that address only.
+ *
+ * Client messages: { type: 'subscribe' | 'unsubscribe', topic, address?, portfolio? }, { type: 'ping' }
+ * Server messages: welcome, subscribed, unsubscribed, yields, strategy, rebalance, heartbeat, pong, error
+ */
+class LiveFeed {
+  constructor({
+    server, path, auth, optimizationEngine, rebalanceKeeper, portfolioReader,
+    interval, heartbeatInterval, maxPayload, maxConnections
+  }) {
+    this.auth = auth;
+    this.optimizationEngine = optimizationEngine;
+    this.yieldAnalyzer = optimizationEngine.yieldAnalyzer;
+    this.rebalanceKeeper = rebalanceKeeper || null;
+    this.portfolioReader = portfolioReader || null;
+    this.interval = interval || 30 * 1000; // yield refresh while anyone is subscribed
+    this.heartbeatInterval = heartbeatInterval || 15 * 1000;
+    this.maxConnections = maxConnections || 5; // per signed-in address
+
+    this.wss = new WebSocketServer({
+      server,
+      path: path || '/ws',
+      maxPayload: maxPayload || 64 * 1024,
+      verifyClient: (info, done) => this.verifyClient(info, done)
+    });
+    // socket -> { address, token, alive, yields, strategy: { portfolio, signature } | null, rebalances, pending }
+    this.clients = new Map();
+    this.lastYields = null;
+    this.lastSignature = null;
+    this.refreshTimer = null;
+    this.heartbeatTimer = null;
+
+    this.onYields = this.onYields.bind(this);
+    this.onRequest = this.onRequest.bind(this);
+  }
+
+  /**
+   * Accept connections and start the refresh and heartbeat loops
+   */
+  start() {
+    this.wss.on('connection', (socket, req) => this.onConnection(socket, req.session));
+    this.yieldAnalyzer.on('yields', this.onYields);
+    if (this.rebalanceKeeper) {
+      this.rebalanceKeeper.on('request', this.onRequest);
+    }
+
+    this.refreshTimer = setInterval(() => {
+      if (this.hasSubscribers()) {
+        this.yieldAnalyzer.fetchAllYields().catch(error => console.error('Live feed refresh failed:', error.message));
+      }
+    }, this.interval);
+
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+
+    console.log(`🔌 Live feed listening on ${this.wss.options.path}`);
+  }
+
+  /**
+   * Stop timers and close every connection
+   */
+  stop() {
+    clearInterval(this.refreshTimer);
+    clearInterval(this.heartbeatTimer);
+    this.refreshTimer = null;
+    this.heartbeatTimer = null;
+
+    this.yieldAnalyzer.off('yields', this.onYields);
+    if (this.rebalanceKeeper) {
+      this.rebalanceKeeper.off('request', this.onRequest);
+    }
+
+    for (const socket of this.clients.keys()) {
+      socket.terminate();
+    }
+    this.wss.close();
+  }
+
+  /**
+   * Accept upgrades only with a valid session, up to maxConnections per address
+   */
+  verifyClient({ req }, done) {
+    const token = connectionToken(req);
+    const session = token ? this.auth.authenticate(token) : null;
+    if (!session) {
+      return done(false, 401, 'Sign in required');
+    }
+
+    const open = [...this.clients.values()].filter(client => client.address === session.address).length;
+    if (open >= this.maxConnections) {
+      return done(false, 429, 'Too many connections');
+    }
+
+    req.session = { ...session, token };
+    done(true);
+  }
+
+  onConnection(socket, session) {
+    this.clients.set(socket, {
+      address: session.address,
+      token: session.token,
+      alive: true,
+      yields: false,
+      strategy: null,
+      rebalances: false,
+      pending: false
+    });
+
+    socket.on('pong', () => {
+      const client = this.clients.get(socket);
+      if (client) client.alive = true;
+    });
+    socket.on('message', raw => this.onMessage(socket, raw));
+    socket.on('close', () => this.clients.delete(socket));
+    socket.on('error', () => this.clients.delete(socket));
+
+    this.send(socket, {
+      type: 'welcome',
+      topics: TOPICS,
+      address: session.address,
+      heartbeatInterval: this.heartbeatInterval
+    });
+  }
+
+  async onMessage(socket, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return this.send(socket, { type: 'error', message: 'Invalid JSON' });
+    }
+
+    const client = this.clients.get(socket);
+    if (!client) return;
+
+    if (message.type === 'ping') {
+      return this.send(socket, { type: 'pong', timestamp: Date.now() });
+    }
+
+    if (message.type !== 'subscribe' && message.type !== 'unsubscribe') {
+      return this.send(socket, { type: 'error', message: `Unknown message type "${message.type}"` });
+    }
+    if (!TOPICS.includes(message.topic)) {
+      return this.send(socket, { type: 'error', message: `Unknown topic "${message.topic}" (use ${TOPICS.join(', ')})` });
+    }
+
+    // Subscriptions are for the signed-in address; naming it is optional
+    let address = client.address;
+    if (message.address) {
+      try {
+        address = ethers.utils.getAddress(message.address);
+      } catch (error) {
+        return this.send(socket, { type: 'error', message: 'Invalid address' });
+      }
+      if (address !== client.address) {
+        return this.send(socket, { type: 'error', topic: message.topic, message: 'Address does not match the signed-in account' });
+      }
+    }
+
+    try {
+      if (message.type === 'unsubscribe') {
+        this.unsubscribe(client, message.topic);
+        return this.send(socket, { type: 'unsubscribed', topic: message.topic, address });
+      }
+
+      await this.subscribe(socket, client, message.topic, address, message.portfolio);
+    } catch (error) {
+      this.send(socket, { type: 'error', topic: message.topic, message: error.message });
+    }
+  }
+
+  /**
+   * Register a subscription and send the current state straight away
+   */
+  async subscribe(socket, client, topic, address, portfolio) {
+    // Initial state is sent before registering so the fetch it may trigger is not pushed twice
+    if (topic === 'yields') {
+      const yields = this.lastYields || await this.yieldAnalyzer.fetchAllYields();
+      client.yields = true;
+      this.send(socket, { type: 'subscribed', topic });
+      return this.send(socket, { type: 'yields', data: yields, timestamp: Date.now() });
+    }
+
+    if (topic === 'strategy') {
+      // One strategy computation in flight per connection; a new subscription replaces the old one
+      if (client.pending) {
+        throw new Error('Strategy subscription already in progress');
+      }
+
+      client.pending = true;
+      try {
+        const subscription = { portfolio: { ...await this.strategyInput(address, portfolio), address }, signature: null };
+        this.send(socket, { type: 'subscribed', topic, address });
+        await this.pushStrategy(socket, address, subscription, true);
+        client.strategy = subscription;
+      } finally {
+        client.pending = false;
+      }
+      return;
+    }
+
+    // rebalances: the signed-in address only
+    client.rebalances = true;
+    this.send(socket, { type: 'subscribed', topic, address });
+
+    if (this.rebalanceKeeper) {
+      for (const request of this.rebalanceKeeper.getRequests(address)) {
+        this.send(socket, { type: 'rebalance', request });
+      }
+    }
+  }
+
+  /**
+   * Portfolio to optimize: the one sent, validated like POST /api/optimize, or the on-chain one
+   */
+  async strategyInput(address, portfolio) {
+    if (portfolio === undefined) {
+      if (!this.portfolioReader) {
+        throw new Error('Portfolio reader not configured; send a portfolio');
+      }
+      const onChain = await this.portfolioReader.read(address, { historyLimit: 1 });
+      if (!onChain) {
+        throw new Error('Portfolio not found');
+      }
+      return this.portfolioReader.toStrategyInput(onChain);
+    }
+
+    if (!isValidPortfolio(portfolio)) {
+      throw new Error('Invalid portfolio data');
+    }
+    return portfolio;
+  }
+
+  unsubscribe(client, topic) {
+    if (topic === 'yields') {
+      client.yields = false;
+    } else if (topic === 'strategy') {
+      client.strategy = null;
+    } else {
+      client.rebalances = false;
+    }
+  }
+
+  hasSubscribers() {
+    for (const client of this.clients.values()) {
+      if (client.yields || client.strategy) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Called after every fetchAllYields; pushes only when the snapshot changed
+   */
+  async onYields(yields) {
+    const signature = yieldsSignature(yields);
+    this.lastYields = yields;
+    if (signature === this.lastSignature) return;
+    this.lastSignature = signature;
+
+    for (const [socket, client] of this.clients) {
+      if (client.yields) {
+        this.send(socket, { type: 'yields', data: yields, timestamp: Date.now() });
+      }
+      if (client.strategy) {
+        await this.pushStrategy(socket, client.address, client.strategy, false, yields)
+          .catch(error => console.error(`Live strategy for ${client.address} failed:`, error.message));
+      }
+    }
+  }
+
+  /**
+   * Recompute a subscriber's strategy; pushed on subscribe and whenever it changes
+   * @param {Object} [yields] - snapshot to price against; without one the engine fetches its own
+   */
+  async pushStrategy(socket, address, subscription, force, yields) {
+    const strategy = await this.optimizationEngine.generateOptimizationStrategy(subscription.portfolio, { yields });
+    const signature = strategySignature(strategy);
+
+    if (!force && signature === subscription.signature) return;
+    subscription.signature = signature;
+
+    this.send(socket, { type: 'strategy', address, strategy, timestamp: Date.now() });
+  }
+
+  /**
+   * Forward keeper request state changes to the requesting user's subscribers
+   */
+  onRequest(request) {
+    for (const [socket, client] of this.clients) {
+      if (client.rebalances && client.address === request.user) {
+        this.send(socket, { type: 'rebalance', request });
+      }
+    }
+  }
+
+  /**
+   * Drop connections that missed the last ping or whose session ended, and tell the rest we're alive
+   */
+  heartbeat() {
+    for (const [socket, client] of this.clients) {
+      if (!this.auth.authenticate(client.token)) {
+        socket.close(SESSION_EXPIRED, 'Session expired');
+        this.clients.delete(socket);
+        continue;
+      }
+      if (!client.alive) {
+        socket.terminate();
+        this.clients.delete(socket);
+        continue;
+      }
+
+      client.alive = false;
+      socket.ping();
+      this.send(socket, { type: 'heartbeat', timestamp: Date.now() });
+    }
+  }
+
+  send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  getStatus() {
+    let yields = 0;
+    let strategies = 0;
+    let rebalances = 0;
+    for (const client of this.clients.values()) {
+      if (client.yields) yields++;
+      if (client.strategy) strategies++;
+      if (client.rebalances) rebalances++;
+    }
+
+    return {
+      path: this.wss.options.path,
+      clients: this.clients.size,
+      subscriptions: { yields, strategy: strategies, rebalances },
+      interval: this.interval,
+      heartbeatInterval: this.heartbeatInterval,
+      maxConnections: this.maxConnections
+    };
+  }
+}
+
+module.exports = {
+  LiveFeed,
+  TOPICS,
+  SESSION_EXPIRED
+};
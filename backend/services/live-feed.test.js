@@ -0,0 +1,240 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const { WebSocket } = require('ws');
+const { LiveFeed, SESSION_EXPIRED } = require('./live-feed');
+
+const ALICE = '0x1563915e194D8CfBA1943570603F7606A3115508';
+const BOB = '0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A';
+
+const YIELDS = { Aave: { apy: 3, tvl: 5e9, utilizationRate: 0.7, source: 'live' } };
+
+function strategy(toProtocol = 'Compound') {
+  return {
+    shouldRebalance: true,
+    recommendation: { toProtocol },
+    moves: [{ asset: 'USDC', fromProtocol: 'Aave', toProtocol, netProfit: 100 }]
+  };
+}
+
+/**
+ * Feed on an ephemeral port with stubbed auth, yields, engine and keeper
+ */
+async function createFeed(options = {}) {
+  const sessions = { alice: { address: ALICE }, bob: { address: BOB } };
+  const yieldAnalyzer = Object.assign(new EventEmitter(), { fetchAllYields: jest.fn().mockResolvedValue(YIELDS) });
+  const optimizationEngine = { yieldAnalyzer, generateOptimizationStrategy: jest.fn().mockResolvedValue(strategy()) };
+  const rebalanceKeeper = Object.assign(new EventEmitter(), {
+    getRequests: jest.fn(user => [{ user, requestId: '1', state: 'EXECUTED' }])
+  });
+
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, resolve));
+
+  const feed = new LiveFeed({
+    server,
+    auth: { authenticate: token => sessions[token] || null },
+    optimizationEngine,
+    rebalanceKeeper,
+    heartbeatInterval: 60000,
+    ...options
+  });
+  feed.start();
+
+  return { feed, server, sessions, yieldAnalyzer, optimizationEngine, rebalanceKeeper, url: `ws://localhost:${server.address().port}/ws` };
+}
+
+/**
+ * Open a socket and collect its messages; rejects with the HTTP status when the upgrade is refused
+ */
+function connect(url, token) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(token ? `${url}?token=${token}` : url);
+    const messages = [];
+    socket.on('message', raw => messages.push(JSON.parse(raw.toString())));
+    socket.on('unexpected-response', (req, res) => reject(Object.assign(new Error('refused'), { status: res.statusCode })));
+    socket.on('open', () => resolve({ socket, messages }));
+    socket.on('error', () => {});
+  });
+}
+
+async function until(check) {
+  for (let i = 0; i < 100; i++) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for the live feed');
+}
+
+function send(client, message) {
+  client.socket.send(JSON.stringify(message));
+}
+
+function received(client, type) {
+  return until(() => client.messages.find(message => message.type === type));
+}
+
+describe('LiveFeed', () => {
+  let context;
+  let sockets;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    context = await createFeed();
+    sockets = [];
+  });
+
+  afterEach(async () => {
+    sockets.forEach(client => client.socket.terminate());
+    context.feed.stop();
+    await new Promise(resolve => context.server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  async function open(token, feed = context) {
+    const client = await connect(feed.url, token);
+    sockets.push(client);
+    await received(client, 'welcome');
+    return client;
+  }
+
+  it('refuses connections without a valid session', async () => {
+    await expect(connect(context.url)).rejects.toMatchObject({ status: 401 });
+    await expect(connect(context.url, 'forged')).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('welcomes a signed-in client with its address', async () => {
+    const client = await open('alice');
+
+    expect(client.messages[0]).toMatchObject({ type: 'welcome', address: ALICE });
+  });
+
+  it('caps connections per address', async () => {
+    context.feed.maxConnections = 2;
+    await open('alice');
+    await open('alice');
+
+    await expect(connect(context.url, 'alice')).rejects.toMatchObject({ status: 429 });
+    await open('bob');
+  });
+
+  it('computes strategies only for the signed-in address', async () => {
+    const client = await open('alice');
+
+    send(client, { type: 'subscribe', topic: 'strategy', address: BOB, portfolio: { totalValue: 1000 } });
+    expect((await received(client, 'error')).message).toBe('Address does not match the signed-in account');
+
+    send(client, { type: 'subscribe', topic: 'strategy', portfolio: { totalValue: 1000 } });
+    expect(await received(client, 'strategy')).toMatchObject({ address: ALICE });
+    expect(context.optimizationEngine.generateOptimizationStrategy).toHaveBeenCalledTimes(1);
+    expect(context.optimizationEngine.generateOptimizationStrategy).toHaveBeenCalledWith({ totalValue: 1000, address: ALICE }, { yields: undefined });
+  });
+
+  it('validates portfolios like POST /api/optimize', async () => {
+    const client = await open('alice');
+
+    send(client, { type: 'subscribe', topic: 'strategy', portfolio: { positions: [{ asset: 'USDC' }] } });
+
+    expect((await received(client, 'error')).message).toBe('Invalid portfolio data');
+    expect(context.optimizationEngine.generateOptimizationStrategy).not.toHaveBeenCalled();
+  });
+
+  it('keeps one strategy subscription per connection', async () => {
+    let finish;
+    context.optimizationEngine.generateOptimizationStrategy
+      .mockReturnValueOnce(new Promise(resolve => { finish = () => resolve(strategy()); }));
+
+    const client = await open('alice');
+    send(client, { type: 'subscribe', topic: 'strategy', portfolio: { totalValue: 1000 } });
+    await until(() => finish);
+    send(client, { type: 'subscribe', topic: 'strategy', portfolio: { totalValue: 2000 } });
+
+    expect((await received(client, 'error')).message).toBe('Strategy subscription already in progress');
+    finish();
+    await received(client, 'strategy');
+
+    send(client, { type: 'subscribe', topic: 'strategy', portfolio: { totalValue: 3000 } });
+    await until(() => client.messages.filter(message => message.type === 'strategy').length === 2);
+    expect(context.feed.getStatus().subscriptions.strategy).toBe(1);
+  });
+
+  it('pushes recomputed strategies when yields change', async () => {
+    const client = await open('alice');
+    send(client, { type: 'subscribe', topic: 'strategy', portfolio: { totalValue: 1000 } });
+    await received(client, 'strategy');
+
+    context.optimizationEngine.generateOptimizationStrategy.mockResolvedValue(strategy('Morpho'));
+    const snapshot = { Aave: { ...YIELDS.Aave, apy: 2 } };
+    await context.feed.onYields(snapshot);
+
+    const pushed = await until(() => client.messages.filter(message => message.type === 'strategy')[1]);
+    expect(pushed.strategy.recommendation.toProtocol).toBe('Morpho');
+    // Priced against the snapshot that triggered the push, not a fresh fetch
+    expect(context.optimizationEngine.generateOptimizationStrategy).toHaveBeenLastCalledWith(
+      { totalValue: 1000, address: ALICE },
+      { yields: snapshot }
+    );
+  });
+
+  it('pushes yields only when the data or its trust changes', async () => {
+    const client = await open('alice');
+    send(client, { type: 'subscribe', topic: 'yields' });
+    await received(client, 'yields');
+    const pushes = () => client.messages.filter(message => message.type === 'yields').length;
+
+    await context.feed.onYields(YIELDS);
+    await until(() => pushes() === 2);
+
+    // A cache hit after a live refresh is the same data
+    await context.feed.onYields({ Aave: { ...YIELDS.Aave, source: 'cache' } });
+    await context.feed.onYields({ Aave: { ...YIELDS.Aave, source: 'last-known-good' } });
+
+    const pushed = await until(() => client.messages.filter(message => message.type === 'yields')[2]);
+    expect(pushed.data.Aave.source).toBe('last-known-good');
+    expect(pushes()).toBe(3);
+  });
+
+  it('streams rebalances for the signed-in address only', async () => {
+    const alice = await open('alice');
+    const bob = await open('bob');
+    send(alice, { type: 'subscribe', topic: 'rebalances' });
+    send(bob, { type: 'subscribe', topic: 'rebalances' });
+    await received(alice, 'rebalance');
+    await received(bob, 'rebalance');
+
+    expect(context.rebalanceKeeper.getRequests).toHaveBeenCalledWith(ALICE);
+    expect(context.rebalanceKeeper.getRequests).toHaveBeenCalledWith(BOB);
+
+    context.feed.onRequest({ user: ALICE, requestId: '2', state: 'REQUESTED' });
+
+    await until(() => alice.messages.some(message => message.request?.requestId === '2'));
+    expect(bob.messages.some(message => message.request?.requestId === '2')).toBe(false);
+  });
+
+  it('closes connections whose session ended', async () => {
+    const client = await open('alice');
+    const closed = new Promise(resolve => client.socket.on('close', resolve));
+
+    delete context.sessions.alice;
+    context.feed.heartbeat();
+
+    expect(await closed).toBe(SESSION_EXPIRED);
+    expect(context.feed.getStatus().clients).toBe(0);
+  });
+
+  it('refuses messages over maxPayload', async () => {
+    const small = await createFeed({ maxPayload: 1024 });
+    try {
+      const client = await open('alice', small);
+      const closed = new Promise(resolve => client.socket.on('close', resolve));
+
+      send(client, { type: 'subscribe', topic: 'strategy', portfolio: { totalValue: 1, padding: 'x'.repeat(2048) } });
+
+      expect(await closed).toBe(1009);
+      expect(small.optimizationEngine.generateOptimizationStrategy).not.toHaveBeenCalled();
+    } finally {
+      small.feed.stop();
+      await new Promise(resolve => small.server.close(resolve));
+    }
+  });
+});
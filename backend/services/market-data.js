@@ -0,0 +1,48 @@
+// DeFi Autopilot Market Data
+// Normalizes per-asset protocol markets into the shape every yield consumer reads
+
+// Asset whose market provides each protocol's headline yield
+const PRIMARY_ASSET = 'USDC';
+
+/**
+ * Build protocol yield data from per-asset market entries.
+ * Keeps the deepest market per asset; the headline apy/tvl/utilizationRate
+ * mirror the primary (USDC) market so single-asset consumers keep working.
+ */
+function buildYieldData(entries, fallback) {
+  const markets = {};
+
+  for (const entry of entries) {
+    if (!entry.asset || Number.isNaN(entry.apy)) continue;
+
+    const existing = markets[entry.asset];
+    if (!existing || (entry.tvl || 0) > (existing.tvl || 0)) {
+      markets[entry.asset] = {
+        apy: entry.apy,
+        tvl: Number.isNaN(entry.tvl) ? null : entry.tvl,
+        utilizationRate: Number.isNaN(entry.utilizationRate) ? null : entry.utilizationRate
+      };
+    }
+  }
+
+  const primary = markets[PRIMARY_ASSET] ||
+    Object.values(markets).sort((a, b) => (b.tvl || 0) - (a.tvl || 0))[0] ||
+    fallback;
+
+  if (Object.keys(markets).length === 0) {
+    markets[PRIMARY_ASSET] = { ...fallback };
+  }
+
+  return {
+    apy: primary.apy,
+    tvl: primary.tvl,
+    utilizationRate: primary.utilizationRate,
+    markets,
+    lastUpdated: Date.now()
+  };
+}
+
+module.exports = {
+  PRIMARY_ASSET,
+  buildYieldData
+};
@@ -0,0 +1,41 @@
+const { buildYieldData } = require('./market-data');
+
+const FALLBACK = { apy: 3, tvl: 1000, utilizationRate: 0.5 };
+
+describe('buildYieldData', () => {
+  it('keeps the deepest market per asset and headlines USDC', () => {
+    const data = buildYieldData([
+      { asset: 'USDC', apy: 4, tvl: 100, utilizationRate: 0.7 },
+      { asset: 'USDC', apy: 5, tvl: 300, utilizationRate: 0.8 },
+      { asset: 'WETH', apy: 2, tvl: 900, utilizationRate: NaN }
+    ], FALLBACK);
+
+    expect(data).toEqual({
+      apy: 5,
+      tvl: 300,
+      utilizationRate: 0.8,
+      markets: {
+        USDC: { apy: 5, tvl: 300, utilizationRate: 0.8 },
+        WETH: { apy: 2, tvl: 900, utilizationRate: null }
+      },
+      lastUpdated: expect.any(Number)
+    });
+  });
+
+  it('headlines the deepest market when there is no USDC market', () => {
+    const data = buildYieldData([
+      { asset: 'DAI', apy: 4, tvl: 100 },
+      { asset: 'WETH', apy: 2, tvl: NaN },
+      { asset: 'USDT', apy: 6, tvl: 500 }
+    ], FALLBACK);
+
+    expect(data).toMatchObject({ apy: 6, tvl: 500 });
+    expect(data.markets.WETH.tvl).toBeNull();
+  });
+
+  it('skips unusable entries and falls back to the default market', () => {
+    const data = buildYieldData([{ apy: 4 }, { asset: 'USDC', apy: NaN }], FALLBACK);
+
+    expect(data).toMatchObject({ ...FALLBACK, markets: { USDC: FALLBACK } });
+  });
+});
@@ -0,0 +1,213 @@
+// DeFi Autopilot Notifiers
+// Delivery channels for alert notifications: webhook, SMTP email and the in-app inbox
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address is one webhooks may not reach; IPv4-mapped IPv6 is checked as IPv4
+ */
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isBlockedAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup that fails for blocked addresses, so every connection is checked (DNS rebinding)
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isBlockedAddress);
+    if (blocked) {
+      return callback(Object.assign(new Error(`Webhook host ${hostname} resolves to a private address`), { code: 'EBLOCKED' }));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Webhook Notifier - POSTs the notification as JSON to the channel URL
+ *
+ * Hosts resolving to loopback, private or link-local addresses are refused when the channel is
+ * validated and again on every connection; redirects are not followed.
+ */
+class WebhookNotifier {
+  constructor({ timeout, lookup } = {}) {
+    this.type = 'webhook';
+    this.timeout = timeout || 10000;
+    this.lookup = lookup || dns.promises.lookup;
+    this.httpAgent = new http.Agent({ lookup: publicLookup });
+    this.httpsAgent = new https.Agent({ lookup: publicLookup });
+  }
+
+  async validate(channel) {
+    let url;
+    try {
+      url = new URL(channel.url);
+    } catch (error) {
+      throw new Error('Webhook channels need a valid url');
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error('Webhook url must use http or https');
+    }
+
+    await this.checkHost(url.hostname);
+    return { type: this.type, url: url.toString() };
+  }
+
+  /**
+   * Reject hosts that are, or resolve to, a blocked address
+   */
+  async checkHost(hostname) {
+    const host = hostname.replace(/^\[(.*)\]$/, '$1'); // IPv6 literals are bracketed in URLs
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [host] : (await this.lookup(host, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      throw new Error(`Webhook host ${host} does not resolve`);
+    }
+
+    if (addresses.length === 0 || addresses.some(isBlockedAddress)) {
+      throw new Error('Webhook url must not point at a loopback, private or link-local address');
+    }
+  }
+
+  async send(channel, notification) {
+    // The agents' lookup only runs for host names, so IP literals are checked here
+    const { hostname } = new URL(channel.url);
+    const host = hostname.replace(/^\[(.*)\]$/, '$1');
+    if (net.isIP(host) && isBlockedAddress(host)) {
+      throw new Error('Webhook url must not point at a loopback, private or link-local address');
+    }
+
+    await axios.post(channel.url, notification, {
+      timeout: this.timeout,
+      maxRedirects: 0,
+      httpAgent: this.httpAgent,
+      httpsAgent: this.httpsAgent,
+      headers: { 'User-Agent': 'DeFi-Autopilot/1.0' }
+    });
+  }
+}
+
+/**
+ * Email Notifier - Sends a plain-text email through an SMTP transport
+ */
+class EmailNotifier {
+  constructor({ host, port, secure, user, pass, from, transport }) {
+    this.type = 'email';
+    this.from = from || user;
+    this.transport = transport || nodemailer.createTransport({
+      host,
+      port: port || 587,
+      secure: Boolean(secure),
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  validate(channel) {
+    if (typeof channel.to !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(channel.to)) {
+      throw new Error('Email channels need a valid "to" address');
+    }
+    return { type: this.type, to: channel.to };
+  }
+
+  async send(channel, notification) {
+    await this.transport.sendMail({
+      from: this.from,
+      to: channel.to,
+      subject: `[DeFi Autopilot] ${notification.title}`,
+      text: `${notification.message}\n\n${JSON.stringify(notification.data, null, 2)}`
+    });
+  }
+}
+
+/**
+ * Inbox Notifier - Keeps the latest notifications per owner in memory
+ */
+class InboxNotifier {
+  constructor({ capacity } = {}) {
+    this.type = 'inbox';
+    this.capacity = capacity || 200;
+    this.inboxes = new Map(); // owner -> notifications, newest first
+  }
+
+  validate() {
+    return { type: this.type };
+  }
+
+  async send(channel, notification) {
+    const inbox = this.inboxes.get(notification.owner) || [];
+    inbox.unshift({ ...notification, read: false });
+    inbox.length = Math.min(inbox.length, this.capacity);
+    this.inboxes.set(notification.owner, inbox);
+  }
+
+  list(owner, { unreadOnly = false } = {}) {
+    const inbox = this.inboxes.get(owner) || [];
+    return unreadOnly ? inbox.filter(item => !item.read) : inbox;
+  }
+
+  unreadCount(owner) {
+    return this.list(owner, { unreadOnly: true }).length;
+  }
+
+  /**
+   * Mark one notification (or all of them when no id is given) as read
+   */
+  markRead(owner, id) {
+    let marked = 0;
+    for (const item of this.inboxes.get(owner) || []) {
+      if (!item.read && (!id || item.id === id)) {
+        item.read = true;
+        marked++;
+      }
+    }
+    return marked;
+  }
+}
+
+/**
+ * Build the available notifiers; email is only offered when SMTP is configured
+ */
+function createNotifiers({ smtp, webhookTimeout, inboxCapacity } = {}) {
+  const notifiers = {
+    webhook: new WebhookNotifier({ timeout: webhookTimeout }),
+    inbox: new InboxNotifier({ capacity: inboxCapacity })
+  };
+  if (smtp && smtp.host) {
+    notifiers.email = new EmailNotifier(smtp);
+  }
+  return notifiers;
+}
+
+module.exports = {
+  WebhookNotifier,
+  EmailNotifier,
+  InboxNotifier,
+  createNotifiers,
+  isBlockedAddress
+};
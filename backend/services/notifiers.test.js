@@ -0,0 +1,127 @@
+const axios = require('axios');
+const { WebhookNotifier, EmailNotifier, InboxNotifier, isBlockedAddress } = require('./notifiers');
+
+/**
+ * Webhook notifier whose DNS answers come from a fixed table
+ */
+function createWebhook(records = {}) {
+  return new WebhookNotifier({
+    lookup: async host => {
+      if (!records[host]) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+      return records[host].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+    }
+  });
+}
+
+describe('isBlockedAddress', () => {
+  it.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '224.0.0.1', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', 'not-an-ip'
+  ])('blocks %s', address => {
+    expect(isBlockedAddress(address)).toBe(true);
+  });
+
+  it.each(['93.184.216.34', '172.32.0.1', '8.8.8.8', '2606:4700:4700::1111'])('allows %s', address => {
+    expect(isBlockedAddress(address)).toBe(false);
+  });
+});
+
+describe('WebhookNotifier', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts public http(s) hosts', async () => {
+    const webhook = createWebhook({ 'hooks.example.com': ['93.184.216.34'] });
+
+    await expect(webhook.validate({ url: 'https://hooks.example.com/alert' }))
+      .resolves.toEqual({ type: 'webhook', url: 'https://hooks.example.com/alert' });
+  });
+
+  it.each([
+    'http://127.0.0.1:3001/api/keeper/run',
+    'http://2130706433/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]/',
+    'http://[::ffff:10.0.0.1]/'
+  ])('rejects the internal address %s', async url => {
+    await expect(createWebhook().validate({ url })).rejects.toThrow('must not point at a loopback, private or link-local address');
+  });
+
+  it('rejects names that resolve to an internal address', async () => {
+    const webhook = createWebhook({ 'internal.example.com': ['93.184.216.34', '10.0.0.5'] });
+
+    await expect(webhook.validate({ url: 'https://internal.example.com/' })).rejects.toThrow('private');
+  });
+
+  it('rejects unresolvable hosts, bad urls and other protocols', async () => {
+    const webhook = createWebhook();
+
+    await expect(webhook.validate({ url: 'https://nowhere.invalid/' })).rejects.toThrow('does not resolve');
+    await expect(webhook.validate({ url: 'not a url' })).rejects.toThrow('valid url');
+    await expect(webhook.validate({ url: 'file:///etc/passwd' })).rejects.toThrow('http or https');
+  });
+
+  it('posts through agents that re-check every resolution and does not follow redirects', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 200 });
+    const webhook = createWebhook();
+
+    await webhook.send({ url: 'https://hooks.example.com/alert' }, { title: 'APY drop' });
+
+    expect(post).toHaveBeenCalledWith('https://hooks.example.com/alert', { title: 'APY drop' }, expect.objectContaining({
+      maxRedirects: 0,
+      httpAgent: webhook.httpAgent,
+      httpsAgent: webhook.httpsAgent
+    }));
+  });
+
+  it('refuses to connect when a host resolves to an internal address at send time', async () => {
+    await expect(createWebhook().send({ url: 'http://localhost:9/hook' }, {})).rejects.toThrow('resolves to a private address');
+  });
+
+  it('refuses internal IP literals at send time', async () => {
+    const post = jest.spyOn(axios, 'post');
+
+    await expect(createWebhook().send({ url: 'http://10.0.0.1/hook' }, {})).rejects.toThrow('must not point');
+    expect(post).not.toHaveBeenCalled();
+  });
+});
+
+describe('EmailNotifier', () => {
+  it('validates the recipient and sends through the transport', async () => {
+    const transport = { sendMail: jest.fn().mockResolvedValue({}) };
+    const email = new EmailNotifier({ from: 'alerts@example.com', transport });
+
+    expect(() => email.validate({ to: 'nope' })).toThrow('valid "to" address');
+    await email.send(email.validate({ to: 'me@example.com' }), { title: 'APY drop', message: 'Aave fell', data: {} });
+
+    expect(transport.sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      from: 'alerts@example.com',
+      to: 'me@example.com',
+      subject: '[DeFi Autopilot] APY drop'
+    }));
+  });
+});
+
+describe('InboxNotifier', () => {
+  it('keeps the newest notifications per owner up to capacity', async () => {
+    const inbox = new InboxNotifier({ capacity: 2 });
+    for (const id of ['1', '2', '3']) {
+      await inbox.send({}, { id, owner: 'alice' });
+    }
+
+    expect(inbox.list('alice').map(item => item.id)).toEqual(['3', '2']);
+    expect(inbox.list('bob')).toEqual([]);
+  });
+
+  it('marks one or all notifications as read', async () => {
+    const inbox = new InboxNotifier();
+    await inbox.send({}, { id: '1', owner: 'alice' });
+    await inbox.send({}, { id: '2', owner: 'alice' });
+
+    expect(inbox.markRead('alice', '1')).toBe(1);
+    expect(inbox.unreadCount('alice')).toBe(1);
+    expect(inbox.markRead('alice')).toBe(1);
+    expect(inbox.list('alice', { unreadOnly: true })).toEqual([]);
+  });
+});
@@ -0,0 +1,13 @@
+// DeFi Autopilot Numbers
+// Numeric helpers shared by the services
+
+/**
+ * Round to a fixed number of decimals for API output (USD, percentages, weights)
+ */
+function round(value, decimals = 4) {
+  return Math.round(value * 10 ** decimals) / 10 ** decimals;
+}
+
+module.exports = {
+  round
+};
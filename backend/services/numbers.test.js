@@ -0,0 +1,10 @@
+const { round } = require('./numbers');
+
+describe('round', () => {
+  it('rounds to four decimals unless told otherwise', () => {
+    expect(round(1.23456)).toBe(1.2346);
+    expect(round(1000 * 0.02 / 3, 2)).toBe(6.67);
+    expect(round(0.1 + 0.2, 6)).toBe(0.3);
+    expect(round(-2.5, 0)).toBe(-2);
+  });
+});
@@ -0,0 +1,338 @@
+// DeFi Autopilot Optimization Engine
+// Turns yields, routing costs and price impact into rebalancing strategies
+
+const { YieldAnalyzer, PRIMARY_ASSET } = require('./yield-analyzer');
+const { RouteOptimizer } = require('./route-optimizer');
+const { SlippageModel } = require('./slippage');
+const { CostModel } = require('./pricing');
+
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+
+/**
+ * Main AI Optimization Engine
+ */
+class OptimizationEngine {
+  constructor({ historyStore, costModel, yieldAnalyzer, registry, profitMargin, strict = false } = {}) {
+    // Any object with fetchAllYields() can stand in for the analyzer (e.g. backtest replays)
+    this.yieldAnalyzer = yieldAnalyzer || new YieldAnalyzer({ historyStore, registry });
+    // Strict: never move funds on mock or stale yields
+    this.strict = strict;
+    this.costModel = costModel || new CostModel();
+    this.routeOptimizer = new RouteOptimizer({ costModel: this.costModel, profitMargin });
+    this.slippageModel = new SlippageModel({ registry: this.yieldAnalyzer.registry || registry });
+    // riskBudget: max portfolio APY volatility (pp) for the allocator, 0.25pp per point of maxRisk
+    this.riskProfiles = {
+      1: { maxRisk: 3, minYieldDiff: 50, maxCompositeRisk: 35, riskBudget: 0.75, riskAversion: 4, maxWeight: 0.4 }, // Conservative: 0.5% min diff
+      2: { maxRisk: 5, minYieldDiff: 30, maxCompositeRisk: 55, riskBudget: 1.25, riskAversion: 2, maxWeight: 0.5 }, // Balanced: 0.3% min diff
+      3: { maxRisk: 8, minYieldDiff: 10, maxCompositeRisk: 75, riskBudget: 2.0, riskAversion: 1, maxWeight: 0.7 }   // Aggressive: 0.1% min diff
+    };
+  }
+
+  /**
+   * Normalize a portfolio into positions ({ asset, protocol, amount, currentYield }).
+   * Legacy single-protocol portfolios (totalValue in USD) become one USDC position; a native
+   * balance (e.g. from PortfolioManager) is a position in the native token of portfolio.chain (default Flare).
+   * A missing currentYield falls back to the market's APY, then 0.
+   */
+  normalizePositions(portfolio, yields) {
+    const chain = portfolio.chain || 'Flare';
+    const native = portfolio.totalValue === undefined && portfolio.balance !== undefined;
+
+    const positions = Array.isArray(portfolio.positions) && portfolio.positions.length > 0
+      ? portfolio.positions
+      : [{
+        asset: portfolio.asset || (native ? this.costModel.nativeToken(chain) : PRIMARY_ASSET),
+        protocol: portfolio.protocol || portfolio.currentProtocol || 'Aave',
+        amount: native ? this.costModel.nativeToUsd(chain, portfolio.balance) : portfolio.totalValue,
+        currentYield: portfolio.currentYield
+      }];
+
+    return positions.map(position => {
+      const market = yields[position.protocol]?.markets?.[position.asset];
+
+      return {
+        asset: position.asset,
+        protocol: position.protocol,
+        amount: Number(position.amount),
+        currentYield: position.currentYield ?? market?.apy ?? 0
+      };
+    });
+  }
+
+  /**
+   * Sources whose data should not drive a move: mock data or data older than the analyzer's staleAfter
+   */
+  reviewData(yields, strict = this.strict) {
+    const untrusted = Object.entries(yields)
+      .filter(([, data]) => data.mock || data.stale)
+      .map(([protocol, data]) => ({
+        protocol,
+        source: data.source || (data.mock ? 'mock' : 'live'),
+        age: data.age ?? null,
+        reason: data.mock ? 'mock data' : 'stale data'
+      }));
+
+    return { strict, untrusted, held: [] };
+  }
+
+  /**
+   * Yields without the untrusted sources (strict mode)
+   */
+  trustedYields(yields, dataQuality) {
+    const untrusted = new Set(dataQuality.untrusted.map(source => source.protocol));
+    return Object.fromEntries(Object.entries(yields).filter(([protocol]) => !untrusted.has(protocol)));
+  }
+
+  /**
+   * Generate optimization strategy for a portfolio
+   * @param {Object} options - { yields } to price against an existing snapshot instead of fetching,
+   * { strict } to override the engine's strict mode
+   */
+  async generateOptimizationStrategy(portfolio, options = {}) {
+    const [yields] = await Promise.all([
+      options.yields || this.yieldAnalyzer.fetchAllYields(),
+      this.costModel.refresh()
+    ]);
+    const riskProfile = portfolio.riskProfile || 2;
+    const positions = this.normalizePositions(portfolio, yields);
+    const totalValue = positions.reduce((sum, position) => sum + position.amount, 0);
+
+    const strategy = {
+      shouldRebalance: false,
+      recommendation: null,
+      alternatives: [],
+      moves: [],
+      currentAllocation: this.summarizeAllocation(positions, totalValue),
+      targetAllocation: [],
+      summary: null,
+      riskAssessment: 'LOW',
+      costAssumptions: this.costModel.assumptions(),
+      dataQuality: this.reviewData(yields, options.strict ?? this.strict),
+      executionTime: Date.now()
+    };
+
+    // Strict mode: positions on untrusted sources stay put, untrusted sources are not targets
+    const { dataQuality } = strategy;
+    const targetYields = dataQuality.strict ? this.trustedYields(yields, dataQuality) : yields;
+
+    // Find best opportunities within risk tolerance, per position
+    const profile = this.riskProfiles[riskProfile];
+    const targetPositions = [];
+    const candidates = [];
+
+    for (const position of positions) {
+      if (dataQuality.strict && !targetYields[position.protocol]) {
+        dataQuality.held.push({ asset: position.asset, protocol: position.protocol });
+        targetPositions.push(position);
+        continue;
+      }
+
+      const opportunities = this.identifyOpportunities(targetYields, position.currentYield, profile, position.asset)
+        .filter(opp => opp.protocol !== position.protocol);
+      // Take the best-ranked opportunity that stays profitable once its price impact is priced in
+      let move = null;
+      for (const opportunity of opportunities) {
+        move = this.evaluateMove(position, opportunity, yields);
+        if (move) break;
+      }
+
+      if (move) {
+        strategy.moves.push(move);
+        candidates.push({ move, opportunities });
+        targetPositions.push({ ...position, protocol: move.toProtocol, currentYield: move.newYield });
+      } else {
+        targetPositions.push(position);
+      }
+    }
+
+    strategy.targetAllocation = this.summarizeAllocation(targetPositions, totalValue);
+    strategy.summary = this.summarizeMoves(positions, targetPositions, strategy.moves, totalValue);
+
+    if (strategy.moves.length === 0) {
+      return strategy;
+    }
+
+    // Headline recommendation: the most profitable single move
+    const best = candidates.sort((a, b) => b.move.netProfit - a.move.netProfit)[0];
+    strategy.shouldRebalance = true;
+    strategy.recommendation = best.move;
+    strategy.riskAssessment = strategy.moves
+      .map(move => this.assessRisk(move.riskScore, move.yieldIncrease))
+      .sort((a, b) => RISK_LEVELS.indexOf(b) - RISK_LEVELS.indexOf(a))[0];
+
+    // Add alternative options
+    strategy.alternatives = best.opportunities.slice(1, 3).map(opp => ({
+      protocol: opp.protocol,
+      asset: opp.asset,
+      apy: opp.apy,
+      riskScore: opp.riskScore,
+      yieldIncrease: opp.apy - best.move.currentYield
+    }));
+
+    return strategy;
+  }
+
+  /**
+   * Price a move from a position to an opportunity; null when there is no route or the move is not
+   * profitable after routing costs and price impact
+   */
+  evaluateMove(position, opportunity, yields) {
+    const route = this.routeOptimizer.calculateOptimalRoute(
+      'Flare',
+      'Flare', // Same chain for demo
+      position.amount,
+      'normal',
+      'rebalance'
+    );
+    const priceImpact = this.slippageModel.estimateMove(
+      position.amount,
+      { protocol: position.protocol, market: yields[position.protocol]?.markets?.[position.asset] },
+      { protocol: opportunity.protocol, market: yields[opportunity.protocol]?.markets?.[opportunity.asset] }
+    );
+
+    if (!route || !priceImpact.feasible) {
+      return null;
+    }
+
+    const executionCost = route.cost + priceImpact.cost; // USD
+
+    if (!this.routeOptimizer.shouldRebalance(position.currentYield, opportunity.apy, position.amount, executionCost)) {
+      return null;
+    }
+
+    const yieldIncrease = opportunity.apy - position.currentYield;
+    const annualProfit = (yieldIncrease / 100) * position.amount;
+
+    return {
+      asset: position.asset,
+      amount: position.amount,
+      fromProtocol: position.protocol,
+      toProtocol: opportunity.protocol,
+      currentYield: position.currentYield,
+      newYield: opportunity.apy,
+      yieldIncrease: yieldIncrease,
+      riskScore: opportunity.riskScore,
+      annualProfit: Math.round(annualProfit),
+      executionCost: Math.round(executionCost),
+      routeCost: route.cost,
+      priceImpact,
+      netProfit: Math.round(annualProfit - executionCost),
+      paybackPeriod: Math.round((executionCost / annualProfit) * 365),
+      route: {
+        path: route.path,
+        totalCost: route.cost,
+        slippage: route.slippage,
+        estimatedTime: Math.round(route.time)
+      }
+    };
+  }
+
+  /**
+   * Aggregate positions by asset and protocol with portfolio weights
+   */
+  summarizeAllocation(positions, totalValue) {
+    const allocation = new Map();
+
+    for (const position of positions) {
+      const key = `${position.asset}:${position.protocol}`;
+      const entry = allocation.get(key) || { asset: position.asset, protocol: position.protocol, amount: 0, apy: 0 };
+      // Amount-weighted APY when several positions share a market
+      entry.apy = (entry.apy * entry.amount + position.currentYield * position.amount) / (entry.amount + position.amount);
+      entry.amount += position.amount;
+      allocation.set(key, entry);
+    }
+
+    return Array.from(allocation.values()).map(entry => ({
+      ...entry,
+      weight: totalValue > 0 ? entry.amount / totalValue : 0
+    }));
+  }
+
+  /**
+   * Blended yields and totals before and after the proposed moves
+   */
+  summarizeMoves(positions, targetPositions, moves, totalValue) {
+    const blended = list => totalValue > 0
+      ? list.reduce((sum, position) => sum + position.currentYield * position.amount, 0) / totalValue
+      : 0;
+    const annualProfit = moves.reduce((sum, move) => sum + move.annualProfit, 0);
+    const executionCost = moves.reduce((sum, move) => sum + move.executionCost, 0);
+
+    return {
+      totalValue,
+      positions: positions.length,
+      currentBlendedYield: blended(positions),
+      targetBlendedYield: blended(targetPositions),
+      annualProfit,
+      executionCost,
+      netProfit: annualProfit - executionCost
+    };
+  }
+
+  /**
+   * Identify yield opportunities within risk tolerance for one asset
+   */
+  identifyOpportunities(yields, currentYield, profile, asset = PRIMARY_ASSET) {
+    const opportunities = [];
+
+    for (const [protocol, data] of Object.entries(yields)) {
+      const market = data.markets?.[asset];
+
+      if (
+        market &&
+        data.riskScore <= profile.maxRisk &&
+        market.apy > currentYield &&
+        (market.apy - currentYield) * 100 >= profile.minYieldDiff && // Convert to basis points
+        market.tvl >= 100000000 // Minimum $100M TVL
+      ) {
+        opportunities.push({
+          protocol,
+          asset,
+          apy: market.apy,
+          riskScore: data.riskScore,
+          tvl: market.tvl,
+          yieldIncrease: market.apy - currentYield
+        });
+      }
+    }
+
+    // Sort by risk-adjusted yield (higher yield / lower risk = better)
+    return opportunities.sort((a, b) => {
+      const scoreA = a.yieldIncrease / (a.riskScore + 1);
+      const scoreB = b.yieldIncrease / (b.riskScore + 1);
+      return scoreB - scoreA;
+    });
+  }
+
+  /**
+   * Assess risk level of the optimization
+   */
+  assessRisk(riskScore, yieldIncrease) {
+    if (riskScore <= 2 && yieldIncrease <= 2) return 'LOW';
+    if (riskScore <= 4 && yieldIncrease <= 5) return 'MEDIUM';
+    return 'HIGH';
+  }
+}
+
+/**
+ * Whether a strategy request has something to optimize: a USD totalValue, a native balance or
+ * valid positions (a positions field, when present, must be valid)
+ */
+function isValidPortfolio(portfolio) {
+  if (!portfolio || typeof portfolio !== 'object') return false;
+
+  const { positions } = portfolio;
+  const validPositions = Array.isArray(positions) && positions.length > 0 && positions.every(position =>
+    position && typeof position.asset === 'string' && typeof position.protocol === 'string' &&
+    Number(position.amount) > 0
+  );
+  if (positions !== undefined && !validPositions) return false;
+
+  return Boolean(portfolio.totalValue || portfolio.balance || validPositions);
+}
+
+module.exports = {
+  OptimizationEngine,
+  RISK_LEVELS,
+  isValidPortfolio
+};
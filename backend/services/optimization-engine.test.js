@@ -0,0 +1,148 @@
+const { OptimizationEngine } = require('./optimization-engine');
+const { CostModel, FixturePriceSource } = require('./pricing');
+
+const PRICES = { FLR: 0.02, ETH: 2500, WETH: 2500, USDC: 1 };
+
+function snapshot() {
+  return {
+    Aave: {
+      riskScore: 2,
+      markets: {
+        USDC: { apy: 3, tvl: 5e9, utilizationRate: 0.7 },
+        WETH: { apy: 2, tvl: 4e9, utilizationRate: 0.5 }
+      }
+    },
+    Compound: {
+      riskScore: 2,
+      markets: {
+        USDC: { apy: 6, tvl: 3e9, utilizationRate: 0.6 },
+        WETH: { apy: 4, tvl: 2e9, utilizationRate: 0.5 }
+      }
+    },
+    'FTSO Delegation': { riskScore: 2, markets: { FLR: { apy: 4.5, tvl: 4e8, utilizationRate: null } } }
+  };
+}
+
+function createEngine(yields = snapshot(), options = {}) {
+  const prices = new FixturePriceSource({ prices: PRICES });
+  return new OptimizationEngine({
+    yieldAnalyzer: { fetchAllYields: async () => yields },
+    costModel: new CostModel({ priceSource: prices, fallbackSource: prices }),
+    ...options
+  });
+}
+
+describe('OptimizationEngine', () => {
+  describe('normalizePositions', () => {
+    it('treats a legacy totalValue portfolio as one USDC position', () => {
+      const [position] = createEngine().normalizePositions({ totalValue: 10000, protocol: 'Aave', currentYield: 3.5 }, snapshot());
+
+      expect(position).toEqual({ asset: 'USDC', protocol: 'Aave', amount: 10000, currentYield: 3.5 });
+    });
+
+    it('holds a native balance in the chain\'s native token, priced in USD', () => {
+      const engine = createEngine();
+
+      expect(engine.normalizePositions({ balance: 50000, protocol: 'Aave', currentYield: 3.2 }, snapshot())[0])
+        .toEqual({ asset: 'FLR', protocol: 'Aave', amount: 1000, currentYield: 3.2 });
+      expect(engine.normalizePositions({ balance: 2, chain: 'Ethereum', protocol: 'Aave' }, snapshot())[0])
+        .toMatchObject({ asset: 'ETH', amount: 5000 });
+    });
+
+    it('keeps a reported 0% yield instead of inventing one', () => {
+      const [position] = createEngine().normalizePositions({ balance: 1000, protocol: 'Aave', currentYield: 0 }, snapshot());
+
+      expect(position.currentYield).toBe(0);
+    });
+
+    it('falls back to the market APY, then 0, when no yield is reported', () => {
+      const engine = createEngine();
+
+      expect(engine.normalizePositions({ totalValue: 1000, protocol: 'Aave' }, snapshot())[0].currentYield).toBe(3);
+      expect(engine.normalizePositions({ balance: 1000, protocol: 'Aave' }, snapshot())[0].currentYield).toBe(0);
+    });
+
+    it('passes explicit positions through', () => {
+      const positions = createEngine().normalizePositions({
+        positions: [
+          { asset: 'USDC', protocol: 'Aave', amount: '6000' },
+          { asset: 'WETH', protocol: 'Compound', amount: 4000, currentYield: 2.3 }
+        ]
+      }, snapshot());
+
+      expect(positions).toEqual([
+        { asset: 'USDC', protocol: 'Aave', amount: 6000, currentYield: 3 },
+        { asset: 'WETH', protocol: 'Compound', amount: 4000, currentYield: 2.3 }
+      ]);
+    });
+  });
+
+  describe('generateOptimizationStrategy', () => {
+    it('recommends the most profitable move within the risk profile', async () => {
+      const strategy = await createEngine().generateOptimizationStrategy({ totalValue: 100000, protocol: 'Aave', currentYield: 3 });
+
+      expect(strategy.shouldRebalance).toBe(true);
+      expect(strategy.recommendation).toMatchObject({
+        asset: 'USDC',
+        fromProtocol: 'Aave',
+        toProtocol: 'Compound',
+        currentYield: 3,
+        newYield: 6,
+        annualProfit: 3000
+      });
+      expect(strategy.recommendation.netProfit).toBe(Math.round(3000 - strategy.recommendation.executionCost));
+      expect(strategy.targetAllocation).toEqual([expect.objectContaining({ asset: 'USDC', protocol: 'Compound', weight: 1 })]);
+    });
+
+    it('moves a native FLR portfolio only between FLR markets', async () => {
+      const strategy = await createEngine().generateOptimizationStrategy({ balance: 5000000, protocol: 'Aave', currentYield: 3.2 });
+
+      expect(strategy.recommendation).toMatchObject({ asset: 'FLR', toProtocol: 'FTSO Delegation', amount: 100000 });
+      expect(strategy.moves.every(move => move.asset === 'FLR')).toBe(true);
+    });
+
+    it('prices each position separately', async () => {
+      const strategy = await createEngine().generateOptimizationStrategy({
+        positions: [
+          { asset: 'USDC', protocol: 'Aave', amount: 60000 },
+          { asset: 'WETH', protocol: 'Aave', amount: 40000 }
+        ]
+      });
+
+      expect(strategy.moves.map(move => `${move.asset}:${move.toProtocol}`)).toEqual(['USDC:Compound', 'WETH:Compound']);
+      expect(strategy.summary).toMatchObject({ totalValue: 100000, positions: 2, currentBlendedYield: 2.6, targetBlendedYield: 5.2 });
+    });
+
+    it('skips opportunities without a route instead of failing', async () => {
+      const engine = createEngine();
+      jest.spyOn(engine.routeOptimizer, 'calculateOptimalRoute').mockReturnValue(null);
+
+      const strategy = await engine.generateOptimizationStrategy({ totalValue: 100000, protocol: 'Aave', currentYield: 3 });
+
+      expect(strategy.shouldRebalance).toBe(false);
+      expect(strategy.moves).toEqual([]);
+    });
+
+    it('stays put when the gain does not cover execution costs', async () => {
+      const engine = createEngine();
+      engine.costModel.setChainCost('Flare', { gasPrice: 100000 }); // 40 FLR ($0.80) per rebalance
+
+      const strategy = await engine.generateOptimizationStrategy({ totalValue: 10, protocol: 'Aave', currentYield: 3 });
+
+      expect(strategy.shouldRebalance).toBe(false);
+    });
+
+    it('holds positions on untrusted sources in strict mode', async () => {
+      const yields = snapshot();
+      yields.Compound.mock = true;
+
+      const strategy = await createEngine(yields).generateOptimizationStrategy(
+        { totalValue: 100000, protocol: 'Aave', currentYield: 3 },
+        { strict: true }
+      );
+
+      expect(strategy.shouldRebalance).toBe(false);
+      expect(strategy.dataQuality.untrusted).toEqual([{ protocol: 'Compound', source: 'mock', age: null, reason: 'mock data' }]);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+// DeFi Autopilot Oracle Publisher
+// Pushes YieldAnalyzer results into the on-chain YieldOracle
+
+const { ethers } = require('ethers');
+const { decodeRevertReason } = require('../contracts/errors');
+const { TransactionQueue } = require('../contracts/tx-queue');
+
+// Mirrors YieldOracle.updateYield sanity checks
+const MAX_APY_BPS = 50000; // 500%
+const MIN_RISK_SCORE = 1;
+const MAX_RISK_SCORE = 10;
+
+/**
+ * Convert analyzer output (percent APY, USD TVL) to YieldOracle units
+ */
+function toOracleValues(yieldData) {
+  return {
+    apy: Math.round(yieldData.apy * 100), // percent -> basis points
+    tvl: ethers.utils.parseEther(BigInt(Math.round(yieldData.tvl)).toString()), // USD scaled by 1e18
+    riskScore: Math.round(yieldData.riskScore)
+  };
+}
+
+/**
+ * Relative change between two values in basis points
+ */
+function deviationBps(previous, next) {
+  if (previous.isZero()) return Infinity;
+  return next.sub(previous).abs().mul(10000).div(previous).toNumber();
+}
+
+/**
+ * Oracle Publisher - Publishes yield changes on deviation or heartbeat
+ */
+class OraclePublisher {
+  constructor({ yieldAnalyzer, yieldOracle, txQueue, interval, deviationThreshold, heartbeat, publishMock }) {
+    this.yieldAnalyzer = yieldAnalyzer;
+    this.yieldOracle = yieldOracle;
+    this.txQueue = txQueue || new TransactionQueue();
+    this.interval = interval || 60 * 1000; // 1 minute
+    this.deviationThreshold = deviationThreshold || 100; // 1% relative change, in basis points
+    this.heartbeat = heartbeat || null; // seconds; defaults to just under MAX_STALENESS
+    this.publishMock = Boolean(publishMock);
+
+    this.lastPush = new Map(); // protocol -> last successful push
+    this.lastCheck = new Map(); // protocol -> outcome of the last evaluation
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+    this.limits = null;
+  }
+
+  /**
+   * Read contract limits once (MAX_STALENESS, MIN_TVL_THRESHOLD, supported protocols)
+   */
+  async loadLimits() {
+    if (this.limits) return this.limits;
+
+    const [maxStaleness, minTvl, protocols] = await Promise.all([
+      this.yieldOracle.MAX_STALENESS(),
+      this.yieldOracle.MIN_TVL_THRESHOLD(),
+      this.yieldOracle.getSupportedProtocols()
+    ]);
+
+    const staleness = maxStaleness.toNumber();
+    this.limits = {
+      maxStaleness: staleness,
+      // Leave 10% headroom so data is refreshed before the oracle treats it as stale
+      heartbeat: this.heartbeat || Math.floor(staleness * 0.9),
+      minTvl,
+      protocols: new Set(protocols)
+    };
+
+    return this.limits;
+  }
+
+  /**
+   * Start the periodic publish loop
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.publish().catch(error => console.error('Oracle publish failed:', error.message));
+    }, this.interval);
+
+    console.log(`📡 Oracle publisher started (every ${Math.round(this.interval / 1000)}s)`);
+  }
+
+  /**
+   * Stop the publish loop
+   */
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Fetch yields and push every protocol that deviated or hit its heartbeat
+   */
+  async publish() {
+    if (this.running) {
+      return { skipped: true, reason: 'Previous publish still running' };
+    }
+
+    this.running = true;
+    const results = {};
+
+    try {
+      const limits = await this.loadLimits();
+      const yields = await this.yieldAnalyzer.fetchAllYields();
+      const block = await this.yieldOracle.provider.getBlock('latest');
+
+      for (const [protocol, yieldData] of Object.entries(yields)) {
+        try {
+          results[protocol] = await this.publishProtocol(protocol, yieldData, limits, block.timestamp);
+        } catch (error) {
+          results[protocol] = { action: 'error', reason: decodeRevertReason(error) };
+        }
+        this.lastCheck.set(protocol, { ...results[protocol], timestamp: Date.now() });
+      }
+    } finally {
+      this.running = false;
+      this.lastRun = Date.now();
+    }
+
+    return results;
+  }
+
+  /**
+   * Validate, compare against on-chain state and push a single protocol
+   */
+  async publishProtocol(protocol, yieldData, limits, now) {
+    if (!limits.protocols.has(protocol)) {
+      return { action: 'skipped', reason: 'Protocol not registered in YieldOracle' };
+    }
+    if (yieldData.mock && !this.publishMock) {
+      return { action: 'skipped', reason: 'Mock data' };
+    }
+    // Republishing a failed source's last known values would refresh their on-chain timestamp
+    if (yieldData.source === 'last-known-good') {
+      return { action: 'skipped', reason: 'Source unavailable, last known good data' };
+    }
+
+    const values = toOracleValues(yieldData);
+
+    if (values.apy > MAX_APY_BPS) {
+      return { action: 'skipped', reason: `APY ${values.apy} bps exceeds ${MAX_APY_BPS} bps` };
+    }
+    if (values.tvl.lt(limits.minTvl)) {
+      return { action: 'skipped', reason: 'TVL below MIN_TVL_THRESHOLD' };
+    }
+    if (values.riskScore < MIN_RISK_SCORE || values.riskScore > MAX_RISK_SCORE) {
+      return { action: 'skipped', reason: `Risk score ${values.riskScore} out of range` };
+    }
+
+    const current = await this.yieldOracle.getProtocolYield(protocol);
+
+    if (!current.active) {
+      return { action: 'skipped', reason: 'Protocol inactive' };
+    }
+
+    const age = now - current.timestamp.toNumber();
+    const apyDeviation = deviationBps(current.apy, ethers.BigNumber.from(values.apy));
+    const tvlDeviation = deviationBps(current.tvl, values.tvl);
+
+    let trigger = null;
+    if (current.apy.isZero()) {
+      trigger = 'initial';
+    } else if (Math.max(apyDeviation, tvlDeviation) >= this.deviationThreshold) {
+      trigger = 'deviation';
+    } else if (age >= limits.heartbeat) {
+      trigger = 'heartbeat';
+    } else if (values.riskScore !== current.riskScore) {
+      trigger = 'risk-score';
+    }
+
+    if (!trigger) {
+      return { action: 'skipped', reason: 'Within deviation and heartbeat', apyDeviation, tvlDeviation, age };
+    }
+
+    const tx = await this.txQueue.submit(() => this.yieldOracle.updateYield(
+      protocol,
+      values.apy,
+      values.tvl,
+      values.riskScore
+    ));
+    const receipt = await tx.wait();
+
+    const push = {
+      protocol,
+      trigger,
+      apy: values.apy,
+      tvl: ethers.utils.formatEther(values.tvl),
+      riskScore: values.riskScore,
+      previousApy: current.apy.toNumber(),
+      txHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      pushedAt: new Date().toISOString()
+    };
+    this.lastPush.set(protocol, push);
+
+    return { action: 'published', trigger, txHash: tx.hash };
+  }
+
+  /**
+   * Summarize publisher state for the status endpoint
+   */
+  getStatus() {
+    const protocols = {};
+    for (const protocol of new Set([...this.lastPush.keys(), ...this.lastCheck.keys()])) {
+      protocols[protocol] = {
+        lastPush: this.lastPush.get(protocol) || null,
+        lastCheck: this.lastCheck.get(protocol) || null
+      };
+    }
+
+    return {
+      running: Boolean(this.timer),
+      interval: this.interval,
+      deviationThreshold: this.deviationThreshold,
+      heartbeat: this.limits ? this.limits.heartbeat : this.heartbeat,
+      maxStaleness: this.limits ? this.limits.maxStaleness : null,
+      publishMock: this.publishMock,
+      lastRun: this.lastRun ? new Date(this.lastRun).toISOString() : null,
+      protocols
+    };
+  }
+}
+
+module.exports = {
+  OraclePublisher,
+  toOracleValues
+};
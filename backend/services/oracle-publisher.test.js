@@ -0,0 +1,156 @@
+const { ethers } = require('ethers');
+const { OraclePublisher, toOracleValues } = require('./oracle-publisher');
+
+const NOW = 1700000000;
+const bn = ethers.BigNumber.from;
+const wei = ethers.utils.parseEther;
+
+function yieldData(overrides = {}) {
+  return { apy: 4.5, tvl: 5000000, riskScore: 2, source: 'live', ...overrides };
+}
+
+/**
+ * Publisher wired to a stubbed YieldOracle holding `onChain` per protocol
+ */
+function createPublisher({ yields = { Aave: yieldData() }, onChain = {}, ...options } = {}) {
+  const yieldOracle = {
+    provider: { getBlock: jest.fn().mockResolvedValue({ timestamp: NOW }) },
+    MAX_STALENESS: jest.fn().mockResolvedValue(bn(3600)),
+    MIN_TVL_THRESHOLD: jest.fn().mockResolvedValue(wei('1000000')),
+    getSupportedProtocols: jest.fn().mockResolvedValue(['Aave', 'Compound']),
+    getProtocolYield: jest.fn(async protocol => ({
+      apy: bn(0),
+      tvl: bn(0),
+      riskScore: 2,
+      timestamp: bn(0),
+      active: true,
+      ...onChain[protocol]
+    })),
+    updateYield: jest.fn().mockResolvedValue({
+      hash: '0xpush',
+      wait: jest.fn().mockResolvedValue({ blockNumber: 42 })
+    })
+  };
+
+  const yieldAnalyzer = { fetchAllYields: jest.fn().mockResolvedValue(yields) };
+  const publisher = new OraclePublisher({ yieldAnalyzer, yieldOracle, ...options });
+
+  return { publisher, yieldOracle, yieldAnalyzer };
+}
+
+// On-chain state matching yieldData() as of `age` seconds ago
+function published(age = 60, overrides = {}) {
+  return { apy: bn(450), tvl: wei('5000000'), riskScore: 2, timestamp: bn(NOW - age), ...overrides };
+}
+
+describe('OraclePublisher', () => {
+  it('converts percent APY and USD TVL to oracle units', () => {
+    const values = toOracleValues({ apy: 4.567, tvl: 1234567.8, riskScore: 2.4 });
+
+    expect(values.apy).toBe(457);
+    expect(values.tvl.toString()).toBe(wei('1234568').toString());
+    expect(values.riskScore).toBe(2);
+  });
+
+  it('publishes a protocol the oracle has no yield for yet', async () => {
+    const { publisher, yieldOracle } = createPublisher();
+
+    const results = await publisher.publish();
+
+    expect(results.Aave).toEqual({ action: 'published', trigger: 'initial', txHash: '0xpush' });
+    const [protocol, apy, tvl, riskScore] = yieldOracle.updateYield.mock.calls[0];
+    expect([protocol, apy, tvl.toString(), riskScore]).toEqual(['Aave', 450, wei('5000000').toString(), 2]);
+    expect(publisher.getStatus().protocols.Aave.lastPush).toMatchObject({ trigger: 'initial', blockNumber: 42 });
+  });
+
+  it('publishes on deviation, heartbeat or a risk score change and holds otherwise', async () => {
+    const cases = [
+      [published(60, { apy: bn(440) }), 'deviation'],
+      [published(3300), 'heartbeat'], // heartbeat defaults to 90% of MAX_STALENESS
+      [published(60, { riskScore: 3 }), 'risk-score']
+    ];
+    for (const [onChain, trigger] of cases) {
+      const { publisher } = createPublisher({ onChain: { Aave: onChain } });
+      expect((await publisher.publish()).Aave).toMatchObject({ action: 'published', trigger });
+    }
+
+    const { publisher, yieldOracle } = createPublisher({ onChain: { Aave: published(60, { apy: bn(447) }) } });
+    expect((await publisher.publish()).Aave).toMatchObject({
+      action: 'skipped',
+      reason: 'Within deviation and heartbeat',
+      apyDeviation: 67,
+      age: 60
+    });
+    expect(yieldOracle.updateYield).not.toHaveBeenCalled();
+  });
+
+  it('never publishes data the oracle would reject or should not trust', async () => {
+    const { publisher, yieldOracle } = createPublisher({
+      yields: {
+        Lido: yieldData(),
+        Compound: yieldData({ mock: true, source: 'mock' }),
+        Aave: yieldData({ source: 'last-known-good' })
+      }
+    });
+    const outcomes = async (yields, onChain = {}) => {
+      const { publisher: next, yieldOracle: oracle } = createPublisher({ yields, onChain });
+      const results = await next.publish();
+      expect(oracle.updateYield).not.toHaveBeenCalled();
+      return results;
+    };
+
+    expect(await publisher.publish()).toEqual({
+      Lido: { action: 'skipped', reason: 'Protocol not registered in YieldOracle' },
+      Compound: { action: 'skipped', reason: 'Mock data' },
+      Aave: { action: 'skipped', reason: 'Source unavailable, last known good data' }
+    });
+    expect((await outcomes({ Aave: yieldData({ apy: 600 }) })).Aave.reason).toBe('APY 60000 bps exceeds 50000 bps');
+    expect((await outcomes({ Aave: yieldData({ tvl: 999999 }) })).Aave.reason).toBe('TVL below MIN_TVL_THRESHOLD');
+    expect((await outcomes({ Aave: yieldData({ riskScore: 11 }) })).Aave.reason).toBe('Risk score 11 out of range');
+    expect((await outcomes({ Aave: yieldData() }, { Aave: { active: false } })).Aave.reason).toBe('Protocol inactive');
+    expect(yieldOracle.updateYield).not.toHaveBeenCalled();
+  });
+
+  it('publishes mock data only when asked to', async () => {
+    const { publisher } = createPublisher({ yields: { Aave: yieldData({ mock: true }) }, publishMock: true });
+
+    expect((await publisher.publish()).Aave.action).toBe('published');
+  });
+
+  it('reports reverts per protocol with the decoded reason', async () => {
+    const { publisher, yieldOracle } = createPublisher({ yields: { Aave: yieldData(), Compound: yieldData() } });
+    const data = ethers.utils.hexConcat([
+      '0x08c379a0',
+      ethers.utils.defaultAbiCoder.encode(['string'], ['Not authorized updater'])
+    ]);
+    yieldOracle.updateYield.mockRejectedValueOnce(Object.assign(new Error('reverted'), { error: { data } }));
+
+    const results = await publisher.publish();
+
+    expect(results.Aave).toEqual({ action: 'error', reason: 'Not authorized updater' });
+    expect(results.Compound.action).toBe('published');
+  });
+
+  it('skips a cycle while the previous one is still running', async () => {
+    const { publisher, yieldAnalyzer } = createPublisher();
+    let finish;
+    yieldAnalyzer.fetchAllYields.mockReturnValueOnce(new Promise(resolve => { finish = resolve; }));
+
+    const first = publisher.publish();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(await publisher.publish()).toEqual({ skipped: true, reason: 'Previous publish still running' });
+
+    finish({ Aave: yieldData() });
+    expect((await first).Aave.action).toBe('published');
+  });
+
+  it('reads contract limits once', async () => {
+    const { publisher, yieldOracle } = createPublisher({ heartbeat: 600 });
+
+    await publisher.publish();
+    await publisher.publish();
+
+    expect(yieldOracle.MAX_STALENESS).toHaveBeenCalledTimes(1);
+    expect(publisher.getStatus()).toMatchObject({ heartbeat: 600, maxStaleness: 3600 });
+  });
+});
@@ -0,0 +1,109 @@
+// DeFi Autopilot Portfolio Reader
+// Decodes PortfolioManager and RebalancingEngine state into API-friendly portfolios
+
+const { ethers } = require('ethers');
+const { round } = require('./numbers');
+
+// PortfolioManager.RiskProfile enum; OptimizationEngine profiles are the enum value + 1
+const RISK_PROFILE_NAMES = ['CONSERVATIVE', 'BALANCED', 'AGGRESSIVE'];
+
+const bpsToPercent = value => value.toNumber() / 100;
+const weiToUnits = value => parseFloat(ethers.utils.formatEther(value));
+const secondsToIso = value => (value.isZero() ? null : new Date(value.toNumber() * 1000).toISOString());
+
+/**
+ * Portfolio Reader - On-chain portfolio, USD valuation and rebalance history for an address
+ */
+class PortfolioReader {
+  constructor({ portfolioManager, rebalancingEngine, costModel, chain, historyLimit }) {
+    this.portfolioManager = portfolioManager;
+    this.rebalancingEngine = rebalancingEngine || null;
+    this.costModel = costModel;
+    this.chain = chain || 'Flare'; // chain whose native token the portfolio holds
+    this.historyLimit = historyLimit || 20;
+  }
+
+  /**
+   * Read a portfolio; null when the address has none
+   */
+  async read(address, { historyLimit = this.historyLimit } = {}) {
+    const user = ethers.utils.getAddress(address);
+    const [result] = await Promise.all([
+      this.portfolioManager.getPortfolio(user),
+      this.costModel.refresh()
+    ]);
+
+    // PortfolioManager keeps totalValue > 0 for every existing portfolio
+    if (result.totalValue.isZero()) return null;
+
+    const riskProfile = Number(result.riskProfile);
+    const balance = weiToUnits(result.totalValue);
+    const totalProfit = weiToUnits(result.totalProfit);
+
+    return {
+      address: user,
+      chain: this.chain,
+      nativeToken: this.costModel.nativeToken(this.chain),
+      nativePrice: this.costModel.price(this.costModel.nativeToken(this.chain)), // USD
+      balance,
+      balanceWei: result.totalValue.toString(),
+      totalValue: round(this.costModel.nativeToUsd(this.chain, balance), 2), // USD
+      currentYield: bpsToPercent(result.currentYield),
+      protocol: result.currentProtocol,
+      riskProfile: riskProfile + 1,
+      riskProfileName: RISK_PROFILE_NAMES[riskProfile],
+      autoRebalanceEnabled: result.autoRebalanceEnabled,
+      lastRebalance: secondsToIso(result.lastRebalance),
+      totalProfit,
+      totalProfitUsd: round(this.costModel.nativeToUsd(this.chain, totalProfit), 2),
+      history: await this.readHistory(user, historyLimit)
+    };
+  }
+
+  /**
+   * Most recent RebalancingEngine requests for a user, newest first
+   */
+  async readHistory(user, limit) {
+    if (!this.rebalancingEngine) return [];
+
+    const requestIds = await this.rebalancingEngine.getUserRebalanceHistory(user);
+    const recent = requestIds.slice(-limit).reverse();
+
+    return Promise.all(recent.map(async requestId => {
+      const request = await this.rebalancingEngine.getRebalanceRequest(requestId);
+      const amount = weiToUnits(request.amount);
+
+      return {
+        requestId: requestId.toString(),
+        fromProtocol: request.fromProtocol,
+        toProtocol: request.toProtocol,
+        amount,
+        amountUsd: round(this.costModel.nativeToUsd(this.chain, amount), 2),
+        expectedYield: bpsToPercent(request.expectedYield),
+        estimatedGas: weiToUnits(request.estimatedGas), // native token
+        timestamp: secondsToIso(request.timestamp),
+        status: request.executed ? 'EXECUTED' : request.cancelled ? 'CANCELLED' : 'PENDING'
+      };
+    }));
+  }
+
+  /**
+   * Shape a read portfolio as OptimizationEngine input
+   */
+  toStrategyInput(portfolio) {
+    return {
+      address: portfolio.address,
+      chain: portfolio.chain,
+      asset: portfolio.nativeToken,
+      balance: portfolio.balance,
+      currentYield: portfolio.currentYield,
+      protocol: portfolio.protocol,
+      riskProfile: portfolio.riskProfile
+    };
+  }
+}
+
+module.exports = {
+  PortfolioReader,
+  RISK_PROFILE_NAMES
+};
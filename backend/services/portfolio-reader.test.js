@@ -0,0 +1,132 @@
+const { ethers } = require('ethers');
+const { PortfolioReader } = require('./portfolio-reader');
+const { CostModel, FixturePriceSource } = require('./pricing');
+
+const USER = '0x00000000000000000000000000000000000000a1';
+const bn = ethers.BigNumber.from;
+const wei = ethers.utils.parseEther;
+const prices = new FixturePriceSource({ prices: { FLR: 0.02 } });
+
+function onChainPortfolio(overrides = {}) {
+  return {
+    totalValue: wei('50000'),
+    currentYield: bn(450),
+    currentProtocol: 'Aave',
+    riskProfile: 1,
+    autoRebalanceEnabled: true,
+    lastRebalance: bn(1700000000),
+    totalProfit: wei('125.5'),
+    ...overrides
+  };
+}
+
+function rebalanceRequest(requestId, overrides = {}) {
+  return {
+    fromProtocol: 'Aave',
+    toProtocol: 'Compound',
+    amount: wei('1000'),
+    expectedYield: bn(500 + requestId),
+    estimatedGas: wei('0.5'),
+    timestamp: bn(1700000000 + requestId),
+    executed: false,
+    cancelled: false,
+    ...overrides
+  };
+}
+
+function createReader({ portfolio = onChainPortfolio(), requests = {}, ...options } = {}) {
+  const portfolioManager = { getPortfolio: jest.fn().mockResolvedValue(portfolio) };
+  const rebalancingEngine = {
+    getUserRebalanceHistory: jest.fn().mockResolvedValue(Object.keys(requests).map(bn)),
+    getRebalanceRequest: jest.fn(async requestId => requests[requestId.toString()])
+  };
+  const costModel = new CostModel({ priceSource: prices, fallbackSource: prices });
+
+  return {
+    reader: new PortfolioReader({ portfolioManager, rebalancingEngine, costModel, ...options }),
+    portfolioManager,
+    rebalancingEngine
+  };
+}
+
+describe('PortfolioReader', () => {
+  it('decodes an on-chain portfolio and values it in USD', async () => {
+    const { reader, portfolioManager } = createReader();
+
+    const portfolio = await reader.read(USER.toLowerCase());
+
+    expect(portfolioManager.getPortfolio).toHaveBeenCalledWith(ethers.utils.getAddress(USER));
+    expect(portfolio).toEqual({
+      address: ethers.utils.getAddress(USER),
+      chain: 'Flare',
+      nativeToken: 'FLR',
+      nativePrice: 0.02,
+      balance: 50000,
+      balanceWei: wei('50000').toString(),
+      totalValue: 1000,
+      currentYield: 4.5,
+      protocol: 'Aave',
+      riskProfile: 2,
+      riskProfileName: 'BALANCED',
+      autoRebalanceEnabled: true,
+      lastRebalance: '2023-11-14T22:13:20.000Z',
+      totalProfit: 125.5,
+      totalProfitUsd: 2.51,
+      history: []
+    });
+  });
+
+  it('returns null for an address without a portfolio', async () => {
+    const { reader } = createReader({ portfolio: onChainPortfolio({ totalValue: bn(0) }) });
+
+    expect(await reader.read(USER)).toBeNull();
+  });
+
+  it('lists the most recent rebalance requests first', async () => {
+    const requests = {
+      1: rebalanceRequest(1, { executed: true }),
+      2: rebalanceRequest(2, { cancelled: true }),
+      3: rebalanceRequest(3, { timestamp: bn(0) })
+    };
+    const { reader } = createReader({ requests, historyLimit: 2 });
+
+    const { history } = await reader.read(USER);
+
+    expect(history).toEqual([
+      {
+        requestId: '3',
+        fromProtocol: 'Aave',
+        toProtocol: 'Compound',
+        amount: 1000,
+        amountUsd: 20,
+        expectedYield: 5.03,
+        estimatedGas: 0.5,
+        timestamp: null,
+        status: 'PENDING'
+      },
+      expect.objectContaining({ requestId: '2', status: 'CANCELLED' })
+    ]);
+    expect((await reader.readHistory(USER, 5)).map(request => request.status)).toEqual(['PENDING', 'CANCELLED', 'EXECUTED']);
+  });
+
+  it('has no history without a rebalancing engine', async () => {
+    const { reader } = createReader();
+    reader.rebalancingEngine = null;
+
+    expect(await reader.readHistory(USER, 5)).toEqual([]);
+  });
+
+  it('shapes a portfolio as optimization engine input', async () => {
+    const { reader } = createReader();
+
+    expect(reader.toStrategyInput(await reader.read(USER))).toEqual({
+      address: ethers.utils.getAddress(USER),
+      chain: 'Flare',
+      asset: 'FLR',
+      balance: 50000,
+      currentYield: 4.5,
+      protocol: 'Aave',
+      riskProfile: 2
+    });
+  });
+});
@@ -0,0 +1,260 @@
+// DeFi Autopilot Cost Model
+// Native-token prices, gas per operation and bridge fees behind every USD figure
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const FIXTURE_FILE = path.join(__dirname, '..', 'fixtures', 'prices.json');
+
+// Price source label while the configured source is failing and fixture prices stand in
+const FALLBACK_SOURCE = 'fixture-fallback';
+
+// EVM gasPrice in gwei; XRPL charges a flat fee per transaction in XRP
+const CHAIN_COSTS = {
+  'Flare': { nativeToken: 'FLR', gasPrice: 25 },
+  'XRPL': { nativeToken: 'XRP', feePerTx: 0.00001 },
+  'Ethereum': { nativeToken: 'ETH', gasPrice: 35 },
+  'Polygon': { nativeToken: 'POL', gasPrice: 30 },
+  'Arbitrum': { nativeToken: 'ETH', gasPrice: 0.1 }
+};
+
+// Gas units per operation type on EVM chains (XRPL: one transaction each)
+const GAS_UNITS = {
+  transfer: 21000,
+  approve: 46000,
+  deposit: 150000,
+  withdraw: 120000,
+  swap: 180000,
+  bridge: 200000, // lock/burn on the source chain
+  claim: 120000,  // mint/release on the destination chain
+  rebalance: 400000 // RebalancingEngine.executeRebalance
+};
+
+// fixed: USD per transfer, percentage: fraction of the amount
+const BRIDGE_FEES = {
+  'FAssets': { fixed: 2, percentage: 0.0005 },
+  'LayerZero': { fixed: 1, percentage: 0.0006 },
+  'Axelar': { fixed: 5, percentage: 0.001 },
+  'Polygon PoS': { fixed: 0, percentage: 0 },
+  'Arbitrum Canonical': { fixed: 0, percentage: 0 },
+  'Stargate': { fixed: 0.5, percentage: 0.0006 }
+};
+
+/**
+ * Fixture Price Source - Static USD prices from a JSON file (tests, offline demos)
+ */
+class FixturePriceSource {
+  constructor({ file, prices } = {}) {
+    this.name = 'fixture';
+    this.prices = prices || JSON.parse(fs.readFileSync(path.resolve(file || FIXTURE_FILE), 'utf8'));
+  }
+
+  async getPrices() {
+    return { ...this.prices };
+  }
+}
+
+/**
+ * CoinGecko Price Source - Live USD prices from the public simple/price API
+ */
+class CoinGeckoPriceSource {
+  constructor({ baseUrl, ids } = {}) {
+    this.name = 'coingecko';
+    this.baseUrl = baseUrl || 'https://api.coingecko.com/api/v3';
+    this.ids = ids || {
+      FLR: 'flare-networks',
+      XRP: 'ripple',
+      ETH: 'ethereum',
+      POL: 'polygon-ecosystem-token',
+      USDC: 'usd-coin',
+      USDT: 'tether',
+      DAI: 'dai',
+      RLUSD: 'ripple-usd'
+    };
+  }
+
+  async getPrices() {
+    const response = await axios.get(`${this.baseUrl}/simple/price`, {
+      params: { ids: Object.values(this.ids).join(','), vs_currencies: 'usd' },
+      timeout: 10000,
+      headers: { 'User-Agent': 'DeFi-Autopilot/1.0' }
+    });
+
+    const prices = {};
+    for (const [symbol, id] of Object.entries(this.ids)) {
+      const usd = response.data[id]?.usd;
+      if (typeof usd === 'number') prices[symbol] = usd;
+    }
+    if (prices.ETH) prices.WETH = prices.ETH;
+
+    return prices;
+  }
+}
+
+/**
+ * Build the configured price source ('coingecko' or 'fixture')
+ */
+function createPriceSource(name = 'coingecko', options = {}) {
+  if (name === 'fixture') return new FixturePriceSource(options);
+  if (name === 'coingecko') return new CoinGeckoPriceSource(options);
+  throw new Error(`Unknown price source "${name}" (use coingecko, fixture)`);
+}
+
+/**
+ * Cost Model - Converts gas, bridge fees and native balances to USD
+ *
+ * Prices start from the fixture so synchronous lookups always work; refresh()
+ * replaces them from the configured source and keeps the fixture as fallback.
+ */
+class CostModel {
+  constructor({ priceSource, fallbackSource, chains, gasUnits, bridgeFees, ttl } = {}) {
+    this.fallbackSource = fallbackSource || new FixturePriceSource();
+    this.priceSource = priceSource || this.fallbackSource;
+    this.chains = chains || CHAIN_COSTS;
+    this.gasUnits = gasUnits || GAS_UNITS;
+    this.bridgeFees = bridgeFees || BRIDGE_FEES;
+    this.ttl = ttl || 5 * 60 * 1000; // 5 minutes
+
+    this.prices = { ...this.fallbackSource.prices };
+    this.source = this.fallbackSource.name;
+    this.pricedAt = null;
+    this.failedAt = null;
+    this.pending = null; // in-flight reload, shared by concurrent callers
+  }
+
+  /**
+   * Reload prices when older than the TTL. On failure the fixture stands in (source FALLBACK_SOURCE)
+   * and pricedAt is left alone; the configured source is retried once the TTL has passed since the failure.
+   */
+  async refresh() {
+    const now = Date.now();
+    if (this.pricedAt && now - this.pricedAt < this.ttl) {
+      return this.prices;
+    }
+    if (this.failedAt && now - this.failedAt < this.ttl) {
+      return this.prices;
+    }
+
+    if (!this.pending) {
+      this.pending = this.reload().finally(() => { this.pending = null; });
+    }
+    return this.pending;
+  }
+
+  async reload() {
+    try {
+      const prices = await this.priceSource.getPrices();
+      this.prices = { ...this.prices, ...prices };
+      this.source = this.priceSource === this.fallbackSource ? this.fallbackSource.name : this.priceSource.name;
+      this.pricedAt = Date.now();
+      this.failedAt = null;
+    } catch (error) {
+      console.warn(`Failed to fetch prices from ${this.priceSource.name}, using fixture prices:`, error.message);
+      this.prices = { ...this.prices, ...await this.fallbackSource.getPrices() };
+      this.source = FALLBACK_SOURCE;
+      this.failedAt = Date.now();
+    }
+
+    return this.prices;
+  }
+
+  /**
+   * True while prices are fixture stand-ins for a failing source; nothing should move funds on them
+   */
+  isFallback() {
+    return this.source === FALLBACK_SOURCE;
+  }
+
+  price(symbol) {
+    const price = this.prices[symbol];
+    if (typeof price !== 'number') {
+      throw new Error(`No price for ${symbol}`);
+    }
+    return price;
+  }
+
+  nativeToken(chain) {
+    const config = this.chains[chain];
+    if (!config) throw new Error(`Unknown chain: ${chain}`);
+    return config.nativeToken;
+  }
+
+  /**
+   * USD value of an amount of a chain's native token
+   */
+  nativeToUsd(chain, amount) {
+    return amount * this.price(this.nativeToken(chain));
+  }
+
+  /**
+   * Cost of one operation on a chain, in native token and USD
+   */
+  txCost(chain, operation = 'transfer') {
+    const config = this.chains[chain];
+    if (!config) throw new Error(`Unknown chain: ${chain}`);
+
+    const gasUnits = this.gasUnits[operation];
+    if (!gasUnits) throw new Error(`Unknown operation: ${operation}`);
+
+    const nativeCost = config.feePerTx !== undefined
+      ? config.feePerTx
+      : gasUnits * config.gasPrice * 1e-9; // gwei -> native token
+
+    return {
+      chain,
+      operation,
+      gasUnits: config.feePerTx !== undefined ? null : gasUnits,
+      nativeToken: config.nativeToken,
+      nativeCost,
+      usd: nativeCost * this.price(config.nativeToken)
+    };
+  }
+
+  /**
+   * Replace a chain's cost inputs, e.g. the live XRPL fee from server_info
+   */
+  setChainCost(chain, fields) {
+    if (!this.chains[chain]) throw new Error(`Unknown chain: ${chain}`);
+    this.chains = { ...this.chains, [chain]: { ...this.chains[chain], ...fields } };
+  }
+
+  /**
+   * Protocol fee charged by a bridge for an amount: fixed and percentage parts in USD, rate as a fraction
+   */
+  bridgeFee(bridge, amount) {
+    const fees = this.bridgeFees[bridge];
+    if (!fees) throw new Error(`Unknown bridge: ${bridge}`);
+
+    const percentage = fees.percentage * amount;
+    return { fixed: fees.fixed, rate: fees.percentage, percentage, usd: fees.fixed + percentage };
+  }
+
+  /**
+   * Inputs behind the USD figures, echoed in API responses
+   */
+  assumptions() {
+    return {
+      priceSource: this.source,
+      pricedAt: this.pricedAt ? new Date(this.pricedAt).toISOString() : null,
+      prices: { ...this.prices },
+      chains: Object.fromEntries(Object.entries(this.chains).map(([chain, config]) => [chain, {
+        nativeToken: config.nativeToken,
+        ...(config.feePerTx !== undefined ? { feePerTx: config.feePerTx } : { gasPriceGwei: config.gasPrice })
+      }])),
+      gasUnits: { ...this.gasUnits },
+      bridgeFees: { ...this.bridgeFees }
+    };
+  }
+}
+
+module.exports = {
+  CostModel,
+  FixturePriceSource,
+  CoinGeckoPriceSource,
+  createPriceSource,
+  FALLBACK_SOURCE,
+  CHAIN_COSTS,
+  GAS_UNITS,
+  BRIDGE_FEES
+};
@@ -0,0 +1,107 @@
+const { CostModel, FixturePriceSource, FALLBACK_SOURCE, createPriceSource } = require('./pricing');
+
+const FIXTURE = { FLR: 0.02, XRP: 0.5, ETH: 2500, POL: 0.4, USDC: 1 };
+
+function liveSource(getPrices) {
+  return { name: 'coingecko', getPrices: jest.fn(getPrices) };
+}
+
+function createModel(priceSource, options = {}) {
+  return new CostModel({ priceSource, fallbackSource: new FixturePriceSource({ prices: FIXTURE }), ...options });
+}
+
+describe('CostModel', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('caches live prices for the TTL', async () => {
+    const source = liveSource(async () => ({ FLR: 0.03 }));
+    const model = createModel(source);
+
+    await model.refresh();
+    await model.refresh();
+
+    expect(source.getPrices).toHaveBeenCalledTimes(1);
+    expect(model.price('FLR')).toBe(0.03);
+    expect(model.price('ETH')).toBe(2500);
+    expect(model.assumptions()).toMatchObject({ priceSource: 'coingecko', pricedAt: expect.any(String) });
+  });
+
+  it('shares one request between concurrent callers', async () => {
+    const source = liveSource(async () => ({ FLR: 0.03 }));
+    const model = createModel(source);
+
+    await Promise.all([model.refresh(), model.refresh(), model.refresh()]);
+
+    expect(source.getPrices).toHaveBeenCalledTimes(1);
+  });
+
+  it('marks fixture stand-ins as a fallback and retries once the TTL has passed', async () => {
+    let now = Date.UTC(2025, 0, 1);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const source = liveSource(async () => { throw new Error('429 Too Many Requests'); });
+    const model = createModel(source, { ttl: 60000 });
+
+    await model.refresh();
+
+    expect(model.isFallback()).toBe(true);
+    expect(model.assumptions()).toMatchObject({ priceSource: FALLBACK_SOURCE, pricedAt: null });
+    expect(model.price('FLR')).toBe(0.02);
+
+    source.getPrices.mockResolvedValue({ FLR: 0.03 });
+    now += 30000;
+    await model.refresh();
+    expect(source.getPrices).toHaveBeenCalledTimes(1);
+
+    now += 30000;
+    await model.refresh();
+
+    expect(source.getPrices).toHaveBeenCalledTimes(2);
+    expect(model.isFallback()).toBe(false);
+    expect(model.assumptions().priceSource).toBe('coingecko');
+  });
+
+  it('reports a configured fixture source as the fixture, not a fallback', async () => {
+    const fixture = new FixturePriceSource({ prices: FIXTURE });
+    const model = new CostModel({ priceSource: fixture, fallbackSource: fixture });
+
+    await model.refresh();
+
+    expect(model.isFallback()).toBe(false);
+    expect(model.assumptions().priceSource).toBe('fixture');
+  });
+
+  it('prices gas from gwei on EVM chains and a flat fee on XRPL', () => {
+    const model = createModel();
+
+    expect(model.txCost('Flare', 'rebalance')).toMatchObject({ gasUnits: 400000, nativeToken: 'FLR', nativeCost: 0.01 });
+    expect(model.txCost('Flare', 'rebalance').usd).toBeCloseTo(0.0002, 8);
+    expect(model.txCost('XRPL', 'swap')).toMatchObject({ gasUnits: null, nativeCost: 0.00001, usd: 0.000005 });
+  });
+
+  it('splits bridge fees into fixed and percentage parts', () => {
+    expect(createModel().bridgeFee('Axelar', 10000)).toEqual({ fixed: 5, rate: 0.001, percentage: 10, usd: 15 });
+  });
+
+  it('converts native balances with the chain\'s token price', () => {
+    const model = createModel();
+
+    expect(model.nativeToken('Arbitrum')).toBe('ETH');
+    expect(model.nativeToUsd('Flare', 1000)).toBe(20);
+  });
+
+  it('rejects unknown chains, operations, bridges and prices', () => {
+    const model = createModel();
+
+    expect(() => model.txCost('Solana')).toThrow('Unknown chain: Solana');
+    expect(() => model.txCost('Flare', 'stake')).toThrow('Unknown operation: stake');
+    expect(() => model.bridgeFee('Wormhole', 1)).toThrow('Unknown bridge: Wormhole');
+    expect(() => model.price('DOGE')).toThrow('No price for DOGE');
+    expect(() => createPriceSource('binance')).toThrow('Unknown price source');
+  });
+});
@@ -0,0 +1,252 @@
+// DeFi Autopilot Protocol Registry
+// Loads protocol adapters and tracks the health of their data sources
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const ADAPTER_DIR = path.join(__dirname, '..', 'adapters');
+
+const POOL_TYPES = ['lending', 'vault', 'stableswap', 'amm'];
+
+/**
+ * Check an adapter module and fill in defaults.
+ *
+ * Adapter interface:
+ * - name, category, riskScore (1-10), poolType (see SlippageModel)
+ * - endpoint: fetched with GET unless the adapter defines fetch(request)
+ * - fetch(request, context): raw source data; request carries axios options (timeout, headers),
+ *   context the registry's shared services ({ provider, costModel } in server.js)
+ * - parse(raw): yield data from buildYieldData (market-data.js)
+ * - mock: { asset: [apy %, tvl USD] } served when the source is unavailable
+ * - markets: assets reported (defaults to the mock's)
+ * - retries, retryDelay (ms): extra attempts after a transient failure, with exponential backoff
+ * - isConfigured(): false leaves the adapter out of createProtocolRegistry (e.g. no pools listed yet)
+ */
+function validateAdapter(adapter, source) {
+  const label = adapter?.name || source;
+
+  if (!adapter || typeof adapter.name !== 'string' || adapter.name.trim() === '') {
+    throw new Error(`Adapter ${source}: missing name`);
+  }
+  if (typeof adapter.parse !== 'function') {
+    throw new Error(`Adapter ${label}: parse(raw) is required`);
+  }
+  if (typeof adapter.fetch !== 'function' && typeof adapter.endpoint !== 'string') {
+    throw new Error(`Adapter ${label}: an endpoint or fetch(request) is required`);
+  }
+  if (!Number.isInteger(adapter.riskScore) || adapter.riskScore < 1 || adapter.riskScore > 10) {
+    throw new Error(`Adapter ${label}: riskScore must be an integer from 1 to 10`);
+  }
+  if (adapter.poolType !== undefined && !POOL_TYPES.includes(adapter.poolType)) {
+    throw new Error(`Adapter ${label}: poolType must be one of ${POOL_TYPES.join(', ')}`);
+  }
+  if (!adapter.mock || Object.keys(adapter.mock).length === 0) {
+    throw new Error(`Adapter ${label}: a mock fixture is required`);
+  }
+
+  return {
+    category: 'Other',
+    poolType: 'lending',
+    retries: 2,
+    retryDelay: 500,
+    markets: Object.keys(adapter.mock),
+    async fetch(request) {
+      const response = await axios.get(this.endpoint, request);
+      return response.data;
+    },
+    ...adapter,
+    source
+  };
+}
+
+/**
+ * Protocol Registry - The set of protocols the analyzer fetches, keyed by name
+ *
+ * Each source has a circuit breaker: failureThreshold consecutive failures open it, and
+ * fetches are skipped until the cooldown passes. The next fetch is a half-open trial;
+ * success closes the circuit, failure reopens it with the cooldown doubled (up to maxCooldown).
+ */
+class ProtocolRegistry {
+  constructor({ adapters = [], context = {}, failureThreshold, cooldown, maxCooldown } = {}) {
+    this.adapters = new Map();
+    this.context = context;
+    this.failureThreshold = failureThreshold || 3;
+    this.cooldown = cooldown || 60 * 1000; // 1 minute
+    this.maxCooldown = maxCooldown || 15 * 60 * 1000; // 15 minutes
+    // name -> { status, circuit, lastAttempt, lastSuccess, lastError, consecutiveFailures, trips, retryAt, latencyMs, servedFrom }
+    this.health = new Map();
+
+    for (const adapter of adapters) this.register(adapter);
+  }
+
+  register(adapter, source = 'inline') {
+    const validated = validateAdapter(adapter, adapter?.source || source);
+    if (this.adapters.has(validated.name)) {
+      throw new Error(`Adapter ${validated.name} is already registered (${this.adapters.get(validated.name).source})`);
+    }
+
+    this.adapters.set(validated.name, validated);
+    this.health.set(validated.name, {
+      status: 'unknown',
+      circuit: 'closed',
+      lastAttempt: null,
+      lastSuccess: null,
+      lastError: null,
+      consecutiveFailures: 0,
+      trips: 0,
+      retryAt: null,
+      latencyMs: null,
+      servedFrom: null
+    });
+    return validated;
+  }
+
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  has(name) {
+    return this.adapters.has(name);
+  }
+
+  list() {
+    return [...this.adapters.values()];
+  }
+
+  names() {
+    return [...this.adapters.keys()];
+  }
+
+  riskScores() {
+    return Object.fromEntries(this.list().map(adapter => [adapter.name, adapter.riskScore]));
+  }
+
+  poolTypes() {
+    return Object.fromEntries(this.list().map(adapter => [adapter.name, adapter.poolType]));
+  }
+
+  /**
+   * Whether a fetch may go out now; an open circuit past its cooldown turns half-open for one trial
+   */
+  canAttempt(name, now = Date.now()) {
+    const health = this.health.get(name);
+    if (health.circuit !== 'open') return true;
+    if (now < health.retryAt) return false;
+
+    this.health.set(name, { ...health, circuit: 'half-open' });
+    return true;
+  }
+
+  recordSuccess(name, latencyMs) {
+    const now = Date.now();
+    this.health.set(name, {
+      ...this.health.get(name),
+      status: 'ok',
+      circuit: 'closed',
+      lastAttempt: now,
+      lastSuccess: now,
+      consecutiveFailures: 0,
+      trips: 0,
+      retryAt: null,
+      latencyMs
+    });
+  }
+
+  recordFailure(name, error) {
+    const health = this.health.get(name);
+    const now = Date.now();
+    const consecutiveFailures = health.consecutiveFailures + 1;
+    const trip = health.circuit === 'half-open' || (health.circuit === 'closed' && consecutiveFailures >= this.failureThreshold);
+    const trips = trip ? health.trips + 1 : health.trips;
+
+    this.health.set(name, {
+      ...health,
+      status: 'failing',
+      circuit: trip ? 'open' : health.circuit,
+      lastAttempt: now,
+      lastError: error.message,
+      consecutiveFailures,
+      trips,
+      retryAt: trip ? now + Math.min(this.cooldown * 2 ** (trips - 1), this.maxCooldown) : health.retryAt
+    });
+  }
+
+  /**
+   * Where the last served data came from: live, cache, last-known-good or mock
+   */
+  recordServed(name, servedFrom) {
+    this.health.set(name, { ...this.health.get(name), servedFrom });
+  }
+
+  /**
+   * Adapter metadata and source health for /api/protocols
+   */
+  describe() {
+    return this.list().map(adapter => ({
+      name: adapter.name,
+      category: adapter.category,
+      poolType: adapter.poolType,
+      riskScore: adapter.riskScore,
+      endpoint: adapter.endpoint || null,
+      markets: adapter.markets,
+      source: adapter.source,
+      health: { ...this.health.get(adapter.name) }
+    }));
+  }
+}
+
+/**
+ * Adapter modules in a directory (every .js file but specs exports one adapter)
+ */
+function loadAdapterDir(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js') && !file.endsWith('.test.js'))
+    .sort()
+    .map(file => {
+      const adapter = require(path.join(dir, file));
+      return { ...adapter, source: path.relative(process.cwd(), path.join(dir, file)) };
+    });
+}
+
+/**
+ * Build the registry from the built-in adapters plus an optional JSON config:
+ * { "directories": ["./extra-adapters"], "disabled": ["Yearn"], "overrides": { "Aave": { "riskScore": 3 } } }
+ * Relative directories resolve against the config file. breaker: { failureThreshold, cooldown, maxCooldown }
+ */
+function createProtocolRegistry({ configFile, dir = ADAPTER_DIR, context, breaker } = {}) {
+  const config = configFile ? JSON.parse(fs.readFileSync(path.resolve(configFile), 'utf8')) : {};
+  const baseDir = configFile ? path.dirname(path.resolve(configFile)) : process.cwd();
+  const disabled = new Set(config.disabled || []);
+  const overrides = config.overrides || {};
+
+  const adapters = [dir, ...(config.directories || []).map(extra => path.resolve(baseDir, extra))]
+    .flatMap(loadAdapterDir);
+
+  for (const name of [...disabled, ...Object.keys(overrides)]) {
+    if (!adapters.some(adapter => adapter.name === name)) {
+      throw new Error(`Unknown protocol adapter "${name}" in ${configFile}`);
+    }
+  }
+
+  return new ProtocolRegistry({
+    ...breaker,
+    context,
+    adapters: adapters
+      .filter(adapter => !disabled.has(adapter.name))
+      .map(adapter => ({ ...adapter, ...overrides[adapter.name] }))
+      .filter(adapter => {
+        if (typeof adapter.isConfigured !== 'function' || adapter.isConfigured()) return true;
+        console.log(`ℹ️  ${adapter.name} adapter not configured, skipped (see ${adapter.source})`);
+        return false;
+      })
+  });
+}
+
+module.exports = {
+  ProtocolRegistry,
+  createProtocolRegistry,
+  loadAdapterDir,
+  ADAPTER_DIR,
+  POOL_TYPES
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProtocolRegistry, createProtocolRegistry } = require('./protocol-registry');
+
+const PAIR = '0x00000000000000000000000000000000000000a1';
+const POOL = '0x00000000000000000000000000000000000000b2';
+const REGISTRY = '0x00000000000000000000000000000000000000c3';
+
+function writeConfig(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adapters-'));
+  const file = path.join(dir, 'adapters.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+describe('createProtocolRegistry', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('loads the built-in adapters but not their specs', () => {
+    const registry = createProtocolRegistry();
+
+    expect(registry.names()).toEqual(expect.arrayContaining(['Aave', 'Uniswap', 'Curve']));
+    expect(registry.list().every(adapter => !adapter.source.endsWith('.test.js'))).toBe(true);
+  });
+
+  it('leaves out the Flare adapters until a contract registry, pairs and pools are configured', () => {
+    expect(createProtocolRegistry().has('FTSO Delegation')).toBe(false);
+    expect(createProtocolRegistry().has('Flare DEX')).toBe(false);
+    expect(createProtocolRegistry().has('FAssets')).toBe(false);
+
+    const registry = createProtocolRegistry({
+      configFile: writeConfig({
+        overrides: {
+          'FTSO Delegation': { contractRegistry: REGISTRY },
+          'Flare DEX': { pairs: [{ address: PAIR, name: 'WFLR/USDT0' }] },
+          FAssets: { pools: [{ address: POOL }] }
+        }
+      })
+    });
+
+    expect(registry.get('FTSO Delegation').contractRegistry).toBe(REGISTRY);
+    expect(registry.get('Flare DEX').pairs).toEqual([{ address: PAIR, name: 'WFLR/USDT0' }]);
+    expect(registry.get('FAssets').pools).toEqual([{ address: POOL }]);
+  });
+
+  it('applies overrides and disables adapters from the config file', () => {
+    const registry = createProtocolRegistry({
+      configFile: writeConfig({ disabled: ['Yearn'], overrides: { Aave: { riskScore: 3 } } })
+    });
+
+    expect(registry.has('Yearn')).toBe(false);
+    expect(registry.get('Aave').riskScore).toBe(3);
+  });
+
+  it('rejects config entries for unknown adapters', () => {
+    expect(() => createProtocolRegistry({ configFile: writeConfig({ disabled: ['Nope'] }) }))
+      .toThrow('Unknown protocol adapter "Nope"');
+  });
+
+  it('loads extra adapter directories relative to the config file', () => {
+    const configFile = writeConfig({ directories: ['./extra'] });
+    const extra = path.join(path.dirname(configFile), 'extra');
+    fs.mkdirSync(extra);
+    fs.writeFileSync(path.join(extra, 'venus.js'), [
+      'module.exports = {',
+      "  name: 'Venus',",
+      '  riskScore: 4,',
+      "  endpoint: 'https://api.venus.io/markets',",
+      '  parse: raw => raw,',
+      '  mock: { USDC: [4, 1000000] }',
+      '};'
+    ].join('\n'));
+
+    const venus = createProtocolRegistry({ configFile }).get('Venus');
+
+    expect(venus).toMatchObject({ category: 'Other', poolType: 'lending', endpoint: 'https://api.venus.io/markets' });
+    expect(venus.source).toMatch(/extra[\\/]venus\.js$/);
+  });
+});
+
+describe('ProtocolRegistry', () => {
+  const adapter = {
+    name: 'Venus',
+    riskScore: 4,
+    endpoint: 'https://api.venus.io/markets',
+    parse: raw => raw,
+    mock: { USDC: [4, 1000000] }
+  };
+
+  it('fills in adapter defaults and describes each source', () => {
+    const registry = new ProtocolRegistry({ adapters: [adapter] });
+
+    expect(registry.get('Venus')).toMatchObject({ category: 'Other', poolType: 'lending', retries: 2, markets: ['USDC'], source: 'inline' });
+    expect(registry.riskScores()).toEqual({ Venus: 4 });
+    expect(registry.describe()).toEqual([{
+      name: 'Venus',
+      category: 'Other',
+      poolType: 'lending',
+      riskScore: 4,
+      endpoint: 'https://api.venus.io/markets',
+      markets: ['USDC'],
+      source: 'inline',
+      health: expect.objectContaining({ status: 'unknown', circuit: 'closed' })
+    }]);
+  });
+
+  it('rejects incomplete adapters and duplicate names', () => {
+    const register = overrides => new ProtocolRegistry({ adapters: [{ ...adapter, ...overrides }] });
+
+    expect(() => register({ name: '' })).toThrow('Adapter inline: missing name');
+    expect(() => register({ parse: undefined })).toThrow('Adapter Venus: parse(raw) is required');
+    expect(() => register({ endpoint: undefined })).toThrow('Adapter Venus: an endpoint or fetch(request) is required');
+    expect(() => register({ riskScore: 11 })).toThrow('Adapter Venus: riskScore must be an integer from 1 to 10');
+    expect(() => register({ poolType: 'orderbook' })).toThrow('Adapter Venus: poolType must be one of lending, vault, stableswap, amm');
+    expect(() => register({ mock: {} })).toThrow('Adapter Venus: a mock fixture is required');
+    expect(() => new ProtocolRegistry({ adapters: [adapter, adapter] })).toThrow('Adapter Venus is already registered (inline)');
+  });
+});
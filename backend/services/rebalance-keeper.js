@@ -0,0 +1,385 @@
+// DeFi Autopilot Rebalance Keeper
+// Turns OptimizationEngine strategies into on-chain RebalancingEngine transactions
+
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const { decodeRevertReason } = require('../contracts/errors');
+const { TransactionQueue } = require('../contracts/tx-queue');
+const { FALLBACK_SOURCE } = require('./pricing');
+
+// PortfolioManager.RiskProfile enum (0-2) -> OptimizationEngine risk profile (1-3)
+const RISK_PROFILE_OFFSET = 1;
+
+const REQUEST_STATES = {
+  SUBMITTED: 'SUBMITTED',   // requestRebalance tx sent, not yet mined
+  REQUESTED: 'REQUESTED',   // RebalanceRequested emitted, awaiting execution
+  EXECUTING: 'EXECUTING',   // executeRebalance tx sent, not yet mined
+  EXECUTED: 'EXECUTED',     // RebalanceExecuted emitted
+  CANCELLED: 'CANCELLED',   // RebalanceCancelled emitted (reason recorded)
+  FAILED: 'FAILED'          // transaction reverted before reaching a final on-chain state
+};
+
+const FINAL_STATES = [REQUEST_STATES.EXECUTED, REQUEST_STATES.CANCELLED, REQUEST_STATES.FAILED];
+
+/**
+ * Rebalance Keeper - Periodically optimizes enrolled portfolios on-chain
+ * Emits 'request' with a copy of the request record on every state change.
+ */
+class RebalanceKeeper extends EventEmitter {
+  constructor({ optimizationEngine, portfolioManager, rebalancingEngine, txQueue, interval, executeGasLimit, retention }) {
+    super();
+    this.optimizationEngine = optimizationEngine;
+    this.portfolioManager = portfolioManager;
+    this.rebalancingEngine = rebalancingEngine;
+    this.txQueue = txQueue || new TransactionQueue();
+    this.interval = interval || 5 * 60 * 1000; // 5 minutes
+    this.executeGasLimit = executeGasLimit || 400000;
+    this.retention = retention || 24 * 60 * 60 * 1000; // final-state requests are forgotten after 24 hours
+
+    this.enrolled = new Set();
+    this.requests = new Map(); // requestTxHash -> request record, tracked from broadcast
+    this.busy = new Set(); // users with a rebalance flow in progress
+    this.lastRuns = new Map(); // user -> outcome of the last cycle
+    this.timer = null;
+    this.running = false;
+    this.lastCycle = null;
+
+    this.onRebalanceCancelled = this.onRebalanceCancelled.bind(this);
+  }
+
+  /**
+   * Enroll a user address for automatic rebalancing
+   */
+  enroll(address) {
+    const user = ethers.utils.getAddress(address);
+    this.enrolled.add(user);
+    return user;
+  }
+
+  /**
+   * Remove a user address from automatic rebalancing
+   */
+  unenroll(address) {
+    const user = ethers.utils.getAddress(address);
+    return this.enrolled.delete(user);
+  }
+
+  /**
+   * Start the periodic keeper loop and listen for external cancellations
+   */
+  start() {
+    if (this.timer) return;
+
+    this.rebalancingEngine.on('RebalanceCancelled', this.onRebalanceCancelled);
+    this.timer = setInterval(() => {
+      this.runCycle().catch(error => console.error('Keeper cycle failed:', error.message));
+    }, this.interval);
+
+    console.log(`🤖 Rebalance keeper started (every ${Math.round(this.interval / 1000)}s)`);
+  }
+
+  /**
+   * Stop the keeper loop
+   */
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.rebalancingEngine.off('RebalanceCancelled', this.onRebalanceCancelled);
+  }
+
+  /**
+   * Run one optimization pass over every enrolled user
+   */
+  async runCycle() {
+    if (this.running) {
+      return { skipped: true, reason: 'Previous cycle still running' };
+    }
+
+    this.running = true;
+    const results = {};
+
+    try {
+      for (const user of this.enrolled) {
+        results[user] = await this.runUser(user);
+      }
+    } finally {
+      this.running = false;
+      this.lastCycle = Date.now();
+    }
+
+    return results;
+  }
+
+  /**
+   * Rebalance one user on demand (dashboard button), whether or not they are enrolled
+   */
+  async rebalanceNow(address) {
+    return this.runUser(ethers.utils.getAddress(address));
+  }
+
+  /**
+   * Process one user, never running two flows for the same user at once
+   */
+  async runUser(user) {
+    if (this.busy.has(user)) {
+      return { action: 'skipped', reason: 'Rebalance already in progress' };
+    }
+
+    this.busy.add(user);
+    this.pruneRequests();
+    let result;
+    try {
+      result = await this.processUser(user);
+    } catch (error) {
+      result = { action: 'error', reason: decodeRevertReason(error) };
+    } finally {
+      this.busy.delete(user);
+    }
+
+    this.lastRuns.set(user, { ...result, timestamp: Date.now() });
+    return result;
+  }
+
+  /**
+   * Optimize a single user's portfolio and submit the rebalance if profitable
+   */
+  async processUser(user) {
+    // Finish requests left pending by an earlier cycle before creating new ones
+    const pending = this.getRequests(user).find(r => r.state === REQUEST_STATES.REQUESTED);
+    if (pending) {
+      await this.execute(pending);
+      return { action: 'executed-pending', requestId: pending.requestId, state: pending.state, request: { ...pending } };
+    }
+
+    const portfolio = await this.readPortfolio(user);
+
+    if (portfolio.totalValue.isZero()) {
+      return { action: 'skipped', reason: 'Empty portfolio' };
+    }
+    if (!portfolio.autoRebalanceEnabled) {
+      return { action: 'skipped', reason: 'Auto-rebalance disabled' };
+    }
+
+    // Always strict: mock or stale yields never move real funds, whatever STRICT_DATA says
+    const strategy = await this.optimizationEngine.generateOptimizationStrategy({
+      address: user,
+      balance: parseFloat(ethers.utils.formatEther(portfolio.totalValue)),
+      currentYield: portfolio.currentYield.toNumber() / 100, // basis points -> percent
+      protocol: portfolio.currentProtocol,
+      riskProfile: portfolio.riskProfile + RISK_PROFILE_OFFSET
+    }, { strict: true });
+
+    // Costs priced on fixture stand-ins are not trusted with real funds
+    if (strategy.costAssumptions?.priceSource === FALLBACK_SOURCE) {
+      return { action: 'skipped', reason: 'Price source unavailable (fixture fallback)' };
+    }
+
+    if (!strategy.shouldRebalance) {
+      return { action: 'skipped', reason: 'No profitable opportunity' };
+    }
+
+    if (await this.isCoolingDown(user)) {
+      return { action: 'skipped', reason: 'Cooldown period active' };
+    }
+
+    const { recommendation } = strategy;
+    const expectedYield = Math.round(recommendation.newYield * 100); // percent -> basis points
+    const estimatedGas = await this.estimateExecutionCost();
+
+    const request = await this.submitRequest(user, recommendation, expectedYield, estimatedGas);
+    if (request.state === REQUEST_STATES.REQUESTED) {
+      await this.execute(request);
+    }
+
+    return {
+      action: 'rebalance',
+      requestId: request.requestId,
+      state: request.state,
+      reason: request.reason,
+      request: { ...request }
+    };
+  }
+
+  /**
+   * Read and normalize PortfolioManager.getPortfolio
+   */
+  async readPortfolio(user) {
+    const result = await this.portfolioManager.getPortfolio(user);
+
+    return {
+      totalValue: result.totalValue,
+      currentYield: result.currentYield,
+      currentProtocol: result.currentProtocol,
+      riskProfile: Number(result.riskProfile),
+      autoRebalanceEnabled: result.autoRebalanceEnabled,
+      lastRebalance: result.lastRebalance.toNumber(),
+      totalProfit: result.totalProfit
+    };
+  }
+
+  /**
+   * Check RebalancingEngine's cooldown against the user's last request
+   */
+  async isCoolingDown(user) {
+    const history = await this.rebalancingEngine.getUserRebalanceHistory(user);
+    if (history.length === 0) return false;
+
+    const [lastRequest, cooldown, block] = await Promise.all([
+      this.rebalancingEngine.getRebalanceRequest(history[history.length - 1]),
+      this.rebalancingEngine.REBALANCE_COOLDOWN(),
+      this.rebalancingEngine.provider.getBlock('latest')
+    ]);
+
+    return block.timestamp - lastRequest.timestamp.toNumber() < cooldown.toNumber();
+  }
+
+  /**
+   * Estimate the wei cost of executeRebalance at the current gas price
+   */
+  async estimateExecutionCost() {
+    const gasPrice = await this.rebalancingEngine.provider.getGasPrice();
+    return gasPrice.mul(this.executeGasLimit);
+  }
+
+  /**
+   * Submit RebalancingEngine.requestRebalance and track the resulting request
+   */
+  async submitRequest(user, recommendation, expectedYield, estimatedGas) {
+    const request = {
+      requestId: null,
+      user,
+      fromProtocol: recommendation.fromProtocol,
+      toProtocol: recommendation.toProtocol,
+      expectedYield,
+      estimatedGas: estimatedGas.toString(),
+      state: REQUEST_STATES.SUBMITTED,
+      reason: null,
+      requestTxHash: null,
+      executeTxHash: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    try {
+      const tx = await this.txQueue.submit(() => this.rebalancingEngine.requestRebalance(
+        user,
+        recommendation.fromProtocol,
+        recommendation.toProtocol,
+        expectedYield,
+        estimatedGas
+      ));
+      request.requestTxHash = tx.hash;
+      this.requests.set(tx.hash, request);
+      this.emit('request', { ...request });
+
+      const receipt = await tx.wait();
+      const event = (receipt.events || []).find(e => e.event === 'RebalanceRequested');
+
+      if (event) {
+        request.requestId = event.args.requestId.toString();
+        this.updateRequest(request, REQUEST_STATES.REQUESTED);
+      } else {
+        this.updateRequest(request, REQUEST_STATES.FAILED, 'RebalanceRequested not emitted');
+      }
+    } catch (error) {
+      this.updateRequest(request, REQUEST_STATES.FAILED, decodeRevertReason(error));
+    }
+
+    return request;
+  }
+
+  /**
+   * Execute a requested rebalance and record the on-chain outcome
+   */
+  async execute(request) {
+    try {
+      const tx = await this.txQueue.submit(() => this.rebalancingEngine.executeRebalance(request.requestId));
+      request.executeTxHash = tx.hash;
+      this.updateRequest(request, REQUEST_STATES.EXECUTING);
+
+      const receipt = await tx.wait();
+      const events = receipt.events || [];
+      const executed = events.find(e => e.event === 'RebalanceExecuted');
+      const cancelled = events.find(e => e.event === 'RebalanceCancelled');
+
+      if (executed) {
+        this.updateRequest(request, REQUEST_STATES.EXECUTED);
+      } else if (cancelled) {
+        this.updateRequest(request, REQUEST_STATES.CANCELLED, cancelled.args.reason);
+      } else {
+        this.updateRequest(request, REQUEST_STATES.FAILED, 'Neither RebalanceExecuted nor RebalanceCancelled emitted');
+      }
+    } catch (error) {
+      this.updateRequest(request, REQUEST_STATES.FAILED, decodeRevertReason(error));
+    }
+
+    return request;
+  }
+
+  /**
+   * Record cancellations issued outside the keeper (e.g. cancelRebalance by an admin)
+   */
+  onRebalanceCancelled(requestId, reason) {
+    const request = this.getRequests().find(r => r.requestId === requestId.toString());
+    if (request && request.state !== REQUEST_STATES.CANCELLED) {
+      this.updateRequest(request, REQUEST_STATES.CANCELLED, reason);
+    }
+  }
+
+  /**
+   * Forget requests that reached a final state more than `retention` ago
+   */
+  pruneRequests(now = Date.now()) {
+    for (const [hash, request] of this.requests) {
+      if (FINAL_STATES.includes(request.state) && now - request.updatedAt > this.retention) {
+        this.requests.delete(hash);
+      }
+    }
+  }
+
+  updateRequest(request, state, reason = null) {
+    request.state = state;
+    request.updatedAt = Date.now();
+    if (reason) request.reason = reason;
+    this.emit('request', { ...request });
+  }
+
+  /**
+   * Get tracked requests, optionally filtered by user
+   */
+  getRequests(user) {
+    const requests = Array.from(this.requests.values());
+    if (!user) return requests;
+
+    const normalized = ethers.utils.getAddress(user);
+    return requests.filter(r => r.user === normalized);
+  }
+
+  /**
+   * Summarize keeper state for the status endpoint
+   */
+  getStatus() {
+    const requests = this.getRequests();
+    const byState = {};
+    for (const request of requests) {
+      byState[request.state] = (byState[request.state] || 0) + 1;
+    }
+
+    return {
+      running: Boolean(this.timer),
+      interval: this.interval,
+      lastCycle: this.lastCycle ? new Date(this.lastCycle).toISOString() : null,
+      enrolled: Array.from(this.enrolled),
+      requests: byState,
+      lastRuns: Object.fromEntries(this.lastRuns)
+    };
+  }
+}
+
+module.exports = {
+  RebalanceKeeper,
+  REQUEST_STATES,
+  FINAL_STATES
+};
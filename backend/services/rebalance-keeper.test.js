@@ -0,0 +1,259 @@
+const { ethers } = require('ethers');
+const { RebalanceKeeper, REQUEST_STATES } = require('./rebalance-keeper');
+const { OptimizationEngine } = require('./optimization-engine');
+const { CostModel, FixturePriceSource, FALLBACK_SOURCE } = require('./pricing');
+
+const USER = '0x1563915e194D8CfBA1943570603F7606A3115508';
+const NOW = 1700000000;
+
+const bn = ethers.BigNumber.from;
+
+function receipt(...events) {
+  return { events: events.map(([event, args]) => ({ event, args })) };
+}
+
+function transaction(hash, events) {
+  return { hash, wait: jest.fn().mockResolvedValue(receipt(...events)) };
+}
+
+/**
+ * Keeper wired to stubbed PortfolioManager/RebalancingEngine contracts
+ */
+function createKeeper({ portfolio = {}, history = [], lastRequestAt = NOW, recommendation, ...options } = {}) {
+  const portfolioManager = {
+    getPortfolio: jest.fn().mockResolvedValue({
+      totalValue: ethers.utils.parseEther('10'),
+      currentYield: bn(320),
+      currentProtocol: 'Aave',
+      riskProfile: 1,
+      autoRebalanceEnabled: true,
+      lastRebalance: bn(NOW),
+      totalProfit: bn(0),
+      ...portfolio
+    })
+  };
+
+  const rebalancingEngine = {
+    provider: {
+      getBlock: jest.fn().mockResolvedValue({ timestamp: NOW + 60 }),
+      getGasPrice: jest.fn().mockResolvedValue(bn(25e9))
+    },
+    getUserRebalanceHistory: jest.fn().mockResolvedValue(history.map(id => bn(id))),
+    getRebalanceRequest: jest.fn().mockResolvedValue({ timestamp: bn(lastRequestAt) }),
+    REBALANCE_COOLDOWN: jest.fn().mockResolvedValue(bn(3600)),
+    requestRebalance: jest.fn().mockResolvedValue(transaction('0xrequest', [['RebalanceRequested', { requestId: bn(7) }]])),
+    executeRebalance: jest.fn().mockResolvedValue(transaction('0xexecute', [['RebalanceExecuted', {}]])),
+    on: jest.fn(),
+    off: jest.fn()
+  };
+
+  const optimizationEngine = {
+    generateOptimizationStrategy: jest.fn().mockResolvedValue({
+      shouldRebalance: recommendation !== null,
+      recommendation: recommendation || { fromProtocol: 'Aave', toProtocol: 'Compound', newYield: 7.8 }
+    })
+  };
+
+  const keeper = new RebalanceKeeper({ optimizationEngine, portfolioManager, rebalancingEngine, ...options });
+  keeper.enroll(USER);
+
+  const states = [];
+  keeper.on('request', request => states.push(request.state));
+
+  return { keeper, states, portfolioManager, rebalancingEngine, optimizationEngine };
+}
+
+describe('RebalanceKeeper', () => {
+  it('requests and executes a profitable rebalance', async () => {
+    const { keeper, states, rebalancingEngine, optimizationEngine } = createKeeper();
+
+    const result = (await keeper.runCycle())[USER];
+
+    expect(result).toMatchObject({ action: 'rebalance', requestId: '7', state: REQUEST_STATES.EXECUTED });
+    expect(result.request).toMatchObject({ requestTxHash: '0xrequest', executeTxHash: '0xexecute' });
+    expect(states).toEqual([
+      REQUEST_STATES.SUBMITTED,
+      REQUEST_STATES.REQUESTED,
+      REQUEST_STATES.EXECUTING,
+      REQUEST_STATES.EXECUTED
+    ]);
+
+    // On-chain units: basis points in, basis points out, gas at 25 gwei × the execute gas limit
+    expect(optimizationEngine.generateOptimizationStrategy).toHaveBeenCalledWith(
+      expect.objectContaining({ balance: 10, currentYield: 3.2, protocol: 'Aave', riskProfile: 2 }),
+      { strict: true }
+    );
+    const [user, from, to, expectedYield, estimatedGas] = rebalancingEngine.requestRebalance.mock.calls[0];
+    expect([user, from, to, expectedYield]).toEqual([USER, 'Aave', 'Compound', 780]);
+    expect(estimatedGas.toString()).toBe(bn(25e9).mul(400000).toString());
+    expect(rebalancingEngine.executeRebalance).toHaveBeenCalledWith('7');
+  });
+
+  it('skips empty portfolios, disabled auto-rebalance and unprofitable strategies', async () => {
+    expect((await createKeeper({ portfolio: { totalValue: bn(0) } }).keeper.runCycle())[USER])
+      .toEqual({ action: 'skipped', reason: 'Empty portfolio' });
+    expect((await createKeeper({ portfolio: { autoRebalanceEnabled: false } }).keeper.runCycle())[USER])
+      .toEqual({ action: 'skipped', reason: 'Auto-rebalance disabled' });
+    expect((await createKeeper({ recommendation: null }).keeper.runCycle())[USER])
+      .toEqual({ action: 'skipped', reason: 'No profitable opportunity' });
+  });
+
+  it('makes no on-chain moves while prices are a fixture fallback', async () => {
+    const { keeper, rebalancingEngine, optimizationEngine } = createKeeper();
+    optimizationEngine.generateOptimizationStrategy.mockResolvedValue({
+      shouldRebalance: true,
+      recommendation: { fromProtocol: 'Aave', toProtocol: 'Compound', newYield: 7.8 },
+      costAssumptions: { priceSource: FALLBACK_SOURCE }
+    });
+
+    expect((await keeper.runCycle())[USER]).toEqual({ action: 'skipped', reason: 'Price source unavailable (fixture fallback)' });
+    expect(rebalancingEngine.requestRebalance).not.toHaveBeenCalled();
+  });
+
+  it('never moves funds on mock or stale yields, even with a non-strict engine', async () => {
+    const prices = new FixturePriceSource({ prices: { FLR: 0.02 } });
+    const engine = (target) => new OptimizationEngine({
+      yieldAnalyzer: {
+        fetchAllYields: async () => ({
+          Aave: { riskScore: 2, source: 'live', markets: { FLR: { apy: 3.2, tvl: 4e8, utilizationRate: 0.5 } } },
+          Compound: { riskScore: 2, ...target, markets: { FLR: { apy: 9, tvl: 4e8, utilizationRate: 0.5 } } }
+        })
+      },
+      costModel: new CostModel({ priceSource: prices, fallbackSource: prices })
+    });
+    const portfolio = { totalValue: ethers.utils.parseEther('5000000') };
+
+    const live = createKeeper({ portfolio, optimizationEngine: engine({ source: 'live' }) });
+    expect((await live.keeper.runCycle())[USER]).toMatchObject({ action: 'rebalance', state: REQUEST_STATES.EXECUTED });
+
+    for (const target of [{ source: 'mock', mock: true }, { source: 'last-known-good', stale: true }]) {
+      const { keeper, rebalancingEngine } = createKeeper({ portfolio, optimizationEngine: engine(target) });
+
+      expect((await keeper.runCycle())[USER]).toEqual({ action: 'skipped', reason: 'No profitable opportunity' });
+      expect(rebalancingEngine.requestRebalance).not.toHaveBeenCalled();
+    }
+  });
+
+  it('skips users inside the RebalancingEngine cooldown', async () => {
+    const { keeper, rebalancingEngine } = createKeeper({ history: [3], lastRequestAt: NOW });
+
+    expect((await keeper.runCycle())[USER]).toEqual({ action: 'skipped', reason: 'Cooldown period active' });
+    expect(rebalancingEngine.getRebalanceRequest).toHaveBeenCalledWith(bn(3));
+    expect(rebalancingEngine.requestRebalance).not.toHaveBeenCalled();
+  });
+
+  it('rebalances again once the cooldown has passed', async () => {
+    const { keeper } = createKeeper({ history: [3], lastRequestAt: NOW - 3600 });
+
+    expect((await keeper.runCycle())[USER].state).toBe(REQUEST_STATES.EXECUTED);
+  });
+
+  it('records cancellations with the on-chain reason', async () => {
+    const { keeper, rebalancingEngine } = createKeeper();
+    rebalancingEngine.executeRebalance.mockResolvedValue(
+      transaction('0xexecute', [['RebalanceCancelled', { reason: 'Rebalancing not profitable' }]])
+    );
+
+    const result = (await keeper.runCycle())[USER];
+
+    expect(result).toMatchObject({ state: REQUEST_STATES.CANCELLED, reason: 'Rebalancing not profitable' });
+  });
+
+  it('fails requests that revert with the decoded reason', async () => {
+    const { keeper, rebalancingEngine } = createKeeper();
+    const reason = ethers.utils.hexConcat([
+      '0x08c379a0',
+      ethers.utils.defaultAbiCoder.encode(['string'], ['From protocol mismatch'])
+    ]);
+    rebalancingEngine.requestRebalance.mockRejectedValue(Object.assign(new Error('reverted'), { error: { data: reason } }));
+
+    const result = (await keeper.runCycle())[USER];
+
+    expect(result).toMatchObject({ state: REQUEST_STATES.FAILED, reason: 'From protocol mismatch' });
+    expect(rebalancingEngine.executeRebalance).not.toHaveBeenCalled();
+  });
+
+  it('fails a request whose receipt has no RebalanceRequested event', async () => {
+    const { keeper, rebalancingEngine } = createKeeper();
+    rebalancingEngine.requestRebalance.mockResolvedValue(transaction('0xrequest', []));
+
+    const result = (await keeper.runCycle())[USER];
+
+    expect(result).toMatchObject({ state: REQUEST_STATES.FAILED, reason: 'RebalanceRequested not emitted' });
+    expect(rebalancingEngine.executeRebalance).not.toHaveBeenCalled();
+  });
+
+  it('fails an execution whose receipt has neither outcome event instead of leaving it executing', async () => {
+    const { keeper, rebalancingEngine } = createKeeper();
+    rebalancingEngine.executeRebalance.mockResolvedValue(transaction('0xexecute', []));
+
+    const result = (await keeper.runCycle())[USER];
+    expect(result).toMatchObject({
+      state: REQUEST_STATES.FAILED,
+      reason: 'Neither RebalanceExecuted nor RebalanceCancelled emitted'
+    });
+
+    // The next cycle starts a new flow rather than waiting on the failed request
+    rebalancingEngine.executeRebalance.mockResolvedValue(transaction('0xexecute2', [['RebalanceExecuted', {}]]));
+    rebalancingEngine.requestRebalance.mockResolvedValue(transaction('0xrequest2', [['RebalanceRequested', { requestId: bn(8) }]]));
+    expect((await keeper.runCycle())[USER]).toMatchObject({ action: 'rebalance', requestId: '8', state: REQUEST_STATES.EXECUTED });
+  });
+
+  it('executes a request left pending by an earlier cycle before optimizing again', async () => {
+    const { keeper, rebalancingEngine, optimizationEngine } = createKeeper();
+    rebalancingEngine.executeRebalance.mockRejectedValueOnce(new Error('nonce too low'));
+    await keeper.runCycle();
+
+    // A failed execute is final; simulate a request the keeper saw mined but never executed
+    const [request] = keeper.getRequests(USER);
+    request.state = REQUEST_STATES.REQUESTED;
+    optimizationEngine.generateOptimizationStrategy.mockClear();
+
+    const result = (await keeper.runCycle())[USER];
+
+    expect(result).toMatchObject({ action: 'executed-pending', requestId: '7', state: REQUEST_STATES.EXECUTED });
+    expect(optimizationEngine.generateOptimizationStrategy).not.toHaveBeenCalled();
+  });
+
+  it('never runs two flows for the same user at once', async () => {
+    const { keeper } = createKeeper();
+
+    const [first, second] = await Promise.all([keeper.rebalanceNow(USER), keeper.rebalanceNow(USER.toLowerCase())]);
+
+    expect(first.state).toBe(REQUEST_STATES.EXECUTED);
+    expect(second).toEqual({ action: 'skipped', reason: 'Rebalance already in progress' });
+  });
+
+  it('records cancellations issued outside the keeper', async () => {
+    const { keeper, states, rebalancingEngine } = createKeeper();
+    rebalancingEngine.executeRebalance.mockResolvedValue(transaction('0xexecute', []));
+    await keeper.runCycle();
+    keeper.getRequests(USER)[0].state = REQUEST_STATES.REQUESTED;
+
+    keeper.onRebalanceCancelled(bn(7), 'Cancelled by admin');
+
+    expect(keeper.getRequests(USER)[0]).toMatchObject({ state: REQUEST_STATES.CANCELLED, reason: 'Cancelled by admin' });
+    expect(states.at(-1)).toBe(REQUEST_STATES.CANCELLED);
+  });
+
+  it('forgets final-state requests after the retention window', async () => {
+    const { keeper } = createKeeper({ retention: 1000 });
+    await keeper.runCycle();
+    const [request] = keeper.getRequests();
+
+    keeper.pruneRequests(request.updatedAt + 500);
+    expect(keeper.getRequests()).toHaveLength(1);
+
+    keeper.pruneRequests(request.updatedAt + 1001);
+    expect(keeper.getRequests()).toHaveLength(0);
+  });
+
+  it('keeps in-flight requests regardless of age', () => {
+    const { keeper } = createKeeper({ retention: 1000 });
+    keeper.requests.set('0xpending', { user: USER, state: REQUEST_STATES.REQUESTED, updatedAt: 0 });
+
+    keeper.pruneRequests(Date.now());
+
+    expect(keeper.getRequests()).toHaveLength(1);
+  });
+});
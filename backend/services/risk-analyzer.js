@@ -0,0 +1,242 @@
+// DeFi Autopilot Risk Analyzer
+// Scores protocols from observed yield history instead of static risk tables
+
+const { round } = require('./numbers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Composite weights (sum to 1)
+const FACTOR_WEIGHTS = {
+  yieldVolatility: 0.3,
+  apyDrawdown: 0.25,
+  tvlTrend: 0.2,
+  utilizationSpikes: 0.15,
+  protocolBaseline: 0.1
+};
+
+const MIN_SAMPLES = 12; // at least half a day of hourly buckets
+const UTILIZATION_SPIKE_LEVEL = 0.95;
+const UTILIZATION_SPIKE_JUMP = 0.1;
+
+const clamp = (value, min = 0, max = 100) => Math.min(max, Math.max(min, value));
+
+/**
+ * Map a 0-100 risk score to a level
+ */
+function levelFor(score) {
+  if (score < 34) return 'LOW';
+  if (score < 67) return 'MEDIUM';
+  return 'HIGH';
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / values.length);
+}
+
+/**
+ * Largest peak-to-trough decline as a fraction of the peak
+ */
+function maxDrawdown(values) {
+  let peak = -Infinity;
+  let drawdown = 0;
+
+  for (const value of values) {
+    peak = Math.max(peak, value);
+    if (peak > 0) {
+      drawdown = Math.max(drawdown, (peak - value) / peak);
+    }
+  }
+
+  return drawdown;
+}
+
+/**
+ * Least-squares slope of the series, expressed as % change of the mean per 30 days
+ */
+function trendPer30Days(points) {
+  if (points.length < 2) return 0;
+
+  const xs = points.map(p => p.timestamp / DAY);
+  const ys = points.map(p => p.value);
+  const xMean = mean(xs);
+  const yMean = mean(ys);
+
+  let numerator = 0;
+  let denominator = 0;
+  for (let i = 0; i < points.length; i++) {
+    numerator += (xs[i] - xMean) * (ys[i] - yMean);
+    denominator += (xs[i] - xMean) ** 2;
+  }
+
+  if (denominator === 0 || yMean === 0) return 0;
+  return (numerator / denominator) * 30 / yMean * 100;
+}
+
+/**
+ * Risk Analyzer - Volatility, drawdown, TVL trend and utilization scoring
+ */
+class RiskAnalyzer {
+  constructor({ historyStore, lookback, interval } = {}) {
+    this.historyStore = historyStore || null;
+    this.lookback = lookback || 30 * DAY;
+    this.interval = interval || '1h';
+  }
+
+  /**
+   * Assess a protocol from its observed history
+   * @param {Object} current - Latest analyzer data for the protocol ({ apy, tvl, riskScore, ... })
+   */
+  assess(protocol, current, { lookback } = {}) {
+    const to = Date.now();
+    const from = to - (lookback || this.lookback);
+    const series = this.loadSeries(protocol, from, to);
+    const observed = series.filter(point => !point.mock);
+
+    const dataQuality = {
+      samples: observed.length,
+      mockSamples: series.length - observed.length,
+      required: MIN_SAMPLES,
+      sufficient: observed.length >= MIN_SAMPLES
+    };
+
+    const factors = {
+      protocolBaseline: this.scoreBaseline(current)
+    };
+
+    if (dataQuality.sufficient) {
+      Object.assign(factors, {
+        yieldVolatility: this.scoreVolatility(observed),
+        apyDrawdown: this.scoreDrawdown(observed),
+        tvlTrend: this.scoreTvlTrend(observed),
+        utilizationSpikes: this.scoreUtilization(observed)
+      });
+    }
+
+    // Missing factors are dropped and the remaining weights renormalized
+    let weightedScore = 0;
+    let totalWeight = 0;
+    for (const [name, factor] of Object.entries(factors)) {
+      weightedScore += factor.score * FACTOR_WEIGHTS[name];
+      totalWeight += FACTOR_WEIGHTS[name];
+    }
+    const compositeScore = Math.round(weightedScore / totalWeight);
+
+    const explanations = Object.values(factors).map(factor => factor.explanation);
+    if (!dataQuality.sufficient) {
+      explanations.push(`Only ${observed.length} observed samples in the window (${MIN_SAMPLES} required); score uses the protocol baseline only`);
+    }
+
+    return {
+      protocol,
+      compositeScore,
+      riskLevel: levelFor(compositeScore),
+      window: {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        interval: this.interval
+      },
+      dataQuality,
+      factors,
+      explanations
+    };
+  }
+
+  loadSeries(protocol, from, to) {
+    if (!this.historyStore) return [];
+
+    const { series } = this.historyStore.query({ protocol, from, to, interval: this.interval });
+    return series[protocol] || [];
+  }
+
+  scoreVolatility(points) {
+    const apys = points.map(p => p.apy);
+    const apyMean = mean(apys);
+    const stdDev = standardDeviation(apys);
+    const coefficient = apyMean > 0 ? stdDev / apyMean : 0;
+    const score = Math.round(clamp(coefficient / 0.5 * 100)); // CV of 50% or more is maximal
+
+    return {
+      score,
+      level: levelFor(score),
+      value: { apyMean: round(apyMean), apyStdDev: round(stdDev), coefficientOfVariation: round(coefficient) },
+      explanation: `APY averaged ${apyMean.toFixed(2)}% with a standard deviation of ${stdDev.toFixed(2)} points (${(coefficient * 100).toFixed(1)}% of the mean)`
+    };
+  }
+
+  scoreDrawdown(points) {
+    const drawdown = maxDrawdown(points.map(p => p.apy));
+    const score = Math.round(clamp(drawdown / 0.6 * 100)); // a 60% APY collapse is maximal
+
+    return {
+      score,
+      level: levelFor(score),
+      value: { maxDrawdown: round(drawdown) },
+      explanation: `APY fell at most ${(drawdown * 100).toFixed(1)}% from a previous peak`
+    };
+  }
+
+  scoreTvlTrend(points) {
+    const tvlPoints = points.filter(p => typeof p.tvl === 'number').map(p => ({ timestamp: p.timestamp, value: p.tvl }));
+    const trend = trendPer30Days(tvlPoints);
+    const score = Math.round(clamp(-trend / 50 * 100)); // only outflows add risk; -50%/30d is maximal
+
+    return {
+      score,
+      level: levelFor(score),
+      value: { changePer30Days: round(trend, 2) },
+      explanation: `TVL trend is ${trend >= 0 ? '+' : ''}${trend.toFixed(1)}% per 30 days`
+    };
+  }
+
+  scoreUtilization(points) {
+    const utilizations = points.map(p => p.utilization).filter(u => typeof u === 'number');
+    if (utilizations.length === 0) {
+      return {
+        score: 0,
+        level: 'LOW',
+        value: { maxUtilization: null, spikes: 0 },
+        explanation: 'No utilization data reported'
+      };
+    }
+
+    let spikes = 0;
+    for (let i = 0; i < utilizations.length; i++) {
+      const jump = i > 0 ? utilizations[i] - utilizations[i - 1] : 0;
+      if (utilizations[i] >= UTILIZATION_SPIKE_LEVEL || jump >= UTILIZATION_SPIKE_JUMP) {
+        spikes++;
+      }
+    }
+
+    const maxUtilization = Math.max(...utilizations);
+    const score = Math.round(clamp((maxUtilization - 0.8) / 0.2 * 60 + spikes * 10));
+
+    return {
+      score,
+      level: levelFor(score),
+      value: { maxUtilization: round(maxUtilization), spikes },
+      explanation: `Utilization peaked at ${(maxUtilization * 100).toFixed(1)}% with ${spikes} spike${spikes === 1 ? '' : 's'}`
+    };
+  }
+
+  scoreBaseline(current) {
+    const riskScore = current?.riskScore ?? 5;
+    const score = Math.round(clamp(riskScore * 10));
+
+    return {
+      score,
+      level: levelFor(score),
+      value: { riskScore },
+      explanation: `Protocol baseline risk score is ${riskScore}/10`
+    };
+  }
+}
+
+module.exports = {
+  RiskAnalyzer,
+  FACTOR_WEIGHTS
+};
@@ -0,0 +1,82 @@
+const { RiskAnalyzer } = require('./risk-analyzer');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Hourly buckets shaped like YieldHistoryStore.query() output
+function hourly(count, point = () => ({})) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: i * HOUR,
+    apy: 5,
+    tvl: 100,
+    utilization: 0.5,
+    mock: false,
+    ...point(i)
+  }));
+}
+
+function createAnalyzer(points) {
+  const historyStore = { query: jest.fn(({ protocol }) => ({ series: { [protocol]: points } })) };
+  return { analyzer: new RiskAnalyzer({ historyStore }), historyStore };
+}
+
+describe('RiskAnalyzer', () => {
+  it('weights volatility, drawdown, TVL trend, utilization and the baseline', () => {
+    const { analyzer, historyStore } = createAnalyzer(hourly(24, i => ({ apy: i % 2 ? 4 : 6 })));
+
+    const assessment = analyzer.assess('Aave', { riskScore: 2 });
+
+    expect(historyStore.query).toHaveBeenCalledWith(expect.objectContaining({ protocol: 'Aave', interval: '1h' }));
+    expect(assessment.dataQuality).toEqual({ samples: 24, mockSamples: 0, required: 12, sufficient: true });
+    expect(Object.fromEntries(Object.entries(assessment.factors).map(([name, factor]) => [name, factor.score]))).toEqual({
+      protocolBaseline: 20,
+      yieldVolatility: 40, // 1 point standard deviation on a 5% mean
+      apyDrawdown: 56, // 6% to 4%
+      tvlTrend: 0,
+      utilizationSpikes: 0
+    });
+    // 0.3 x 40 + 0.25 x 56 + 0.1 x 20
+    expect(assessment).toMatchObject({ protocol: 'Aave', compositeScore: 28, riskLevel: 'LOW' });
+    expect(assessment.explanations).toHaveLength(5);
+  });
+
+  it('falls back to the protocol baseline without enough observed samples', () => {
+    const points = [...hourly(5), ...hourly(20, () => ({ mock: true }))];
+    const { analyzer } = createAnalyzer(points);
+
+    const assessment = analyzer.assess('Aave', { riskScore: 7 });
+
+    expect(assessment.dataQuality).toEqual({ samples: 5, mockSamples: 20, required: 12, sufficient: false });
+    expect(Object.keys(assessment.factors)).toEqual(['protocolBaseline']);
+    expect(assessment).toMatchObject({ compositeScore: 70, riskLevel: 'HIGH' });
+    expect(assessment.explanations.at(-1)).toMatch('Only 5 observed samples');
+  });
+
+  it('scores the baseline only when there is no history store', () => {
+    const assessment = new RiskAnalyzer().assess('Aave');
+
+    expect(assessment).toMatchObject({ compositeScore: 50, riskLevel: 'MEDIUM' });
+    expect(assessment.factors.protocolBaseline.value).toEqual({ riskScore: 5 });
+  });
+
+  it('counts only TVL outflows as risk', () => {
+    const analyzer = new RiskAnalyzer();
+    const daily = tvl => Array.from({ length: 31 }, (_, i) => ({ timestamp: i * DAY, tvl: tvl(i) }));
+
+    // 100 to 75 over 30 days is -28.6% of the 87.5 mean
+    const outflow = analyzer.scoreTvlTrend(daily(i => 100 - 25 * i / 30));
+    const inflow = analyzer.scoreTvlTrend(daily(i => 100 + 25 * i / 30));
+
+    expect(outflow).toMatchObject({ score: 57, level: 'MEDIUM', value: { changePer30Days: -28.57 } });
+    expect(inflow).toMatchObject({ score: 0, value: { changePer30Days: 22.22 } });
+  });
+
+  it('flags utilization near capacity and sudden jumps', () => {
+    const analyzer = new RiskAnalyzer();
+
+    const spiky = analyzer.scoreUtilization([0.5, 0.7, 0.96].map(utilization => ({ utilization })));
+
+    expect(spiky).toMatchObject({ score: 68, level: 'HIGH', value: { maxUtilization: 0.96, spikes: 2 } });
+    expect(analyzer.scoreUtilization([{ utilization: null }])).toMatchObject({ score: 0, explanation: 'No utilization data reported' });
+  });
+});
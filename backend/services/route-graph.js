@@ -0,0 +1,289 @@
+// DeFi Autopilot Route Graph
+// Chains as nodes, bridges as weighted edges, searched with Yen's k-shortest paths
+
+const { CostModel } = require('./pricing');
+const { round } = require('./numbers');
+
+// blockTime in seconds; transaction costs come from the CostModel
+const DEFAULT_CHAINS = {
+  'Flare': { blockTime: 1.83 },
+  'XRPL': { blockTime: 3.5 },
+  'Ethereum': { blockTime: 12 },
+  'Polygon': { blockTime: 2.1 },
+  'Arbitrum': { blockTime: 0.25 }
+};
+
+// latency in seconds, liquidity is the largest USD amount the bridge can carry,
+// depth drives price impact; fees come from the CostModel
+const DEFAULT_BRIDGES = [
+  { from: 'Flare', to: 'XRPL', bridge: 'FAssets', latency: 12, liquidity: 5000000, depth: 25000000 },
+  { from: 'Flare', to: 'Ethereum', bridge: 'LayerZero', latency: 180, liquidity: 20000000, depth: 100000000 },
+  { from: 'XRPL', to: 'Ethereum', bridge: 'Axelar', latency: 240, liquidity: 10000000, depth: 50000000 },
+  { from: 'XRPL', to: 'Polygon', bridge: 'Axelar', latency: 120, liquidity: 5000000, depth: 20000000 },
+  { from: 'XRPL', to: 'Arbitrum', bridge: 'Axelar', latency: 120, liquidity: 5000000, depth: 20000000 },
+  { from: 'Ethereum', to: 'Polygon', bridge: 'Polygon PoS', latency: 1800, liquidity: 500000000, depth: 1000000000 },
+  { from: 'Ethereum', to: 'Arbitrum', bridge: 'Arbitrum Canonical', latency: 900, liquidity: 500000000, depth: 1000000000 },
+  { from: 'Polygon', to: 'Arbitrum', bridge: 'Stargate', latency: 60, liquidity: 30000000, depth: 150000000 }
+];
+
+const OBJECTIVES = ['cost', 'time', 'balanced'];
+
+/**
+ * Route Graph - Weighted multigraph of chains and bridges
+ */
+class RouteGraph {
+  constructor({ chains, bridges, costModel } = {}) {
+    this.chains = chains || DEFAULT_CHAINS;
+    this.costModel = costModel || new CostModel();
+    this.edges = new Map(); // chain -> outgoing edges
+
+    for (const chain of Object.keys(this.chains)) {
+      this.edges.set(chain, []);
+    }
+    for (const bridge of bridges || DEFAULT_BRIDGES) {
+      this.addBridge(bridge);
+    }
+  }
+
+  /**
+   * Register a bridge; bridges are bidirectional unless oneWay is set
+   */
+  addBridge({ oneWay, ...bridge }) {
+    for (const edge of oneWay ? [bridge] : [bridge, { ...bridge, from: bridge.to, to: bridge.from }]) {
+      if (!this.hasChain(edge.from) || !this.hasChain(edge.to)) {
+        throw new Error(`Bridge ${edge.bridge} references an unknown chain`);
+      }
+      this.edges.get(edge.from).push(edge);
+    }
+  }
+
+  hasChain(chain) {
+    return Object.prototype.hasOwnProperty.call(this.chains, chain);
+  }
+
+  /**
+   * Price one hop for a given amount entering it
+   */
+  priceHop(edge, amount) {
+    // Send on the source chain, then claim on the destination chain
+    const gasCost = this.costModel.txCost(edge.from, 'bridge').usd + this.costModel.txCost(edge.to, 'claim').usd;
+    const fee = this.costModel.bridgeFee(edge.bridge, amount);
+    // Constant-product style price impact: grows with trade size relative to depth
+    const slippage = amount / (amount + edge.depth);
+    const slippageCost = slippage * amount;
+    const cost = gasCost + fee.usd + slippageCost;
+
+    return {
+      from: edge.from,
+      to: edge.to,
+      bridge: edge.bridge,
+      amountIn: amount,
+      gasCost,
+      fixedFeeUsd: fee.fixed,
+      feeRate: fee.rate * 100, // percent of the amount
+      percentageFeeUsd: fee.percentage,
+      slippage: slippage * 100, // percent
+      slippageCost,
+      cost,
+      time: this.chains[edge.from].blockTime + edge.latency,
+      amountOut: amount - cost
+    };
+  }
+
+  /**
+   * Search weight of a priced hop for the chosen objective
+   * balanced: costWeight * cost (bps of the routed amount) + (1 - costWeight) * time (minutes)
+   */
+  hopWeight(hop, amount, objective, costWeight) {
+    if (objective === 'cost') return hop.cost;
+    if (objective === 'time') return hop.time;
+    return costWeight * (hop.cost / amount) * 10000 + (1 - costWeight) * hop.time / 60;
+  }
+
+  /**
+   * Dijkstra from `amount` at the source, avoiding removed nodes/edges
+   * weigh(edge, amountIn) returns { weight, amountOut }; an infinite weight excludes the edge
+   */
+  shortestPath(source, target, weigh, amount, removedNodes = new Set(), removedEdges = new Set()) {
+    const distances = new Map([[source, 0]]);
+    const amounts = new Map([[source, amount]]);
+    const previous = new Map();
+    const visited = new Set();
+
+    while (true) {
+      let current = null;
+      for (const [node, distance] of distances) {
+        if (!visited.has(node) && (current === null || distance < distances.get(current))) {
+          current = node;
+        }
+      }
+      if (current === null) return null;
+      if (current === target) break;
+      visited.add(current);
+
+      for (const edge of this.edges.get(current)) {
+        if (removedNodes.has(edge.to) || removedEdges.has(edge)) continue;
+
+        const { weight, amountOut } = weigh(edge, amounts.get(current));
+        if (!Number.isFinite(weight)) continue;
+
+        const distance = distances.get(current) + weight;
+        if (!distances.has(edge.to) || distance < distances.get(edge.to)) {
+          distances.set(edge.to, distance);
+          amounts.set(edge.to, amountOut);
+          previous.set(edge.to, edge);
+        }
+      }
+    }
+
+    const edges = [];
+    for (let node = target; node !== source; node = previous.get(node).from) {
+      edges.unshift(previous.get(node));
+    }
+    return { edges, weight: distances.get(target) };
+  }
+
+  /**
+   * Yen's algorithm: up to k loopless routes ordered by objective weight
+   * @param {Object} options - { objective: cost|time|balanced, costWeight (0-1), limit, operation }
+   * operation prices same-chain "routes" (a local transaction); defaults to a transfer
+   */
+  findRoutes(fromChain, toChain, amount, { objective = 'cost', costWeight = 0.5, limit = 3, operation = 'transfer' } = {}) {
+    for (const chain of [fromChain, toChain]) {
+      if (!this.hasChain(chain)) throw new Error(`Unknown chain: ${chain}`);
+    }
+    if (!OBJECTIVES.includes(objective)) {
+      throw new Error(`Unsupported objective "${objective}" (use ${OBJECTIVES.join(', ')})`);
+    }
+
+    if (fromChain === toChain) {
+      return [this.describeLocal(fromChain, amount, operation)];
+    }
+
+    // Each hop is weighted on the amount left after the hops before it, as describeRoute prices it;
+    // edges that cannot carry that amount are excluded from the search entirely
+    const weigh = (edge, amountIn) => {
+      if (!(amountIn > 0) || amountIn > edge.liquidity) return { weight: Infinity, amountOut: 0 };
+      const hop = this.priceHop(edge, amountIn);
+      return { weight: this.hopWeight(hop, amount, objective, costWeight), amountOut: hop.amountOut };
+    };
+    const walk = edges => edges.reduce(
+      (state, edge) => {
+        const { weight, amountOut } = weigh(edge, state.amountOut);
+        return { weight: state.weight + weight, amountOut };
+      },
+      { weight: 0, amountOut: amount }
+    );
+
+    const first = this.shortestPath(fromChain, toChain, weigh, amount);
+    if (!first) return [];
+
+    const found = [first];
+    const candidates = [];
+
+    while (found.length < limit) {
+      const last = found[found.length - 1];
+
+      for (let i = 0; i < last.edges.length; i++) {
+        const rootEdges = last.edges.slice(0, i);
+        const spurNode = i === 0 ? fromChain : rootEdges[i - 1].to;
+        const removedEdges = new Set();
+        const removedNodes = new Set([fromChain, ...rootEdges.map(edge => edge.to)]);
+        removedNodes.delete(spurNode);
+
+        for (const path of found) {
+          if (rootEdges.every((edge, j) => path.edges[j] === edge) && path.edges[i]) {
+            removedEdges.add(path.edges[i]);
+          }
+        }
+
+        const spur = this.shortestPath(spurNode, toChain, weigh, walk(rootEdges).amountOut, removedNodes, removedEdges);
+        if (!spur) continue;
+
+        const edges = [...rootEdges, ...spur.edges];
+        const duplicate = [...found, ...candidates].some(path =>
+          path.edges.length === edges.length && path.edges.every((edge, j) => edge === edges[j])
+        );
+        if (!duplicate) {
+          candidates.push({ edges, weight: walk(edges).weight });
+        }
+      }
+
+      if (candidates.length === 0) break;
+      candidates.sort((a, b) => a.weight - b.weight);
+      found.push(candidates.shift());
+    }
+
+    return found.map(path => this.describeRoute(path, amount));
+  }
+
+  /**
+   * Price a path hop by hop, carrying the amount left after each hop's costs
+   */
+  describeRoute(path, amount) {
+    const hops = [];
+    let remaining = amount;
+
+    for (const edge of path.edges) {
+      const hop = this.priceHop(edge, remaining);
+      hops.push(hop);
+      remaining = hop.amountOut;
+    }
+
+    return this.summarize([path.edges[0].from, ...path.edges.map(edge => edge.to)], hops, amount, path.weight);
+  }
+
+  describeLocal(chain, amount, operation) {
+    const gasCost = this.costModel.txCost(chain, operation).usd;
+    const { blockTime } = this.chains[chain];
+    const hop = {
+      from: chain,
+      to: chain,
+      bridge: null,
+      amountIn: amount,
+      gasCost,
+      fixedFeeUsd: 0,
+      feeRate: 0,
+      percentageFeeUsd: 0,
+      slippage: 0,
+      slippageCost: 0,
+      cost: gasCost,
+      time: blockTime,
+      amountOut: amount - gasCost
+    };
+
+    return this.summarize([chain], [hop], amount, 0);
+  }
+
+  summarize(path, hops, amount, score) {
+    const cost = hops.reduce((sum, hop) => sum + hop.cost, 0);
+    const slippageCost = hops.reduce((sum, hop) => sum + hop.slippageCost, 0);
+
+    return {
+      path,
+      hops: hops.map(hop => ({
+        ...hop,
+        amountIn: round(hop.amountIn),
+        gasCost: round(hop.gasCost),
+        feeRate: round(hop.feeRate),
+        percentageFeeUsd: round(hop.percentageFeeUsd),
+        slippage: round(hop.slippage),
+        slippageCost: round(hop.slippageCost),
+        cost: round(hop.cost),
+        amountOut: round(hop.amountOut)
+      })),
+      cost: round(cost),
+      time: round(hops.reduce((sum, hop) => sum + hop.time, 0)),
+      slippage: amount > 0 ? round(slippageCost / amount * 100) : 0, // percent
+      amountOut: round(amount - cost),
+      score: round(score)
+    };
+  }
+}
+
+module.exports = {
+  RouteGraph,
+  DEFAULT_CHAINS,
+  DEFAULT_BRIDGES,
+  OBJECTIVES
+};
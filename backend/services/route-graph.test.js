@@ -0,0 +1,97 @@
+const { RouteGraph } = require('./route-graph');
+const { CostModel, FixturePriceSource } = require('./pricing');
+
+const prices = new FixturePriceSource({ prices: { FLR: 0.02, XRP: 0.5, ETH: 2500, POL: 0.4 } });
+
+// A -> B directly (expensive, slow) or A -> C -> B (cheap, fast); gas is free so fees decide
+function createGraph(bridges) {
+  const chains = { A: { blockTime: 1 }, B: { blockTime: 1 }, C: { blockTime: 1 } };
+  return new RouteGraph({
+    chains,
+    costModel: new CostModel({
+      priceSource: prices,
+      fallbackSource: prices,
+      chains: Object.fromEntries(Object.keys(chains).map(chain => [chain, { nativeToken: 'FLR', gasPrice: 0 }])),
+      bridgeFees: {
+        Direct: { fixed: 10, percentage: 0.001 },
+        Hop: { fixed: 1, percentage: 0.0005 }
+      }
+    }),
+    bridges: bridges || [
+      { from: 'A', to: 'B', bridge: 'Direct', latency: 600, liquidity: 1e6, depth: 1e12 },
+      { from: 'A', to: 'C', bridge: 'Hop', latency: 60, liquidity: 1e5, depth: 1e12 },
+      { from: 'C', to: 'B', bridge: 'Hop', latency: 60, liquidity: 1e5, depth: 1e12 }
+    ]
+  });
+}
+
+describe('RouteGraph', () => {
+  it('ranks loopless routes by cost', () => {
+    const routes = createGraph().findRoutes('A', 'B', 10000);
+
+    expect(routes.map(route => route.path)).toEqual([['A', 'C', 'B'], ['A', 'B']]);
+    expect(routes[0].cost).toBeLessThan(routes[1].cost);
+  });
+
+  it('splits bridge fees into USD amounts and the fee rate', () => {
+    const [hop] = createGraph().findRoutes('A', 'B', 10000, { limit: 2 })[1].hops;
+
+    expect(hop).toMatchObject({ bridge: 'Direct', fixedFeeUsd: 10, feeRate: 0.1, percentageFeeUsd: 10 });
+    expect(hop.cost).toBeCloseTo(hop.gasCost + hop.fixedFeeUsd + hop.percentageFeeUsd + hop.slippageCost, 3);
+  });
+
+  it('carries the amount left after each hop into the next', () => {
+    const [route] = createGraph().findRoutes('A', 'B', 10000);
+
+    expect(route.hops[1].amountIn).toBe(route.hops[0].amountOut);
+    expect(route.amountOut).toBeCloseTo(10000 - route.cost, 3);
+  });
+
+  it('searches on the same amounts it prices each hop with', () => {
+    const graph = createGraph([
+      { from: 'A', to: 'C', bridge: 'Hop', latency: 60, liquidity: 1e5, depth: 1e12 },
+      // Too small for the 100,000 sent, large enough for what arrives after the first hop's fees
+      { from: 'C', to: 'B', bridge: 'Hop', latency: 60, liquidity: 99990, depth: 1e12 }
+    ]);
+
+    const [route] = graph.findRoutes('A', 'B', 100000);
+
+    expect(route.path).toEqual(['A', 'C', 'B']);
+    expect(route.hops[1].amountIn).toBeLessThan(99990);
+    expect(route.score).toBeCloseTo(route.cost, 3);
+  });
+
+  it('ranks by time for the time objective', () => {
+    const [fastest] = createGraph().findRoutes('A', 'B', 10000, { objective: 'time', limit: 1 });
+
+    expect(fastest.path).toEqual(['A', 'C', 'B']);
+    expect(fastest.time).toBe(122);
+  });
+
+  it('skips bridges that cannot carry the amount', () => {
+    const routes = createGraph().findRoutes('A', 'B', 500000);
+
+    expect(routes.map(route => route.path)).toEqual([['A', 'B']]);
+  });
+
+  it('returns no routes when nothing connects the chains', () => {
+    const graph = createGraph([{ from: 'A', to: 'C', bridge: 'Hop', latency: 60, liquidity: 1e5, depth: 1e12 }]);
+
+    expect(graph.findRoutes('A', 'B', 1000)).toEqual([]);
+  });
+
+  it('prices a same-chain route as one local transaction', () => {
+    const [route] = new RouteGraph().findRoutes('Flare', 'Flare', 1000, { operation: 'rebalance' });
+
+    expect(route.path).toEqual(['Flare']);
+    expect(route.hops).toEqual([expect.objectContaining({ bridge: null, fixedFeeUsd: 0, feeRate: 0, percentageFeeUsd: 0 })]);
+  });
+
+  it('rejects unknown chains, objectives and bridge endpoints', () => {
+    const graph = createGraph();
+
+    expect(() => graph.findRoutes('A', 'Z', 1)).toThrow('Unknown chain: Z');
+    expect(() => graph.findRoutes('A', 'B', 1, { objective: 'fun' })).toThrow('Unsupported objective');
+    expect(() => graph.addBridge({ from: 'A', to: 'Z', bridge: 'Nowhere' })).toThrow('unknown chain');
+  });
+});
@@ -0,0 +1,45 @@
+// DeFi Autopilot Route Optimizer
+// Cross-chain routing and rebalance profitability checks
+
+const { RouteGraph } = require('./route-graph');
+
+/**
+ * Cross-Chain Route Optimizer - Calculates optimal transaction paths
+ */
+class RouteOptimizer {
+  constructor({ graph, costModel, profitMargin } = {}) {
+    this.graph = graph || new RouteGraph({ costModel });
+    this.chainData = this.graph.chains;
+    this.profitMargin = profitMargin ?? 0.15; // 15% minimum profit margin over costs
+  }
+
+  /**
+   * Top routes between two chains for an amount (USD), with a per-hop cost breakdown
+   */
+  findRoutes(fromChain, toChain, amount, options) {
+    return this.graph.findRoutes(fromChain, toChain, amount, options);
+  }
+
+  /**
+   * Calculate the most cost-effective route for cross-chain transactions
+   */
+  calculateOptimalRoute(fromChain, toChain, amount, urgency = 'normal', operation = 'transfer') {
+    const objective = urgency === 'urgent' ? 'time' : 'cost';
+    return this.findRoutes(fromChain, toChain, amount, { objective, limit: 1, operation })[0] || null;
+  }
+
+  /**
+   * Determine if rebalancing is profitable after routing costs
+   */
+  shouldRebalance(currentYield, newYield, portfolioValue, routeCost) {
+    const annualYieldIncrease = (newYield - currentYield) / 100;
+    const annualProfitIncrease = annualYieldIncrease * portfolioValue;
+    const profitThreshold = routeCost * (1 + this.profitMargin);
+
+    return annualProfitIncrease > profitThreshold;
+  }
+}
+
+module.exports = {
+  RouteOptimizer
+};
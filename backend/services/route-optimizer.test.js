@@ -0,0 +1,36 @@
+const { RouteOptimizer } = require('./route-optimizer');
+
+function createOptimizer(options = {}) {
+  const graph = { chains: { Flare: {} }, findRoutes: jest.fn().mockReturnValue([{ totalCost: 3 }, { totalCost: 5 }]) };
+  return { optimizer: new RouteOptimizer({ graph, ...options }), graph };
+}
+
+describe('RouteOptimizer', () => {
+  it('takes the cheapest route, or the fastest when urgent', () => {
+    const { optimizer, graph } = createOptimizer();
+
+    expect(optimizer.calculateOptimalRoute('Flare', 'Ethereum', 1000)).toEqual({ totalCost: 3 });
+    optimizer.calculateOptimalRoute('Flare', 'Ethereum', 1000, 'urgent', 'swap');
+
+    expect(graph.findRoutes.mock.calls).toEqual([
+      ['Flare', 'Ethereum', 1000, { objective: 'cost', limit: 1, operation: 'transfer' }],
+      ['Flare', 'Ethereum', 1000, { objective: 'time', limit: 1, operation: 'swap' }]
+    ]);
+  });
+
+  it('returns null when no route connects the chains', () => {
+    const { optimizer, graph } = createOptimizer();
+    graph.findRoutes.mockReturnValue([]);
+
+    expect(optimizer.calculateOptimalRoute('Flare', 'XRPL', 1000)).toBeNull();
+  });
+
+  it('rebalances only when the yearly gain beats costs plus the profit margin', () => {
+    const { optimizer } = createOptimizer();
+
+    // 1 point on 10,000 is 100 a year; the threshold for a cost of 86 is 98.9
+    expect(optimizer.shouldRebalance(4, 5, 10000, 86)).toBe(true);
+    expect(optimizer.shouldRebalance(4, 5, 10000, 87)).toBe(false);
+    expect(createOptimizer({ profitMargin: 0 }).optimizer.shouldRebalance(4, 5, 10000, 99)).toBe(true);
+  });
+});
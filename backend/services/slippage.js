@@ -0,0 +1,97 @@
+// DeFi Autopilot Slippage Model
+// Size-aware price impact of leaving one market and entering another
+
+const { createProtocolRegistry } = require('./protocol-registry');
+const { round } = require('./numbers');
+
+const STABLESWAP_AMPLIFICATION = 50; // Curve pools quote far flatter than constant product near peg
+const LENDING_IMPACT_FACTOR = 0.1;    // withdrawals settle at par; cost comes from draining idle liquidity
+
+/**
+ * Slippage Model - Price impact from trade size, TVL and utilization
+ *
+ * - lending/vault: withdrawals draw on idle liquidity (tvl * (1 - utilization)),
+ *   scaled down by LENDING_IMPACT_FACTOR; deposits have no price impact
+ * - amm: constant-product impact amount / (amount + tvl) on both sides
+ * - stableswap: constant-product impact divided by the amplification
+ *
+ * Each protocol's pool type comes from its adapter (ProtocolRegistry.poolTypes())
+ */
+class SlippageModel {
+  constructor({ registry, amplification, lendingImpactFactor } = {}) {
+    this.poolTypes = (registry || createProtocolRegistry()).poolTypes();
+    this.amplification = amplification || STABLESWAP_AMPLIFICATION;
+    this.lendingImpactFactor = lendingImpactFactor ?? LENDING_IMPACT_FACTOR;
+  }
+
+  poolType(protocol) {
+    return this.poolTypes[protocol] || 'lending';
+  }
+
+  /**
+   * Liquidity available to absorb a flow (USD); Infinity when the side has no impact,
+   * null when the market reports no TVL
+   */
+  depth(protocol, market, side) {
+    const type = this.poolType(protocol);
+    const tvl = market?.tvl;
+
+    if ((type === 'lending' || type === 'vault') && side === 'entry') return Infinity;
+    if (typeof tvl !== 'number') return null;
+
+    if (type === 'lending' || type === 'vault') {
+      const utilization = typeof market?.utilizationRate === 'number' ? market.utilizationRate : 0;
+      return tvl * Math.max(0, 1 - utilization);
+    }
+
+    return tvl;
+  }
+
+  /**
+   * Impact of one side of a move
+   * @param {string} side - 'exit' or 'entry'
+   */
+  estimate(protocol, market, amount, side) {
+    const type = this.poolType(protocol);
+    const depth = this.depth(protocol, market, side);
+
+    // Unknown depth is not priced rather than treated as zero liquidity
+    let impact = 0;
+    if (depth !== null && Number.isFinite(depth)) {
+      impact = depth > 0 ? amount / (amount + depth) : 1;
+      if (type === 'stableswap') impact /= this.amplification;
+      if (type === 'lending' || type === 'vault') impact *= this.lendingImpactFactor;
+    }
+
+    return {
+      protocol,
+      type,
+      depth: depth !== null && Number.isFinite(depth) ? Math.round(depth) : null,
+      impact: round(impact * 100), // percent
+      cost: round(impact * amount, 2),
+      // Lending withdrawals cannot exceed idle liquidity at all
+      feasible: !((type === 'lending' || type === 'vault') && side === 'exit' && depth !== null && amount > depth)
+    };
+  }
+
+  /**
+   * Total price impact of moving amount (USD) from one market to another
+   */
+  estimateMove(amount, from, to) {
+    const exit = this.estimate(from.protocol, from.market, amount, 'exit');
+    const entry = this.estimate(to.protocol, to.market, amount - exit.cost, 'entry');
+    const cost = exit.cost + entry.cost;
+
+    return {
+      exit,
+      entry,
+      cost: round(cost, 2),
+      impact: amount > 0 ? round(cost / amount * 100) : 0, // percent
+      feasible: exit.feasible && entry.feasible
+    };
+  }
+}
+
+module.exports = {
+  SlippageModel
+};
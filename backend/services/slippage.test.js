@@ -0,0 +1,66 @@
+const { SlippageModel } = require('./slippage');
+const { ProtocolRegistry } = require('./protocol-registry');
+
+const POOL_TYPES = { Aave: 'lending', Uniswap: 'amm', Curve: 'stableswap', 'Flare DEX': 'amm' };
+
+describe('SlippageModel', () => {
+  const registry = new ProtocolRegistry({
+    adapters: Object.entries(POOL_TYPES).map(([name, poolType]) => ({
+      name,
+      poolType,
+      riskScore: 3,
+      endpoint: 'https://example.com/markets',
+      parse: raw => raw,
+      mock: { USDC: [4, 1000000] }
+    }))
+  });
+  const model = new SlippageModel({ registry });
+  const lending = { tvl: 1000000, utilizationRate: 0.8 };
+
+  it('prices lending withdrawals against idle liquidity only', () => {
+    // 100k out of 200k idle: 100k / 300k, scaled by the lending impact factor
+    expect(model.estimate('Aave', lending, 100000, 'exit')).toEqual({
+      protocol: 'Aave',
+      type: 'lending',
+      depth: 200000,
+      impact: 3.3333,
+      cost: 3333.33,
+      feasible: true
+    });
+    expect(model.estimate('Aave', lending, 300000, 'exit').feasible).toBe(false);
+    expect(model.estimate('Aave', lending, 300000, 'entry')).toMatchObject({ depth: null, impact: 0, cost: 0, feasible: true });
+  });
+
+  it('uses constant-product impact for AMMs and flattens it for stableswaps', () => {
+    expect(model.estimate('Uniswap', { tvl: 900000 }, 100000, 'entry')).toMatchObject({ type: 'amm', impact: 10, cost: 10000 });
+    expect(model.estimate('Curve', { tvl: 900000 }, 100000, 'exit')).toMatchObject({ type: 'stableswap', impact: 0.2, cost: 200 });
+  });
+
+  it('leaves markets without a reported TVL unpriced', () => {
+    for (const protocol of ['Aave', 'Uniswap']) {
+      expect(model.estimate(protocol, { apy: 4 }, 100000, 'exit')).toMatchObject({ depth: null, impact: 0, cost: 0, feasible: true });
+    }
+  });
+
+  it('treats an empty pool as total loss', () => {
+    expect(model.estimate('Uniswap', { tvl: 0 }, 1000, 'exit')).toMatchObject({ impact: 100, cost: 1000 });
+  });
+
+  it('enters with what is left after the exit', () => {
+    const move = model.estimateMove(
+      100000,
+      { protocol: 'Aave', market: lending },
+      { protocol: 'Uniswap', market: { tvl: 900000 } }
+    );
+
+    expect(move.entry.cost).toBeCloseTo(96666.67 * 96666.67 / 996666.67, 1);
+    expect(move.cost).toBeCloseTo(move.exit.cost + move.entry.cost, 2);
+    expect(move.impact).toBeCloseTo(move.cost / 1000, 4);
+    expect(move.feasible).toBe(true);
+  });
+
+  it('takes pool types from the registry adapters', () => {
+    expect(model.poolType('Flare DEX')).toBe('amm');
+    expect(model.poolType('Lido')).toBe('lending');
+  });
+});
@@ -0,0 +1,421 @@
+// DeFi Autopilot XRPL Service
+// AMM and order book pricing for the XRPL leg of a route, live fees and unsigned transactions
+
+const fs = require('fs');
+const path = require('path');
+const xrpl = require('xrpl');
+const { round } = require('./numbers');
+
+// symbol -> issue; XRP has no issuer. Extend with XRPL_ASSETS (JSON) for other tokens or a standalone ledger
+const DEFAULT_ASSETS = {
+  XRP: { currency: 'XRP' },
+  RLUSD: { currency: 'RLUSD', issuer: 'rMxCKbEDwqr76QuheSUMdEGf4B9xJ8m5De' }
+};
+
+const TRANSACTION_TYPES = ['payment', 'ammDeposit', 'ammWithdraw'];
+
+const LEDGER_OFFSET = 20; // LastLedgerSequence = validated ledger + offset (about a minute)
+
+/**
+ * Currency field for an issue: 3-character codes as-is, longer ones as 40-character hex
+ */
+function currencyCode(currency) {
+  if (currency === 'XRP' || currency.length === 3 || /^[0-9A-F]{40}$/i.test(currency)) return currency;
+  return xrpl.convertStringToHex(currency).padEnd(40, '0').toUpperCase();
+}
+
+/**
+ * Issue object for requests (amm_info, book_offers) and AMM transactions
+ */
+function toIssue({ currency, issuer }) {
+  return currency === 'XRP' ? { currency: 'XRP' } : { currency: currencyCode(currency), issuer };
+}
+
+/**
+ * Transaction amount: drops string for XRP, issued currency object otherwise
+ */
+function toAmount(issue, value) {
+  if (issue.currency === 'XRP') return xrpl.xrpToDrops(Number(value).toFixed(6));
+  return { ...toIssue(issue), value: String(Number(Number(value).toPrecision(15))) };
+}
+
+/**
+ * Numeric value of a ledger amount (XRP in XRP, not drops)
+ */
+function fromAmount(amount) {
+  return typeof amount === 'string' ? Number(xrpl.dropsToXrp(amount)) : parseFloat(amount.value);
+}
+
+function sameIssue(amount, issue) {
+  const wanted = toIssue(issue);
+  if (typeof amount === 'string') return wanted.currency === 'XRP';
+  return amount.currency === wanted.currency && amount.issuer === wanted.issuer;
+}
+
+/**
+ * Constant-product AMM (XLS-30, equal weights): the trading fee is taken from the input
+ */
+function ammOut(pool, amountIn) {
+  const effective = amountIn * (1 - pool.fee);
+  return pool.reserveOut * effective / (pool.reserveIn + effective);
+}
+
+/**
+ * Recorded XRPL Client - Replays saved responses (tests, offline demos).
+ * Entries are { request, result } or { request, error }; a request matches when every recorded field is equal.
+ */
+class RecordedXrplClient {
+  constructor({ file, entries } = {}) {
+    this.entries = entries || JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')).responses;
+  }
+
+  async connect() {}
+
+  async disconnect() {}
+
+  isConnected() {
+    return true;
+  }
+
+  async request(request) {
+    const entry = this.entries.find(recorded => Object.entries(recorded.request)
+      .every(([key, value]) => JSON.stringify(request[key]) === JSON.stringify(value)));
+    if (!entry) {
+      throw new Error(`No recorded response for ${request.command}`);
+    }
+    if (entry.error) {
+      // Same shape as the RippledError xrpl.Client throws
+      throw Object.assign(new Error(entry.error), { data: { error: entry.error, request } });
+    }
+    return { result: JSON.parse(JSON.stringify(entry.result)), type: 'response' };
+  }
+}
+
+/**
+ * XRPL Service - Reads AMM pools, order books and fees from rippled and builds unsigned transactions.
+ * client is an xrpl.Client (live or standalone rippled) or a RecordedXrplClient.
+ */
+class XrplService {
+  constructor({ client, url, assets, costModel, feeTtl } = {}) {
+    this.client = client || new xrpl.Client(url, { timeout: 10000 });
+    this.assets = { ...DEFAULT_ASSETS, ...assets };
+    this.costModel = costModel || null;
+    this.feeTtl = feeTtl || 30 * 1000; // 30 seconds
+    this.fees = null;
+  }
+
+  async request(request) {
+    if (!this.client.isConnected()) {
+      await this.client.connect();
+    }
+    const response = await this.client.request(request);
+    return response.result;
+  }
+
+  async disconnect() {
+    if (this.client.isConnected()) {
+      await this.client.disconnect();
+    }
+  }
+
+  hasAsset(symbol) {
+    return Object.prototype.hasOwnProperty.call(this.assets, symbol);
+  }
+
+  asset(symbol) {
+    if (!this.hasAsset(symbol)) {
+      throw new Error(`Unknown XRPL asset: ${symbol}`);
+    }
+    return this.assets[symbol];
+  }
+
+  /**
+   * Transaction cost and reserves from server_info; the fee scales with the server's load factor.
+   * Updates the cost model's XRPL fee so routes use it.
+   */
+  async getFees() {
+    if (this.fees && Date.now() - this.fees.fetchedAt < this.feeTtl) {
+      return this.fees;
+    }
+
+    const { info } = await this.request({ command: 'server_info' });
+    const ledger = info.validated_ledger;
+    if (!ledger) {
+      throw new Error('rippled has no validated ledger yet');
+    }
+
+    const loadFactor = info.load_factor || 1;
+    this.fees = {
+      baseFeeXrp: ledger.base_fee_xrp,
+      loadFactor,
+      feeXrp: Math.ceil(ledger.base_fee_xrp * loadFactor * 1e6) / 1e6, // whole drops
+      reserveBaseXrp: ledger.reserve_base_xrp,
+      reserveIncXrp: ledger.reserve_inc_xrp,
+      ledgerIndex: ledger.seq,
+      networkId: info.network_id ?? null,
+      serverState: info.server_state,
+      fetchedAt: Date.now()
+    };
+
+    if (this.costModel) {
+      this.costModel.setChainCost('XRPL', { feePerTx: this.fees.feeXrp });
+    }
+    return this.fees;
+  }
+
+  /**
+   * AMM pool for a pair, or null when none exists
+   */
+  async getAmm(from, to) {
+    try {
+      const { amm } = await this.request({
+        command: 'amm_info',
+        asset: toIssue(this.asset(from)),
+        asset2: toIssue(this.asset(to)),
+        ledger_index: 'validated'
+      });
+      return amm;
+    } catch (error) {
+      if (error.data?.error === 'actNotFound' || /actNotFound|Account not found/.test(error.message)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Offers selling `to` for `from`, best first
+   */
+  async getOrderBook(from, to, limit = 50) {
+    const { offers } = await this.request({
+      command: 'book_offers',
+      taker_pays: toIssue(this.asset(from)),
+      taker_gets: toIssue(this.asset(to)),
+      ledger_index: 'validated',
+      limit
+    });
+    return offers;
+  }
+
+  /**
+   * Price selling `amount` of `from` for `to` through the AMM, the order book and both.
+   * The combined quote fills slices from whichever venue pays more, approximating how the
+   * payment engine interleaves AMM and CLOB liquidity.
+   */
+  async quoteSwap(from, to, amount, { slices = 20 } = {}) {
+    const fromIssue = this.asset(from);
+    const toIssueSpec = this.asset(to);
+    const [amm, offers] = await Promise.all([this.getAmm(from, to), this.getOrderBook(from, to)]);
+
+    const pool = amm && {
+      reserveIn: fromAmount(sameIssue(amm.amount, fromIssue) ? amm.amount : amm.amount2),
+      reserveOut: fromAmount(sameIssue(amm.amount, toIssueSpec) ? amm.amount : amm.amount2),
+      fee: amm.trading_fee / 100000 // trading_fee is in 1/100,000 (1000 = 1%)
+    };
+
+    // Funded amounts: an offer owner may not hold the full TakerGets
+    const levels = offers
+      .map(offer => ({
+        pays: fromAmount(offer.taker_pays_funded ?? offer.TakerPays),
+        gets: fromAmount(offer.taker_gets_funded ?? offer.TakerGets)
+      }))
+      .filter(level => level.pays > 0 && level.gets > 0);
+
+    const ammQuote = pool ? this.describeFill('amm', amount, amount, ammOut(pool, amount), pool.reserveOut / pool.reserveIn) : null;
+    const bookQuote = levels.length > 0 ? this.fillBook(levels, amount) : null;
+
+    // Combined: slice by slice, AMM reserves and book depth move as they are used
+    let combined = null;
+    if (pool && levels.length > 0) {
+      const state = { ...pool };
+      const book = levels.map(level => ({ ...level }));
+      const slice = amount / slices;
+      let out = 0;
+      let viaAmm = 0;
+
+      for (let i = 0; i < slices; i++) {
+        const fromAmm = ammOut(state, slice);
+        const fromBook = this.fillBook(book, slice, { consume: false });
+
+        if (fromBook.complete && fromBook.amountOut > fromAmm) {
+          out += this.fillBook(book, slice, { consume: true }).amountOut;
+        } else {
+          state.reserveIn += slice;
+          state.reserveOut -= fromAmm;
+          out += fromAmm;
+          viaAmm += slice;
+        }
+      }
+
+      combined = {
+        ...this.describeFill('combined', amount, amount, out, Math.max(pool.reserveOut / pool.reserveIn, levels[0].gets / levels[0].pays)),
+        ammShare: round(viaAmm / amount * 100)
+      };
+    }
+
+    const best = [combined, ammQuote, bookQuote]
+      .filter(quote => quote && quote.complete)
+      .sort((a, b) => b.amountOut - a.amountOut)[0] || null;
+
+    return {
+      from,
+      to,
+      amountIn: amount,
+      best,
+      amm: ammQuote && {
+        ...ammQuote,
+        account: amm.account,
+        tradingFee: amm.trading_fee / 1000, // percent
+        reserves: { [from]: pool.reserveIn, [to]: pool.reserveOut },
+        lpToken: amm.lp_token
+      },
+      book: bookQuote,
+      combined
+    };
+  }
+
+  /**
+   * Walk price levels (best first) with an input amount; consume removes the filled depth
+   */
+  fillBook(levels, amount, { consume = false } = {}) {
+    let remaining = amount;
+    let out = 0;
+    let used = 0;
+
+    for (const level of levels) {
+      if (remaining <= 0) break;
+      if (level.pays <= 0) continue;
+
+      const take = Math.min(remaining, level.pays);
+      const received = level.gets * take / level.pays;
+      out += received;
+      remaining -= take;
+      used++;
+
+      if (consume) {
+        level.pays -= take;
+        level.gets -= received;
+      }
+    }
+
+    const top = levels.find(level => level.pays > 0);
+    return {
+      ...this.describeFill('book', amount, amount - remaining, out, top ? top.gets / top.pays : 0),
+      levels: used
+    };
+  }
+
+  describeFill(venue, amount, filled, amountOut, spotPrice) {
+    const price = filled > 0 ? amountOut / filled : 0;
+    return {
+      venue,
+      amountIn: round(filled, 6),
+      amountOut: round(amountOut, 6),
+      price: round(price, 8),
+      spotPrice: round(spotPrice, 8),
+      priceImpact: spotPrice > 0 ? round((1 - price / spotPrice) * 100) : null, // percent, including fees
+      complete: filled >= amount * (1 - 1e-9)
+    };
+  }
+
+  /**
+   * Unsigned, autofilled transaction for the rebalance path.
+   * - payment: { account, destination?, from, to, amount, maxSlippage? } sells `amount` of `from`;
+   *   cross-currency payments deliver at least the quote less maxSlippage (default 0.5%)
+   * - ammDeposit: { account, asset, asset2, amount, amount2? } single- or two-asset deposit
+   * - ammWithdraw: { account, asset, asset2, lpTokens? } burns lpTokens, or withdraws everything
+   */
+  async buildTransaction(type, params) {
+    let tx;
+    let quote = null;
+
+    if (type === 'payment') {
+      const { account, destination = account, from, to = from, amount, maxSlippage = 0.005 } = params;
+      const fromIssue = this.asset(from);
+
+      if (from === to) {
+        tx = { TransactionType: 'Payment', Account: account, Destination: destination, Amount: toAmount(fromIssue, amount) };
+      } else {
+        quote = await this.quoteSwap(from, to, amount);
+        if (!quote.best) {
+          throw new Error(`Not enough XRPL liquidity to sell ${amount} ${from} for ${to}`);
+        }
+        const toIssueSpec = this.asset(to);
+        tx = {
+          TransactionType: 'Payment',
+          Account: account,
+          Destination: destination,
+          Amount: toAmount(toIssueSpec, quote.best.amountOut),
+          SendMax: toAmount(fromIssue, amount),
+          DeliverMin: toAmount(toIssueSpec, quote.best.amountOut * (1 - maxSlippage)),
+          Flags: xrpl.PaymentFlags.tfPartialPayment
+        };
+      }
+    } else if (type === 'ammDeposit') {
+      const { account, asset, asset2, amount, amount2 } = params;
+      tx = {
+        TransactionType: 'AMMDeposit',
+        Account: account,
+        Asset: toIssue(this.asset(asset)),
+        Asset2: toIssue(this.asset(asset2)),
+        Amount: toAmount(this.asset(asset), amount),
+        ...(amount2 !== undefined && { Amount2: toAmount(this.asset(asset2), amount2) }),
+        Flags: amount2 !== undefined ? xrpl.AMMDepositFlags.tfTwoAsset : xrpl.AMMDepositFlags.tfSingleAsset
+      };
+    } else if (type === 'ammWithdraw') {
+      const { account, asset, asset2, lpTokens } = params;
+      const amm = await this.getAmm(asset, asset2);
+      if (!amm) {
+        throw new Error(`No XRPL AMM for ${asset}/${asset2}`);
+      }
+      tx = {
+        TransactionType: 'AMMWithdraw',
+        Account: account,
+        Asset: toIssue(this.asset(asset)),
+        Asset2: toIssue(this.asset(asset2)),
+        ...(lpTokens !== undefined && { LPTokenIn: { ...amm.lp_token, value: String(lpTokens) } }),
+        Flags: lpTokens !== undefined ? xrpl.AMMWithdrawFlags.tfLPToken : xrpl.AMMWithdrawFlags.tfWithdrawAll
+      };
+    } else {
+      throw new Error(`Unsupported XRPL transaction type "${type}" (use ${TRANSACTION_TYPES.join(', ')})`);
+    }
+
+    const transaction = await this.autofill(tx);
+    xrpl.validate(transaction);
+
+    return {
+      transaction,
+      fees: { feeXrp: Number(xrpl.dropsToXrp(transaction.Fee)), ledgerIndex: this.fees.ledgerIndex },
+      quote,
+      submitted: false
+    };
+  }
+
+  /**
+   * Sequence from account_info, Fee from server_info, LastLedgerSequence a few ledgers ahead
+   */
+  async autofill(tx) {
+    const [fees, { account_data: accountData }] = await Promise.all([
+      this.getFees(),
+      this.request({ command: 'account_info', account: tx.Account, ledger_index: 'current' })
+    ]);
+
+    return {
+      ...tx,
+      Sequence: accountData.Sequence,
+      Fee: xrpl.xrpToDrops(fees.feeXrp.toFixed(6)),
+      LastLedgerSequence: fees.ledgerIndex + LEDGER_OFFSET,
+      // NetworkID is required on networks above 1024 (sidechains, some devnets)
+      ...(fees.networkId > 1024 && { NetworkID: fees.networkId })
+    };
+  }
+}
+
+module.exports = {
+  XrplService,
+  RecordedXrplClient,
+  DEFAULT_ASSETS,
+  TRANSACTION_TYPES,
+  currencyCode,
+  toIssue,
+  toAmount,
+  fromAmount
+};
@@ -0,0 +1,140 @@
+const path = require('path');
+const xrpl = require('xrpl');
+const { XrplService, RecordedXrplClient, currencyCode, toAmount, fromAmount, toIssue, DEFAULT_ASSETS } = require('./xrpl');
+const recording = require('../fixtures/xrpl-responses.json');
+
+const RLUSD = toIssue(DEFAULT_ASSETS.RLUSD);
+const XRP = { currency: 'XRP' };
+
+function recordedService(options = {}) {
+  const client = new RecordedXrplClient({ file: path.join(__dirname, '..', 'fixtures', 'xrpl-responses.json') });
+  return new XrplService({ client, ...options });
+}
+
+// Recording with the XRP -> RLUSD AMM and order book replaced
+function serviceWith({ amm, offers }) {
+  const keep = recording.responses.filter(entry => ['server_info', 'account_info'].includes(entry.request.command));
+  const entries = [
+    ...keep,
+    amm
+      ? { request: { command: 'amm_info', asset: XRP, asset2: RLUSD }, result: { amm } }
+      : { request: { command: 'amm_info', asset: XRP, asset2: RLUSD }, error: 'actNotFound' },
+    { request: { command: 'book_offers', taker_pays: XRP, taker_gets: RLUSD }, result: { offers } }
+  ];
+  return new XrplService({ client: new RecordedXrplClient({ entries }) });
+}
+
+describe('XRPL amounts', () => {
+  it('encodes currencies and amounts the way rippled expects them', () => {
+    expect(currencyCode('USD')).toBe('USD');
+    expect(currencyCode('RLUSD')).toBe('524C555344000000000000000000000000000000');
+    expect(toAmount(XRP, 1.5)).toBe('1500000');
+    expect(toAmount(DEFAULT_ASSETS.RLUSD, 0.1 + 0.2)).toEqual({ ...RLUSD, value: '0.3' });
+    expect(fromAmount('2500000')).toBe(2.5);
+    expect(fromAmount({ ...RLUSD, value: '12.5' })).toBe(12.5);
+  });
+});
+
+describe('XrplService', () => {
+  it('reads fees from server_info, caches them and feeds the cost model', async () => {
+    const costModel = { setChainCost: jest.fn() };
+    const service = recordedService({ costModel });
+    const request = jest.spyOn(service.client, 'request');
+
+    const fees = await service.getFees();
+    await service.getFees();
+
+    expect(fees).toMatchObject({ feeXrp: 0.00001, reserveBaseXrp: 1, reserveIncXrp: 0.2, ledgerIndex: 93000120, serverState: 'full' });
+    expect(request).toHaveBeenCalledTimes(1);
+    expect(costModel.setChainCost).toHaveBeenCalledWith('XRPL', { feePerTx: 0.00001 });
+  });
+
+  it('quotes the recorded AMM and order book and picks the better fill', async () => {
+    const quote = await recordedService().quoteSwap('XRP', 'RLUSD', 100000);
+
+    // 100,000 XRP less the 0.5% fee into a 20M XRP / 10M RLUSD pool
+    expect(quote.amm).toMatchObject({
+      amountOut: Number((10000000 * 99500 / (20000000 + 99500)).toFixed(6)),
+      spotPrice: 0.5,
+      tradingFee: 0.5,
+      reserves: { XRP: 20000000, RLUSD: 10000000 }
+    });
+    expect(quote.book).toMatchObject({ complete: true, levels: 2, spotPrice: 0.4996 });
+    expect(quote.best.amountOut).toBe(Math.max(quote.amm.amountOut, quote.book.amountOut, quote.combined.amountOut));
+  });
+
+  it('fills from the order book while it pays more, then from the AMM', async () => {
+    const service = serviceWith({
+      amm: { account: 'rAMM', amount: '1000000000000', amount2: { ...RLUSD, value: '500000' }, trading_fee: 0, lp_token: {} },
+      offers: [{ TakerPays: '10000000000', TakerGets: { ...RLUSD, value: '5500' } }]
+    });
+
+    const quote = await service.quoteSwap('XRP', 'RLUSD', 100000);
+
+    expect(quote.book).toMatchObject({ amountIn: 10000, complete: false });
+    expect(quote.combined.ammShare).toBe(90);
+    expect(quote.best.venue).toBe('combined');
+    expect(quote.best.amountOut).toBeGreaterThan(quote.amm.amountOut);
+  });
+
+  it('treats a missing AMM as no pool', async () => {
+    const service = serviceWith({ amm: null, offers: [{ TakerPays: '1000000', TakerGets: { ...RLUSD, value: '0.5' } }] });
+
+    const quote = await service.quoteSwap('XRP', 'RLUSD', 1);
+
+    expect(quote).toMatchObject({ amm: null, combined: null, best: { venue: 'book', amountOut: 0.5 } });
+  });
+
+  it('builds an autofilled cross-currency payment bounded by the quote', async () => {
+    const service = recordedService();
+
+    const { transaction, fees, quote, submitted } = await service.buildTransaction('payment', {
+      account: recording.account,
+      from: 'XRP',
+      to: 'RLUSD',
+      amount: 1000,
+      maxSlippage: 0.01
+    });
+
+    expect(transaction).toMatchObject({
+      TransactionType: 'Payment',
+      Destination: recording.account,
+      Amount: { ...RLUSD, value: String(quote.best.amountOut) },
+      SendMax: '1000000000',
+      DeliverMin: { ...RLUSD, value: String(Number((quote.best.amountOut * 0.99).toPrecision(15))) },
+      Flags: xrpl.PaymentFlags.tfPartialPayment,
+      Fee: '10',
+      LastLedgerSequence: 93000140
+    });
+    expect(transaction.Sequence).toEqual(expect.any(Number));
+    expect(fees).toEqual({ feeXrp: 0.00001, ledgerIndex: 93000120 });
+    expect(submitted).toBe(false);
+  });
+
+  it('builds AMM deposits and refuses withdrawals from a missing pool', async () => {
+    const deposit = await recordedService().buildTransaction('ammDeposit', {
+      account: recording.account,
+      asset: 'XRP',
+      asset2: 'RLUSD',
+      amount: 10
+    });
+    expect(deposit.transaction).toMatchObject({
+      TransactionType: 'AMMDeposit',
+      Asset: XRP,
+      Asset2: RLUSD,
+      Amount: '10000000',
+      Flags: xrpl.AMMDepositFlags.tfSingleAsset
+    });
+
+    const service = serviceWith({ amm: null, offers: [] });
+    await expect(service.buildTransaction('ammWithdraw', { account: recording.account, asset: 'XRP', asset2: 'RLUSD' }))
+      .rejects.toThrow('No XRPL AMM for XRP/RLUSD');
+  });
+
+  it('rejects unknown assets and transaction types', async () => {
+    const service = recordedService();
+
+    await expect(service.quoteSwap('XRP', 'EUR', 1)).rejects.toThrow('Unknown XRPL asset: EUR');
+    await expect(service.buildTransaction('offerCreate', {})).rejects.toThrow('Unsupported XRPL transaction type "offerCreate"');
+  });
+});
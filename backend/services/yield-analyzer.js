@@ -0,0 +1,213 @@
+// DeFi Autopilot Yield Analyzer
+// Fetches and normalizes yield data from the registered protocol adapters
+
+const EventEmitter = require('events');
+const { PRIMARY_ASSET, buildYieldData } = require('./market-data');
+const { createProtocolRegistry } = require('./protocol-registry');
+
+// Network failures worth retrying (axios/Node and ethers codes); HTTP 429 and 5xx are retried too
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'TIMEOUT', 'SERVER_ERROR', 'NETWORK_ERROR'];
+
+function isTransient(error) {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return TRANSIENT_CODES.includes(error.code);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * AI Yield Analyzer - Monitors DeFi protocols for yield opportunities
+ * Emits 'yields' with the full snapshot after every fetchAllYields cycle.
+ *
+ * Every protocol's data says where it came from: source is live, cache, last-known-good
+ * (the source failed; the last live data is served) or mock, with its age in ms and
+ * stale once older than staleAfter.
+ */
+class YieldAnalyzer extends EventEmitter {
+  constructor({ historyStore, registry, staleAfter, lastGoodMaxAge } = {}) {
+    super();
+    this.historyStore = historyStore || null;
+    // Built-in adapters (backend/adapters) unless a configured registry is passed in
+    this.registry = registry || createProtocolRegistry();
+
+    this.yieldCache = new Map(); // also the last-known-good data once past cacheTimeout
+    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this.staleAfter = staleAfter || 15 * 60 * 1000; // 15 minutes
+    this.lastGoodMaxAge = lastGoodMaxAge || 24 * 60 * 60 * 1000; // older last-known-good data falls back to mock
+    this.pending = new Map(); // protocol -> in-flight refresh, shared by concurrent callers
+  }
+
+  /**
+   * Fetch yield data from all supported protocols
+   */
+  async fetchAllYields() {
+    const yields = {};
+    const fetchPromises = [];
+
+    for (const adapter of this.registry.list()) {
+      fetchPromises.push(
+        this.fetchProtocolYield(adapter)
+          .then(data => yields[adapter.name] = data)
+          .catch(error => {
+            console.error(`Error fetching ${adapter.name}:`, error.message);
+            yields[adapter.name] = this.recordObservation(this.getMockYieldData(adapter.name));
+          })
+      );
+    }
+
+    await Promise.all(fetchPromises);
+    this.emit('yields', yields);
+    return yields;
+  }
+
+  /**
+   * Fetch yield data for a specific protocol
+   */
+  async fetchProtocolYield(adapter) {
+    const cached = this.yieldCache.get(`yield_${adapter.name}`);
+
+    if (cached && (Date.now() - cached.timestamp < this.cacheTimeout)) {
+      this.registry.recordServed(adapter.name, 'cache');
+      return this.withFreshness(cached.data, 'cache');
+    }
+
+    if (!this.pending.has(adapter.name)) {
+      this.pending.set(adapter.name, this.refreshProtocolYield(adapter).finally(() => this.pending.delete(adapter.name)));
+    }
+    return this.pending.get(adapter.name);
+  }
+
+  /**
+   * Fetch from the source unless its circuit is open; failures fall back to last-known-good, then mock
+   */
+  async refreshProtocolYield(adapter) {
+    if (!this.registry.canAttempt(adapter.name)) {
+      const { retryAt } = this.registry.health.get(adapter.name);
+      return this.fallback(adapter, `circuit open until ${new Date(retryAt).toISOString()}`);
+    }
+
+    const started = Date.now();
+    try {
+      const yieldData = await this.fetchWithRetry(adapter);
+      yieldData.riskScore = adapter.riskScore;
+      yieldData.protocol = adapter.name;
+      yieldData.timestamp = Date.now();
+
+      // Cache the result
+      this.yieldCache.set(`yield_${adapter.name}`, { data: yieldData, timestamp: Date.now() });
+      this.registry.recordSuccess(adapter.name, Date.now() - started);
+      this.registry.recordServed(adapter.name, 'live');
+
+      return this.recordObservation(this.withFreshness(yieldData, 'live'));
+    } catch (error) {
+      this.registry.recordFailure(adapter.name, error);
+      return this.fallback(adapter, error.message);
+    }
+  }
+
+  /**
+   * Fetch and parse, retrying transient failures with exponential backoff and jitter
+   */
+  async fetchWithRetry(adapter) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const raw = await adapter.fetch({
+          timeout: 10000,
+          headers: { 'User-Agent': 'DeFi-Autopilot/1.0' }
+        }, this.registry.context);
+
+        return adapter.parse(raw);
+      } catch (error) {
+        if (attempt >= adapter.retries || !isTransient(error)) throw error;
+        await sleep(adapter.retryDelay * 2 ** attempt * (0.5 + Math.random() / 2));
+      }
+    }
+  }
+
+  /**
+   * Last-known-good data while it is younger than lastGoodMaxAge, the adapter's mock otherwise
+   */
+  fallback(adapter, reason) {
+    const lastGood = this.yieldCache.get(`yield_${adapter.name}`);
+
+    if (lastGood && Date.now() - lastGood.timestamp <= this.lastGoodMaxAge) {
+      console.warn(`Failed to fetch real data for ${adapter.name} (${reason}), using last known good data`);
+      this.registry.recordServed(adapter.name, 'last-known-good');
+      return this.withFreshness(lastGood.data, 'last-known-good');
+    }
+
+    console.warn(`Failed to fetch real data for ${adapter.name} (${reason}), using mock data`);
+    this.registry.recordServed(adapter.name, 'mock');
+    return this.recordObservation(this.getMockYieldData(adapter.name));
+  }
+
+  /**
+   * Copy of the data tagged with its source, age (ms) and staleness
+   */
+  withFreshness(yieldData, source) {
+    const age = Date.now() - yieldData.timestamp;
+    return { ...yieldData, source, age, stale: age > this.staleAfter };
+  }
+
+  /**
+   * Per-source breaker state, what was served last and the age of the last good data (/api/sources/health)
+   */
+  describeSources(now = Date.now()) {
+    return this.registry.list().map(adapter => {
+      const lastGood = this.yieldCache.get(`yield_${adapter.name}`);
+      const lastGoodAge = lastGood ? now - lastGood.timestamp : null;
+
+      return {
+        name: adapter.name,
+        ...this.registry.health.get(adapter.name),
+        retries: adapter.retries,
+        lastGoodAt: lastGood ? lastGood.timestamp : null,
+        lastGoodAge,
+        stale: lastGoodAge === null || lastGoodAge > this.staleAfter
+      };
+    });
+  }
+
+  /**
+   * Persist a fresh (non-cached) observation to the history store
+   */
+  recordObservation(yieldData) {
+    if (this.historyStore) {
+      try {
+        this.historyStore.record(yieldData);
+      } catch (error) {
+        console.error(`Failed to record yield history for ${yieldData.protocol}:`, error.message);
+      }
+    }
+
+    return yieldData;
+  }
+
+  /**
+   * Generate mock yield data for demo purposes (the adapter's mock fixture)
+   */
+  getMockYieldData(protocolName) {
+    const { riskScore, mock } = this.registry.get(protocolName);
+    const yieldData = buildYieldData(
+      Object.entries(mock).map(([asset, [apy, tvl]]) => ({ asset, apy, tvl, utilizationRate: 0.75 })),
+      { apy: 0, tvl: 0, utilizationRate: 0.75 }
+    );
+
+    return {
+      ...yieldData,
+      riskScore,
+      protocol: protocolName,
+      timestamp: Date.now(),
+      mock: true,
+      source: 'mock',
+      age: 0,
+      stale: false
+    };
+  }
+}
+
+module.exports = {
+  YieldAnalyzer,
+  PRIMARY_ASSET
+};
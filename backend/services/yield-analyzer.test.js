@@ -0,0 +1,130 @@
+const { YieldAnalyzer } = require('./yield-analyzer');
+const { ProtocolRegistry } = require('./protocol-registry');
+const { buildYieldData } = require('./market-data');
+
+const MINUTE = 60 * 1000;
+
+function httpError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+}
+
+function createAnalyzer({ fetch, ...options } = {}) {
+  const adapter = {
+    name: 'Aave',
+    riskScore: 2,
+    retries: 2,
+    retryDelay: 0,
+    fetch: fetch || jest.fn().mockResolvedValue({ apy: 4 }),
+    parse: raw => buildYieldData([{ asset: 'USDC', apy: raw.apy, tvl: 1000000, utilizationRate: 0.8 }], {}),
+    mock: { USDC: [3.2, 2500000000] }
+  };
+  const registry = new ProtocolRegistry({ adapters: [adapter], failureThreshold: 2, cooldown: MINUTE });
+  const historyStore = { record: jest.fn() };
+
+  return { analyzer: new YieldAnalyzer({ registry, historyStore, ...options }), adapter, registry, historyStore };
+}
+
+describe('YieldAnalyzer', () => {
+  let now;
+
+  beforeEach(() => {
+    now = Date.UTC(2025, 0, 1);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('serves live data, caches it and records it once', async () => {
+    const { analyzer, adapter, historyStore } = createAnalyzer();
+    const emitted = jest.fn();
+    analyzer.on('yields', emitted);
+
+    const { Aave } = await analyzer.fetchAllYields();
+    now += MINUTE;
+    const cached = await analyzer.fetchAllYields();
+
+    expect(Aave).toMatchObject({ apy: 4, riskScore: 2, protocol: 'Aave', source: 'live', age: 0, stale: false });
+    expect(cached.Aave).toMatchObject({ apy: 4, source: 'cache', age: MINUTE });
+    expect(adapter.fetch).toHaveBeenCalledTimes(1);
+    expect(historyStore.record).toHaveBeenCalledTimes(1);
+    expect(emitted).toHaveBeenLastCalledWith(cached);
+  });
+
+  it('shares one in-flight fetch between concurrent callers', async () => {
+    const { analyzer, adapter } = createAnalyzer();
+
+    await Promise.all([analyzer.fetchAllYields(), analyzer.fetchAllYields()]);
+
+    expect(adapter.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries transient failures only', async () => {
+    const fetch = jest.fn()
+      .mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValue({ apy: 4 });
+    const { analyzer } = createAnalyzer({ fetch });
+
+    expect((await analyzer.fetchAllYields()).Aave.source).toBe('live');
+    expect(fetch).toHaveBeenCalledTimes(3);
+
+    const { analyzer: rejected, adapter } = createAnalyzer({ fetch: jest.fn().mockRejectedValue(httpError(404)) });
+    expect((await rejected.fetchAllYields()).Aave).toMatchObject({ source: 'mock', mock: true, apy: 3.2 });
+    expect(adapter.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('falls back to the last known good data, then to the mock once it is too old', async () => {
+    const { analyzer, adapter, registry } = createAnalyzer({ lastGoodMaxAge: 60 * MINUTE, staleAfter: 15 * MINUTE });
+    await analyzer.fetchAllYields();
+    adapter.fetch.mockRejectedValue(httpError(500));
+
+    now += 20 * MINUTE;
+    expect((await analyzer.fetchAllYields()).Aave).toMatchObject({ apy: 4, source: 'last-known-good', age: 20 * MINUTE, stale: true });
+    expect(registry.health.get('Aave')).toMatchObject({ status: 'failing', servedFrom: 'last-known-good' });
+
+    now += 60 * MINUTE;
+    expect((await analyzer.fetchAllYields()).Aave).toMatchObject({ apy: 3.2, source: 'mock', mock: true });
+  });
+
+  it('stops calling a failing source until the circuit cooldown passes', async () => {
+    const { analyzer, adapter, registry } = createAnalyzer({ fetch: jest.fn().mockRejectedValue(httpError(400)) });
+
+    await analyzer.fetchAllYields();
+    await analyzer.fetchAllYields();
+    expect(registry.health.get('Aave')).toMatchObject({ circuit: 'open', trips: 1, retryAt: now + MINUTE });
+
+    await analyzer.fetchAllYields();
+    expect(adapter.fetch).toHaveBeenCalledTimes(2);
+
+    // Half-open trial fails: the cooldown doubles
+    now += MINUTE;
+    await analyzer.fetchAllYields();
+    expect(adapter.fetch).toHaveBeenCalledTimes(3);
+    expect(registry.health.get('Aave')).toMatchObject({ circuit: 'open', trips: 2, retryAt: now + 2 * MINUTE });
+
+    // Half-open trial succeeds: the circuit closes
+    now += 2 * MINUTE;
+    adapter.fetch.mockResolvedValue({ apy: 5 });
+    expect((await analyzer.fetchAllYields()).Aave).toMatchObject({ apy: 5, source: 'live' });
+    expect(registry.health.get('Aave')).toMatchObject({ circuit: 'closed', consecutiveFailures: 0, trips: 0 });
+  });
+
+  it('describes each source with the age of its last good data', async () => {
+    const { analyzer } = createAnalyzer();
+    expect(analyzer.describeSources()[0]).toMatchObject({ name: 'Aave', lastGoodAt: null, stale: true, retries: 2 });
+
+    await analyzer.fetchAllYields();
+    now += MINUTE;
+
+    expect(analyzer.describeSources()[0]).toMatchObject({
+      status: 'ok',
+      servedFrom: 'live',
+      lastGoodAt: now - MINUTE,
+      lastGoodAge: MINUTE,
+      stale: false
+    });
+  });
+});
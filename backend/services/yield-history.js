@@ -0,0 +1,275 @@
+// DeFi Autopilot Yield History Store
+// Persists YieldAnalyzer observations in an embedded SQLite database
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Supported downsampling intervals for history queries
+const INTERVALS = {
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': HOUR,
+  '4h': 4 * HOUR,
+  '1d': DAY,
+  '1w': 7 * DAY
+};
+
+const DEFAULT_RETENTION = {
+  raw: 7 * DAY,      // individual observations
+  hourly: 90 * DAY,  // hourly rollups of expired observations
+  daily: 730 * DAY   // daily rollups of expired hourly rollups
+};
+
+/**
+ * Yield History Store - Raw observations plus hourly/daily rollups
+ */
+class YieldHistoryStore {
+  constructor({ filename, retention, minSampleInterval } = {}) {
+    this.filename = filename || path.join(__dirname, '..', 'data', 'yield-history.db');
+    this.retention = { ...DEFAULT_RETENTION, ...retention };
+    this.minSampleInterval = minSampleInterval ?? 60 * 1000; // 1 minute per protocol
+    this.lastRecorded = new Map();
+    this.compactionTimer = null;
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+    this.prepareStatements();
+  }
+
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS yield_observations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        protocol TEXT NOT NULL,
+        apy REAL NOT NULL,
+        tvl REAL,
+        utilization REAL,
+        mock INTEGER NOT NULL DEFAULT 0,
+        timestamp INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_observations_protocol_time
+        ON yield_observations (protocol, timestamp);
+
+      CREATE TABLE IF NOT EXISTS yield_rollups (
+        protocol TEXT NOT NULL,
+        resolution TEXT NOT NULL CHECK (resolution IN ('hour', 'day')),
+        bucket_start INTEGER NOT NULL,
+        apy REAL NOT NULL,
+        apy_min REAL NOT NULL,
+        apy_max REAL NOT NULL,
+        tvl REAL,
+        utilization REAL,
+        samples INTEGER NOT NULL,
+        mock_samples INTEGER NOT NULL,
+        PRIMARY KEY (protocol, resolution, bucket_start)
+      );
+    `);
+  }
+
+  prepareStatements() {
+    this.insertObservation = this.db.prepare(`
+      INSERT INTO yield_observations (protocol, apy, tvl, utilization, mock, timestamp)
+      VALUES (@protocol, @apy, @tvl, @utilization, @mock, @timestamp)
+    `);
+
+    // Rollups merge into existing buckets so repeated compactions stay additive
+    this.rollupObservations = this.db.prepare(`
+      INSERT INTO yield_rollups (protocol, resolution, bucket_start, apy, apy_min, apy_max, tvl, utilization, samples, mock_samples)
+      SELECT protocol, 'hour', (timestamp / ${HOUR}) * ${HOUR},
+             AVG(apy), MIN(apy), MAX(apy), AVG(tvl), AVG(utilization), COUNT(*), SUM(mock)
+      FROM yield_observations
+      WHERE timestamp < @cutoff
+      GROUP BY protocol, (timestamp / ${HOUR})
+      ON CONFLICT (protocol, resolution, bucket_start) DO UPDATE SET
+        apy = (apy * samples + excluded.apy * excluded.samples) / (samples + excluded.samples),
+        apy_min = MIN(apy_min, excluded.apy_min),
+        apy_max = MAX(apy_max, excluded.apy_max),
+        tvl = COALESCE((tvl * samples + excluded.tvl * excluded.samples) / (samples + excluded.samples), tvl, excluded.tvl),
+        utilization = COALESCE((utilization * samples + excluded.utilization * excluded.samples) / (samples + excluded.samples), utilization, excluded.utilization),
+        samples = samples + excluded.samples,
+        mock_samples = mock_samples + excluded.mock_samples
+    `);
+    this.deleteObservations = this.db.prepare('DELETE FROM yield_observations WHERE timestamp < @cutoff');
+
+    this.rollupHourly = this.db.prepare(`
+      INSERT INTO yield_rollups (protocol, resolution, bucket_start, apy, apy_min, apy_max, tvl, utilization, samples, mock_samples)
+      SELECT protocol, 'day', (bucket_start / ${DAY}) * ${DAY},
+             SUM(apy * samples) / SUM(samples), MIN(apy_min), MAX(apy_max),
+             SUM(tvl * samples) / SUM(CASE WHEN tvl IS NOT NULL THEN samples END),
+             SUM(utilization * samples) / SUM(CASE WHEN utilization IS NOT NULL THEN samples END),
+             SUM(samples), SUM(mock_samples)
+      FROM yield_rollups
+      WHERE resolution = 'hour' AND bucket_start < @cutoff
+      GROUP BY protocol, (bucket_start / ${DAY})
+      ON CONFLICT (protocol, resolution, bucket_start) DO UPDATE SET
+        apy = (apy * samples + excluded.apy * excluded.samples) / (samples + excluded.samples),
+        apy_min = MIN(apy_min, excluded.apy_min),
+        apy_max = MAX(apy_max, excluded.apy_max),
+        tvl = COALESCE((tvl * samples + excluded.tvl * excluded.samples) / (samples + excluded.samples), tvl, excluded.tvl),
+        utilization = COALESCE((utilization * samples + excluded.utilization * excluded.samples) / (samples + excluded.samples), utilization, excluded.utilization),
+        samples = samples + excluded.samples,
+        mock_samples = mock_samples + excluded.mock_samples
+    `);
+    this.deleteRollups = this.db.prepare('DELETE FROM yield_rollups WHERE resolution = @resolution AND bucket_start < @cutoff');
+  }
+
+  /**
+   * Persist one analyzer observation (throttled per protocol)
+   */
+  record(yieldData, timestamp = Date.now()) {
+    const protocol = yieldData.protocol;
+    if (!protocol || typeof yieldData.apy !== 'number' || Number.isNaN(yieldData.apy)) {
+      return false;
+    }
+
+    const last = this.lastRecorded.get(protocol);
+    if (last && timestamp - last < this.minSampleInterval) {
+      return false;
+    }
+
+    this.insertObservation.run({
+      protocol,
+      apy: yieldData.apy,
+      tvl: yieldData.tvl ?? null,
+      utilization: yieldData.utilizationRate ?? null,
+      mock: yieldData.mock ? 1 : 0,
+      timestamp
+    });
+    this.lastRecorded.set(protocol, timestamp);
+
+    return true;
+  }
+
+  /**
+   * Downsampled time series per protocol
+   * @param {Object} options - { protocol, from, to, interval } with from/to in ms
+   */
+  query({ protocol, from, to, interval = '1h' } = {}) {
+    const bucket = INTERVALS[interval];
+    if (!bucket) {
+      throw new Error(`Unsupported interval "${interval}" (use ${Object.keys(INTERVALS).join(', ')})`);
+    }
+
+    const end = to ?? Date.now();
+    const start = from ?? end - 7 * DAY;
+
+    // Raw rows count as single-sample buckets so both sources can be averaged together
+    const rows = this.db.prepare(`
+      SELECT protocol,
+             CAST(timestamp / @bucket AS INTEGER) * @bucket AS bucket,
+             SUM(apy * samples) / SUM(samples) AS apy,
+             MIN(apy_min) AS apyMin,
+             MAX(apy_max) AS apyMax,
+             SUM(tvl * samples) / SUM(CASE WHEN tvl IS NOT NULL THEN samples END) AS tvl,
+             SUM(utilization * samples) / SUM(CASE WHEN utilization IS NOT NULL THEN samples END) AS utilization,
+             SUM(samples) AS samples,
+             SUM(mock_samples) AS mockSamples
+      FROM (
+        SELECT protocol, timestamp, apy, apy AS apy_min, apy AS apy_max, tvl, utilization, 1 AS samples, mock AS mock_samples
+        FROM yield_observations
+        UNION ALL
+        SELECT protocol, bucket_start, apy, apy_min, apy_max, tvl, utilization, samples, mock_samples
+        FROM yield_rollups
+      )
+      WHERE timestamp >= @start AND timestamp <= @end
+        AND (@protocol IS NULL OR protocol = @protocol)
+      GROUP BY protocol, bucket
+      ORDER BY protocol, bucket
+    `).all({ bucket, start, end, protocol: protocol || null });
+
+    const series = {};
+    for (const row of rows) {
+      if (!series[row.protocol]) series[row.protocol] = [];
+      series[row.protocol].push({
+        timestamp: row.bucket,
+        apy: row.apy,
+        apyMin: row.apyMin,
+        apyMax: row.apyMax,
+        tvl: row.tvl,
+        utilization: row.utilization,
+        samples: row.samples,
+        mock: row.mockSamples > 0
+      });
+    }
+
+    return { from: start, to: end, interval, series };
+  }
+
+  /**
+   * Roll up expired observations and drop data past its retention
+   */
+  compact(now = Date.now()) {
+    const run = this.db.transaction(() => {
+      const rawCutoff = now - this.retention.raw;
+      const hourlyCutoff = now - this.retention.hourly;
+      const dailyCutoff = now - this.retention.daily;
+
+      // Only roll up whole buckets so a later compaction never splits one
+      const observationCutoff = Math.floor(rawCutoff / HOUR) * HOUR;
+      const hourCutoff = Math.floor(hourlyCutoff / DAY) * DAY;
+
+      this.rollupObservations.run({ cutoff: observationCutoff });
+      const observations = this.deleteObservations.run({ cutoff: observationCutoff }).changes;
+
+      this.rollupHourly.run({ cutoff: hourCutoff });
+      const hourly = this.deleteRollups.run({ resolution: 'hour', cutoff: hourCutoff }).changes;
+      const daily = this.deleteRollups.run({ resolution: 'day', cutoff: dailyCutoff }).changes;
+
+      return { observations, hourly, daily };
+    });
+
+    return run();
+  }
+
+  /**
+   * Run compaction periodically
+   */
+  startCompaction(interval = HOUR) {
+    if (this.compactionTimer) return;
+
+    this.compactionTimer = setInterval(() => {
+      try {
+        this.compact();
+      } catch (error) {
+        console.error('Yield history compaction failed:', error.message);
+      }
+    }, interval);
+    this.compactionTimer.unref();
+  }
+
+  /**
+   * Row counts per table for status reporting
+   */
+  getStats() {
+    const observations = this.db.prepare('SELECT COUNT(*) AS count, MIN(timestamp) AS oldest FROM yield_observations').get();
+    const rollups = this.db.prepare('SELECT resolution, COUNT(*) AS count FROM yield_rollups GROUP BY resolution').all();
+
+    return {
+      observations: observations.count,
+      oldestObservation: observations.oldest,
+      rollups: Object.fromEntries(rollups.map(r => [r.resolution, r.count]))
+    };
+  }
+
+  close() {
+    if (this.compactionTimer) {
+      clearInterval(this.compactionTimer);
+      this.compactionTimer = null;
+    }
+    this.db.close();
+  }
+}
+
+module.exports = {
+  YieldHistoryStore,
+  INTERVALS
+};
@@ -0,0 +1,84 @@
+const { YieldHistoryStore } = require('./yield-history');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const START = Date.UTC(2025, 0, 1);
+
+function createStore(options = {}) {
+  return new YieldHistoryStore({ filename: ':memory:', minSampleInterval: 0, ...options });
+}
+
+describe('YieldHistoryStore', () => {
+  let store;
+
+  afterEach(() => {
+    store.close();
+  });
+
+  it('records valid observations, throttled per protocol', () => {
+    store = createStore({ minSampleInterval: 60 * 1000 });
+
+    expect(store.record({ protocol: 'Aave', apy: 4, tvl: 100, utilizationRate: 0.8 }, START)).toBe(true);
+    expect(store.record({ protocol: 'Aave', apy: 5 }, START + 30 * 1000)).toBe(false);
+    expect(store.record({ protocol: 'Compound', apy: 5 }, START + 30 * 1000)).toBe(true);
+    expect(store.record({ protocol: 'Aave', apy: NaN }, START + 2 * 60 * 1000)).toBe(false);
+    expect(store.record({ apy: 4 }, START)).toBe(false);
+
+    expect(store.getStats()).toEqual({ observations: 2, oldestObservation: START, rollups: {} });
+  });
+
+  it('downsamples observations into interval buckets', () => {
+    store = createStore();
+    store.record({ protocol: 'Aave', apy: 4, tvl: 100 }, START);
+    store.record({ protocol: 'Aave', apy: 6, tvl: 300, mock: true }, START + 30 * 60 * 1000);
+    store.record({ protocol: 'Aave', apy: 5 }, START + HOUR);
+    store.record({ protocol: 'Compound', apy: 3 }, START);
+
+    const { series } = store.query({ protocol: 'Aave', from: START, to: START + DAY, interval: '1h' });
+
+    expect(Object.keys(series)).toEqual(['Aave']);
+    expect(series.Aave).toEqual([
+      { timestamp: START, apy: 5, apyMin: 4, apyMax: 6, tvl: 200, utilization: null, samples: 2, mock: true },
+      { timestamp: START + HOUR, apy: 5, apyMin: 5, apyMax: 5, tvl: null, utilization: null, samples: 1, mock: false }
+    ]);
+  });
+
+  it('rejects unsupported intervals', () => {
+    store = createStore();
+
+    expect(() => store.query({ interval: '2h' })).toThrow('Unsupported interval "2h"');
+  });
+
+  it('rolls expired observations into hourly then daily buckets without changing the averages', () => {
+    store = createStore({ retention: { raw: DAY, hourly: 2 * DAY, daily: 10 * DAY } });
+    for (let minute = 0; minute < 120; minute += 10) {
+      store.record({ protocol: 'Aave', apy: minute < 60 ? 4 : 6, tvl: 100 }, START + minute * 60 * 1000);
+    }
+    const before = store.query({ from: START, to: START + DAY, interval: '1d' }).series.Aave;
+
+    expect(store.compact(START + DAY + 3 * HOUR)).toEqual({ observations: 12, hourly: 0, daily: 0 });
+    expect(store.getStats().rollups).toEqual({ hour: 2 });
+    expect(store.query({ from: START, to: START + DAY, interval: '1d' }).series.Aave).toEqual(before);
+
+    expect(store.compact(START + 3 * DAY)).toEqual({ observations: 0, hourly: 2, daily: 0 });
+    expect(store.getStats().rollups).toEqual({ day: 1 });
+    expect(store.query({ from: START, to: START + DAY, interval: '1d' }).series.Aave).toEqual(before);
+    expect(before[0]).toMatchObject({ apy: 5, apyMin: 4, apyMax: 6, samples: 12 });
+
+    expect(store.compact(START + 11 * DAY)).toEqual({ observations: 0, hourly: 0, daily: 1 });
+    expect(store.query({ from: START, to: START + DAY }).series).toEqual({});
+  });
+
+  it('merges repeated compactions into the same bucket', () => {
+    store = createStore({ retention: { raw: HOUR } });
+    store.record({ protocol: 'Aave', apy: 4 }, START);
+    store.compact(START + 2 * HOUR);
+    store.record({ protocol: 'Aave', apy: 8 }, START + 10 * 60 * 1000);
+    store.compact(START + 2 * HOUR);
+
+    const [bucket] = store.query({ from: START, to: START + HOUR }).series.Aave;
+
+    expect(bucket).toMatchObject({ apy: 6, apyMin: 4, apyMax: 8, samples: 2 });
+    expect(store.getStats()).toMatchObject({ observations: 0, rollups: { hour: 1 } });
+  });
+});
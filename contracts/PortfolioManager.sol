@@ -148,15 +148,15 @@ contract PortfolioManager is ReentrancyGuard, Pausable, Ownable {
             "Rebalancing not profitable"
         );
         
+        // Calculate profit against the yield being replaced (simplified calculation)
+        uint256 yieldDifference = expectedYield.sub(portfolios[user].currentYield);
+        uint256 annualProfit = portfolios[user].totalValue.mul(yieldDifference).div(10000);
+        uint256 netProfit = annualProfit > gasCost ? annualProfit.sub(gasCost) : 0;
+        
         // Update portfolio
         portfolios[user].currentProtocol = toProtocol;
         portfolios[user].currentYield = expectedYield;
         portfolios[user].lastRebalance = block.timestamp;
-        
-        // Calculate and add profit (simplified calculation)
-        uint256 yieldDifference = expectedYield.sub(portfolios[user].currentYield);
-        uint256 annualProfit = portfolios[user].totalValue.mul(yieldDifference).div(10000);
-        uint256 netProfit = annualProfit.sub(gasCost);
         portfolios[user].totalProfit = portfolios[user].totalProfit.add(netProfit);
         
         emit PortfolioRebalanced(user, fromProtocol, toProtocol, expectedYield);
@@ -0,0 +1,99 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title Flare mocks
+ * @dev Minimal stand-ins for the Flare contracts read by the backend's Flare-native adapters
+ * (FTSO Delegation, Flare DEX, FAssets), for local chains without a Flare fork.
+ * Each exposes only the views the adapters call, plus setters to move state between blocks.
+ */
+
+contract MockFlareContractRegistry {
+    mapping(string => address) private contracts;
+
+    function setContractAddress(string calldata _name, address _address) external {
+        contracts[_name] = _address;
+    }
+
+    function getContractAddressByName(string calldata _name) external view returns (address) {
+        return contracts[_name];
+    }
+}
+
+contract MockERC20 {
+    string public symbol;
+    uint8 public decimals;
+    uint256 public totalSupply;
+
+    constructor(string memory _symbol, uint8 _decimals, uint256 _totalSupply) {
+        symbol = _symbol;
+        decimals = _decimals;
+        totalSupply = _totalSupply;
+    }
+
+    function setTotalSupply(uint256 _totalSupply) external {
+        totalSupply = _totalSupply;
+    }
+}
+
+contract MockFtsoRewardManager {
+    uint256 public dailyAuthorizedInflation;
+
+    constructor(uint256 _dailyAuthorizedInflation) {
+        dailyAuthorizedInflation = _dailyAuthorizedInflation;
+    }
+
+    function getTotals() external view returns (
+        uint256 _totalAwardedWei,
+        uint256 _totalClaimedWei,
+        uint256 _totalExpiredWei,
+        uint256 _totalUnearnedWei,
+        uint256 _totalBurnedWei,
+        uint256 _totalInflationAuthorizedWei,
+        uint256 _totalInflationReceivedWei,
+        uint256 _lastInflationAuthorizationReceivedTs,
+        uint256 _dailyAuthorizedInflation
+    ) {
+        return (0, 0, 0, 0, 0, 0, 0, block.timestamp, dailyAuthorizedInflation);
+    }
+}
+
+contract MockV2Pair {
+    address public token0;
+    address public token1;
+    uint112 private reserve0;
+    uint112 private reserve1;
+    uint256 public totalSupply;
+
+    constructor(address _token0, address _token1) {
+        token0 = _token0;
+        token1 = _token1;
+    }
+
+    function setState(uint112 _reserve0, uint112 _reserve1, uint256 _totalSupply) external {
+        reserve0 = _reserve0;
+        reserve1 = _reserve1;
+        totalSupply = _totalSupply;
+    }
+
+    function getReserves() external view returns (uint112, uint112, uint32) {
+        return (reserve0, reserve1, uint32(block.timestamp));
+    }
+}
+
+contract MockCollateralPool {
+    address public poolToken;
+    address public fAsset;
+    uint256 public totalCollateral;
+    uint256 public totalFAssetFees;
+
+    constructor(address _poolToken, address _fAsset) {
+        poolToken = _poolToken;
+        fAsset = _fAsset;
+    }
+
+    function setState(uint256 _totalCollateral, uint256 _totalFAssetFees) external {
+        totalCollateral = _totalCollateral;
+        totalFAssetFees = _totalFAssetFees;
+    }
+}
@@ -107,6 +107,21 @@ async function main() {
         const deploymentFile = path.join(deploymentsDir, `${hre.network.name}.json`);
         fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
         
+        // Register the addresses with the frontend, keyed by chain ID
+        const frontendFile = path.join(__dirname, '../frontend/src/deployments.json');
+        const frontendDeployments = fs.existsSync(frontendFile) ? JSON.parse(fs.readFileSync(frontendFile, 'utf8')) : {};
+        frontendDeployments[deploymentInfo.chainId] = {
+            network: hre.network.name,
+            contracts: {
+                YieldOracle: yieldOracle.address,
+                PortfolioManager: portfolioManager.address,
+                RebalancingEngine: rebalancingEngine.address
+            },
+            blockNumber: deploymentInfo.blockNumber,
+            timestamp: deploymentInfo.timestamp
+        };
+        fs.writeFileSync(frontendFile, JSON.stringify(frontendDeployments, null, 2) + '\n');
+        
         // Create .env update file
         const envUpdates = `
 # Contract addresses deployed on ${hre.network.name}
@@ -126,6 +141,7 @@ REBALANCING_ENGINE_ADDRESS=${rebalancingEngine.address}
         console.log("RebalancingEngine:", rebalancingEngine.address);
         console.log(`\n💾 Deployment info saved to: ${deploymentFile}`);
         console.log(`📝 Environment variables saved to: ${envFile}`);
+        console.log(`🌐 Frontend addresses saved to: ${frontendFile}`);
         
         // Verification instructions
         if (hre.network.name !== 'hardhat' && hre.network.name !== 'localhost') {
@@ -269,6 +269,9 @@ YEARN_API_KEY=
 
 # Security
 JWT_SECRET=your_jwt_secret_here
+SIWE_DOMAIN=localhost:3000
+SIWE_URI=http://localhost:3000
+SESSION_TTL_MS=86400000
 RATE_LIMIT_WINDOW_MS=900000
 RATE_LIMIT_MAX=100
 
@@ -1,41 +1,239 @@
 // DeFi Autopilot - React Dashboard
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { ethers } from 'ethers';
+import PerformanceView from './PerformanceView';
+import PortfolioActions from './PortfolioActions';
+import TxLink from './TxLink';
+import { NETWORKS, DEFAULT_CHAIN_ID, contractsFor, supportedChainIds } from './networks';
+import {
+  WALLETCONNECT_PROJECT_ID,
+  discoverInjectedWallets,
+  connectInjected,
+  connectWalletConnect,
+  watchAddress,
+  restoreWallet,
+  describeWallet
+} from './wallets';
 import './App.css';
 
+// Keeper request states that end a rebalance flow
+const FINAL_STATES = ['EXECUTED', 'CANCELLED', 'FAILED'];
+
+// Live feed close code for an expired or revoked session (see backend/services/live-feed.js)
+const SESSION_EXPIRED = 4001;
+
+// Progress steps, in order, with the transaction hash each one links to
+const REBALANCE_STEPS = [
+  { label: 'Request submitted', hash: 'requestTxHash' },
+  { label: 'Request mined', hash: 'requestTxHash' },
+  { label: 'Execution submitted', hash: 'executeTxHash' },
+  { label: 'Confirmed', hash: 'executeTxHash' }
+];
+
+// Index of the last step a request has reached
+const rebalanceStep = (request) => {
+  if (request.state === 'EXECUTED') return 3;
+  if (request.executeTxHash) return 2;
+  if (request.requestId !== null) return 1;
+  return request.requestTxHash ? 0 : -1; // -1: failed before the request was broadcast
+};
+
+// Badge for yields not fetched live just now: demo (mock), last known good or stale data
+const dataBadge = (data) => {
+  const minutes = Math.round((data.age || 0) / 60000);
+  if (data.mock) return { kind: 'mock', label: 'Demo data' };
+  if (data.stale) return { kind: 'stale', label: `Stale · ${minutes}m old` };
+  if (data.source === 'last-known-good') return { kind: 'last-known-good', label: `Last known · ${minutes}m old` };
+  return null;
+};
+
 const App = () => {
   // State management
   const [portfolio, setPortfolio] = useState(null);
   const [yields, setYields] = useState({});
   const [optimizationSuggestion, setSuggestion] = useState(null);
+  const [optimizationCheck, setOptimizationCheck] = useState(null); // { error } of the last check, null before one
   const [loading, setLoading] = useState(true);
   const [connected, setConnected] = useState(false);
   const [rebalancing, setRebalancing] = useState(false);
   const [account, setAccount] = useState('');
+  const [feedMode, setFeedMode] = useState('connecting'); // 'live' (WebSocket) or 'polling'
+  const [rebalanceStatus, setRebalanceStatus] = useState(null);
+  const [activity, setActivity] = useState([]); // indexed contract events for the account
+  const [session, setSession] = useState(null); // { address, token, expiresAt } after Sign-In With Ethereum
+  const [sessionExpired, setSessionExpired] = useState(false); // the server ended the session: sign in again
+  const [trackedRebalance, setTrackedRebalance] = useState(null); // { address, startedAt } of a dashboard-started rebalance
+  const [chainId, setChainId] = useState(null); // wallet's current chain
+  const [wallet, setWallet] = useState(null); // connected wallet (see wallets.js); read-only in watch mode
+  const [injectedWallets, setInjectedWallets] = useState([]); // browser extensions found via EIP-6963
+  const [watchInput, setWatchInput] = useState('');
 
   // API base URL
   const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+  const WS_URL = process.env.REACT_APP_WS_URL || `${API_BASE.replace(/^http/, 'ws')}/ws`;
+
+  // Chains with deployed contracts; the configured default until anything is deployed
+  const targetChainIds = supportedChainIds().length > 0 ? supportedChainIds() : [DEFAULT_CHAIN_ID];
+  const wrongNetwork = chainId !== null && !targetChainIds.includes(chainId);
+  const contracts = chainId !== null && !wrongNetwork ? contractsFor(chainId) : {};
+  // Native token of the wallet's chain, else the one the backend reports for the portfolio
+  const nativeSymbol = NETWORKS[chainId]?.nativeCurrency.symbol || portfolio?.nativeToken;
+
+  const SESSION_KEY = 'defi-autopilot-session';
+  const REBALANCE_KEY = 'defi-autopilot-rebalance';
+  const WALLET_KEY = 'defi-autopilot-wallet';
+
+  const socketRef = useRef(null);
+  const pollRef = useRef(null);
+  const walletChangeRef = useRef(null);
+  const injectedRef = useRef([]);
+
+  // Discover injected wallets before restoring the last one used
+  useEffect(() => discoverInjectedWallets((wallets) => {
+    injectedRef.current = wallets;
+    setInjectedWallets(wallets);
+  }), []);
 
   // Initialize dashboard
   useEffect(() => {
     initializeApp();
+  }, []);
 
-    // Set up real-time updates
-    const interval = setInterval(() => {
-      if (connected && portfolio) {
-        fetchYields();
-        checkOptimization();
-      }
-    }, 30000);
+  // Re-initialise on wallet account or chain changes (the ref always sees the current render)
+  useEffect(() => {
+    if (!wallet) return;
+
+    return wallet.subscribe({
+      onAccountsChanged: (accounts) => walletChangeRef.current(accounts.length > 0),
+      onChainChanged: () => walletChangeRef.current(true),
+      onDisconnect: () => walletChangeRef.current(false)
+    });
+  }, [wallet]);
+
+  // Real-time updates: WebSocket live feed (needs the account's session), falling back to 30s polling
+  const feedToken = session && session.address === account ? session.token : null;
+  useEffect(() => {
+    if (!connected || !account) return;
+
+    let socket = null;
+    let pollTimer = null;
+    let reconnectTimer = null;
+    let watchdog = null;
+    let heartbeatInterval = 15000;
+    let retries = 0;
+    let closed = false;
+
+    const startPolling = () => {
+      if (pollTimer) return;
+      setFeedMode('polling');
+      pollTimer = setInterval(() => pollRef.current && pollRef.current(), 30000);
+    };
+
+    const stopPolling = () => {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    };
+
+    // Treat two missed heartbeats as a dead connection
+    const resetWatchdog = () => {
+      clearTimeout(watchdog);
+      watchdog = setTimeout(() => socket && socket.close(), heartbeatInterval * 2);
+    };
+
+    const connect = () => {
+      socket = new WebSocket(`${WS_URL}?token=${encodeURIComponent(feedToken)}`);
+      socketRef.current = socket;
+
+      socket.onopen = () => {
+        retries = 0;
+        stopPolling();
+        setFeedMode('live');
+        resetWatchdog();
+        socket.send(JSON.stringify({ type: 'subscribe', topic: 'yields' }));
+        socket.send(JSON.stringify({ type: 'subscribe', topic: 'rebalances' }));
+      };
+
+      socket.onmessage = (event) => {
+        resetWatchdog();
+        const message = JSON.parse(event.data);
+
+        switch (message.type) {
+          case 'welcome':
+            heartbeatInterval = message.heartbeatInterval || heartbeatInterval;
+            break;
+          case 'yields':
+            setYields(message.data);
+            break;
+          case 'strategy':
+            setSuggestion(message.strategy.shouldRebalance ? message.strategy.recommendation : null);
+            setOptimizationCheck({ error: null });
+            break;
+          case 'rebalance':
+            setRebalanceStatus(message.request);
+            break;
+          case 'error':
+            console.error('Live feed error:', message.message);
+            break;
+          default:
+            break;
+        }
+      };
+
+      socket.onclose = (event) => {
+        clearTimeout(watchdog);
+        socketRef.current = null;
+        if (closed) return;
+
+        startPolling();
+        if (event.code === SESSION_EXPIRED) {
+          // Reconnecting would only reuse the dead token: drop the session and ask for a new sign-in
+          localStorage.removeItem(SESSION_KEY);
+          setSession(null);
+          setSessionExpired(true);
+          return;
+        }
+        reconnectTimer = setTimeout(connect, Math.min(30000, 1000 * 2 ** retries++));
+      };
+
+      socket.onerror = () => socket.close();
+    };
+
+    if (feedToken) connect();
+    else startPolling();
 
     return () => {
-      clearInterval(interval);
+      closed = true;
+      clearTimeout(reconnectTimer);
+      clearTimeout(watchdog);
+      stopPolling();
+      if (socket) socket.close();
     };
-  }, [connected, portfolio]);
+  }, [connected, account, feedToken, WS_URL]);
+
+  // (Re)subscribe to strategy updates whenever the portfolio changes
+  useEffect(() => {
+    const socket = socketRef.current;
+    if (feedMode !== 'live' || !portfolio || !socket || socket.readyState !== WebSocket.OPEN) return;
+
+    // On-chain portfolios are looked up by the backend itself
+    socket.send(JSON.stringify({
+      type: 'subscribe',
+      topic: 'strategy',
+      ...(portfolio.onChain ? {} : { portfolio })
+    }));
+  }, [feedMode, portfolio]);
 
   const initializeApp = async () => {
     try {
-      await connectWallet();
+      // Silently reconnect the last wallet; the connection screen handles everything else
+      const saved = JSON.parse(localStorage.getItem(WALLET_KEY) || 'null');
+      const restored = saved && await restoreWallet(saved, injectedRef.current).catch(error => {
+        console.error('Wallet restore failed:', error);
+        return null;
+      });
+      if (restored) await activateWallet(restored);
+      else localStorage.removeItem(WALLET_KEY);
+
       await fetchYields();
       setLoading(false);
     } catch (error) {
@@ -44,39 +242,244 @@ const App = () => {
     }
   };
 
-  const connectWallet = async () => {
+  // Connect with one of the wallets.js connectors and remember the choice
+  const connectWallet = async (connect) => {
+    try {
+      const next = await connect();
+      if (!next) return;
+
+      localStorage.setItem(WALLET_KEY, JSON.stringify(describeWallet(next)));
+      await activateWallet(next);
+    } catch (error) {
+      console.error('Wallet connection failed:', error);
+      alert('Failed to connect wallet: ' + error.message);
+    }
+  };
+
+  const activateWallet = async (next) => {
+    setWallet(next);
+    setChainId(next.chainId);
+    if (next.switchChain && !targetChainIds.includes(next.chainId)) {
+      changeNetwork(targetChainIds[0], next); // chainChanged reconnects once the wallet switches
+    }
+
+    setAccount(next.address);
+    setConnected(true);
+    if (next.readOnly) setSession(null); // nothing to sign in with
+    else restoreSession(next.address);
+    restoreRebalance(next.address);
+
+    setPortfolio(await fetchPortfolio(next.address) || await demoPortfolio(next));
+  };
+
+  const watchWallet = (event) => {
+    event.preventDefault();
+    connectWallet(async () => watchAddress(watchInput.trim(), targetChainIds[0]));
+  };
+
+  // Forget the wallet (and its session) and return to the connection screen
+  const disconnectWallet = async () => {
+    const current = wallet;
+    localStorage.removeItem(WALLET_KEY);
+    if (session) await signOut();
+    await walletChangeRef.current(false);
+    current.disconnect().catch(error => console.error('Wallet disconnect failed:', error));
+  };
+
+  // Drop everything tied to the previous account or chain, then connect again
+  walletChangeRef.current = async (hasAccount) => {
+    setPortfolio(null);
+    setSuggestion(null);
+    setOptimizationCheck(null);
+    setRebalanceStatus(null);
+    setRebalancing(false);
+    setActivity([]);
+    setSession(null);
+    setSessionExpired(false);
+    setTrackedRebalance(null);
+
+    const next = hasAccount && wallet ? await wallet.reconnect().catch(() => null) : null;
+    if (!next) {
+      setWallet(null);
+      setAccount('');
+      setConnected(false);
+      setChainId(null);
+      return;
+    }
+    await activateWallet(next);
+  };
+
+  const changeNetwork = async (targetChainId, target = wallet) => {
+    try {
+      await target.switchChain(targetChainId);
+    } catch (error) {
+      console.error('Network switch failed:', error);
+    }
+  };
+
+  // Mock for demo when there is no on-chain portfolio
+  const demoPortfolio = async (current) => ({
+    address: current.address,
+    balance: parseFloat(ethers.utils.formatEther(await current.provider.getBalance(current.address))),
+    currentYield: 3.2,
+    protocol: 'Aave',
+    riskProfile: 2,
+    totalValue: 10000,
+    autoRebalanceEnabled: true
+  });
+
+  // Re-read the portfolio after a wallet transaction; withdrawing everything closes it
+  const refreshPortfolio = async () => {
+    setPortfolio(await fetchPortfolio(account) || await demoPortfolio(wallet));
+    fetchActivity(account);
+  };
+
+  // On-chain portfolio from PortfolioManager; null when the address has none or the backend cannot read it
+  const fetchPortfolio = async (address) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/portfolio/${address}`);
+      const data = await response.json();
+      return data.success ? { ...data.portfolio, onChain: true } : null;
+    } catch (error) {
+      console.error('Error fetching portfolio:', error);
+      return null;
+    }
+  };
+
+  const fetchActivity = useCallback(async (address) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/activity?address=${address}&limit=10`);
+      const data = await response.json();
+      if (data.success) setActivity(data.events);
+    } catch (error) {
+      console.error('Error fetching activity:', error);
+    }
+  }, [API_BASE]);
+
+  // Refresh activity on connect and whenever a rebalance reaches a final state
+  useEffect(() => {
+    if (!account) return;
+    if (rebalanceStatus && !FINAL_STATES.includes(rebalanceStatus.state)) return;
+    fetchActivity(account);
+  }, [account, rebalanceStatus, fetchActivity]);
+
+  // Latest keeper request for the account (needs its session)
+  const fetchRebalanceStatus = useCallback(async (address) => {
+    if (!session || session.address !== address) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/api/keeper/requests?address=${address}`, {
+        headers: { Authorization: `Bearer ${session.token}` }
+      });
+      const data = await response.json();
+      if (!data.success || data.requests.length === 0) return;
+
+      const latest = data.requests.reduce((a, b) => (b.createdAt > a.createdAt ? b : a));
+      setRebalanceStatus(latest);
+    } catch (error) {
+      console.error('Error fetching rebalance status:', error);
+    }
+  }, [API_BASE, session]);
+
+  // A flow started before a reload is picked back up from the keeper's request list
+  const restoreRebalance = (address) => {
+    const stored = JSON.parse(localStorage.getItem(REBALANCE_KEY) || 'null');
+    setTrackedRebalance(stored && stored.address === address ? stored : null);
+  };
+
+  useEffect(() => {
+    if (account && session) fetchRebalanceStatus(account);
+  }, [account, session, fetchRebalanceStatus]);
+
+  const rebalanceInFlight = rebalancing || Boolean(rebalanceStatus && !FINAL_STATES.includes(rebalanceStatus.state));
+
+  // The live feed pushes every state change; poll the keeper instead while it is down
+  useEffect(() => {
+    if (!account || !rebalanceInFlight || feedMode === 'live') return;
+
+    const timer = setInterval(() => fetchRebalanceStatus(account), 3000);
+    return () => clearInterval(timer);
+  }, [account, rebalanceInFlight, feedMode, fetchRebalanceStatus]);
+
+  // Re-read the on-chain portfolio once a rebalance is confirmed
+  useEffect(() => {
+    if (!account || rebalanceStatus?.state !== 'EXECUTED') return;
+
+    setSuggestion(null);
+    fetchPortfolio(account).then(onChain => onChain && setPortfolio(onChain));
+  }, [account, rebalanceStatus?.state, rebalanceStatus?.requestId]);
+
+  // Requests belonging to the tracked flow (server timestamps, so allow a minute of clock skew)
+  const showRebalanceProgress = Boolean(rebalanceStatus) && (
+    !FINAL_STATES.includes(rebalanceStatus.state) ||
+    (trackedRebalance && rebalanceStatus.createdAt >= trackedRebalance.startedAt - 60000)
+  );
+
+  const dismissRebalance = () => {
+    localStorage.removeItem(REBALANCE_KEY);
+    setTrackedRebalance(null);
+  };
+
+  // Reuse a stored session token for this account if the server still accepts it
+  const restoreSession = async (address) => {
     try {
-      if (typeof window.ethereum === 'undefined') {
-        alert('Please install MetaMask to use DeFi Autopilot');
+      const stored = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+      if (!stored || stored.address !== address || stored.expiresAt < Date.now()) {
+        setSession(null);
         return;
       }
 
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      await provider.send("eth_requestAccounts", []);
-      const signer = provider.getSigner();
-      const address = await signer.getAddress();
-      const balance = await signer.getBalance();
-
-      setAccount(address);
-      setConnected(true);
-      
-      setPortfolio({
-        address,
-        balance: parseFloat(ethers.utils.formatEther(balance)),
-        currentYield: 3.2,
-        protocol: 'Aave',
-        riskProfile: 2,
-        totalValue: 10000, // Mock for demo
-        autoRebalanceEnabled: true
+      const response = await fetch(`${API_BASE}/api/auth/session`, {
+        headers: { Authorization: `Bearer ${stored.token}` }
       });
+      const data = await response.json();
+      setSession(data.success ? stored : null);
+    } catch (error) {
+      setSession(null);
+    }
+  };
 
-      // Check for optimization after connecting
-      setTimeout(checkOptimization, 2000);
-      
+  const signIn = async () => {
+    try {
+      const signer = wallet.signer;
+      const chainId = await signer.getChainId();
+
+      const challenge = await fetch(`${API_BASE}/api/auth/nonce`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ address: account, chainId })
+      }).then(response => response.json());
+      if (!challenge.success) throw new Error(challenge.error);
+
+      const signature = await signer.signMessage(challenge.message);
+      const result = await fetch(`${API_BASE}/api/auth/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: challenge.message, signature })
+      }).then(response => response.json());
+      if (!result.success) throw new Error(result.error);
+
+      const newSession = { address: result.address, token: result.token, expiresAt: result.expiresAt };
+      localStorage.setItem(SESSION_KEY, JSON.stringify(newSession));
+      setSession(newSession);
+      setSessionExpired(false);
+      return newSession;
     } catch (error) {
-      console.error('Wallet connection failed:', error);
-      alert('Failed to connect wallet: ' + error.message);
+      console.error('Sign-in failed:', error);
+      alert('Sign-in failed: ' + error.message);
+      return null;
+    }
+  };
+
+  const signOut = async () => {
+    if (session) {
+      fetch(`${API_BASE}/api/auth/logout`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${session.token}` }
+      }).catch(error => console.error('Sign-out failed:', error));
     }
+    localStorage.removeItem(SESSION_KEY);
+    setSession(null);
   };
 
   const fetchYields = useCallback(async () => {
@@ -115,70 +518,86 @@ const App = () => {
       const response = await fetch(`${API_BASE}/api/optimize`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(portfolio)
+        // On-chain portfolios are looked up by the backend itself
+        body: JSON.stringify(portfolio.onChain ? { address: portfolio.address } : portfolio)
       });
       
       const data = await response.json();
       
-      if (data.success && data.strategy.shouldRebalance) {
-        setSuggestion(data.strategy.recommendation);
-      } else {
-        // Demo suggestion for hackathon
-        setSuggestion({
-          fromProtocol: 'Aave',
-          toProtocol: 'Compound',
-          currentYield: 3.2,
-          newYield: 7.8,
-          yieldIncrease: 4.6,
-          annualProfit: 460,
-          executionCost: 3,
-          netProfit: 457,
-          paybackPeriod: 2,
-          route: {
-            path: ['Flare', 'XRPL', 'Flare'],
-            totalCost: 0.002,
-            estimatedTime: 8
-          }
-        });
-      }
+      if (!data.success) throw new Error(data.message || data.error);
+
+      setSuggestion(data.strategy.shouldRebalance ? data.strategy.recommendation : null);
+      setOptimizationCheck({ error: null });
     } catch (error) {
       console.error('Optimization check failed:', error);
+      setSuggestion(null);
+      setOptimizationCheck({ error: error.message });
     }
   }, [portfolio, API_BASE]);
 
+  // Check for optimization whenever the portfolio changes (connect, wallet transactions, rebalances)
+  useEffect(() => {
+    checkOptimization();
+  }, [checkOptimization]);
+
+  // Polling fallback always uses the latest portfolio
+  pollRef.current = () => {
+    fetchYields();
+    checkOptimization();
+    if (account) fetchActivity(account);
+  };
+
+  const describeActivity = (event) => {
+    switch (event.type) {
+      case 'PortfolioCreated': return `Portfolio created with ${event.amount} ${nativeSymbol} (${event.riskProfile.toLowerCase()})`;
+      case 'FundsDeposited': return `Deposited ${event.amount} ${nativeSymbol}`;
+      case 'FundsWithdrawn': return `Withdrew ${event.amount} ${nativeSymbol}`;
+      case 'RebalanceRequested': return `Rebalance #${event.requestId} requested: ${event.fromProtocol} → ${event.toProtocol}`;
+      case 'RebalanceExecuted': return `Rebalanced ${event.fromProtocol} → ${event.toProtocol} at ${event.actualYield}% APY`;
+      case 'RebalanceCancelled': return `Rebalance #${event.requestId} cancelled: ${event.reason}`;
+      case 'PortfolioRebalanced': return `Now earning ${event.expectedYield}% on ${event.toProtocol}`;
+      case 'RiskProfileUpdated': return `Risk profile changed to ${event.newProfile.toLowerCase()}`;
+      case 'AutoRebalanceToggled': return `Auto-rebalance ${event.enabled ? 'enabled' : 'disabled'}`;
+      default: return event.type;
+    }
+  };
+
+  // Ask the backend keeper to rebalance the signed-in portfolio; progress arrives as keeper request updates
   const executeRebalance = async () => {
-    if (!optimizationSuggestion) return;
-    
+    if (!optimizationSuggestion || rebalanceInFlight || wallet.readOnly) return;
+
+    if (!portfolio?.onChain) {
+      alert('Create an on-chain portfolio to rebalance');
+      return;
+    }
+
+    const activeSession = session || await signIn();
+    if (!activeSession) return;
+
+    const tracked = { address: account, startedAt: Date.now() };
+    localStorage.setItem(REBALANCE_KEY, JSON.stringify(tracked));
+    setTrackedRebalance(tracked);
     setRebalancing(true);
-    
+
     try {
-      // Simulate the rebalancing process
-      await new Promise(resolve => {
-        let progress = 0;
-        const interval = setInterval(() => {
-          progress += 12.5; // 8 steps over 8 seconds
-          
-          if (progress >= 100) {
-            clearInterval(interval);
-            resolve();
-          }
-        }, 1000);
+      const response = await fetch(`${API_BASE}/api/keeper/rebalance`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${activeSession.token}` }
       });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message || data.error);
 
-      // Update portfolio state
-      setPortfolio(prev => ({
-        ...prev,
-        currentYield: optimizationSuggestion.newYield,
-        protocol: optimizationSuggestion.toProtocol
-      }));
-
-      setSuggestion(null);
-      alert(`🎉 Portfolio successfully rebalanced! Now earning ${optimizationSuggestion.newYield}% APY on ${optimizationSuggestion.toProtocol}`);
-      
+      if (data.result.request) {
+        setRebalanceStatus(data.result.request);
+      } else {
+        dismissRebalance();
+        alert(`Rebalance not started: ${data.result.reason}`);
+      }
     } catch (error) {
+      dismissRebalance();
       alert('Rebalancing failed: ' + error.message);
     }
-    
+
     setRebalancing(false);
   };
 
@@ -199,9 +618,34 @@ const App = () => {
         <div className="header">
           <h1 className="title">🚀 DeFi Autopilot</h1>
           <p className="subtitle">AI-Powered Cross-Chain Yield Optimization</p>
-          <button className="connect-button" onClick={connectWallet}>
-            Connect Wallet
-          </button>
+          <div className="wallet-options">
+            {injectedWallets.map(entry => (
+              <button key={entry.id} className="connect-button" onClick={() => connectWallet(() => connectInjected(entry))}>
+                {entry.icon && <img className="wallet-icon" src={entry.icon} alt="" />}
+                {entry.name}
+              </button>
+            ))}
+            {WALLETCONNECT_PROJECT_ID && (
+              <button className="connect-button" onClick={() => connectWallet(connectWalletConnect)}>
+                WalletConnect
+              </button>
+            )}
+          </div>
+          {injectedWallets.length === 0 && !WALLETCONNECT_PROJECT_ID && (
+            <p className="form-hint">No browser wallet detected. Install one, or watch an address below.</p>
+          )}
+          <form className="watch-form" onSubmit={watchWallet}>
+            <input
+              className="form-input"
+              type="text"
+              value={watchInput}
+              onChange={event => setWatchInput(event.target.value)}
+              placeholder="Watch an address (0x...)"
+            />
+            <button className="connect-button" type="submit" disabled={!ethers.utils.isAddress(watchInput.trim())}>
+              Watch
+            </button>
+          </form>
         </div>
       </div>
     );
@@ -214,8 +658,49 @@ const App = () => {
         <p className="subtitle">AI-Powered Cross-Chain Yield Optimization</p>
         <div className="status-indicator">
           <div className="status-dot"></div>
-          <span>Connected: {account.substring(0, 6)}...{account.substring(account.length - 4)}</span>
+          <span>
+            {wallet.readOnly ? 'Watching' : `Connected (${wallet.name})`}: {account.substring(0, 6)}...{account.substring(account.length - 4)}
+          </span>
+          <button className="connect-button" onClick={disconnectWallet}>Disconnect</button>
+        </div>
+        <div className="status-indicator">
+          <div className="status-dot"></div>
+          <span>
+            {feedMode === 'live' ? 'Live updates' : feedMode === 'polling' ? 'Polling every 30s' : 'Connecting...'}
+          </span>
+        </div>
+        <div className="status-indicator">
+          <div className="status-dot"></div>
+          <span>Network: {NETWORKS[chainId]?.chainName || `Chain ${chainId}`}</span>
         </div>
+        {wrongNetwork && (
+          <div className="network-warning">
+            <span>⚠️ DeFi Autopilot is not deployed on this network.</span>
+            {wallet.switchChain && targetChainIds.map(id => (
+              <button key={id} className="connect-button" onClick={() => changeNetwork(id)}>
+                Switch to {NETWORKS[id]?.chainName || `Chain ${id}`}
+              </button>
+            ))}
+          </div>
+        )}
+        {wallet.readOnly ? (
+          <div className="status-indicator">
+            <span>👀 Read-only: connect a wallet to sign in, rebalance or manage funds</span>
+          </div>
+        ) : session ? (
+          <div className="status-indicator">
+            <div className="status-dot"></div>
+            <span>Signed in</span>
+            <button className="connect-button" onClick={signOut}>Sign Out</button>
+          </div>
+        ) : (
+          <div className="status-indicator">
+            {sessionExpired && <span>⚠️ Session expired</span>}
+            <button className="connect-button" onClick={signIn}>
+              Sign In With Ethereum
+            </button>
+          </div>
+        )}
       </div>
 
       <div className="container">
@@ -225,6 +710,11 @@ const App = () => {
           <div className="balance">
             ${portfolio?.totalValue?.toLocaleString() || '10,000'}
           </div>
+          {portfolio?.onChain && (
+            <div className="protocol">
+              {portfolio.balance.toLocaleString()} {portfolio.nativeToken}
+            </div>
+          )}
           <div className="yield">
             Current Yield: {portfolio?.currentYield}% APY
           </div>
@@ -233,23 +723,46 @@ const App = () => {
           </div>
           <div className="status-indicator">
             <div className="status-dot"></div>
-            <span>Auto-Rebalance: Enabled</span>
+            <span>
+              Auto-Rebalance: {!portfolio?.onChain ? 'No on-chain portfolio' : portfolio.autoRebalanceEnabled ? 'Enabled' : 'Disabled'}
+            </span>
           </div>
+          {rebalanceStatus && (
+            <div className="protocol">
+              Last Rebalance: {rebalanceStatus.fromProtocol} → {rebalanceStatus.toProtocol} ({rebalanceStatus.state})
+            </div>
+          )}
         </div>
 
+        {/* Portfolio Management */}
+        <PortfolioActions
+          contractAddress={contracts.PortfolioManager}
+          wallet={wallet}
+          portfolio={portfolio}
+          token={nativeSymbol}
+          chainId={chainId}
+          onConfirmed={refreshPortfolio}
+        />
+
         {/* Live Yields */}
         <div className="card">
           <h2 className="card-title">Live Market Yields</h2>
-          {Object.entries(yields).map(([protocol, data]) => (
-            <div key={protocol} className="yield-row">
-              <span className="protocol-name">{protocol}</span>
-              <span className="yield-value">{data.apy}% APY</span>
-            </div>
-          ))}
+          {Object.entries(yields).map(([protocol, data]) => {
+            const badge = dataBadge(data);
+            return (
+              <div key={protocol} className="yield-row">
+                <span className="protocol-name">
+                  {protocol}
+                  {badge && <span className={`source-badge ${badge.kind}`}>{badge.label}</span>}
+                </span>
+                <span className="yield-value">{data.apy}% APY</span>
+              </div>
+            );
+          })}
         </div>
 
         {/* Optimization Alert */}
-        {optimizationSuggestion && (
+        {optimizationSuggestion ? (
           <div className="optimization-alert">
             <h3 className="alert-title">
               🎯 Optimization Opportunity Detected!
@@ -287,19 +800,69 @@ const App = () => {
               </div>
             </div>
 
-            <button
-              className={`rebalance-button ${rebalancing ? 'disabled' : ''}`}
-              onClick={executeRebalance}
-              disabled={rebalancing}
-            >
-              {rebalancing ? '⏳ Executing Rebalance...' : '🚀 Execute AI Rebalance'}
-            </button>
+            {!wallet.readOnly && (
+              <button
+                className={`rebalance-button ${rebalanceInFlight ? 'disabled' : ''}`}
+                onClick={executeRebalance}
+                disabled={rebalanceInFlight}
+              >
+                {rebalanceInFlight ? '⏳ Executing Rebalance...' : '🚀 Execute AI Rebalance'}
+              </button>
+            )}
+          </div>
+        ) : optimizationCheck && (
+          <div className="card">
+            <h2 className="card-title">Optimization</h2>
+            <p className="protocol">
+              {optimizationCheck.error ? `⚠️ Optimization check failed: ${optimizationCheck.error}` : 'No better opportunity right now'}
+            </p>
+          </div>
+        )}
+
+        {/* Rebalance Progress */}
+        {showRebalanceProgress && (
+          <div className="card">
+            <h2 className="card-title">
+              Rebalance {rebalanceStatus.fromProtocol} → {rebalanceStatus.toProtocol}
+            </h2>
+            {REBALANCE_STEPS.map((step, index) => {
+              const reached = index <= rebalanceStep(rebalanceStatus);
+              const hash = reached && rebalanceStatus[step.hash];
+              return (
+                <div key={step.label} className={`yield-row rebalance-step ${reached ? 'done' : ''}`}>
+                  <span>{reached ? '✅' : '⬜'} {step.label}</span>
+                  {hash && <TxLink chainId={chainId} hash={hash} />}
+                </div>
+              );
+            })}
+            {rebalanceStatus.state === 'CANCELLED' && (
+              <p className="rebalance-error">❌ Cancelled: {rebalanceStatus.reason}</p>
+            )}
+            {rebalanceStatus.state === 'FAILED' && (
+              <p className="rebalance-error">⚠️ Failed: {rebalanceStatus.reason}</p>
+            )}
+            {FINAL_STATES.includes(rebalanceStatus.state) && (
+              <button className="connect-button" onClick={dismissRebalance}>Dismiss</button>
+            )}
+          </div>
+        )}
+
+        {/* Recent Activity */}
+        {activity.length > 0 && (
+          <div className="card">
+            <h2 className="card-title">Recent Activity</h2>
+            {activity.map(event => (
+              <div key={`${event.txHash}-${event.logIndex}`} className="yield-row">
+                <span>{describeActivity(event)}</span>
+                <span className="protocol">{new Date(event.timestamp).toLocaleString()}</span>
+              </div>
+            ))}
           </div>
         )}
 
         {/* Portfolio Stats */}
         <div className="card">
-          <h2 className="card-title">Portfolio Performance</h2>
+          <h2 className="card-title">Portfolio Stats</h2>
           <div className="yield-row">
             <span>Total Assets</span>
             <span className="yield-value">
@@ -324,6 +887,11 @@ const App = () => {
             </span>
           </div>
         </div>
+
+        {/* Performance charts (on-chain portfolios only) */}
+        {portfolio?.onChain && (
+          <PerformanceView apiBase={API_BASE} address={portfolio.address} refreshKey={activity[0]?.txHash} />
+        )}
       </div>
     </div>
   );
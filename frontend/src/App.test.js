@@ -0,0 +1,240 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import App from './App';
+import { restoreWallet } from './wallets';
+
+jest.mock('./wallets', () => ({
+  WALLETCONNECT_PROJECT_ID: undefined,
+  discoverInjectedWallets: () => () => {},
+  connectInjected: jest.fn(),
+  connectWalletConnect: jest.fn(),
+  watchAddress: jest.fn(),
+  restoreWallet: jest.fn(),
+  describeWallet: () => ({ kind: 'injected' })
+}));
+
+// Charts are covered by the performance endpoint; keep recharts out of jsdom
+jest.mock('./PerformanceView', () => () => null);
+
+const API = 'http://localhost:3001';
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+const TOKEN = 'session-token';
+
+const recommendation = {
+  fromProtocol: 'Aave',
+  toProtocol: 'Compound',
+  currentYield: 3.2,
+  newYield: 7.8,
+  annualProfit: 46,
+  executionCost: 0.5,
+  netProfit: 45.5
+};
+
+const keeperRequest = (fields) => ({
+  user: ADDRESS,
+  requestId: null,
+  fromProtocol: 'Aave',
+  toProtocol: 'Compound',
+  state: 'SUBMITTED',
+  requestTxHash: '0x' + 'aa'.repeat(32),
+  createdAt: Date.now(),
+  ...fields
+});
+
+// Stand-in for the browser WebSocket; the specs drive it by calling its handlers
+class FakeSocket {
+  static OPEN = 1;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeSocket.instances.push(this);
+  }
+
+  open() {
+    this.readyState = FakeSocket.OPEN;
+    this.onopen();
+  }
+
+  receive(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close(code = 1000) {
+    if (this.readyState === 3) return;
+    this.readyState = 3;
+    this.onclose({ code });
+  }
+}
+
+// fetch answered per "METHOD /path"; anything else is a failed API call
+function mockApi(overrides = {}) {
+  const routes = {
+    'GET /api/yields': { success: true, data: { Aave: { apy: 3.2 }, Compound: { apy: 7.8 } } },
+    [`GET /api/portfolio/${ADDRESS}`]: {
+      success: true,
+      portfolio: {
+        address: ADDRESS,
+        balance: 100,
+        nativeToken: 'C2FLR',
+        currentYield: 3.2,
+        protocol: 'Aave',
+        riskProfile: 2,
+        totalValue: 2,
+        autoRebalanceEnabled: true
+      }
+    },
+    'GET /api/auth/session': { success: true },
+    'POST /api/optimize': { success: true, strategy: { shouldRebalance: true, recommendation } },
+    'GET /api/activity': { success: true, events: [] },
+    'GET /api/keeper/requests': { success: true, requests: [] },
+    'POST /api/keeper/rebalance': { success: true, result: { request: keeperRequest() } },
+    ...overrides
+  };
+
+  global.fetch = jest.fn((url, options = {}) => {
+    const route = `${options.method || 'GET'} ${url.replace(API, '').split('?')[0]}`;
+    const body = routes[route] || { success: false, error: `No route for ${route}` };
+    return Promise.resolve({ json: () => Promise.resolve(body) });
+  });
+}
+
+const wallet = {
+  name: 'Test Wallet',
+  address: ADDRESS,
+  chainId: 114,
+  readOnly: false,
+  provider: { getBalance: () => Promise.resolve('0') },
+  signer: {},
+  subscribe: () => () => {},
+  switchChain: jest.fn(),
+  reconnect: jest.fn(),
+  disconnect: jest.fn().mockResolvedValue()
+};
+
+// Render with the wallet and its session restored; resolves with the live feed socket
+async function renderDashboard() {
+  render(<App />);
+  await screen.findByText('Signed in');
+  await waitFor(() => expect(FakeSocket.instances).toHaveLength(1));
+  return FakeSocket.instances[0];
+}
+
+describe('App', () => {
+  beforeEach(() => {
+    FakeSocket.instances = [];
+    global.WebSocket = FakeSocket;
+    localStorage.setItem('defi-autopilot-wallet', JSON.stringify({ kind: 'injected' }));
+    localStorage.setItem('defi-autopilot-session', JSON.stringify({ address: ADDRESS, token: TOKEN, expiresAt: Date.now() + 3600000 }));
+    restoreWallet.mockResolvedValue(wallet);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockApi();
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('executes the suggested rebalance through the keeper and tracks it to confirmation', async () => {
+    const socket = await renderDashboard();
+
+    fireEvent.click(await screen.findByText('🚀 Execute AI Rebalance'));
+
+    expect(await screen.findByText('Rebalance Aave → Compound')).toBeInTheDocument();
+    expect(screen.getByText('⏳ Executing Rebalance...')).toBeDisabled();
+    expect(global.fetch).toHaveBeenCalledWith(`${API}/api/keeper/rebalance`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${TOKEN}` }
+    });
+
+    act(() => socket.open());
+    act(() => socket.receive({
+      type: 'rebalance',
+      request: keeperRequest({ requestId: 7, state: 'EXECUTED', executeTxHash: '0x' + 'bb'.repeat(32) })
+    }));
+
+    expect(await screen.findByText('✅ Confirmed')).toBeInTheDocument();
+    expect(screen.getByText('Dismiss')).toBeInTheDocument();
+  });
+
+  it('shows why the keeper cancelled the rebalance until it is dismissed', async () => {
+    const socket = await renderDashboard();
+    fireEvent.click(await screen.findByText('🚀 Execute AI Rebalance'));
+    await screen.findByText('Rebalance Aave → Compound');
+
+    act(() => socket.open());
+    act(() => socket.receive({
+      type: 'rebalance',
+      request: keeperRequest({ requestId: 7, state: 'CANCELLED', reason: 'Yield advantage disappeared' })
+    }));
+
+    expect(await screen.findByText('❌ Cancelled: Yield advantage disappeared')).toBeInTheDocument();
+    expect(screen.getByText('🚀 Execute AI Rebalance')).toBeEnabled();
+
+    fireEvent.click(screen.getByText('Dismiss'));
+    expect(screen.queryByText('Rebalance Aave → Compound')).not.toBeInTheDocument();
+  });
+
+  it('reports a rebalance the keeper declined to start', async () => {
+    mockApi({ 'POST /api/keeper/rebalance': { success: true, result: { reason: 'No profitable move' } } });
+    jest.spyOn(window, 'alert').mockImplementation(() => {});
+    await renderDashboard();
+
+    fireEvent.click(await screen.findByText('🚀 Execute AI Rebalance'));
+
+    await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Rebalance not started: No profitable move'));
+    expect(screen.queryByText('Rebalance Aave → Compound')).not.toBeInTheDocument();
+    expect(localStorage.getItem('defi-autopilot-rebalance')).toBeNull();
+  });
+
+  it('shows no opportunity, or the failed check, instead of a suggestion', async () => {
+    mockApi({ 'POST /api/optimize': { success: true, strategy: { shouldRebalance: false } } });
+    const { unmount } = render(<App />);
+
+    expect(await screen.findByText('No better opportunity right now')).toBeInTheDocument();
+    expect(screen.queryByText('🚀 Execute AI Rebalance')).not.toBeInTheDocument();
+    unmount();
+
+    mockApi({ 'POST /api/optimize': { success: false, error: 'Invalid portfolio' } });
+    render(<App />);
+
+    expect(await screen.findByText('⚠️ Optimization check failed: Invalid portfolio')).toBeInTheDocument();
+    expect(screen.queryByText('🚀 Execute AI Rebalance')).not.toBeInTheDocument();
+  });
+
+  it('lists recent activity in the native token of the wallet network', async () => {
+    mockApi({
+      'GET /api/activity': {
+        success: true,
+        events: [
+          { type: 'FundsDeposited', amount: '5.0', txHash: '0x01', logIndex: 0, timestamp: Date.now() },
+          { type: 'RebalanceCancelled', requestId: 3, reason: 'Slippage too high', txHash: '0x02', logIndex: 1, timestamp: Date.now() }
+        ]
+      }
+    });
+    await renderDashboard();
+
+    expect(await screen.findByText('Recent Activity')).toBeInTheDocument();
+    expect(screen.getByText('Deposited 5.0 C2FLR')).toBeInTheDocument();
+    expect(screen.getByText('Rebalance #3 cancelled: Slippage too high')).toBeInTheDocument();
+  });
+
+  it('drops the session instead of reconnecting when the live feed reports it expired', async () => {
+    const socket = await renderDashboard();
+    act(() => socket.open());
+
+    act(() => socket.close(4001));
+
+    expect(await screen.findByText('⚠️ Session expired')).toBeInTheDocument();
+    expect(screen.getByText('Sign In With Ethereum')).toBeInTheDocument();
+    expect(localStorage.getItem('defi-autopilot-session')).toBeNull();
+    expect(FakeSocket.instances).toHaveLength(1);
+  });
+});
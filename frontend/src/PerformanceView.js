@@ -0,0 +1,191 @@
+// DeFi Autopilot - Portfolio Performance Charts
+import React, { useState, useEffect } from 'react';
+import {
+  ResponsiveContainer, LineChart, ComposedChart, Line, Area, XAxis, YAxis,
+  CartesianGrid, Tooltip, Legend, ReferenceLine
+} from 'recharts';
+
+const RANGES = ['24h', '7d', '30d', 'all'];
+const PROTOCOL_COLORS = ['#4ade80', '#60a5fa', '#f59e0b', '#f472b6', '#a78bfa', '#f87171'];
+const AXIS_STYLE = { stroke: '#e5e7eb', fontSize: 12 };
+
+const formatTime = (range) => (timestamp) => (
+  range === '24h'
+    ? new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : new Date(timestamp).toLocaleDateString([], { month: 'short', day: 'numeric' })
+);
+
+// One row per timestamp with a column per protocol, as recharts expects
+const mergeProtocolYields = (protocolYields) => {
+  const rows = new Map();
+  for (const [protocol, points] of Object.entries(protocolYields)) {
+    for (const point of points) {
+      const row = rows.get(point.timestamp) || { timestamp: point.timestamp };
+      row[protocol] = point.apy;
+      rows.set(point.timestamp, row);
+    }
+  }
+  return [...rows.values()].sort((a, b) => a.timestamp - b.timestamp);
+};
+
+/**
+ * Performance View - Value, earnings, APY and market yield history for an on-chain portfolio
+ */
+const PerformanceView = ({ apiBase, address, refreshKey }) => {
+  const [range, setRange] = useState('7d');
+  const [performance, setPerformance] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!address) return;
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await fetch(`${apiBase}/api/portfolio/${address}/performance?range=${range}`);
+        const data = await response.json();
+        if (cancelled) return;
+
+        setPerformance(data.success ? data.performance : null);
+        setError(data.success ? null : data.error);
+      } catch (err) {
+        if (!cancelled) setError('Performance history unavailable');
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [apiBase, address, range, refreshKey]);
+
+  const tickFormatter = formatTime(range);
+  const labelFormatter = (timestamp) => new Date(timestamp).toLocaleString();
+  const token = performance?.nativeToken || 'FLR';
+  const usd = (amount) => (amount * (performance?.nativePrice || 0)).toFixed(2);
+  const protocolRows = performance ? mergeProtocolYields(performance.protocolYields) : [];
+  const protocols = performance ? Object.keys(performance.protocolYields) : [];
+
+  return (
+    <div className="card performance-card">
+      <div className="performance-header">
+        <h2 className="card-title">Portfolio Performance</h2>
+        <div className="range-selector">
+          {RANGES.map(option => (
+            <button
+              key={option}
+              className={`range-button ${option === range ? 'active' : ''}`}
+              onClick={() => setRange(option)}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="protocol">{error}</p>}
+
+      {performance && (
+        <>
+          {!performance.complete && (
+            <p className="protocol">History starts at the first indexed event for this portfolio.</p>
+          )}
+
+          <div className="profit-grid">
+            <div className="profit-item">
+              <div className="profit-label">Value</div>
+              <div className="profit-value">{performance.summary.endValue.toFixed(4)} {token}</div>
+              <div className="profit-label">${usd(performance.summary.endValue)}</div>
+            </div>
+            <div className="profit-item">
+              <div className="profit-label">Realised Earnings</div>
+              <div className="profit-value">+{performance.summary.realisedEarnings.toFixed(6)} {token}</div>
+              <div className="profit-label">${usd(performance.summary.realisedEarnings)}</div>
+            </div>
+            <div className="profit-item">
+              <div className="profit-label">Projected Earnings</div>
+              <div className="profit-value">+{performance.summary.projectedEarnings.toFixed(6)} {token}</div>
+              <div className="profit-label">${usd(performance.summary.projectedEarnings)}</div>
+            </div>
+            <div className="profit-item">
+              <div className="profit-label">Rebalances</div>
+              <div className="profit-value">{performance.summary.rebalances}</div>
+            </div>
+          </div>
+
+          <h3 className="chart-title">Portfolio Value ({token})</h3>
+          <ResponsiveContainer width="100%" height={220}>
+            <ComposedChart data={performance.series}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.15)" />
+              <XAxis dataKey="timestamp" type="number" domain={['dataMin', 'dataMax']} tickFormatter={tickFormatter} {...AXIS_STYLE} />
+              <YAxis domain={['auto', 'auto']} {...AXIS_STYLE} />
+              <Tooltip labelFormatter={labelFormatter} />
+              <Area type="monotone" dataKey="value" name="Value" stroke="#4ade80" fill="rgba(74,222,128,0.3)" />
+              <Line type="stepAfter" dataKey="principal" name="Principal" stroke="#e5e7eb" dot={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+
+          <h3 className="chart-title">Realised vs. Projected Earnings ({token})</h3>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={performance.series}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.15)" />
+              <XAxis dataKey="timestamp" type="number" domain={['dataMin', 'dataMax']} tickFormatter={tickFormatter} {...AXIS_STYLE} />
+              <YAxis {...AXIS_STYLE} />
+              <Tooltip labelFormatter={labelFormatter} />
+              <Legend />
+              <Line type="monotone" dataKey="realisedEarnings" name="Realised" stroke="#4ade80" dot={false} />
+              <Line type="monotone" dataKey="projectedEarnings" name="Projected" stroke="#f59e0b" strokeDasharray="5 5" dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+
+          <h3 className="chart-title">APY Over Time (%)</h3>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={performance.series}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.15)" />
+              <XAxis dataKey="timestamp" type="number" domain={['dataMin', 'dataMax']} tickFormatter={tickFormatter} {...AXIS_STYLE} />
+              <YAxis {...AXIS_STYLE} />
+              <Tooltip labelFormatter={labelFormatter} />
+              <Legend />
+              <Line type="stepAfter" dataKey="apy" name="Observed APY" stroke="#60a5fa" dot={false} connectNulls />
+              <Line type="stepAfter" dataKey="expectedApy" name="Expected APY" stroke="#f59e0b" strokeDasharray="5 5" dot={false} />
+              {performance.rebalances.map(rebalance => (
+                <ReferenceLine
+                  key={rebalance.txHash}
+                  x={rebalance.timestamp}
+                  stroke="#f472b6"
+                  strokeDasharray="3 3"
+                  label={{ value: `→ ${rebalance.toProtocol}`, fill: '#f472b6', fontSize: 12, position: 'top' }}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+
+          {protocols.length > 0 && (
+            <>
+              <h3 className="chart-title">Protocol Yield History (%)</h3>
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={protocolRows}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.15)" />
+                  <XAxis dataKey="timestamp" type="number" domain={['dataMin', 'dataMax']} tickFormatter={tickFormatter} {...AXIS_STYLE} />
+                  <YAxis {...AXIS_STYLE} />
+                  <Tooltip labelFormatter={labelFormatter} />
+                  <Legend />
+                  {protocols.map((protocol, index) => (
+                    <Line
+                      key={protocol}
+                      type="monotone"
+                      dataKey={protocol}
+                      stroke={PROTOCOL_COLORS[index % PROTOCOL_COLORS.length]}
+                      dot={false}
+                      connectNulls
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PerformanceView;
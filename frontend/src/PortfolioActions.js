@@ -0,0 +1,233 @@
+// DeFi Autopilot - Portfolio Management (wallet-signed PortfolioManager transactions)
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { PORTFOLIO_MANAGER_ABI, RISK_PROFILES, decodeRevertReason } from './contracts';
+import TxLink from './TxLink';
+
+const ACTIONS = {
+  create: 'Create',
+  deposit: 'Deposit',
+  withdraw: 'Withdraw',
+  risk: 'Risk Profile',
+  auto: 'Auto-Rebalance'
+};
+
+const formatAmount = (wei) => parseFloat(ethers.utils.formatEther(wei)).toLocaleString(undefined, { maximumFractionDigits: 6 });
+
+const parseAmount = (value) => {
+  try {
+    return ethers.utils.parseEther(value.trim());
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Portfolio Actions - Create, deposit, withdraw, risk profile and auto-rebalance with validation,
+ * gas estimates and transaction status
+ */
+const PortfolioActions = ({ contractAddress, wallet, portfolio, token = 'FLR', chainId, onConfirmed }) => {
+  const hasPortfolio = Boolean(portfolio?.onChain);
+  const currentProfile = hasPortfolio ? portfolio.riskProfile - 1 : null; // API profiles are 1-3
+
+  const [action, setAction] = useState(hasPortfolio ? 'deposit' : 'create');
+  const [amount, setAmount] = useState('');
+  const [riskProfile, setRiskProfile] = useState(1);
+  const [minDeposit, setMinDeposit] = useState(ethers.utils.parseEther('0.01')); // MIN_DEPOSIT until read
+  const [walletBalance, setWalletBalance] = useState(null);
+  const [estimate, setEstimate] = useState(null); // { fee } in wei, or { error }
+  const [tx, setTx] = useState(null); // { action, status: signing|pending|confirmed|failed, hash, error }
+  const [confirmations, setConfirmations] = useState(0);
+
+  useEffect(() => {
+    setAction(hasPortfolio ? 'deposit' : 'create');
+  }, [hasPortfolio]);
+
+  useEffect(() => {
+    setRiskProfile(currentProfile ?? 1);
+  }, [currentProfile]);
+
+  // Contract minimum and wallet balance, re-read after every confirmed transaction
+  useEffect(() => {
+    if (!contractAddress || !wallet) return;
+
+    const contract = new ethers.Contract(contractAddress, PORTFOLIO_MANAGER_ABI, wallet.provider);
+    contract.MIN_DEPOSIT().then(setMinDeposit).catch(error => console.error('Error reading MIN_DEPOSIT:', error));
+    wallet.provider.getBalance(wallet.address).then(setWalletBalance).catch(error => console.error('Error reading balance:', error));
+  }, [contractAddress, wallet, confirmations]);
+
+  // Validate the form; returns { error } or the contract call to make
+  const buildCall = () => {
+    const value = parseAmount(amount);
+
+    switch (action) {
+      case 'create':
+        if (!value) return { error: 'Enter an amount' };
+        if (value.lt(minDeposit)) return { error: `Minimum deposit is ${formatAmount(minDeposit)} ${token}` };
+        if (walletBalance && value.gt(walletBalance)) return { error: 'Amount exceeds your wallet balance' };
+        if (![0, 1, 2].includes(riskProfile)) return { error: 'Choose a risk profile' };
+        return { method: 'createPortfolio', args: [riskProfile], overrides: { value } };
+      case 'deposit':
+        if (!value || value.isZero()) return { error: 'Enter an amount' };
+        if (walletBalance && value.gt(walletBalance)) return { error: 'Amount exceeds your wallet balance' };
+        return { method: 'depositFunds', args: [], overrides: { value } };
+      case 'withdraw': {
+        if (!value || value.isZero()) return { error: 'Enter an amount' };
+        if (value.gt(ethers.BigNumber.from(portfolio.balanceWei))) return { error: 'Amount exceeds your portfolio balance' };
+        return { method: 'withdrawFunds', args: [value], overrides: {} };
+      }
+      case 'risk':
+        if (![0, 1, 2].includes(riskProfile)) return { error: 'Choose a risk profile' };
+        if (riskProfile === currentProfile) return { error: `Already ${RISK_PROFILES[riskProfile]}` };
+        return { method: 'updateRiskProfile', args: [riskProfile], overrides: {} };
+      case 'auto':
+        return { method: 'toggleAutoRebalance', args: [], overrides: {} };
+      default:
+        return { error: 'Unknown action' };
+    }
+  };
+
+  const call = buildCall();
+  const callKey = call.error ? null : `${action}:${amount}:${riskProfile}`;
+
+  // Estimate gas for a valid call; a revert here surfaces the contract's reason before signing
+  useEffect(() => {
+    setEstimate(null);
+    if (!callKey || !contractAddress || !wallet?.signer) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const contract = new ethers.Contract(contractAddress, PORTFOLIO_MANAGER_ABI, wallet.signer);
+        const [gas, gasPrice] = await Promise.all([
+          contract.estimateGas[call.method](...call.args, call.overrides),
+          wallet.provider.getGasPrice()
+        ]);
+        if (!cancelled) setEstimate({ fee: gas.mul(gasPrice) });
+      } catch (error) {
+        if (!cancelled) setEstimate({ error: decodeRevertReason(error) });
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [callKey, contractAddress, wallet]);
+
+  const submit = async () => {
+    if (call.error) return;
+
+    setTx({ action, status: 'signing' });
+    try {
+      const contract = new ethers.Contract(contractAddress, PORTFOLIO_MANAGER_ABI, wallet.signer);
+      const sent = await contract[call.method](...call.args, call.overrides);
+      setTx({ action, status: 'pending', hash: sent.hash });
+
+      const receipt = await sent.wait();
+      setTx({ action, status: 'confirmed', hash: sent.hash, blockNumber: receipt.blockNumber });
+      setAmount('');
+      setConfirmations(count => count + 1);
+      onConfirmed();
+    } catch (error) {
+      setTx(prev => ({ ...prev, status: 'failed', error: decodeRevertReason(error) }));
+    }
+  };
+
+  // Nothing to sign with in watch mode
+  if (!contractAddress || !wallet?.signer) return null;
+
+  const busy = tx && (tx.status === 'signing' || tx.status === 'pending');
+  const amountActions = ['create', 'deposit', 'withdraw'];
+  const available = hasPortfolio ? ['deposit', 'withdraw', 'risk', 'auto'] : ['create'];
+
+  return (
+    <div className="card">
+      <h2 className="card-title">Manage Portfolio</h2>
+
+      <div className="action-tabs">
+        {available.map(key => (
+          <button
+            key={key}
+            className={`action-tab ${key === action ? 'active' : ''}`}
+            onClick={() => setAction(key)}
+            disabled={busy}
+          >
+            {ACTIONS[key]}
+          </button>
+        ))}
+      </div>
+
+      {amountActions.includes(action) && (
+        <label className="form-field">
+          <span>Amount ({token})</span>
+          <input
+            className="form-input"
+            type="text"
+            inputMode="decimal"
+            value={amount}
+            onChange={event => setAmount(event.target.value)}
+            placeholder={action === 'create' ? `Min ${formatAmount(minDeposit)}` : '0.0'}
+            disabled={busy}
+          />
+          <span className="form-hint">
+            {action === 'withdraw'
+              ? `Portfolio balance: ${formatAmount(portfolio.balanceWei)} ${token} (withdrawing all of it closes the portfolio)`
+              : walletBalance && `Wallet balance: ${formatAmount(walletBalance)} ${token}`}
+          </span>
+        </label>
+      )}
+
+      {['create', 'risk'].includes(action) && (
+        <label className="form-field">
+          <span>Risk Profile</span>
+          <select
+            className="form-input"
+            value={riskProfile}
+            onChange={event => setRiskProfile(Number(event.target.value))}
+            disabled={busy}
+          >
+            {RISK_PROFILES.map((name, index) => (
+              <option key={name} value={index}>{name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {action === 'auto' && (
+        <p className="form-hint">
+          Auto-rebalance is {portfolio.autoRebalanceEnabled ? 'enabled' : 'disabled'}. The keeper only rebalances
+          portfolios that have it enabled.
+        </p>
+      )}
+
+      {call.error && (amount !== '' || !amountActions.includes(action)) && <p className="form-error">{call.error}</p>}
+      {estimate?.error && <p className="form-error">⚠️ {estimate.error}</p>}
+      {estimate?.fee && (
+        <p className="form-hint">Estimated network fee: {formatAmount(estimate.fee)} {token}</p>
+      )}
+
+      <button
+        className={`rebalance-button ${busy || call.error ? 'disabled' : ''}`}
+        onClick={submit}
+        disabled={busy || Boolean(call.error)}
+      >
+        {action === 'auto'
+          ? (portfolio.autoRebalanceEnabled ? 'Disable Auto-Rebalance' : 'Enable Auto-Rebalance')
+          : ACTIONS[action]}
+      </button>
+
+      {tx && (
+        <div className="tx-status">
+          {tx.status === 'signing' && <span>✍️ Confirm the {ACTIONS[tx.action].toLowerCase()} transaction in your wallet...</span>}
+          {tx.status === 'pending' && <span>⏳ Waiting for confirmation...</span>}
+          {tx.status === 'confirmed' && <span>✅ Confirmed in block {tx.blockNumber}</span>}
+          {tx.status === 'failed' && <span className="form-error">❌ {tx.error}</span>}
+          {tx.hash && <TxLink chainId={chainId} hash={tx.hash} />}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PortfolioActions;
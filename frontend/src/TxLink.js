@@ -0,0 +1,14 @@
+// DeFi Autopilot - Transaction hash with a block explorer link for the current chain
+import React from 'react';
+import { explorerTxUrl } from './networks';
+
+const TxLink = ({ chainId, hash }) => {
+  const url = explorerTxUrl(chainId, hash);
+  const label = `${hash.substring(0, 10)}...`;
+
+  return url
+    ? <a className="tx-link" href={url} target="_blank" rel="noopener noreferrer">{label}</a>
+    : <span className="tx-link" title={hash}>{label}</span>;
+};
+
+export default TxLink;
@@ -0,0 +1,64 @@
+// DeFi Autopilot - Contract ABIs and error decoding for wallet transactions
+import { ethers } from 'ethers';
+
+// User-facing PortfolioManager functions (keep in sync with contracts/PortfolioManager.sol)
+export const PORTFOLIO_MANAGER_ABI = [
+  'function createPortfolio(uint8 riskProfile) payable',
+  'function depositFunds() payable',
+  'function withdrawFunds(uint256 amount)',
+  'function updateRiskProfile(uint8 newProfile)',
+  'function toggleAutoRebalance()',
+  'function MIN_DEPOSIT() view returns (uint256)'
+];
+
+export const RISK_PROFILES = ['Conservative', 'Balanced', 'Aggressive']; // PortfolioManager.RiskProfile 0-2
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+
+// Revert data can sit at different depths depending on the wallet and RPC node
+const findRevertData = (value, depth = 0) => {
+  if (value === null || value === undefined || depth > 6) return null;
+  if (typeof value === 'string') {
+    if (value.startsWith(ERROR_SELECTOR)) return value;
+    if (!value.startsWith('{')) return null;
+    try {
+      return findRevertData(JSON.parse(value), depth + 1); // JSON-RPC response bodies
+    } catch (error) {
+      return null;
+    }
+  }
+  if (typeof value !== 'object') return null;
+
+  for (const key of ['data', 'result', 'error', 'originalError', 'body']) {
+    const found = findRevertData(value[key], depth + 1);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Human-readable reason for a failed estimate or transaction, e.g. "Portfolio already exists"
+ */
+export const decodeRevertReason = (error) => {
+  if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+    return 'Transaction rejected in wallet';
+  }
+
+  // Mined but reverted: the receipt carries no reason
+  if (error.code === 'CALL_EXCEPTION' && error.receipt) {
+    return 'Transaction reverted on-chain';
+  }
+
+  const data = findRevertData(error);
+  if (data) {
+    try {
+      return ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4))[0];
+    } catch (decodeError) {
+      // Fall back to the message text
+    }
+  }
+
+  const message = error.error?.data?.message || error.error?.message || error.data?.message || error.reason || error.message || '';
+  const match = message.match(/reverted with reason string '([^']+)'/) || message.match(/execution reverted:?\s*(.+)/);
+  return match ? match[1].trim() : message;
+};
@@ -0,0 +1,93 @@
+// DeFi Autopilot - Supported networks, per-chain contract addresses and wallet chain switching
+import deployments from './deployments.json';
+
+// Mirrors the networks in hardhat.config.js
+export const NETWORKS = {
+  14: {
+    name: 'flare',
+    chainName: 'Flare Mainnet',
+    nativeCurrency: { name: 'Flare', symbol: 'FLR', decimals: 18 },
+    rpcUrls: ['https://flare-api.flare.network/ext/bc/C/rpc'],
+    explorerUrl: 'https://flare-explorer.flare.network'
+  },
+  114: {
+    name: 'flareTestnet',
+    chainName: 'Flare Testnet Coston2',
+    nativeCurrency: { name: 'Coston2 Flare', symbol: 'C2FLR', decimals: 18 },
+    rpcUrls: ['https://coston2-api.flare.network/ext/bc/C/rpc'],
+    explorerUrl: 'https://coston2-explorer.flare.network'
+  },
+  19: {
+    name: 'songbird',
+    chainName: 'Songbird Canary-Network',
+    nativeCurrency: { name: 'Songbird', symbol: 'SGB', decimals: 18 },
+    rpcUrls: ['https://songbird-api.flare.network/ext/bc/C/rpc'],
+    explorerUrl: 'https://songbird-explorer.flare.network'
+  },
+  1337: {
+    name: 'localhost',
+    chainName: 'Localhost 8545',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: ['http://127.0.0.1:8545'],
+    explorerUrl: null
+  }
+};
+
+// Chain the dashboard asks for when the wallet is elsewhere
+export const DEFAULT_CHAIN_ID = Number(process.env.REACT_APP_FLARE_CHAIN_ID) || 114;
+
+/**
+ * Contract addresses for a chain from deployments.json (written by deployment/deploy.js).
+ * REACT_APP_*_ADDRESS variables override the default chain's entries.
+ */
+export const contractsFor = (chainId) => {
+  const deployed = deployments[chainId]?.contracts || {};
+  const overrides = chainId === DEFAULT_CHAIN_ID ? {
+    PortfolioManager: process.env.REACT_APP_PORTFOLIO_MANAGER_ADDRESS,
+    RebalancingEngine: process.env.REACT_APP_REBALANCING_ENGINE_ADDRESS,
+    YieldOracle: process.env.REACT_APP_YIELD_ORACLE_ADDRESS
+  } : {};
+
+  return {
+    PortfolioManager: overrides.PortfolioManager || deployed.PortfolioManager || null,
+    RebalancingEngine: overrides.RebalancingEngine || deployed.RebalancingEngine || null,
+    YieldOracle: overrides.YieldOracle || deployed.YieldOracle || null
+  };
+};
+
+// A chain is usable when it is known and has a PortfolioManager
+export const isSupportedChain = (chainId) => Boolean(NETWORKS[chainId] && contractsFor(chainId).PortfolioManager);
+
+export const supportedChainIds = () => Object.keys(NETWORKS).map(Number).filter(isSupportedChain);
+
+export const explorerTxUrl = (chainId, hash) => {
+  const explorerUrl = NETWORKS[chainId]?.explorerUrl || process.env.REACT_APP_EXPLORER_URL;
+  return explorerUrl ? `${explorerUrl}/tx/${hash}` : null;
+};
+
+/**
+ * Ask an EIP-1193 wallet provider to switch chains, adding the chain first if the wallet does not know it
+ */
+export const switchNetwork = async (eip1193, chainId) => {
+  const hexChainId = `0x${chainId.toString(16)}`;
+
+  try {
+    await eip1193.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: hexChainId }] });
+  } catch (error) {
+    // 4902: unrecognized chain (some wallets wrap it in data.originalError)
+    const code = error.code === 4902 ? 4902 : error.data?.originalError?.code;
+    if (code !== 4902) throw error;
+
+    const network = NETWORKS[chainId];
+    await eip1193.request({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId: hexChainId,
+        chainName: network.chainName,
+        nativeCurrency: network.nativeCurrency,
+        rpcUrls: network.rpcUrls,
+        blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined
+      }]
+    });
+  }
+};
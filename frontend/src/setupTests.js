@@ -0,0 +1,2 @@
+// Jest DOM matchers (toBeInTheDocument, ...) for the React Testing Library specs
+import '@testing-library/jest-dom';
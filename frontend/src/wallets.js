@@ -0,0 +1,169 @@
+// DeFi Autopilot - Wallet connectors: injected wallets (EIP-6963), WalletConnect and read-only watch mode
+import { ethers } from 'ethers';
+import { NETWORKS, DEFAULT_CHAIN_ID, switchNetwork } from './networks';
+
+export const WALLETCONNECT_PROJECT_ID = process.env.REACT_APP_WALLETCONNECT_PROJECT_ID;
+
+/**
+ * Discover injected wallets via EIP-6963 announcements. window.ethereum is listed only when no
+ * wallet announces itself (older extensions). Calls onChange with every update; returns an unsubscribe.
+ */
+export const discoverInjectedWallets = (onChange) => {
+  const announced = new Map(); // rdns -> wallet entry
+
+  const emit = () => {
+    const wallets = [...announced.values()];
+    if (wallets.length === 0 && window.ethereum) {
+      wallets.push({ id: 'injected', name: 'Browser Wallet', icon: null, provider: window.ethereum });
+    }
+    onChange(wallets);
+  };
+
+  const onAnnounce = (event) => {
+    const { info, provider } = event.detail;
+    announced.set(info.rdns || info.uuid, { id: info.rdns || info.uuid, name: info.name, icon: info.icon, provider });
+    emit();
+  };
+
+  window.addEventListener('eip6963:announceProvider', onAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  emit();
+
+  return () => window.removeEventListener('eip6963:announceProvider', onAnnounce);
+};
+
+/**
+ * Wrap an EIP-1193 provider in the wallet shape the dashboard uses.
+ * With silent, only already-authorized accounts are used (no prompt); returns null if there are none.
+ */
+const fromEip1193 = async ({ type, id, name, eip1193 }, { silent = false } = {}) => {
+  const accounts = await eip1193.request({ method: silent ? 'eth_accounts' : 'eth_requestAccounts' });
+  if (accounts.length === 0) return null;
+
+  const provider = new ethers.providers.Web3Provider(eip1193, 'any');
+  const { chainId } = await provider.getNetwork();
+
+  return {
+    type,
+    id,
+    name,
+    readOnly: false,
+    address: ethers.utils.getAddress(accounts[0]),
+    chainId,
+    provider,
+    signer: provider.getSigner(),
+    switchChain: (targetChainId) => switchNetwork(eip1193, targetChainId),
+    reconnect: () => fromEip1193({ type, id, name, eip1193 }, { silent: true }),
+
+    // Returns an unsubscribe function
+    subscribe: ({ onAccountsChanged, onChainChanged, onDisconnect }) => {
+      eip1193.on('accountsChanged', onAccountsChanged);
+      eip1193.on('chainChanged', onChainChanged);
+      eip1193.on('disconnect', onDisconnect);
+      return () => {
+        eip1193.removeListener('accountsChanged', onAccountsChanged);
+        eip1193.removeListener('chainChanged', onChainChanged);
+        eip1193.removeListener('disconnect', onDisconnect);
+      };
+    },
+
+    // Injected wallets cannot be disconnected from the page; the dashboard just forgets them
+    disconnect: async () => {
+      if (type === 'walletconnect') await eip1193.disconnect();
+    }
+  };
+};
+
+/**
+ * Connect one of the discovered injected wallets
+ */
+export const connectInjected = (entry, options) => fromEip1193({
+  type: 'injected',
+  id: entry.id,
+  name: entry.name,
+  eip1193: entry.provider
+}, options);
+
+/**
+ * Connect through WalletConnect (QR code or mobile deep link). The SDK is loaded on first use.
+ */
+export const connectWalletConnect = async ({ silent = false } = {}) => {
+  if (!WALLETCONNECT_PROJECT_ID) {
+    throw new Error('WalletConnect requires REACT_APP_WALLETCONNECT_PROJECT_ID');
+  }
+
+  const { EthereumProvider } = await import('@walletconnect/ethereum-provider');
+  const chainIds = Object.keys(NETWORKS).map(Number).filter(chainId => NETWORKS[chainId].explorerUrl);
+  const eip1193 = await EthereumProvider.init({
+    projectId: WALLETCONNECT_PROJECT_ID,
+    chains: [DEFAULT_CHAIN_ID],
+    optionalChains: chainIds.filter(chainId => chainId !== DEFAULT_CHAIN_ID),
+    rpcMap: Object.fromEntries(chainIds.map(chainId => [chainId, NETWORKS[chainId].rpcUrls[0]])),
+    showQrModal: true,
+    metadata: {
+      name: 'DeFi Autopilot',
+      description: 'AI-Powered Cross-Chain Yield Optimization',
+      url: window.location.origin,
+      icons: []
+    }
+  });
+
+  // Restoring only reuses a stored session
+  if (!eip1193.session) {
+    if (silent) return null;
+    await eip1193.connect();
+  }
+
+  return fromEip1193({ type: 'walletconnect', id: 'walletconnect', name: 'WalletConnect', eip1193 }, { silent: true });
+};
+
+/**
+ * Read-only wallet for any address: portfolio, activity and performance, but nothing that signs
+ */
+export const watchAddress = (address, chainId = DEFAULT_CHAIN_ID) => {
+  if (!ethers.utils.isAddress(address)) {
+    throw new Error('Invalid address');
+  }
+
+  const provider = new ethers.providers.StaticJsonRpcProvider(NETWORKS[chainId].rpcUrls[0], chainId);
+
+  return {
+    type: 'watch',
+    id: 'watch',
+    name: 'Watch mode',
+    readOnly: true,
+    address: ethers.utils.getAddress(address),
+    chainId,
+    provider,
+    signer: null,
+    switchChain: null,
+    reconnect: async () => watchAddress(address, chainId),
+    subscribe: () => () => {},
+    disconnect: async () => {}
+  };
+};
+
+/**
+ * Reconnect a wallet saved by describeWallet without prompting; null when it is no longer available
+ */
+export const restoreWallet = async (saved, injectedWallets) => {
+  switch (saved?.type) {
+    case 'injected': {
+      const entry = injectedWallets.find(wallet => wallet.id === saved.id);
+      return entry ? connectInjected(entry, { silent: true }) : null;
+    }
+    case 'walletconnect':
+      return connectWalletConnect({ silent: true });
+    case 'watch':
+      return watchAddress(saved.address, saved.chainId);
+    default:
+      return null;
+  }
+};
+
+// What to remember about a wallet across reloads
+export const describeWallet = (wallet) => ({
+  type: wallet.type,
+  id: wallet.id,
+  ...(wallet.readOnly ? { address: wallet.address, chainId: wallet.chainId } : {})
+});
@@ -19,6 +19,16 @@ module.exports = {
   },
   networks: {
     hardhat: {
+      chainId: 1337,
+      // FLARE_FORK_URL forks Flare (needs an archive RPC) so the Flare-native adapters read real contracts
+      forking: process.env.FLARE_FORK_URL ? {
+        url: process.env.FLARE_FORK_URL,
+        blockNumber: process.env.FLARE_FORK_BLOCK ? parseInt(process.env.FLARE_FORK_BLOCK, 10) : undefined
+      } : undefined
+    },
+    // Local Hardhat node (npm run node:local)
+    localhost: {
+      url: "http://127.0.0.1:8545",
       chainId: 1337
     },
     // Flare Mainnet
@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const ftsoDelegation = require("../backend/adapters/ftso-delegation");
+const flareDex = require("../backend/adapters/flare-dex");
+const fAssets = require("../backend/adapters/fassets");
+const { ProtocolRegistry } = require("../backend/services/protocol-registry");
+const { YieldAnalyzer } = require("../backend/services/yield-analyzer");
+const { CostModel, FixturePriceSource } = require("../backend/services/pricing");
+
+const YEAR = 365 * 24 * 60 * 60;
+const prices = new FixturePriceSource({ prices: { FLR: 0.02, XRP: 0.5, USDT: 1 } });
+
+// Runs the Flare-native adapters against contracts/mocks/FlareMocks.sol instead of a Flare fork.
+// The DEX pair and the collateral pool gain 0.1% per share between two points ~11 days apart.
+async function deployFixture() {
+  const units = ethers.utils.parseUnits;
+  const deploy = async (name, ...args) => (await ethers.getContractFactory(name)).deploy(...args);
+
+  const registry = await deploy("MockFlareContractRegistry");
+  const wnat = await deploy("MockERC20", "WNAT", 18, units("10000000000"));
+  const rewardManager = await deploy("MockFtsoRewardManager", units("10000000"));
+  await registry.setContractAddress("WNat", wnat.address);
+  await registry.setContractAddress("FtsoRewardManager", rewardManager.address);
+
+  const wflr = await deploy("MockERC20", "WFLR", 18, 0);
+  const usdt0 = await deploy("MockERC20", "USDT0", 6, 0);
+  const pair = await deploy("MockV2Pair", wflr.address, usdt0.address);
+
+  const poolToken = await deploy("MockERC20", "FCPT", 18, units("1000000"));
+  const fxrp = await deploy("MockERC20", "FXRP", 6, 0);
+  const pool = await deploy("MockCollateralPool", poolToken.address, fxrp.address);
+
+  // 1,000,000 WFLR / 20,000 USDT0; 1,000,000 FLR of collateral without fees
+  await pair.setState(units("1000000"), units("20000", 6), units("141421"));
+  await pool.setState(units("1000000"), 0);
+  // One block at a time: historical calls fail on the reserved blocks hardhat_mine creates
+  for (let i = 0; i < 1000; i++) {
+    await time.increase(1000);
+  }
+
+  // Reserves +0.1% from swap fees; 40 FXRP of minting fees = 1,000 FLR at 0.5 / 0.02
+  await pair.setState(units("1001000"), units("20020", 6), units("141421"));
+  await pool.setState(units("1000000"), units("40", 6));
+
+  const context = {
+    provider: ethers.provider,
+    costModel: new CostModel({ priceSource: prices, fallbackSource: prices })
+  };
+
+  return {
+    context,
+    adapters: {
+      ftso: { ...ftsoDelegation, contractRegistry: registry.address },
+      dex: { ...flareDex, pairs: [{ address: pair.address, name: "WFLR/USDT0 (mock)" }] },
+      fAssets: { ...fAssets, pools: [{ address: pool.address, name: "Agent (mock FXRP)" }] }
+    }
+  };
+}
+
+async function run(adapter, context) {
+  const raw = await adapter.fetch({}, context);
+  return { raw, yieldData: adapter.parse(raw) };
+}
+
+describe("Flare adapters (FlareMocks on the Hardhat network)", function () {
+  it("derives the FTSO delegation rate from reward inflation and wrapped supply", async function () {
+    const { adapters, context } = await loadFixture(deployFixture);
+
+    const { yieldData } = await run(adapters.ftso, context);
+
+    // 10M FLR a day x 365 / 10bn wrapped, less the 20% provider fee
+    expect(yieldData.markets.FLR.apy).to.be.closeTo(29.2, 1e-9);
+    expect(yieldData.markets.FLR.tvl).to.be.closeTo(200000000, 1e-3);
+  });
+
+  it("annualises LP fee growth of a v2 pair over its lookback", async function () {
+    const { adapters, context } = await loadFixture(deployFixture);
+
+    const { raw, yieldData } = await run(adapters.dex, context);
+
+    expect(raw.elapsed).to.be.closeTo(flareDex.lookback, 2000);
+    expect(raw.pairs[0].tokens.map((token) => token.symbol)).to.deep.equal(["WFLR", "USDT0"]);
+    expect(yieldData.markets.FLR.apy).to.be.closeTo(0.1 * YEAR / raw.elapsed, 1e-6);
+    expect(yieldData.markets.USDT.apy).to.equal(yieldData.markets.FLR.apy);
+    expect(yieldData.markets.FLR.tvl).to.be.closeTo(2 * 1001000 * 0.02, 1e-6);
+  });
+
+  it("annualises collateral pool token growth from FAsset fees", async function () {
+    const { adapters, context } = await loadFixture(deployFixture);
+
+    const { raw, yieldData } = await run(adapters.fAssets, context);
+
+    expect(raw.elapsed).to.be.closeTo(fAssets.lookback, 2000);
+    expect(yieldData.markets.FLR.apy).to.be.closeTo(0.1 * YEAR / raw.elapsed, 1e-6);
+    expect(yieldData.markets.FLR.tvl).to.be.closeTo(20000, 1e-6);
+  });
+
+  it("serves live data, not mocks, through the yield analyzer", async function () {
+    const { adapters, context } = await loadFixture(deployFixture);
+    const registry = new ProtocolRegistry({ adapters: Object.values(adapters), context });
+
+    const yields = await new YieldAnalyzer({ registry }).fetchAllYields();
+
+    for (const name of ["FTSO Delegation", "Flare DEX", "FAssets"]) {
+      expect(yields[name].source, name).to.equal("live");
+      expect(yields[name].mock, name).to.equal(undefined);
+    }
+    expect(yields["Flare DEX"].apy).to.be.greaterThan(30);
+  });
+});
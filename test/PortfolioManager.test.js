@@ -0,0 +1,65 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const DEPOSIT = ethers.utils.parseEther("10");
+
+async function deployFixture() {
+  const [owner, rebalancer, user] = await ethers.getSigners();
+
+  const portfolioManager = await (await ethers.getContractFactory("PortfolioManager")).deploy();
+  await portfolioManager.authorizeRebalancer(rebalancer.address, true);
+  await portfolioManager.connect(user).createPortfolio(1, { value: DEPOSIT });
+
+  return { portfolioManager, owner, rebalancer, user };
+}
+
+describe("PortfolioManager", function () {
+  it("creates a portfolio on Aave at 3.2%", async function () {
+    const { portfolioManager, user } = await loadFixture(deployFixture);
+    const portfolio = await portfolioManager.getPortfolio(user.address);
+
+    expect(portfolio.totalValue).to.equal(DEPOSIT);
+    expect(portfolio.currentYield).to.equal(320);
+    expect(portfolio.currentProtocol).to.equal("Aave");
+    expect(portfolio.autoRebalanceEnabled).to.equal(true);
+  });
+
+  describe("executeRebalance", function () {
+    it("books the profit against the yield being replaced", async function () {
+      const { portfolioManager, rebalancer, user } = await loadFixture(deployFixture);
+      const gasCost = ethers.utils.parseEther("0.01");
+
+      await portfolioManager.connect(rebalancer).executeRebalance(user.address, "Aave", "Compound", 780, gasCost);
+
+      // 10 ETH * (7.80% - 3.20%) - 0.01 ETH gas
+      const portfolio = await portfolioManager.getPortfolio(user.address);
+      expect(portfolio.totalProfit).to.equal(DEPOSIT.mul(780 - 320).div(10000).sub(gasCost));
+      expect(portfolio.currentYield).to.equal(780);
+    });
+
+    it("accumulates profit over consecutive rebalances", async function () {
+      const { portfolioManager, rebalancer, user } = await loadFixture(deployFixture);
+
+      await portfolioManager.connect(rebalancer).executeRebalance(user.address, "Aave", "Compound", 780, 0);
+      await portfolioManager.connect(rebalancer).executeRebalance(user.address, "Compound", "Curve", 900, 0);
+
+      const portfolio = await portfolioManager.getPortfolio(user.address);
+      expect(portfolio.totalProfit).to.equal(DEPOSIT.mul(780 - 320).div(10000).add(DEPOSIT.mul(900 - 780).div(10000)));
+    });
+
+    it("rejects moves below the minimum yield improvement", async function () {
+      const { portfolioManager, rebalancer, user } = await loadFixture(deployFixture);
+
+      await expect(portfolioManager.connect(rebalancer).executeRebalance(user.address, "Aave", "Compound", 350, 0))
+        .to.be.revertedWith("Rebalancing not profitable");
+    });
+
+    it("only accepts authorized rebalancers", async function () {
+      const { portfolioManager, user } = await loadFixture(deployFixture);
+
+      await expect(portfolioManager.connect(user).executeRebalance(user.address, "Aave", "Compound", 780, 0))
+        .to.be.revertedWith("Not authorized rebalancer");
+    });
+  });
+});
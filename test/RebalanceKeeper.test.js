@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { RebalanceKeeper, REQUEST_STATES } = require("../backend/services/rebalance-keeper");
+
+// Drives the backend keeper against the contracts on the Hardhat network.
+// The optimization engine is stubbed so each test decides the recommended move.
+async function deployFixture() {
+  const [owner, aiEngine, user] = await ethers.getSigners();
+
+  const yieldOracle = await (await ethers.getContractFactory("YieldOracle")).deploy();
+  const portfolioManager = await (await ethers.getContractFactory("PortfolioManager")).deploy();
+  const rebalancingEngine = await (await ethers.getContractFactory("RebalancingEngine")).deploy(
+    portfolioManager.address,
+    yieldOracle.address
+  );
+
+  await portfolioManager.authorizeRebalancer(rebalancingEngine.address, true);
+  await rebalancingEngine.authorizeAIEngine(aiEngine.address, true);
+  await portfolioManager.connect(user).createPortfolio(1, { value: ethers.utils.parseEther("10") });
+
+  return { portfolioManager, rebalancingEngine: rebalancingEngine.connect(aiEngine), user };
+}
+
+function createKeeper({ portfolioManager, rebalancingEngine, user }, recommendation) {
+  const optimizationEngine = {
+    generateOptimizationStrategy: async () => ({ shouldRebalance: true, recommendation })
+  };
+  const keeper = new RebalanceKeeper({ optimizationEngine, portfolioManager, rebalancingEngine });
+  keeper.enroll(user.address);
+
+  const states = [];
+  keeper.on("request", (request) => states.push(request.state));
+  return { keeper, states };
+}
+
+describe("RebalanceKeeper (Hardhat network)", function () {
+  it("requests and executes a profitable rebalance", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { keeper, states } = createKeeper(fixture, { fromProtocol: "Aave", toProtocol: "Compound", newYield: 7.8 });
+
+    const results = await keeper.runCycle();
+    const result = results[fixture.user.address];
+
+    expect(result.action).to.equal("rebalance");
+    expect(result.state).to.equal(REQUEST_STATES.EXECUTED);
+    expect(result.requestId).to.equal("0");
+    expect(result.request.requestTxHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(result.request.executeTxHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(states).to.deep.equal([
+      REQUEST_STATES.SUBMITTED,
+      REQUEST_STATES.REQUESTED,
+      REQUEST_STATES.EXECUTING,
+      REQUEST_STATES.EXECUTED
+    ]);
+
+    const portfolio = await fixture.portfolioManager.getPortfolio(fixture.user.address);
+    expect(portfolio.currentProtocol).to.equal("Compound");
+    expect(portfolio.currentYield).to.equal(780);
+    expect(portfolio.totalProfit).to.be.gt(0);
+  });
+
+  it("records a cancellation with the on-chain reason", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { keeper, states } = createKeeper(fixture, { fromProtocol: "Aave", toProtocol: "Compound", newYield: 3.5 });
+
+    const result = (await keeper.runCycle())[fixture.user.address];
+
+    expect(result.state).to.equal(REQUEST_STATES.CANCELLED);
+    expect(result.reason).to.equal("Rebalancing not profitable");
+    expect(states.at(-1)).to.equal(REQUEST_STATES.CANCELLED);
+    expect((await fixture.rebalancingEngine.getRebalanceRequest(0)).cancelled).to.equal(true);
+  });
+
+  it("skips users inside the RebalancingEngine cooldown", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const first = createKeeper(fixture, { fromProtocol: "Aave", toProtocol: "Compound", newYield: 7.8 });
+    await first.keeper.runCycle();
+
+    const second = createKeeper(fixture, { fromProtocol: "Compound", toProtocol: "Curve", newYield: 9 });
+    expect((await second.keeper.runCycle())[fixture.user.address]).to.deep.equal({
+      action: "skipped",
+      reason: "Cooldown period active"
+    });
+    expect(second.states).to.deep.equal([]);
+
+    await time.increase(await fixture.rebalancingEngine.REBALANCE_COOLDOWN());
+    const result = (await second.keeper.runCycle())[fixture.user.address];
+    expect(result.state).to.equal(REQUEST_STATES.EXECUTED);
+    expect(result.requestId).to.equal("1");
+  });
+
+  it("fails the request when the engine rejects it", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { keeper } = createKeeper(fixture, { fromProtocol: "Curve", toProtocol: "Compound", newYield: 7.8 });
+
+    const result = (await keeper.runCycle())[fixture.user.address];
+
+    expect(result.state).to.equal(REQUEST_STATES.FAILED);
+    expect(result.reason).to.equal("From protocol mismatch");
+  });
+});
@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const DEPOSIT = ethers.utils.parseEther("10");
+const GAS_COST = ethers.utils.parseEther("0.01");
+
+// Same setup as deployment/deploy.js, plus one balanced portfolio on Aave at 3.2%
+async function deployFixture() {
+  const [owner, aiEngine, user, stranger] = await ethers.getSigners();
+
+  const yieldOracle = await (await ethers.getContractFactory("YieldOracle")).deploy();
+  const portfolioManager = await (await ethers.getContractFactory("PortfolioManager")).deploy();
+  const rebalancingEngine = await (await ethers.getContractFactory("RebalancingEngine")).deploy(
+    portfolioManager.address,
+    yieldOracle.address
+  );
+
+  await portfolioManager.authorizeRebalancer(rebalancingEngine.address, true);
+  await rebalancingEngine.authorizeAIEngine(aiEngine.address, true);
+  await portfolioManager.connect(user).createPortfolio(1, { value: DEPOSIT });
+
+  return { portfolioManager, rebalancingEngine, owner, aiEngine, user, stranger };
+}
+
+describe("RebalancingEngine", function () {
+  describe("requestRebalance", function () {
+    it("records the request and emits RebalanceRequested", async function () {
+      const { rebalancingEngine, aiEngine, user } = await loadFixture(deployFixture);
+
+      await expect(rebalancingEngine.connect(aiEngine).requestRebalance(user.address, "Aave", "Compound", 780, GAS_COST))
+        .to.emit(rebalancingEngine, "RebalanceRequested")
+        .withArgs(0, user.address, "Aave", "Compound", 780);
+
+      const request = await rebalancingEngine.getRebalanceRequest(0);
+      expect(request.user).to.equal(user.address);
+      expect(request.amount).to.equal(DEPOSIT);
+      expect(request.executed).to.equal(false);
+      expect(await rebalancingEngine.getUserRebalanceHistory(user.address)).to.deep.equal([ethers.BigNumber.from(0)]);
+    });
+
+    it("rejects callers that are not authorized AI engines", async function () {
+      const { rebalancingEngine, stranger, user } = await loadFixture(deployFixture);
+
+      await expect(rebalancingEngine.connect(stranger).requestRebalance(user.address, "Aave", "Compound", 780, GAS_COST))
+        .to.be.revertedWith("Not authorized AI engine");
+    });
+
+    it("rejects a from protocol that does not match the portfolio", async function () {
+      const { rebalancingEngine, aiEngine, user } = await loadFixture(deployFixture);
+
+      await expect(rebalancingEngine.connect(aiEngine).requestRebalance(user.address, "Curve", "Compound", 780, GAS_COST))
+        .to.be.revertedWith("From protocol mismatch");
+    });
+
+    it("enforces the cooldown between requests for the same user", async function () {
+      const { rebalancingEngine, aiEngine, user } = await loadFixture(deployFixture);
+
+      await rebalancingEngine.connect(aiEngine).requestRebalance(user.address, "Aave", "Compound", 780, GAS_COST);
+      await rebalancingEngine.connect(aiEngine).cancelRebalance(0, "superseded");
+
+      await expect(rebalancingEngine.connect(aiEngine).requestRebalance(user.address, "Aave", "Compound", 780, GAS_COST))
+        .to.be.revertedWith("Cooldown period active");
+
+      await time.increase(await rebalancingEngine.REBALANCE_COOLDOWN());
+      await expect(rebalancingEngine.connect(aiEngine).requestRebalance(user.address, "Aave", "Compound", 780, GAS_COST))
+        .to.emit(rebalancingEngine, "RebalanceRequested")
+        .withArgs(1, user.address, "Aave", "Compound", 780);
+    });
+  });
+
+  describe("executeRebalance", function () {
+    it("moves the portfolio and emits RebalanceExecuted with the net profit", async function () {
+      const { portfolioManager, rebalancingEngine, aiEngine, user } = await loadFixture(deployFixture);
+      await rebalancingEngine.connect(aiEngine).requestRebalance(user.address, "Aave", "Compound", 780, GAS_COST);
+
+      // 10 ETH * (7.80% - 3.20%) - 0.01 ETH gas
+      const profit = DEPOSIT.mul(780 - 320).div(10000).sub(GAS_COST);
+
+      await expect(rebalancingEngine.connect(aiEngine).executeRebalance(0))
+        .to.emit(rebalancingEngine, "RebalanceExecuted")
+        .withArgs(0, user.address, "Aave", "Compound", DEPOSIT, 780, profit)
+        .and.to.emit(portfolioManager, "PortfolioRebalanced")
+        .withArgs(user.address, "Aave", "Compound", 780);
+
+      const portfolio = await portfolioManager.getPortfolio(user.address);
+      expect(portfolio.currentProtocol).to.equal("Compound");
+      expect(portfolio.currentYield).to.equal(780);
+      expect((await rebalancingEngine.getRebalanceRequest(0)).executed).to.equal(true);
+      expect((await rebalancingEngine.getOptimizationMetrics()).totalRebalances).to.equal(1);
+    });
+
+    it("cancels the request with PortfolioManager's revert reason", async function () {
+      const { rebalancingEngine, aiEngine, user } = await loadFixture(deployFixture);
+
+      // Profitable for the engine, but below PortfolioManager's 0.5% minimum improvement
+      await rebalancingEngine.connect(aiEngine).requestRebalance(user.address, "Aave", "Compound", 350, GAS_COST);
+
+      await expect(rebalancingEngine.connect(aiEngine).executeRebalance(0))
+        .to.emit(rebalancingEngine, "RebalanceCancelled")
+        .withArgs(0, "Rebalancing not profitable")
+        .and.not.to.emit(rebalancingEngine, "RebalanceExecuted");
+
+      expect((await rebalancingEngine.getRebalanceRequest(0)).cancelled).to.equal(true);
+    });
+
+    it("refuses to execute a request twice", async function () {
+      const { rebalancingEngine, aiEngine, user } = await loadFixture(deployFixture);
+      await rebalancingEngine.connect(aiEngine).requestRebalance(user.address, "Aave", "Compound", 780, GAS_COST);
+      await rebalancingEngine.connect(aiEngine).executeRebalance(0);
+
+      await expect(rebalancingEngine.connect(aiEngine).executeRebalance(0))
+        .to.be.revertedWith("Request already executed");
+    });
+  });
+});